@@ -0,0 +1,341 @@
+'use strict';
+
+const fs = require('fs');
+const pathlib = require('path');
+
+// Message properties that never change for a UID, so these can be served from the cache as
+// long as UIDVALIDITY stays the same
+const IMMUTABLE_FIELDS = ['envelope', 'bodyStructure', 'size', 'internalDate'];
+
+// Mutable properties that are cached as well, but always refreshed from the server
+const MUTABLE_FIELDS = ['flags', 'flagColor', 'modseq'];
+
+const notImplemented = method => {
+    let error = new Error(`Cache store does not implement ${method}()`);
+    error.code = 'NotImplemented';
+    return error;
+};
+
+/**
+ * Storage interface for cached mailbox and message metadata. Set an instance as the `cache` option
+ * of {@link ImapFlow} to cache mailbox lists, mailbox state and message metadata between sessions.
+ * All methods are async, so a store can be backed by a database or a remote cache. Message entries
+ * are keyed by mailbox path and UID, and only valid for the UIDVALIDITY they were stored with.
+ *
+ * Extend this class and implement every method to create a custom store, see
+ * {@link MemoryCacheStore} and {@link FileCacheStore} for reference implementations.
+ */
+class CacheStore {
+    /**
+     * @returns {Promise<ListResponse[]|null>} Cached mailbox list, or `null` if not cached
+     */
+    async getMailboxList() {
+        throw notImplemented('getMailboxList');
+    }
+
+    /**
+     * @param {ListResponse[]} list Mailbox list as returned by {@link ImapFlow#list}
+     */
+    async setMailboxList() {
+        throw notImplemented('setMailboxList');
+    }
+
+    /**
+     * @param {String} path Mailbox path
+     * @returns {Promise<MailboxObject|null>} Mailbox state from the last time it was opened, or `null` if not cached
+     */
+    async getMailbox() {
+        throw notImplemented('getMailbox');
+    }
+
+    /**
+     * Stores the state of an opened mailbox. If UIDVALIDITY differs from the cached value,
+     * the cached messages of the mailbox are dropped.
+     *
+     * @param {String} path Mailbox path
+     * @param {MailboxObject} mailbox Mailbox state
+     */
+    async setMailbox() {
+        throw notImplemented('setMailbox');
+    }
+
+    /**
+     * @param {String} path Mailbox path
+     * @param {BigInt} uidValidity UIDVALIDITY of the mailbox
+     * @param {Number[]} uids UIDs to look up
+     * @returns {Promise<Map<Number, Object>>} Cached entries keyed by UID. UIDs that are not cached are left out
+     */
+    async getMessages() {
+        throw notImplemented('getMessages');
+    }
+
+    /**
+     * Stores message metadata, merged with existing entries. Entries cached for another
+     * UIDVALIDITY are dropped.
+     *
+     * @param {String} path Mailbox path
+     * @param {BigInt} uidValidity UIDVALIDITY of the mailbox
+     * @param {FetchMessageObject[]} messages Fetched messages, only `uid` and the cacheable properties are stored
+     */
+    async setMessages() {
+        throw notImplemented('setMessages');
+    }
+
+    /**
+     * @param {String} path Mailbox path
+     * @param {BigInt} uidValidity UIDVALIDITY of the mailbox
+     * @param {Number[]} uids UIDs of expunged messages
+     */
+    async deleteMessages() {
+        throw notImplemented('deleteMessages');
+    }
+
+    /**
+     * Removes everything from the cache
+     */
+    async clear() {
+        throw notImplemented('clear');
+    }
+}
+
+/**
+ * Cache store that keeps everything in memory. Values are copied when stored and when read,
+ * so cached objects can not be modified from outside.
+ *
+ * @extends CacheStore
+ */
+class MemoryCacheStore extends CacheStore {
+    constructor() {
+        super();
+        this.data = this.createData();
+    }
+
+    createData() {
+        return {
+            list: null,
+            // keyed by mailbox path: { mailbox, uidValidity, messages: Map<uid, entry> }
+            mailboxes: new Map()
+        };
+    }
+
+    getEntry(path) {
+        if (!this.data.mailboxes.has(path)) {
+            this.data.mailboxes.set(path, { mailbox: null, uidValidity: null, messages: new Map() });
+        }
+        return this.data.mailboxes.get(path);
+    }
+
+    // Messages cached for another UIDVALIDITY refer to other messages, so these are dropped
+    checkUidValidity(entry, uidValidity) {
+        if (uidValidity && entry.uidValidity !== BigInt(uidValidity)) {
+            entry.uidValidity = BigInt(uidValidity);
+            entry.messages = new Map();
+        }
+    }
+
+    // Called before the data is accessed, FileCacheStore reads the data from disk from here
+    async load() {}
+
+    // Called after every change, FileCacheStore writes the data to disk from here
+    async persist() {}
+
+    async getMailboxList() {
+        await this.load();
+        return this.data.list ? structuredClone(this.data.list) : null;
+    }
+
+    async setMailboxList(list) {
+        await this.load();
+        this.data.list = structuredClone(list);
+        await this.persist();
+    }
+
+    async getMailbox(path) {
+        await this.load();
+        let entry = this.data.mailboxes.get(path);
+        return entry && entry.mailbox ? structuredClone(entry.mailbox) : null;
+    }
+
+    async setMailbox(path, mailbox) {
+        await this.load();
+        let entry = this.getEntry(path);
+        this.checkUidValidity(entry, mailbox.uidValidity);
+        entry.mailbox = structuredClone(mailbox);
+        await this.persist();
+    }
+
+    async getMessages(path, uidValidity, uids) {
+        await this.load();
+        let result = new Map();
+        let entry = this.data.mailboxes.get(path);
+        if (!entry || !uidValidity || entry.uidValidity !== BigInt(uidValidity)) {
+            return result;
+        }
+        for (let uid of uids) {
+            if (entry.messages.has(uid)) {
+                result.set(uid, structuredClone(entry.messages.get(uid)));
+            }
+        }
+        return result;
+    }
+
+    async setMessages(path, uidValidity, messages) {
+        await this.load();
+        if (!uidValidity) {
+            return;
+        }
+        let entry = this.getEntry(path);
+        this.checkUidValidity(entry, uidValidity);
+        for (let message of messages) {
+            if (!message || !message.uid) {
+                continue;
+            }
+            let cached = entry.messages.get(message.uid) || { uid: message.uid };
+            for (let key of IMMUTABLE_FIELDS.concat(MUTABLE_FIELDS)) {
+                if (message[key] !== undefined) {
+                    cached[key] = structuredClone(message[key]);
+                }
+            }
+            entry.messages.set(message.uid, cached);
+        }
+        await this.persist();
+    }
+
+    async deleteMessages(path, uidValidity, uids) {
+        await this.load();
+        let entry = this.data.mailboxes.get(path);
+        if (!entry || !uidValidity || entry.uidValidity !== BigInt(uidValidity)) {
+            return;
+        }
+        for (let uid of uids) {
+            entry.messages.delete(uid);
+        }
+        await this.persist();
+    }
+
+    async clear() {
+        await this.load();
+        this.data = this.createData();
+        await this.persist();
+    }
+}
+
+// JSON has no representation for these types, so values are tagged when written and restored when read
+const encodeValue = value => {
+    if (typeof value === 'bigint') {
+        return { $bigint: value.toString() };
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof Date) {
+        return { $date: value.toISOString() };
+    }
+    if (Buffer.isBuffer(value)) {
+        return { $buffer: value.toString('base64') };
+    }
+    if (value instanceof Set) {
+        return { $set: Array.from(value, encodeValue) };
+    }
+    if (value instanceof Map) {
+        return { $map: Array.from(value, entry => entry.map(encodeValue)) };
+    }
+    if (Array.isArray(value)) {
+        return value.map(encodeValue);
+    }
+    let encoded = {};
+    for (let key of Object.keys(value)) {
+        encoded[key] = encodeValue(value[key]);
+    }
+    return encoded;
+};
+
+const reviver = (key, value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return value;
+    }
+    if (typeof value.$bigint === 'string') {
+        return BigInt(value.$bigint);
+    }
+    if (typeof value.$date === 'string') {
+        return new Date(value.$date);
+    }
+    if (typeof value.$buffer === 'string') {
+        return Buffer.from(value.$buffer, 'base64');
+    }
+    if (Array.isArray(value.$set)) {
+        return new Set(value.$set);
+    }
+    if (Array.isArray(value.$map)) {
+        return new Map(value.$map);
+    }
+    return value;
+};
+
+/**
+ * Cache store that keeps the data in memory and writes it to a JSON file after every change.
+ * Meant for single process use and small mailboxes, every write stores the whole cache.
+ *
+ * @extends MemoryCacheStore
+ * @example
+ * const { ImapFlow, FileCacheStore } = require('imapflow');
+ * const client = new ImapFlow({ ..., cache: new FileCacheStore('/var/cache/app/imap-cache.json') });
+ */
+class FileCacheStore extends MemoryCacheStore {
+    /**
+     * @param {String} filename Path to the cache file, created if it does not exist
+     */
+    constructor(filename) {
+        super();
+        this.filename = filename;
+        this.loading = false;
+        // writes run one at a time, in order
+        this.writeQueue = Promise.resolve();
+    }
+
+    load() {
+        // concurrent calls share the same read
+        if (!this.loading) {
+            this.loading = this.readData().catch(err => {
+                // try again on the next call
+                this.loading = false;
+                throw err;
+            });
+        }
+        return this.loading;
+    }
+
+    async readData() {
+        let contents;
+        try {
+            contents = await fs.promises.readFile(this.filename, 'utf-8');
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return;
+            }
+            throw err;
+        }
+
+        let data = JSON.parse(contents, reviver);
+        this.data = {
+            list: data.list || null,
+            mailboxes: data.mailboxes instanceof Map ? data.mailboxes : new Map()
+        };
+    }
+
+    async persist() {
+        let contents = JSON.stringify(encodeValue(this.data));
+        let write = this.writeQueue.then(async () => {
+            // written to a temporary file first, so a crash can not leave a truncated cache behind
+            let tmpFile = `${this.filename}.${process.pid}.tmp`;
+            await fs.promises.mkdir(pathlib.dirname(this.filename), { recursive: true });
+            await fs.promises.writeFile(tmpFile, contents);
+            await fs.promises.rename(tmpFile, this.filename);
+        });
+        // a failed write must not block the ones that follow
+        this.writeQueue = write.catch(() => false);
+        await write;
+    }
+}
+
+module.exports = { CacheStore, MemoryCacheStore, FileCacheStore, IMMUTABLE_FIELDS };
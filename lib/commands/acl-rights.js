@@ -0,0 +1,79 @@
+'use strict';
+
+// Standard rights (RFC 4314 section 2.1) mapped to the property name each one is exposed
+// under. Shared by the ACL commands and by the MYRIGHTS return option of LIST (RFC 8440) so
+// a rights string always turns into the same object shape.
+const RIGHTS = new Map([
+    ['l', 'lookup'],
+    ['r', 'read'],
+    ['s', 'seen'],
+    ['w', 'write'],
+    ['i', 'insert'],
+    ['p', 'post'],
+    ['k', 'createMailbox'],
+    ['x', 'deleteMailbox'],
+    ['t', 'deleteMessages'],
+    ['e', 'expunge'],
+    ['a', 'administer']
+]);
+
+// Obsolete RFC 2086 rights. Servers still report them, so they are mapped to the RFC 4314
+// rights they were split into, following the "latter group" interpretation of section 2.1.1:
+// "c" grants mailbox creation, "d" grants message and mailbox deletion plus EXPUNGE.
+const OBSOLETE_RIGHTS = new Map([
+    ['c', ['k']],
+    ['d', ['t', 'e', 'x']]
+]);
+
+/**
+ * Parses a rights string into an object with a boolean flag for every standard right.
+ * Unknown rights (eg. server specific digits) are only kept in the raw `rights` string.
+ *
+ * @param {string} value - Rights string, eg. `lrswipkxtea`
+ * @returns {Object} Parsed rights, the raw string is exposed as `rights`
+ */
+const parseRights = value => {
+    let rights = typeof value === 'string' ? value : '';
+
+    let result = { rights };
+    for (let key of RIGHTS.values()) {
+        result[key] = false;
+    }
+
+    for (let right of rights) {
+        let expanded = OBSOLETE_RIGHTS.get(right) || [right];
+        for (let letter of expanded) {
+            if (RIGHTS.has(letter)) {
+                result[RIGHTS.get(letter)] = true;
+            }
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Compiles rights for SETACL. Strings are sent as-is, so a leading `+` or `-` adds or removes
+ * rights instead of replacing them (RFC 4314 section 3.1). Objects use the property names from
+ * parseRights() and replace the current rights with the enabled ones.
+ *
+ * @param {string|Object} value - Rights string or rights object
+ * @returns {string} Rights string
+ */
+const compileRights = value => {
+    if (typeof value === 'string') {
+        return value.trim();
+    }
+
+    let rights = '';
+    if (value && typeof value === 'object') {
+        for (let [letter, key] of RIGHTS) {
+            if (value[key]) {
+                rights += letter;
+            }
+        }
+    }
+    return rights;
+};
+
+module.exports = { parseRights, compileRights };
@@ -8,56 +8,94 @@ const {
     encodePath,
     comparePaths,
     enhanceCommandError,
+    getStatusCode,
     parseBigIntValue,
     parseUintValue,
     MAX_UINT32_DIGITS
 } = require('../tools.js');
 
 /**
- * Appends a message to a mailbox.
+ * Compiles CATENATE (RFC 4469) message parts. Every part is either text to include as-is or an
+ * IMAP URL (RFC 5092) of a message or message part the server already stores.
  *
  * @param {Object} connection - IMAP connection instance
- * @param {string} destination - Destination mailbox path
- * @param {Buffer|string} content - Message content (RFC 822 format)
+ * @param {Array<Buffer|string|{text: Buffer|string}|{url: string}>} parts - Message parts
+ * @returns {{list: Array, size: number}} CATENATE part list and the size of the text parts
+ * @throws {Error} If CATENATE is not supported or a part is invalid
+ */
+const compileCatenateParts = (connection, parts) => {
+    if (!connection.capabilities.has('CATENATE')) {
+        let error = new Error('Server does not support CATENATE extension');
+        error.code = 'MissingServerExtension';
+        throw error;
+    }
+
+    let list = [];
+    let size = 0;
+    for (let part of parts) {
+        if (part && typeof part === 'object' && !Buffer.isBuffer(part) && part.url) {
+            list.push({ type: 'ATOM', value: 'URL' }, { type: 'STRING', value: part.url.toString() });
+            continue;
+        }
+
+        let text = part && typeof part === 'object' && !Buffer.isBuffer(part) ? part.text : part;
+        if (typeof text === 'string') {
+            text = Buffer.from(text);
+        }
+        if (!Buffer.isBuffer(text)) {
+            let error = new Error('CATENATE parts must be text or an IMAP URL');
+            error.code = 'InvalidCatenatePart';
+            throw error;
+        }
+        list.push({ type: 'ATOM', value: 'TEXT' }, { type: 'LITERAL', value: text });
+        size += text.length;
+    }
+
+    if (!list.length) {
+        let error = new Error('CATENATE requires at least one message part');
+        error.code = 'InvalidCatenatePart';
+        throw error;
+    }
+
+    return { list, size };
+};
+
+/**
+ * Compiles the flags, internal date and content of a single message into APPEND arguments.
+ * Shared with MULTIAPPEND, which repeats this group for every uploaded message.
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {Buffer|string|Array} content - Message content (RFC 822 format), or an array of CATENATE parts
  * @param {string|string[]} [flags] - Message flags to set on the appended message
  * @param {Date|string} [idate] - Internal date to set for the message
- * @returns {Promise<{destination: string, path?: string, uid?: number, uidValidity?: BigInt, seq?: number}|undefined>} Append result with UID info if available, or undefined if preconditions not met
- * @throws {Error} If the APPEND command fails or message exceeds APPENDLIMIT
+ * @returns {Array} APPEND arguments for the message
+ * @throws {Error} If the message exceeds APPENDLIMIT or CATENATE parts can not be used
  */
-module.exports = async (connection, destination, content, flags, idate) => {
-    if (![connection.states.AUTHENTICATED, connection.states.SELECTED].includes(connection.state) || !destination) {
-        // nothing to do here
-        return;
-    }
+const compileMessage = (connection, content, flags, idate) => {
+    let catenate = Array.isArray(content) ? compileCatenateParts(connection, content) : false;
 
     if (typeof content === 'string') {
         content = Buffer.from(content);
     }
 
     // APPENDLIMIT capability (RFC 7889): server may advertise the maximum message
-    // size it accepts. Check before sending to avoid a wasted round-trip.
+    // size it accepts. Check before sending to avoid a wasted round-trip. Only the
+    // text parts of a CATENATE message are known here, the server checks the rest.
     if (connection.capabilities.has('APPENDLIMIT')) {
         let appendLimit = connection.capabilities.get('APPENDLIMIT');
-        if (typeof appendLimit === 'number' && appendLimit < content.length) {
+        if (typeof appendLimit === 'number' && appendLimit < (catenate ? catenate.size : content.length)) {
             let err = new Error('Message content too big for APPENDLIMIT=' + appendLimit);
             err.serverResponseCode = 'APPENDLIMIT';
             throw err;
         }
     }
 
-    destination = normalizePath(connection, destination);
-
-    // If appending to the currently selected mailbox, we can listen for the
-    // untagged EXISTS response to capture the new message's sequence number.
-    let expectExists = comparePaths(connection, connection.mailbox.path, destination);
-
     // Validate and format flags. Only flags allowed by the mailbox's permanentFlags are included.
     flags = (Array.isArray(flags) ? flags : [].concat(flags || []))
         .map(flag => flag && formatFlag(flag.toString()))
         .filter(flag => flag && canUseFlag(connection.mailbox, flag));
 
-    // APPEND command format: APPEND <mailbox> [<flags>] [<date-time>] <literal>
-    let attributes = [{ type: 'ATOM', value: encodePath(connection, destination) }];
+    let attributes = [];
 
     // Internal date: the date the server should record for this message.
     // Must be quoted (STRING type) per the IMAP date-time grammar.
@@ -72,6 +110,11 @@ module.exports = async (connection, destination, content, flags, idate) => {
         attributes.push({ type: 'STRING', value: idate });
     }
 
+    if (catenate) {
+        attributes.push({ type: 'ATOM', value: 'CATENATE' }, catenate.list);
+        return attributes;
+    }
+
     // BINARY extension (RFC 3516): if the message content contains NUL bytes,
     // use literal8 syntax (~{size}\r\n) instead of regular literal ({size}\r\n).
     // Regular literals cannot contain NUL bytes per the IMAP grammar.
@@ -82,6 +125,37 @@ module.exports = async (connection, destination, content, flags, idate) => {
 
     attributes.push({ type: 'LITERAL', value: content, isLiteral8 });
 
+    return attributes;
+};
+
+/**
+ * Appends a message to a mailbox.
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {string} destination - Destination mailbox path
+ * @param {Buffer|string|Array} content - Message content (RFC 822 format), or an array of CATENATE parts
+ * @param {string|string[]} [flags] - Message flags to set on the appended message
+ * @param {Date|string} [idate] - Internal date to set for the message
+ * @returns {Promise<{destination: string, path?: string, uid?: number, uidValidity?: BigInt, seq?: number}|undefined>} Append result with UID info if available, or undefined if preconditions not met
+ * @throws {Error} If the APPEND command fails or message exceeds APPENDLIMIT
+ */
+module.exports = async (connection, destination, content, flags, idate) => {
+    if (![connection.states.AUTHENTICATED, connection.states.SELECTED].includes(connection.state) || !destination) {
+        // nothing to do here
+        return;
+    }
+
+    // APPEND command format: APPEND <mailbox> [<flags>] [<date-time>] <literal>
+    let messageAttributes = compileMessage(connection, content, flags, idate);
+
+    destination = normalizePath(connection, destination);
+
+    // If appending to the currently selected mailbox, we can listen for the
+    // untagged EXISTS response to capture the new message's sequence number.
+    let expectExists = comparePaths(connection, connection.mailbox.path, destination);
+
+    let attributes = [{ type: 'ATOM', value: encodePath(connection, destination) }].concat(messageAttributes);
+
     let map = { destination };
     if (connection.mailbox && connection.mailbox.path) {
         map.path = connection.mailbox.path;
@@ -169,8 +243,16 @@ module.exports = async (connection, destination, content, flags, idate) => {
 
         return map;
     } catch (err) {
+        // BADURL (RFC 4469) names the CATENATE URL the server could not resolve
+        if (getStatusCode(err.response) === 'BADURL') {
+            let section = err.response.attributes[0].section;
+            err.badUrl = section[1] && typeof section[1].value === 'string' ? section[1].value : undefined;
+        }
+
         await enhanceCommandError(err);
         connection.log.warn({ err, cid: connection.id });
         throw err;
     }
 };
+
+module.exports.compileMessage = compileMessage;
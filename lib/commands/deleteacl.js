@@ -0,0 +1,39 @@
+'use strict';
+
+const { encodePath, normalizePath, enhanceCommandError } = require('../tools.js');
+
+/**
+ * Removes an identifier from the access control list of a mailbox using the ACL extension (RFC 4314).
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {string} path - Mailbox path
+ * @param {string} identifier - User or group identifier
+ * @returns {Promise<boolean|undefined>} True on success, false if ACL is not supported, or undefined if preconditions not met
+ * @throws {Error} If the DELETEACL command fails
+ */
+module.exports = async (connection, path, identifier) => {
+    if (![connection.states.AUTHENTICATED, connection.states.SELECTED].includes(connection.state) || !path || !identifier) {
+        // nothing to do here
+        return;
+    }
+
+    if (!connection.capabilities.has('ACL')) {
+        return false;
+    }
+
+    path = normalizePath(connection, path);
+
+    let response;
+    try {
+        response = await connection.exec('DELETEACL', [
+            { type: 'STRING', value: encodePath(connection, path) },
+            { type: 'STRING', value: identifier }
+        ]);
+        response.next();
+        return true;
+    } catch (err) {
+        await enhanceCommandError(err);
+        connection.log.warn({ err, cid: connection.id });
+        throw err;
+    }
+};
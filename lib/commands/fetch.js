@@ -1,13 +1,144 @@
 'use strict';
 
-const { formatMessageResponse, isRev2Active } = require('../tools');
+const { formatMessageResponse, isRev2Active, packMessageRange } = require('../tools');
+const { findPreviewPart, createPreview, PREVIEW_FETCH_BYTES } = require('../preview');
+const { findMessageParts, createParsedMessage } = require('../parsed-message');
+
+// Messages fetched and delivered at a time when previews or parsed messages are built on the client
+const EXTRA_FETCH_BATCH_SIZE = 100;
+
+/**
+ * Builds previews on the client for servers without the PREVIEW extension. The start of the
+ * first text part of every message is fetched with a partial BODY.PEEK, messages that share
+ * the same text part number are fetched together.
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {Object[]} list - Formatted messages, must include `uid` and `bodyStructure`
+ * @param {boolean} [keepBodyStructure] - If false, remove the BODYSTRUCTURE that was only fetched for the preview
+ */
+const fetchPreviews = async (connection, list, keepBodyStructure) => {
+    let mailbox = connection.mailbox;
+    let parts = new Map();
+
+    for (let message of list) {
+        let node = findPreviewPart(message.bodyStructure);
+        if (!keepBodyStructure) {
+            delete message.bodyStructure;
+        }
+
+        if (!node) {
+            // nothing to preview, same as what a PREVIEW server returns
+            message.preview = '';
+            continue;
+        }
+
+        if (!message.uid) {
+            continue;
+        }
+
+        if (!parts.has(node.part)) {
+            parts.set(node.part, new Map());
+        }
+        parts.get(node.part).set(message.uid, { message, node });
+    }
+
+    for (let [part, entries] of parts) {
+        let attributes = [
+            { type: 'SEQUENCE', value: packMessageRange(Array.from(entries.keys()).sort((a, b) => a - b)) },
+            { type: 'ATOM', value: 'BODY.PEEK', section: [{ type: 'ATOM', value: part }], partial: [0, PREVIEW_FETCH_BYTES] }
+        ];
+
+        try {
+            let response = await connection.exec('UID FETCH', attributes, {
+                untagged: {
+                    FETCH: async untagged => {
+                        let formatted = await formatMessageResponse(untagged, mailbox);
+                        let entry = entries.get(formatted.uid);
+                        if (entry && formatted.bodyParts && formatted.bodyParts.has(part)) {
+                            entry.message.preview = await createPreview(formatted.bodyParts.get(part), entry.node);
+                        }
+                    }
+                }
+            });
+            response.next();
+        } catch (err) {
+            // a missing preview should not cost the caller the messages themselves
+            connection.log.warn({ msg: 'Failed to fetch message previews', err, cid: connection.id });
+        }
+    }
+};
+
+/**
+ * Builds the `parsed` objects for the `parsed` fetch query. The header and the text parts of every
+ * message are fetched with a second UID FETCH, messages that share the same text part numbers are
+ * fetched together. Attachments are not fetched, they are only downloaded on demand.
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {Object[]} list - Formatted messages, must include `uid` and `bodyStructure`
+ * @param {boolean} [keepBodyStructure] - If false, remove the BODYSTRUCTURE that was only fetched for parsing
+ */
+const fetchParsed = async (connection, list, keepBodyStructure) => {
+    let mailbox = connection.mailbox;
+    let groups = new Map();
+
+    for (let message of list) {
+        let structure = findMessageParts(message.bodyStructure);
+        if (!keepBodyStructure) {
+            delete message.bodyStructure;
+        }
+
+        if (!message.uid) {
+            continue;
+        }
+
+        let key = structure.textParts.map(node => node.part).join(',');
+        if (!groups.has(key)) {
+            groups.set(key, { parts: structure.textParts.map(node => node.part), entries: new Map() });
+        }
+        groups.get(key).entries.set(message.uid, { message, structure });
+    }
+
+    for (let { parts, entries } of groups.values()) {
+        let attributes = [
+            { type: 'SEQUENCE', value: packMessageRange(Array.from(entries.keys()).sort((a, b) => a - b)) },
+            [
+                { type: 'ATOM', value: 'BODY.PEEK', section: [{ type: 'ATOM', value: 'HEADER' }] },
+                ...parts.map(part => ({ type: 'ATOM', value: 'BODY.PEEK', section: [{ type: 'ATOM', value: part }] }))
+            ]
+        ];
+
+        try {
+            let response = await connection.exec('UID FETCH', attributes, {
+                untagged: {
+                    FETCH: async untagged => {
+                        let formatted = await formatMessageResponse(untagged, mailbox);
+                        let entry = entries.get(formatted.uid);
+                        if (entry) {
+                            entry.message.parsed = await createParsedMessage(
+                                connection,
+                                entry.message,
+                                entry.structure,
+                                formatted.headers,
+                                formatted.bodyParts
+                            );
+                        }
+                    }
+                }
+            });
+            response.next();
+        } catch (err) {
+            // the messages themselves were already fetched, only these ones are left without `parsed`
+            connection.log.warn({ msg: 'Failed to fetch parsed messages', err, cid: connection.id });
+        }
+    }
+};
 
 /**
  * Fetches emails from the server.
  *
  * @param {Object} connection - IMAP connection instance
  * @param {string} range - Message sequence number or UID range
- * @param {Object} query - Fetch query specifying which data to retrieve (e.g., flags, envelope, bodyStructure, headers, source, bodyParts)
+ * @param {Object} query - Fetch query specifying which data to retrieve (e.g., flags, envelope, bodyStructure, headers, source, bodyParts, preview, parsed)
  * @param {Object} [options] - Fetch options
  * @param {boolean} [options.uid] - If true, use UID FETCH instead of FETCH
  * @param {boolean} [options.binary] - If true, use BINARY fetch when available
@@ -43,6 +174,26 @@ module.exports = async (connection, range, query, options) => {
             list: []
         };
 
+        let clientPreview = false;
+        let clientParsed = !!query.parsed;
+
+        // Delivers a message to the onUntaggedFetch callback, or collects it into messages.list
+        let deliver = async formatted => {
+            if (typeof options.onUntaggedFetch === 'function') {
+                await new Promise((resolve, reject) => {
+                    options.onUntaggedFetch(formatted, err => {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve();
+                        }
+                    });
+                });
+            } else {
+                messages.list.push(formatted);
+            }
+        };
+
         let response;
         try {
             /* c8 ignore next */ // range is guaranteed truthy by the early-return guard above, so the '*' fallback is unreachable
@@ -83,6 +234,22 @@ module.exports = async (connection, range, query, options) => {
                 queryStructure.push({ type: 'ATOM', value: 'RFC822.SIZE' });
             }
 
+            // PREVIEW extension (RFC 8970). LAZY lets the server skip previews it has not
+            // generated yet instead of delaying the whole response. Without the extension the
+            // preview is built from the first text part, which needs the BODYSTRUCTURE first.
+            if (query.preview) {
+                if (connection.capabilities.has('PREVIEW')) {
+                    queryStructure.push({ type: 'ATOM', value: 'PREVIEW' }, [{ type: 'ATOM', value: 'LAZY' }]);
+                } else {
+                    clientPreview = true;
+                }
+            }
+
+            // Parsed messages and client-side previews are both built from the BODYSTRUCTURE
+            if ((clientPreview || clientParsed) && !query.bodyStructure && !query.full) {
+                queryStructure.push({ type: 'ATOM', value: 'BODYSTRUCTURE' });
+            }
+
             // Fetch full message source, optionally with byte range (start/maxLength)
             if (query.source) {
                 let partial;
@@ -179,8 +346,9 @@ module.exports = async (connection, range, query, options) => {
 
             // CONDSTORE extension: only fetch messages with modseq higher than the given value.
             // QRESYNC adds VANISHED to also get expunged UIDs since last sync.
+            let changedSinceArgs = false;
             if (options.changedSince && connection.enabled.has('CONDSTORE') && !mailbox.noModseq) {
-                let changedSinceArgs = [
+                changedSinceArgs = [
                     {
                         type: 'ATOM',
                         value: 'CHANGEDSINCE'
@@ -201,32 +369,68 @@ module.exports = async (connection, range, query, options) => {
                 attributes.push(changedSinceArgs);
             }
 
-            response = await connection.exec(options.uid ? 'UID FETCH' : 'FETCH', attributes, {
+            if (!clientPreview && !clientParsed) {
+                response = await connection.exec(options.uid ? 'UID FETCH' : 'FETCH', attributes, {
+                    untagged: {
+                        // Each matching message triggers an untagged FETCH response.
+                        // If onUntaggedFetch callback is provided, stream messages to it one by one
+                        // (useful for large result sets). Otherwise, collect all into messages.list.
+                        FETCH: async untagged => {
+                            messages.count++;
+                            await deliver(await formatMessageResponse(untagged, mailbox));
+                        }
+                    }
+                });
+
+                response.next();
+                return messages;
+            }
+
+            // Client-side previews and parsed messages need a second FETCH, which can not run
+            // while the first one is still streaming. So the UIDs of the range are listed first
+            // and the messages are fetched and delivered in batches, one batch in memory at a time.
+            let uidSet = new Set();
+            let listAttributes = [attributes[0], { type: 'ATOM', value: 'UID' }].concat(changedSinceArgs ? [changedSinceArgs] : []);
+            response = await connection.exec(options.uid ? 'UID FETCH' : 'FETCH', listAttributes, {
                 untagged: {
-                    // Each matching message triggers an untagged FETCH response.
-                    // If onUntaggedFetch callback is provided, stream messages to it one by one
-                    // (useful for large result sets). Otherwise, collect all into messages.list.
                     FETCH: async untagged => {
-                        messages.count++;
                         let formatted = await formatMessageResponse(untagged, mailbox);
-                        if (typeof options.onUntaggedFetch === 'function') {
-                            await new Promise((resolve, reject) => {
-                                options.onUntaggedFetch(formatted, err => {
-                                    if (err) {
-                                        reject(err);
-                                    } else {
-                                        resolve();
-                                    }
-                                });
-                            });
-                        } else {
-                            messages.list.push(formatted);
+                        if (formatted.uid) {
+                            uidSet.add(formatted.uid);
                         }
                     }
                 }
             });
-
             response.next();
+            let uids = Array.from(uidSet).sort((a, b) => a - b);
+
+            for (let i = 0; i < uids.length; i += EXTRA_FETCH_BATCH_SIZE) {
+                let list = [];
+                response = await connection.exec(
+                    'UID FETCH',
+                    [{ type: 'SEQUENCE', value: packMessageRange(uids.slice(i, i + EXTRA_FETCH_BATCH_SIZE)) }, queryStructure],
+                    {
+                        untagged: {
+                            FETCH: async untagged => {
+                                messages.count++;
+                                list.push(await formatMessageResponse(untagged, mailbox));
+                            }
+                        }
+                    }
+                );
+                response.next();
+
+                if (clientParsed) {
+                    await fetchParsed(connection, list, query.bodyStructure || query.full || clientPreview);
+                }
+                if (clientPreview) {
+                    await fetchPreviews(connection, list, query.bodyStructure || query.full);
+                }
+                for (let formatted of list) {
+                    await deliver(formatted);
+                }
+            }
+
             return messages;
         } catch (err) {
             if (err.code === 'ETHROTTLE') {
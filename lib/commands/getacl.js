@@ -0,0 +1,56 @@
+'use strict';
+
+const { encodePath, decodePath, normalizePath, comparePaths, enhanceCommandError, getTokenString } = require('../tools.js');
+const { parseRights } = require('./acl-rights.js');
+
+/**
+ * Requests the access control list of a mailbox using the ACL extension (RFC 4314).
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {string} path - Mailbox path
+ * @returns {Promise<Array<{identifier: string, rights: Object}>|boolean|undefined>} ACL entries, false if ACL is not supported or on failure, or undefined if preconditions not met
+ */
+module.exports = async (connection, path) => {
+    if (![connection.states.AUTHENTICATED, connection.states.SELECTED].includes(connection.state) || !path) {
+        // nothing to do here
+        return;
+    }
+
+    if (!connection.capabilities.has('ACL')) {
+        return false;
+    }
+
+    path = normalizePath(connection, path);
+
+    let list = [];
+
+    let response;
+    try {
+        response = await connection.exec('GETACL', [{ type: 'STRING', value: encodePath(connection, path) }], {
+            untagged: {
+                // * ACL <mailbox> <identifier> <rights> [<identifier> <rights> ...]
+                ACL: async untagged => {
+                    let attributes = untagged.attributes || [];
+                    let mailbox = getTokenString(attributes[0]);
+                    if (mailbox === null || !comparePaths(connection, decodePath(connection, mailbox), path)) {
+                        return;
+                    }
+
+                    for (let i = 1; i < attributes.length - 1; i += 2) {
+                        let identifier = getTokenString(attributes[i]);
+                        if (!identifier) {
+                            continue;
+                        }
+                        list.push({ identifier, rights: parseRights(getTokenString(attributes[i + 1])) });
+                    }
+                }
+            }
+        });
+        response.next();
+        return list;
+    } catch (err) {
+        await enhanceCommandError(err);
+        connection.log.warn({ err, cid: connection.id });
+        return false;
+    }
+};
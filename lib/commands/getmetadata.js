@@ -0,0 +1,107 @@
+'use strict';
+
+const {
+    encodePath,
+    decodePath,
+    normalizePath,
+    comparePaths,
+    enhanceCommandError,
+    isUnsafeKey,
+    getMetadataResponseCode,
+    getTokenString
+} = require('../tools.js');
+
+/**
+ * Reads annotations from a mailbox or from the server using the METADATA extension (RFC 5464).
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {string} path - Mailbox path, or an empty string for server annotations
+ * @param {string|string[]} entries - Entry names to read, eg. `/shared/comment`
+ * @param {Object} [options] - GETMETADATA options
+ * @param {number|string} [options.depth] - Also return entries below the requested ones, `0`, `1` or `"infinity"`
+ * @param {number} [options.maxSize] - Only return values up to this many octets
+ * @returns {Promise<{path: string, entries: Object, longEntries?: number}|boolean|undefined>} Entry values keyed by entry name (`null` for entries without a value), false if METADATA is not supported or on failure, or undefined if preconditions not met
+ */
+module.exports = async (connection, path, entries, options) => {
+    entries = [].concat(entries || []).filter(entry => typeof entry === 'string' && entry);
+    if (![connection.states.AUTHENTICATED, connection.states.SELECTED].includes(connection.state) || !entries.length) {
+        // nothing to do here
+        return;
+    }
+
+    // METADATA-SERVER only covers server annotations, METADATA covers both
+    if (!connection.capabilities.has('METADATA') && (path || !connection.capabilities.has('METADATA-SERVER'))) {
+        return false;
+    }
+
+    options = options || {};
+    path = path ? normalizePath(connection, path) : '';
+
+    let attributes = [];
+
+    let commandOptions = [];
+    if (typeof options.maxSize === 'number' && Number.isSafeInteger(options.maxSize) && options.maxSize >= 0) {
+        commandOptions.push({ type: 'ATOM', value: 'MAXSIZE' }, { type: 'ATOM', value: options.maxSize.toString() });
+    }
+    if (options.depth !== undefined && options.depth !== null) {
+        let depth = options.depth.toString().toLowerCase();
+        if (!['0', '1', 'infinity'].includes(depth)) {
+            let error = new Error(`Invalid metadata depth "${options.depth}"`);
+            error.code = 'InvalidMetadataDepth';
+            throw error;
+        }
+        commandOptions.push({ type: 'ATOM', value: 'DEPTH' }, { type: 'ATOM', value: depth });
+    }
+    if (commandOptions.length) {
+        attributes.push(commandOptions);
+    }
+
+    attributes.push({ type: 'STRING', value: encodePath(connection, path) });
+    attributes.push(entries.map(entry => ({ type: 'ATOM', value: entry })));
+
+    let map = { path, entries: {} };
+
+    let response;
+    try {
+        response = await connection.exec('GETMETADATA', attributes, {
+            untagged: {
+                METADATA: async untagged => {
+                    let mailbox = getTokenString(untagged.attributes && untagged.attributes[0]);
+                    let list = untagged.attributes && untagged.attributes[1];
+                    // Unsolicited METADATA responses (RFC 5464 section 4.4.2) list entry
+                    // names without a parenthesized value list, those are not ours
+                    if (mailbox === null || !Array.isArray(list)) {
+                        return;
+                    }
+                    mailbox = decodePath(connection, mailbox);
+                    if (path ? !comparePaths(connection, mailbox, path) : mailbox !== '') {
+                        return;
+                    }
+
+                    for (let i = 0; i < list.length - 1; i += 2) {
+                        let entry = getTokenString(list[i]);
+                        // Entry names are server-controlled keys in the returned object
+                        if (!entry || isUnsafeKey(entry)) {
+                            continue;
+                        }
+                        map.entries[entry] = getTokenString(list[i + 1]);
+                    }
+                }
+            }
+        });
+
+        // Values that did not fit into MAXSIZE are left out, the response code
+        // reports the size of the largest one
+        let metadataCode = getMetadataResponseCode(response.response);
+        if (metadataCode && metadataCode.code === 'LONGENTRIES' && typeof metadataCode.value === 'number') {
+            map.longEntries = metadataCode.value;
+        }
+
+        response.next();
+        return map;
+    } catch (err) {
+        await enhanceCommandError(err);
+        connection.log.warn({ err, cid: connection.id });
+        return false;
+    }
+};
@@ -8,9 +8,11 @@ const {
     hasCapability,
     isRev2Active,
     buildStatusQueryAttributes,
-    getStringList
+    getStringList,
+    getTokenString
 } = require('../tools.js');
 const { parseStatusList } = require('./status-fields.js');
+const { parseRights } = require('./acl-rights.js');
 const { specialUse } = require('../special-use');
 
 /**
@@ -54,9 +56,11 @@ module.exports = async (connection, reference, mailbox, options) => {
         // caches STATUS responses received inline via LIST-STATUS extension, keyed by
         // normalized mailbox path (avoids separate STATUS commands per mailbox), and
         // specialUseMatches tracks candidate mailboxes for each special-use type.
+        // rightsMap does the same as statusMap for the MYRIGHTS return option.
         // (Re)initialized at the start of each retry stage of the main listing.
         let entries;
         let statusMap;
+        let rightsMap;
         let specialUseMatches;
 
         // STATUS data items to request (MESSAGES, UIDNEXT, etc.)
@@ -90,8 +94,10 @@ module.exports = async (connection, reference, mailbox, options) => {
         // STATUS/SUBSCRIBED option groups. When RETURN options are present, servers
         // may report only what was explicitly requested (verified against Dovecot
         // 2.4: special-use and child attributes disappear from such responses), so
-        // request everything a plain LIST would have provided.
-        let auxArgsAvailable = hasCapability(connection, 'SPECIAL-USE') || connection.capabilities.has('CHILDREN') || supportsExtendedList;
+        // request everything a plain LIST would have provided. MYRIGHTS (RFC 8440)
+        // joins them - a server rejecting it is handled by the same auxiliary retry.
+        let canRequestRights = listCommand === 'LIST' && connection.capabilities.has('LIST-MYRIGHTS');
+        let auxArgsAvailable = hasCapability(connection, 'SPECIAL-USE') || connection.capabilities.has('CHILDREN') || supportsExtendedList || canRequestRights;
         let stageHasAuxArgs = stage => (stage.status || stage.subscribed) && stage.aux !== false && !connection.skipListAuxArgs && auxArgsAvailable;
 
         // Builds the RETURN (...) argument list for one retry stage
@@ -107,6 +113,9 @@ module.exports = async (connection, reference, mailbox, options) => {
                 if (connection.capabilities.has('CHILDREN') || supportsExtendedList) {
                     args.push({ type: 'ATOM', value: 'CHILDREN' });
                 }
+                if (canRequestRights) {
+                    args.push({ type: 'ATOM', value: 'MYRIGHTS' });
+                }
             }
             if (stage.subscribed) {
                 args.push({ type: 'ATOM', value: 'SUBSCRIBED' });
@@ -254,6 +263,17 @@ module.exports = async (connection, reference, mailbox, options) => {
                         });
 
                         statusMap.set(statusPath, map);
+                    },
+
+                    // Inline MYRIGHTS response from the LIST-MYRIGHTS extension (RFC 8440)
+                    MYRIGHTS: async untagged => {
+                        let rightsPath = getTokenString(untagged.attributes && untagged.attributes[0]);
+                        let rights = getTokenString(untagged.attributes && untagged.attributes[1]);
+                        if (!rightsPath || rights === null) {
+                            return;
+                        }
+
+                        rightsMap.set(normalizePath(connection, decodePath(connection, rightsPath)), parseRights(rights));
                     }
                 }
             });
@@ -307,6 +327,7 @@ module.exports = async (connection, reference, mailbox, options) => {
             // Discard partial results from a rejected attempt
             entries = [];
             statusMap = new Map();
+            rightsMap = new Map();
             specialUseMatches = {};
             try {
                 await runList(normalizedReference, normalizedMailbox, stageArgs);
@@ -352,6 +373,18 @@ module.exports = async (connection, reference, mailbox, options) => {
             }
         }
 
+        // MYRIGHTS responses may arrive after the LIST response they describe, so
+        // rights are attached once a listing has completed
+        let attachRights = () => {
+            for (let entry of entries) {
+                if (rightsMap.has(entry.path)) {
+                    entry.myRights = rightsMap.get(entry.path);
+                }
+            }
+        };
+
+        attachRights();
+
         if (options.listOnly) {
             return entries;
         }
@@ -391,6 +424,7 @@ module.exports = async (connection, reference, mailbox, options) => {
                 connection.log.warn({ msg: 'INBOX LIST with RETURN options failed, retrying plain', err, cid: connection.id });
                 await runList('', 'INBOX', []);
             }
+            attachRights();
         }
 
         // Attach STATUS data to each selectable mailbox. If LIST-STATUS was used,
@@ -0,0 +1,63 @@
+'use strict';
+
+const { encodePath, decodePath, normalizePath, comparePaths, enhanceCommandError, getTokenString } = require('../tools.js');
+const { parseRights } = require('./acl-rights.js');
+
+/**
+ * Requests the rights that can be granted to an identifier on a mailbox using the ACL extension (RFC 4314).
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {string} path - Mailbox path
+ * @param {string} identifier - User or group identifier
+ * @returns {Promise<{path: string, identifier: string, required: Object, optional: Object[]}|boolean|undefined>} Rights that are always granted and groups of rights that can be granted together, false if ACL is not supported or on failure, or undefined if preconditions not met
+ */
+module.exports = async (connection, path, identifier) => {
+    if (![connection.states.AUTHENTICATED, connection.states.SELECTED].includes(connection.state) || !path || !identifier) {
+        // nothing to do here
+        return;
+    }
+
+    if (!connection.capabilities.has('ACL')) {
+        return false;
+    }
+
+    path = normalizePath(connection, path);
+
+    let map = { path, identifier, required: parseRights(''), optional: [] };
+
+    let response;
+    try {
+        response = await connection.exec(
+            'LISTRIGHTS',
+            [
+                { type: 'STRING', value: encodePath(connection, path) },
+                { type: 'STRING', value: identifier }
+            ],
+            {
+                untagged: {
+                    // * LISTRIGHTS <mailbox> <identifier> <required rights> [<optional rights group> ...]
+                    LISTRIGHTS: async untagged => {
+                        let attributes = untagged.attributes || [];
+                        let mailbox = getTokenString(attributes[0]);
+                        if (mailbox === null || !comparePaths(connection, decodePath(connection, mailbox), path)) {
+                            return;
+                        }
+                        if (getTokenString(attributes[1]) !== identifier) {
+                            return;
+                        }
+
+                        map.required = parseRights(getTokenString(attributes[2]));
+                        // every optional group is granted or revoked as a whole
+                        map.optional = attributes.slice(3).map(attribute => parseRights(getTokenString(attribute)));
+                    }
+                }
+            }
+        );
+        response.next();
+        return map;
+    } catch (err) {
+        await enhanceCommandError(err);
+        connection.log.warn({ err, cid: connection.id });
+        return false;
+    }
+};
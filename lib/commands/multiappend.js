@@ -0,0 +1,176 @@
+'use strict';
+
+const {
+    normalizePath,
+    encodePath,
+    comparePaths,
+    enhanceCommandError,
+    expandRange,
+    parseBigIntValue,
+    parseUintValue,
+    MAX_UINT32_DIGITS
+} = require('../tools.js');
+const appendCommand = require('./append.js');
+
+/**
+ * Reads a message definition, either plain message content or an object with `content`, `flags` and `idate`.
+ *
+ * @param {Buffer|string|Object} message - Message definition
+ * @returns {{content: Buffer|string, flags?: string[], idate?: Date|string}}
+ */
+const readMessage = message => {
+    if (typeof message === 'string' || Buffer.isBuffer(message)) {
+        return { content: message };
+    }
+    return message || {};
+};
+
+/**
+ * Appends every message as a separate APPEND command. All commands are queued at once, so the
+ * connection sends the next one as soon as the previous one completes.
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {string} destination - Destination mailbox path
+ * @param {Object[]} messages - Normalized message definitions
+ * @returns {Promise<Object[]>} Append results in input order
+ * @throws {Error} First failure, after all commands have completed. Results of the other messages are listed in `appended`
+ */
+const appendEach = async (connection, destination, messages) => {
+    let settled = await Promise.allSettled(messages.map(message => appendCommand(connection, destination, message.content, message.flags, message.idate)));
+
+    let failed = settled.find(entry => entry.status === 'rejected');
+    if (failed) {
+        // Unlike MULTIAPPEND the uploads are not atomic, so tell the caller which ones made it
+        let err = failed.reason;
+        err.appended = settled.map(entry => (entry.status === 'fulfilled' ? entry.value : null));
+        throw err;
+    }
+
+    return settled.map(entry => entry.value);
+};
+
+/**
+ * Appends multiple messages to a mailbox with a single APPEND command using the MULTIAPPEND extension (RFC 3502).
+ * Falls back to separate APPEND commands if the server does not support MULTIAPPEND.
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {string} destination - Destination mailbox path
+ * @param {Array<Buffer|string|{content: Buffer|string, flags?: string[], idate?: Date|string}>} messages - Messages to upload
+ * @returns {Promise<Array<{destination: string, path?: string, uid?: number, uidValidity?: BigInt, seq?: number}>|undefined>} Append results in input order, or undefined if preconditions not met
+ * @throws {Error} If the APPEND command fails or a message exceeds APPENDLIMIT. MULTIAPPEND either stores all messages or none
+ */
+module.exports = async (connection, destination, messages) => {
+    messages = [].concat(messages || []).map(readMessage);
+    if (![connection.states.AUTHENTICATED, connection.states.SELECTED].includes(connection.state) || !destination || !messages.length) {
+        // nothing to do here
+        return;
+    }
+
+    if (!connection.capabilities.has('MULTIAPPEND')) {
+        return await appendEach(connection, destination, messages);
+    }
+
+    // APPEND <mailbox> [<flags>] [<date-time>] <literal> [[<flags>] [<date-time>] <literal> ...]
+    let attributes = [];
+    for (let message of messages) {
+        attributes = attributes.concat(appendCommand.compileMessage(connection, message.content, message.flags, message.idate));
+    }
+
+    destination = normalizePath(connection, destination);
+    attributes.unshift({ type: 'ATOM', value: encodePath(connection, destination) });
+
+    // If appending to the currently selected mailbox, the EXISTS count tells us
+    // the sequence number of the last uploaded message
+    let expectExists = comparePaths(connection, connection.mailbox.path, destination);
+
+    let results = messages.map(() => {
+        let map = { destination };
+        if (connection.mailbox && connection.mailbox.path) {
+            map.path = connection.mailbox.path;
+        }
+        return map;
+    });
+
+    let lastSeq = false;
+    const handleExistsUpdate = untagged => {
+        // Same bound as untaggedExists(), the count is written into the live mailbox state
+        let seq = parseUintValue(untagged.command, MAX_UINT32_DIGITS);
+        if (seq === false) {
+            return;
+        }
+        lastSeq = seq;
+
+        let prevCount = connection.mailbox.exists;
+        if (seq !== prevCount) {
+            connection.mailbox.exists = seq;
+            connection.emit('exists', {
+                path: connection.mailbox.path,
+                count: seq,
+                prevCount
+            });
+        }
+    };
+
+    let response;
+    try {
+        response = await connection.exec('APPEND', attributes, {
+            untagged: expectExists ? { EXISTS: handleExistsUpdate } : false
+        });
+
+        // UIDPLUS (RFC 4315): [APPENDUID <uidValidity> <uid-set>], where the UID set lists
+        // the new UIDs in the same order the messages were sent
+        let section = response.response.attributes && response.response.attributes[0] && response.response.attributes[0].section;
+        let responseCode = section && section.length && section[0] && typeof section[0].value === 'string' ? section[0].value : '';
+        if (responseCode.toUpperCase() === 'APPENDUID') {
+            let uidValidity = parseBigIntValue(section[1] && section[1].value, MAX_UINT32_DIGITS);
+            let uids = expandRange(section[2] && section[2].value);
+            results.forEach((map, i) => {
+                if (uidValidity !== false) {
+                    map.uidValidity = uidValidity;
+                }
+                // a mismatching UID set can not be mapped back to the messages
+                if (uids.length === results.length) {
+                    map.uid = uids[i];
+                }
+            });
+        }
+
+        response.next();
+
+        if (expectExists && !lastSeq) {
+            try {
+                response = await connection.exec('NOOP', false, {
+                    untagged: { EXISTS: handleExistsUpdate },
+                    comment: 'Sequence not found from APPEND output'
+                });
+                response.next();
+            } catch (err) {
+                connection.log.warn({ err, cid: connection.id });
+            }
+        }
+
+        // The uploaded messages are the last ones in the mailbox
+        if (lastSeq && lastSeq >= results.length) {
+            let firstSeq = lastSeq - results.length + 1;
+            results.forEach((map, i) => {
+                map.seq = firstSeq + i;
+            });
+
+            // Without UIDPLUS look up the UIDs, sequence and UID order are the same
+            if (results.some(map => !map.uid)) {
+                let list = await connection.search({ seq: `${firstSeq}:${lastSeq}` }, { uid: true });
+                if (list && list.length === results.length) {
+                    list.sort((a, b) => a - b).forEach((uid, i) => {
+                        results[i].uid = uid;
+                    });
+                }
+            }
+        }
+
+        return results;
+    } catch (err) {
+        await enhanceCommandError(err);
+        connection.log.warn({ err, cid: connection.id });
+        throw err;
+    }
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+const { encodePath, decodePath, normalizePath, comparePaths, enhanceCommandError, getTokenString } = require('../tools.js');
+const { parseRights } = require('./acl-rights.js');
+
+/**
+ * Requests the rights the logged in user has on a mailbox using the ACL extension (RFC 4314).
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {string} path - Mailbox path
+ * @returns {Promise<Object|boolean|undefined>} Parsed rights, false if ACL is not supported or on failure, or undefined if preconditions not met
+ */
+module.exports = async (connection, path) => {
+    if (![connection.states.AUTHENTICATED, connection.states.SELECTED].includes(connection.state) || !path) {
+        // nothing to do here
+        return;
+    }
+
+    if (!connection.capabilities.has('ACL')) {
+        return false;
+    }
+
+    path = normalizePath(connection, path);
+
+    let rights = false;
+
+    let response;
+    try {
+        response = await connection.exec('MYRIGHTS', [{ type: 'STRING', value: encodePath(connection, path) }], {
+            untagged: {
+                // * MYRIGHTS <mailbox> <rights>
+                MYRIGHTS: async untagged => {
+                    let attributes = untagged.attributes || [];
+                    let mailbox = getTokenString(attributes[0]);
+                    if (mailbox === null || !comparePaths(connection, decodePath(connection, mailbox), path)) {
+                        return;
+                    }
+                    rights = parseRights(getTokenString(attributes[1]));
+                }
+            }
+        });
+        response.next();
+        // a server that skips the untagged response grants nothing we know of
+        return rights || parseRights('');
+    } catch (err) {
+        await enhanceCommandError(err);
+        connection.log.warn({ err, cid: connection.id });
+        return false;
+    }
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+const { encodePath, normalizePath, enhanceCommandError, getStatusCode, getStringList } = require('../tools.js');
+
+// NOTIFY events (RFC 5465 section 5), keyed by their case-folded name so that
+// `messageNew`, `MessageNew` and `MESSAGENEW` all resolve to the wire form
+const NOTIFY_EVENTS = new Map(
+    [
+        'MessageNew',
+        'MessageExpunge',
+        'FlagChange',
+        'AnnotationChange',
+        'MailboxName',
+        'SubscriptionChange',
+        'MailboxMetadataChange',
+        'ServerMetadataChange'
+    ].map(name => [name.toLowerCase(), name])
+);
+
+// Mailbox filters that do not take a mailbox list
+const SIMPLE_FILTERS = new Map([
+    ['selected', 'SELECTED'],
+    ['selectedDelayed', 'SELECTED-DELAYED'],
+    ['inboxes', 'INBOXES'],
+    ['personal', 'PERSONAL'],
+    ['subscribed', 'SUBSCRIBED']
+]);
+
+// Mailbox filters that are followed by a list of mailboxes
+const LIST_FILTERS = new Map([
+    ['subtree', 'SUBTREE'],
+    ['mailboxes', 'MAILBOXES']
+]);
+
+const invalidFilter = message => {
+    let error = new Error(message);
+    error.code = 'InvalidNotifyFilter';
+    return error;
+};
+
+/**
+ * Compiles the event list of a single filter. MessageNew and MessageExpunge must be requested
+ * together, and FlagChange or AnnotationChange need both of them (RFC 5465 section 5), so the
+ * missing counterparts are added instead of letting the server reject the whole command.
+ *
+ * @param {Array<string>} events - Event names
+ * @param {Array<string>} [fetch] - FETCH attributes to include with MessageNew, only allowed for selected mailbox filters
+ * @returns {Array|Object} Event list, or a NONE atom for an empty list
+ */
+const compileEvents = (events, fetch) => {
+    let names = new Set();
+    for (let event of [].concat(events || [])) {
+        let name = NOTIFY_EVENTS.get((event || '').toString().toLowerCase().trim());
+        if (!name) {
+            throw invalidFilter(`Unknown NOTIFY event "${event}"`);
+        }
+        names.add(name);
+    }
+
+    if (!names.size) {
+        // explicitly no events for these mailboxes
+        return { type: 'ATOM', value: 'NONE' };
+    }
+
+    if (names.has('FlagChange') || names.has('AnnotationChange') || names.has('MessageNew') || names.has('MessageExpunge')) {
+        names.add('MessageNew');
+        names.add('MessageExpunge');
+    }
+
+    let list = [];
+    for (let name of NOTIFY_EVENTS.values()) {
+        if (!names.has(name)) {
+            continue;
+        }
+        list.push({ type: 'ATOM', value: name });
+        if (name === 'MessageNew' && fetch && fetch.length) {
+            list.push(fetch.map(attribute => ({ type: 'ATOM', value: attribute.toString().toUpperCase().trim() })));
+        }
+    }
+    return list;
+};
+
+/**
+ * Reads a filter definition, either a list of events or an object with `events` (and `paths` for
+ * list filters, `fetch` for selected mailbox filters).
+ *
+ * @param {Array|Object} definition - Filter definition
+ * @returns {{events: Array, paths: Array, fetch: Array}}
+ */
+const readFilter = definition => {
+    if (Array.isArray(definition) || typeof definition === 'string') {
+        return { events: [].concat(definition), paths: [], fetch: [] };
+    }
+    return {
+        events: [].concat(definition.events || []),
+        paths: [].concat(definition.paths || []),
+        fetch: [].concat(definition.fetch || [])
+    };
+};
+
+/**
+ * Compiles declarative NOTIFY filters into NOTIFY SET arguments.
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {Object} filters - Filters keyed by mailbox filter name
+ * @param {Object} [options]
+ * @param {boolean} [options.status] - Ask the server for the initial STATUS of every matching mailbox
+ * @returns {Array} Attribute list for NOTIFY
+ * @throws {Error} When a filter or event is unknown
+ */
+const compileNotifyFilters = (connection, filters, options) => {
+    let attributes = [{ type: 'ATOM', value: 'SET' }];
+    if (options && options.status) {
+        attributes.push({ type: 'ATOM', value: 'STATUS' });
+    }
+
+    for (let key of Object.keys(filters)) {
+        let definition = filters[key];
+        if (!definition) {
+            continue;
+        }
+
+        if (SIMPLE_FILTERS.has(key)) {
+            let { events, fetch } = readFilter(definition);
+            // FETCH attributes only make sense for the selected mailbox (RFC 5465 section 5.1)
+            let isSelected = key === 'selected' || key === 'selectedDelayed';
+            attributes.push([{ type: 'ATOM', value: SIMPLE_FILTERS.get(key) }, compileEvents(events, isSelected ? fetch : null)]);
+            continue;
+        }
+
+        if (LIST_FILTERS.has(key)) {
+            // several subtrees or mailbox sets with different events can be listed at once
+            for (let entry of [].concat(definition)) {
+                let { events, paths } = readFilter(entry);
+                if (!paths.length) {
+                    throw invalidFilter(`NOTIFY filter "${key}" requires a list of mailbox paths`);
+                }
+                let mailboxes = paths.map(path => ({ type: 'STRING', value: encodePath(connection, normalizePath(connection, path)) }));
+                attributes.push([{ type: 'ATOM', value: LIST_FILTERS.get(key) }, mailboxes, compileEvents(events)]);
+            }
+            continue;
+        }
+
+        throw invalidFilter(`Unknown NOTIFY filter "${key}"`);
+    }
+
+    if (!attributes.some(attribute => Array.isArray(attribute))) {
+        throw invalidFilter('NOTIFY filters can not be empty');
+    }
+
+    return attributes;
+};
+
+/**
+ * Enables or disables change notifications for multiple mailboxes using the NOTIFY extension (RFC 5465).
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {Object|boolean|null} filters - Filters keyed by mailbox filter name, or a falsy value for NOTIFY NONE
+ * @param {Object} [options] - Notify options
+ * @param {boolean} [options.status] - Ask the server for the initial STATUS of every matching mailbox
+ * @returns {Promise<boolean|undefined>} True on success, or undefined if preconditions not met
+ * @throws {Error} If the server does not support NOTIFY or rejects the filters. Unsupported events are listed in `badEvents`
+ */
+module.exports = async (connection, filters, options) => {
+    if (![connection.states.AUTHENTICATED, connection.states.SELECTED].includes(connection.state)) {
+        // nothing to do here
+        return;
+    }
+
+    if (!connection.capabilities.has('NOTIFY')) {
+        let error = new Error('Server does not support NOTIFY extension');
+        error.code = 'MissingServerExtension';
+        throw error;
+    }
+
+    let attributes = filters ? compileNotifyFilters(connection, filters, options) : [{ type: 'ATOM', value: 'NONE' }];
+
+    let response;
+    try {
+        response = await connection.exec('NOTIFY', attributes);
+        response.next();
+        connection.notifyFilters = filters ? { filters, options: options || {} } : false;
+        return true;
+    } catch (err) {
+        // BADEVENT lists the events the server does not support
+        if (getStatusCode(err.response) === 'BADEVENT') {
+            let section = err.response.attributes[0].section;
+            err.badEvents = getStringList(section[1]);
+        }
+
+        await enhanceCommandError(err);
+        connection.log.warn({ err, cid: connection.id });
+        throw err;
+    }
+};
+
+// Exported for unit testing — not intended as public library API
+module.exports.compileNotifyFilters = compileNotifyFilters;
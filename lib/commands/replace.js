@@ -0,0 +1,105 @@
+'use strict';
+
+const { normalizePath, encodePath, enhanceCommandError, parseBigIntValue, parseUintValue, MAX_UINT32_DIGITS } = require('../tools.js');
+const { compileMessage } = require('./append.js');
+
+/**
+ * Reads the APPENDUID response code (RFC 4315) of the replacement message.
+ *
+ * @param {Object} response - IMAP response object with attributes
+ * @param {Object} map - Result map to populate with uidValidity and uid
+ */
+const parseAppendUid = (response, map) => {
+    let section = response.attributes && response.attributes[0] && response.attributes[0].section;
+    let responseCode = section && section.length && section[0] && typeof section[0].value === 'string' ? section[0].value : '';
+    if (responseCode.toUpperCase() !== 'APPENDUID') {
+        return;
+    }
+
+    let uidValidity = parseBigIntValue(section[1] && section[1].value, MAX_UINT32_DIGITS);
+    let uid = parseUintValue(section[2] && section[2].value, MAX_UINT32_DIGITS);
+    if (uidValidity !== false) {
+        map.uidValidity = uidValidity;
+    }
+    if (uid) {
+        map.uid = uid;
+    }
+};
+
+/**
+ * Replaces a message in the current mailbox with a new message, using the REPLACE extension (RFC 8508).
+ * The new message may be stored in another mailbox.
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {number|string} range - Sequence number or UID of the message to replace
+ * @param {string} destination - Mailbox path to store the new message in
+ * @param {Buffer|string|Array} content - Message content (RFC 822 format), or an array of CATENATE parts
+ * @param {string|string[]} [flags] - Message flags to set on the new message
+ * @param {Date|string} [idate] - Internal date to set for the new message
+ * @param {Object} [options] - Replace options
+ * @param {boolean} [options.uid] - If true, use UID REPLACE instead of REPLACE
+ * @returns {Promise<{path: string, destination: string, deleted: boolean, uid?: number, uidValidity?: BigInt}|undefined|false>} Info about the new message, or undefined if preconditions not met.
+ *   Without REPLACE support, `false` if the new message was not stored, and `deleted` is false if the old message could not be deleted
+ * @throws {Error} If the replacement fails. Without REPLACE support the old message is only deleted after the new one is stored
+ */
+module.exports = async (connection, range, destination, content, flags, idate, options) => {
+    if (connection.state !== connection.states.SELECTED || !range || !destination) {
+        // nothing to do here
+        return;
+    }
+
+    options = options || {};
+
+    // Fallback for servers without the REPLACE extension: APPEND the new message and
+    // then delete the old one. Not atomic - both copies exist until the deletion
+    // completes, and if the deletion fails, both copies are kept and `deleted` is false.
+    if (!connection.capabilities.has('REPLACE')) {
+        let result = await connection.append(destination, content, flags, idate);
+        if (!result) {
+            // the new message was not stored, keep the old one
+            return result;
+        }
+
+        let deleted = false;
+        try {
+            deleted = !!(await connection.messageDelete(range, Object.assign({ silent: true }, options)));
+        } catch (err) {
+            connection.log.warn({ msg: 'Failed to delete the replaced message', err, cid: connection.id });
+        }
+        return Object.assign({ path: connection.mailbox.path }, result, { deleted });
+    }
+
+    // [UID] REPLACE <message> <mailbox> [<flags>] [<date-time>] <literal>
+    let messageAttributes = compileMessage(connection, content, flags, idate);
+
+    destination = normalizePath(connection, destination);
+
+    let attributes = [
+        { type: 'SEQUENCE', value: range.toString() },
+        { type: 'ATOM', value: encodePath(connection, destination) }
+    ].concat(messageAttributes);
+
+    // the server expunges the old message in the same command
+    let map = { path: connection.mailbox.path, destination, deleted: true };
+
+    let response;
+    try {
+        // The server reports APPENDUID in an untagged OK before expunging the old message,
+        // but check the tagged OK as well
+        response = await connection.exec(options.uid ? 'UID REPLACE' : 'REPLACE', attributes, {
+            untagged: {
+                OK: async untagged => {
+                    parseAppendUid(untagged, map);
+                }
+            }
+        });
+        response.next();
+
+        parseAppendUid(response.response, map);
+        return map;
+    } catch (err) {
+        await enhanceCommandError(err);
+        connection.log.warn({ err, cid: connection.id });
+        throw err;
+    }
+};
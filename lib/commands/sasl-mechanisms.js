@@ -0,0 +1,275 @@
+'use strict';
+
+const crypto = require('crypto');
+const { ScramSession, getChannelBinding } = require('./scram-client.js');
+
+// Registered SASL mechanisms keyed by mechanism name. Insertion order is the default
+// preference order, so the built-in mechanisms below are registered from most to least
+// preferred and custom mechanisms are tried after them unless `auth.mechanisms` says otherwise.
+const mechanisms = new Map();
+
+// Capabilities that advertise a mechanism under a legacy name
+const CAPABILITY_ALIASES = new Map([['XOAUTH2', ['AUTH=XOAUTH']]]);
+
+/**
+ * Normalizes a mechanism name, accepting both `SCRAM-SHA-256` and `AUTH=SCRAM-SHA-256`.
+ *
+ * @param {string} name - Mechanism name
+ * @returns {string} Upper case mechanism name without the `AUTH=` prefix
+ */
+const normalizeMechanismName = name =>
+    (name || '')
+        .toString()
+        .trim()
+        .toUpperCase()
+        .replace(/^AUTH=/, '');
+
+/**
+ * Registers a SASL mechanism for AUTHENTICATE. Registering an existing name replaces the
+ * mechanism, so built-in mechanisms can be overridden as well.
+ *
+ * The factory is called with an authentication context (`connection`, `username`, `mechanism`
+ * and every property of the `auth` options, with the password as `password`) and returns a
+ * session object (or a Promise for one), or `false` if the mechanism can not be used with the
+ * given credentials.
+ * A session object may implement:
+ *
+ *  - `initialResponse` (Buffer|string) sent with the AUTHENTICATE command itself (SASL-IR, RFC 4959)
+ *  - `step(challenge)` returns the response (Buffer|string) for a decoded server challenge, can be async
+ *  - `finish()` called after the server accepted the authentication, throw to reject it
+ *  - `identity` the authorized identity reported as the logged in user, defaults to `username`
+ *  - `errorResponse` details about a failure, exposed as `oauthError` of the authentication error
+ *
+ * @param {string} name - Mechanism name as advertised in the `AUTH=` capability, eg. `GSSAPI`
+ * @param {Function} factory - Session factory
+ * @throws {Error} If the name or factory is invalid
+ */
+const registerSaslMechanism = (name, factory) => {
+    name = normalizeMechanismName(name);
+    if (!name || /[^A-Z0-9\-_]/.test(name) || typeof factory !== 'function') {
+        let error = new Error(`Invalid SASL mechanism "${name}"`);
+        error.code = 'InvalidSaslMechanism';
+        throw error;
+    }
+    mechanisms.set(name, factory);
+};
+
+/**
+ * Checks if the server advertises a mechanism.
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {string} name - Mechanism name
+ * @returns {boolean} True if the mechanism is listed in the capabilities
+ */
+const isAdvertised = (connection, name) =>
+    [`AUTH=${name}`].concat(CAPABILITY_ALIASES.get(name) || []).some(capability => connection.capabilities.has(capability));
+
+/**
+ * Lists the mechanisms to try, in order. A forced login method is used as-is even if the
+ * server does not advertise it, otherwise every advertised mechanism is listed in preference order.
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {Object} [options]
+ * @param {string} [options.loginMethod] - Forced login method, eg. `AUTH=PLAIN`
+ * @param {string[]} [options.mechanisms] - Preference order, defaults to the registration order
+ * @returns {string[]} Mechanism names
+ */
+const getMechanismOrder = (connection, options) => {
+    options = options || {};
+
+    if (options.loginMethod) {
+        let loginMethod = normalizeMechanismName(options.loginMethod);
+        return /^AUTH=/i.test(options.loginMethod) && mechanisms.has(loginMethod) ? [loginMethod] : [];
+    }
+
+    let order = options.mechanisms ? [].concat(options.mechanisms).map(normalizeMechanismName) : Array.from(mechanisms.keys());
+    return order.filter((name, i) => mechanisms.has(name) && order.indexOf(name) === i && isAdvertised(connection, name));
+};
+
+/**
+ * Parses the JSON error payload an OAuth2 server sends as a challenge.
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {Buffer} challenge - Decoded challenge
+ * @returns {Object|false} Parsed error, or false if the challenge is not JSON
+ */
+const parseOauthError = (connection, challenge) => {
+    if (!challenge.length) {
+        return false;
+    }
+    try {
+        return JSON.parse(challenge.toString());
+    } catch (err) {
+        connection.log.debug({ errorResponse: challenge.toString('base64'), err });
+        return false;
+    }
+};
+
+// OAUTHBEARER (RFC 7628)
+registerSaslMechanism('OAUTHBEARER', context => {
+    if (!context.accessToken) {
+        return false;
+    }
+
+    let { connection } = context;
+    let session = {
+        // Payload fields are separated by \x01 (SASL GS2 framing), the trailing empty strings
+        // produce the required double-\x01 terminator.
+        // Both fields must describe the connection actually in use. The port was hardcoded to 993,
+        // so an OAuth2 server reached over 143/STARTTLS advertised a payload that did not match, and
+        // `servername` is set to false for a bare-IP host, which rendered as a literal "host=false".
+        // A server validating either field rejects with status `invalid_request` - a permanent
+        // failure that refreshing the access token can never clear.
+        initialResponse: [
+            `n,a=${context.username},`,
+            `host=${connection.servername || connection.host}`,
+            `port=${connection.port}`,
+            `auth=Bearer ${context.accessToken}`,
+            '',
+            ''
+        ].join('\x01'),
+        errorResponse: false,
+        // Server sends a "+" continuation if auth fails, with a JSON error payload. It is decoded
+        // for diagnostics, then \x01 is sent to terminate the exchange.
+        step: challenge => {
+            session.errorResponse = parseOauthError(connection, challenge);
+            return '\x01';
+        }
+    };
+    return session;
+});
+
+// XOAUTH2 (Google-specific), simpler than OAUTHBEARER but also \x01-delimited
+registerSaslMechanism('XOAUTH2', context => {
+    if (!context.accessToken) {
+        return false;
+    }
+
+    let { connection } = context;
+    let session = {
+        initialResponse: [`user=${context.username}`, `auth=Bearer ${context.accessToken}`, '', ''].join('\x01'),
+        errorResponse: false,
+        // XOAUTH2 expects an empty response to abort the SASL exchange
+        step: challenge => {
+            session.errorResponse = parseOauthError(connection, challenge);
+            return '';
+        }
+    };
+    return session;
+});
+
+// PLAIN (RFC 4616), preferred over LOGIN as it supports authzid (impersonation) and sends
+// credentials in a single round trip
+registerSaslMechanism('PLAIN', context => {
+    if (!context.password) {
+        return false;
+    }
+
+    return {
+        // [authzid]\x00authcid\x00password, where authzid is the identity to impersonate
+        // and authcid the identity that is authenticating
+        step: () => [context.authzid || '', context.username, context.password].join('\x00'),
+        identity: context.authzid || context.username
+    };
+});
+
+// LOGIN, an older challenge-response mechanism with two round trips
+registerSaslMechanism('LOGIN', context => {
+    if (!context.password) {
+        return false;
+    }
+
+    return {
+        // The server asks for the username and the password, strip trailing colons and
+        // null bytes (\x00) that some servers append to the prompt
+        step: challenge => {
+            let question = challenge
+                .toString()
+                .toLowerCase()
+                .replace(/[:\x00]*$/, ''); // eslint-disable-line no-control-regex
+
+            if (question === 'username' || question === 'user name') {
+                return context.username;
+            }
+            if (question === 'password') {
+                return context.password;
+            }
+            throw new Error(`Unknown LOGIN question "${question}"`);
+        }
+    };
+});
+
+// SCRAM (RFC 5802, RFC 7677). Used automatically on servers that do not offer plaintext
+// mechanisms, the -PLUS variants only if channel binding data is available for the connection.
+for (let name of ['SCRAM-SHA-256-PLUS', 'SCRAM-SHA-256', 'SCRAM-SHA-1-PLUS', 'SCRAM-SHA-1']) {
+    registerSaslMechanism(name, context => {
+        if (!context.password) {
+            return false;
+        }
+
+        let { connection } = context;
+        let channelBinding = getChannelBinding(connection.socket);
+        if (/-PLUS$/.test(name) && !channelBinding && !context.loginMethod) {
+            return false;
+        }
+
+        let scram = new ScramSession({
+            mechanism: name,
+            username: context.username,
+            password: context.password,
+            authzid: context.authzid,
+            channelBinding,
+            // tells the server we would have used channel binding if it had offered it
+            bindingSupported: !!channelBinding && !connection.capabilities.has(`AUTH=${name}-PLUS`)
+        });
+
+        let step = 0;
+        return {
+            step: async challenge => {
+                switch (step++) {
+                    case 0:
+                        return scram.clientFirst();
+                    case 1:
+                        return await scram.clientFinal(challenge.toString());
+                    case 2:
+                        scram.verifyServerFinal(challenge.toString());
+                        // server-final-message carries no data for us to send back
+                        return '';
+                    default:
+                        throw new Error(`Unexpected continuation for AUTH=${name}`);
+                }
+            },
+            finish: () => {
+                if (!scram.verified) {
+                    // the server accepted us without proving that it knows the password
+                    throw new Error(`Server did not verify AUTH=${name}`);
+                }
+            },
+            identity: context.authzid || context.username
+        };
+    });
+}
+
+// CRAM-MD5 (RFC 2195), only for legacy servers that offer nothing better. The server can
+// recover the password from what it stores for this mechanism, so it is never selected unless
+// enabled with `auth.allowCramMd5` or forced with `loginMethod: 'AUTH=CRAM-MD5'`.
+registerSaslMechanism('CRAM-MD5', context => {
+    if (!context.password || !(context.allowCramMd5 || context.loginMethod)) {
+        return false;
+    }
+
+    let answered = false;
+    return {
+        // the challenge is a unique string, eg. "<1896.697170952@postoffice.example.net>",
+        // answered with the username and a keyed digest of it
+        step: challenge => {
+            if (answered) {
+                throw new Error('Unexpected continuation for AUTH=CRAM-MD5');
+            }
+            answered = true;
+            return `${context.username} ${crypto.createHmac('md5', context.password).update(challenge).digest('hex')}`;
+        }
+    };
+});
+
+module.exports = { mechanisms, registerSaslMechanism, getMechanismOrder, normalizeMechanismName };
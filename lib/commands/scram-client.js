@@ -0,0 +1,271 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// SCRAM variants (RFC 5802, RFC 7677) mapped to the digest they are built on
+const SCRAM_DIGESTS = new Map([
+    ['SCRAM-SHA-1', { digest: 'sha1', length: 20 }],
+    ['SCRAM-SHA-256', { digest: 'sha256', length: 32 }]
+]);
+
+// The iteration count comes from the server. PBKDF2 runs on the client, so a hostile or
+// broken server could otherwise keep the process busy for as long as it likes.
+const MAX_ITERATIONS = 1000000;
+
+// Certificate signature algorithms (DER encoded OID content) mapped to the hash that
+// tls-server-end-point uses for them. RFC 5929 section 4.1 replaces MD5 and SHA-1 with SHA-256.
+const SIGNATURE_HASHES = new Map([
+    ['2a864886f70d010104', 'sha256'], // md5WithRSAEncryption
+    ['2a864886f70d010105', 'sha256'], // sha1WithRSAEncryption
+    ['2a864886f70d01010b', 'sha256'], // sha256WithRSAEncryption
+    ['2a864886f70d01010c', 'sha384'], // sha384WithRSAEncryption
+    ['2a864886f70d01010d', 'sha512'], // sha512WithRSAEncryption
+    ['2a8648ce3d0401', 'sha256'], // ecdsa-with-SHA1
+    ['2a8648ce3d040302', 'sha256'], // ecdsa-with-SHA256
+    ['2a8648ce3d040303', 'sha384'], // ecdsa-with-SHA384
+    ['2a8648ce3d040304', 'sha512'], // ecdsa-with-SHA512
+    ['2a8648ce380403', 'sha256'], // dsa-with-sha1
+    ['608648016503040302', 'sha256'] // dsa-with-sha256
+]);
+
+const scramError = message => {
+    let error = new Error(message);
+    error.code = 'ScramError';
+    return error;
+};
+
+/**
+ * Reads the tag, length and content offset of a DER element.
+ *
+ * @param {Buffer} der - DER encoded data
+ * @param {Number} offset - Position of the element
+ * @returns {{tag: Number, start: Number, end: Number}|false} Element details, or false if the data is truncated
+ */
+const readDerElement = (der, offset) => {
+    if (offset + 2 > der.length) {
+        return false;
+    }
+    let tag = der[offset];
+    let length = der[offset + 1];
+    let start = offset + 2;
+    // long form, the low bits count the length bytes that follow
+    if (length > 0x7f) {
+        let bytes = length - 0x80;
+        if (!bytes || bytes > 4 || start + bytes > der.length) {
+            return false;
+        }
+        length = der.readUIntBE(start, bytes);
+        start += bytes;
+    }
+    if (start + length > der.length) {
+        return false;
+    }
+    return { tag, start, end: start + length };
+};
+
+/**
+ * Finds the hash function for tls-server-end-point channel binding from the signature
+ * algorithm of the server certificate.
+ *
+ * @param {Buffer} der - DER encoded certificate
+ * @returns {String|false} Node.js hash name, or false if the algorithm is unknown
+ */
+const getCertificateHash = der => {
+    // Certificate ::= SEQUENCE { tbsCertificate, signatureAlgorithm, signatureValue }
+    let certificate = readDerElement(der, 0);
+    let tbsCertificate = certificate && readDerElement(der, certificate.start);
+    let algorithm = tbsCertificate && readDerElement(der, tbsCertificate.end);
+    let oid = algorithm && readDerElement(der, algorithm.start);
+    if (!oid || oid.tag !== 0x06) {
+        return false;
+    }
+    return SIGNATURE_HASHES.get(der.subarray(oid.start, oid.end).toString('hex')) || false;
+};
+
+/**
+ * Returns channel binding data for the TLS connection in use. TLS 1.3 uses tls-exporter
+ * (RFC 9266), which must not be used with older TLS versions, where tls-server-end-point
+ * (RFC 5929) is used instead.
+ *
+ * @param {Object} socket - Connection socket
+ * @returns {{type: String, data: Buffer}|false} Channel binding type and data, or false if the socket is not encrypted
+ */
+const getChannelBinding = socket => {
+    if (!socket || !socket.encrypted || typeof socket.getPeerCertificate !== 'function') {
+        return false;
+    }
+
+    try {
+        if (typeof socket.getProtocol === 'function' && socket.getProtocol() === 'TLSv1.3' && typeof socket.exportKeyingMaterial === 'function') {
+            return { type: 'tls-exporter', data: socket.exportKeyingMaterial(32, 'EXPORTER-Channel-Binding') };
+        }
+
+        let certificate = socket.getPeerCertificate();
+        let hash = certificate && certificate.raw && getCertificateHash(certificate.raw);
+        if (hash) {
+            return { type: 'tls-server-end-point', data: crypto.createHash(hash).update(certificate.raw).digest() };
+        }
+    } catch {
+        // binding data not available, eg. the socket is already closed
+    }
+
+    return false;
+};
+
+/**
+ * Escapes a username for the SCRAM `n=` and `a=` attributes.
+ *
+ * @param {String} value - Username
+ * @returns {String} Escaped username
+ */
+const encodeSaslName = value => value.replace(/[=]/g, '=3D').replace(/,/g, '=2C');
+
+/**
+ * Parses a SCRAM message into its attributes.
+ *
+ * @param {String} message - Server message, eg. `r=...,s=...,i=4096`
+ * @returns {Map<String, String>} Attribute values keyed by attribute name
+ */
+const parseAttributes = message => {
+    let attributes = new Map();
+    for (let part of message.split(',')) {
+        let match = part.match(/^([a-zA-Z])=(.*)$/s);
+        if (match && !attributes.has(match[1])) {
+            attributes.set(match[1], match[2]);
+        }
+    }
+    return attributes;
+};
+
+const xor = (a, b) => {
+    let result = Buffer.alloc(a.length);
+    for (let i = 0; i < a.length; i++) {
+        result[i] = a[i] ^ b[i]; // eslint-disable-line no-bitwise
+    }
+    return result;
+};
+
+/**
+ * Client side of a single SCRAM exchange (RFC 5802). Messages are plain strings, base64
+ * encoding for the wire is left to the caller.
+ */
+class ScramSession {
+    /**
+     * @param {Object} options
+     * @param {String} options.mechanism - Mechanism name, eg. `SCRAM-SHA-256` or `SCRAM-SHA-256-PLUS`
+     * @param {String} options.username - Authentication identity
+     * @param {String} options.password - Password
+     * @param {String} [options.authzid] - Authorization identity
+     * @param {{type: String, data: Buffer}} [options.channelBinding] - Channel binding for the -PLUS variants
+     * @param {Boolean} [options.bindingSupported] - Set if channel binding is available but the server does not offer a -PLUS variant
+     * @param {String} [options.nonce] - Client nonce, random if not set
+     */
+    constructor(options) {
+        let mechanism = (options.mechanism || '').toUpperCase();
+        this.plus = /-PLUS$/.test(mechanism);
+        this.hash = SCRAM_DIGESTS.get(mechanism.replace(/-PLUS$/, ''));
+        if (!this.hash) {
+            throw scramError(`Unsupported SCRAM mechanism "${options.mechanism}"`);
+        }
+        if (this.plus && !options.channelBinding) {
+            throw scramError(`Channel binding is not available for ${mechanism}`);
+        }
+
+        this.channelBinding = this.plus ? options.channelBinding : false;
+
+        // SASLprep (RFC 4013) is approximated with NFKC normalization
+        this.password = (options.password || '').normalize('NFKC');
+        this.nonce = options.nonce || crypto.randomBytes(24).toString('base64');
+
+        // GS2 header: "p=<type>" when channel binding is used, "y" when the client could bind
+        // but the server did not offer it, which lets a server detect a downgrade
+        let bindFlag = this.plus ? `p=${this.channelBinding.type}` : options.bindingSupported ? 'y' : 'n';
+        this.gs2Header = `${bindFlag},${options.authzid ? `a=${encodeSaslName(options.authzid)}` : ''},`;
+        this.clientFirstBare = `n=${encodeSaslName((options.username || '').normalize('NFKC'))},r=${this.nonce}`;
+
+        this.serverSignature = false;
+        this.verified = false;
+    }
+
+    /**
+     * @returns {String} client-first-message
+     */
+    clientFirst() {
+        return this.gs2Header + this.clientFirstBare;
+    }
+
+    /**
+     * Processes server-first-message and computes the client proof.
+     *
+     * @param {String} serverFirst - server-first-message
+     * @returns {Promise<String>} client-final-message
+     * @throws {Error} If the server message is invalid
+     */
+    async clientFinal(serverFirst) {
+        let attributes = parseAttributes(serverFirst);
+        if (attributes.has('e')) {
+            throw scramError(`SCRAM authentication failed: ${attributes.get('e')}`);
+        }
+
+        let serverNonce = attributes.get('r');
+        let salt = attributes.get('s');
+        let iterations = Number(attributes.get('i'));
+
+        // the server nonce must extend ours, otherwise the exchange could be replayed
+        if (!serverNonce || serverNonce.length <= this.nonce.length || !serverNonce.startsWith(this.nonce)) {
+            throw scramError('Invalid SCRAM server nonce');
+        }
+        if (!salt) {
+            throw scramError('Missing SCRAM salt');
+        }
+        if (!Number.isSafeInteger(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) {
+            throw scramError(`Invalid SCRAM iteration count "${attributes.get('i')}"`);
+        }
+
+        let channelData = this.channelBinding ? Buffer.concat([Buffer.from(this.gs2Header), this.channelBinding.data]) : Buffer.from(this.gs2Header);
+        let clientFinalWithoutProof = `c=${channelData.toString('base64')},r=${serverNonce}`;
+        let authMessage = [this.clientFirstBare, serverFirst, clientFinalWithoutProof].join(',');
+
+        let { digest, length } = this.hash;
+        let saltedPassword = await new Promise((resolve, reject) => {
+            crypto.pbkdf2(this.password, Buffer.from(salt, 'base64'), iterations, length, digest, (err, key) => {
+                if (err) {
+                    return reject(err);
+                }
+                resolve(key);
+            });
+        });
+
+        let hmac = (key, data) => crypto.createHmac(digest, key).update(data).digest();
+
+        let clientKey = hmac(saltedPassword, 'Client Key');
+        let storedKey = crypto.createHash(digest).update(clientKey).digest();
+        let clientProof = xor(clientKey, hmac(storedKey, authMessage));
+
+        this.serverSignature = hmac(hmac(saltedPassword, 'Server Key'), authMessage);
+
+        return `${clientFinalWithoutProof},p=${clientProof.toString('base64')}`;
+    }
+
+    /**
+     * Verifies the server signature from server-final-message. A server that can not produce
+     * it does not know the password, so the authentication must not be trusted.
+     *
+     * @param {String} serverFinal - server-final-message
+     * @throws {Error} If the server reports an error or the signature does not match
+     */
+    verifyServerFinal(serverFinal) {
+        let attributes = parseAttributes(serverFinal);
+        if (attributes.has('e')) {
+            throw scramError(`SCRAM authentication failed: ${attributes.get('e')}`);
+        }
+
+        let signature = Buffer.from(attributes.get('v') || '', 'base64');
+        if (!this.serverSignature || signature.length !== this.serverSignature.length || !crypto.timingSafeEqual(signature, this.serverSignature)) {
+            throw scramError('Invalid SCRAM server signature');
+        }
+        this.verified = true;
+    }
+}
+
+module.exports = { ScramSession, getChannelBinding, getCertificateHash, SCRAM_DIGESTS };
@@ -97,7 +97,7 @@ module.exports = async (connection, path, options) => {
     try {
         let map = { path };
         if (folderListData) {
-            ['delimiter', 'specialUse', 'subscribed', 'listed'].forEach(key => {
+            ['delimiter', 'specialUse', 'subscribed', 'listed', 'myRights'].forEach(key => {
                 if (folderListData[key]) {
                     map[key] = folderListData[key];
                 }
@@ -197,9 +197,11 @@ module.exports = async (connection, path, options) => {
 
                 // VANISHED responses (QRESYNC): server reports UIDs that have been expunged
                 // since the client's last known state. Only received when QRESYNC was requested.
-                // A dummy mailbox object is passed because the mailbox isn't officially open yet.
+                // A dummy mailbox object is passed because the mailbox isn't officially open yet,
+                // the server only reports these if the UIDVALIDITY sent with QRESYNC still matches,
+                // so the cached messages of that UIDVALIDITY are pruned.
                 VANISHED: async untagged => {
-                    await connection.untaggedVanished(untagged, { path, uidNext: false, uidValidity: false });
+                    await connection.untaggedVanished(untagged, { path, uidNext: false, uidValidity: (map.qresync && options.uidValidity) || false });
                 },
 
                 // Untagged FETCH during SELECT/EXAMINE: only occurs with QRESYNC, delivering
@@ -0,0 +1,42 @@
+'use strict';
+
+const { encodePath, normalizePath, enhanceCommandError } = require('../tools.js');
+const { compileRights } = require('./acl-rights.js');
+
+/**
+ * Grants, revokes or replaces the rights of an identifier on a mailbox using the ACL extension (RFC 4314).
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {string} path - Mailbox path
+ * @param {string} identifier - User or group identifier
+ * @param {string|Object} rights - Rights string, a leading `+` adds and a leading `-` removes rights. A rights object replaces the current rights
+ * @returns {Promise<boolean|undefined>} True on success, false if ACL is not supported, or undefined if preconditions not met
+ * @throws {Error} If the SETACL command fails
+ */
+module.exports = async (connection, path, identifier, rights) => {
+    if (![connection.states.AUTHENTICATED, connection.states.SELECTED].includes(connection.state) || !path || !identifier) {
+        // nothing to do here
+        return;
+    }
+
+    if (!connection.capabilities.has('ACL')) {
+        return false;
+    }
+
+    path = normalizePath(connection, path);
+
+    let response;
+    try {
+        response = await connection.exec('SETACL', [
+            { type: 'STRING', value: encodePath(connection, path) },
+            { type: 'STRING', value: identifier },
+            { type: 'STRING', value: compileRights(rights) }
+        ]);
+        response.next();
+        return true;
+    } catch (err) {
+        await enhanceCommandError(err);
+        connection.log.warn({ err, cid: connection.id });
+        throw err;
+    }
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+const { encodePath, normalizePath, enhanceCommandError, getMetadataResponseCode } = require('../tools.js');
+
+// Values that fit into a quoted string, anything else is sent as a literal
+const QUOTABLE_VALUE = /^[\x20-\x7e]*$/;
+
+/**
+ * Sets or removes annotations on a mailbox or on the server using the METADATA extension (RFC 5464).
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {string} path - Mailbox path, or an empty string for server annotations
+ * @param {Object} entries - Values keyed by entry name, eg. `{ '/private/comment': 'text' }`. A `null` value removes the entry
+ * @returns {Promise<boolean|undefined>} True on success, false if METADATA is not supported, or undefined if preconditions not met
+ * @throws {Error} If the SETMETADATA command fails. METADATA response codes are exposed as `metadataCode`
+ *   (`MAXSIZE`, `TOOMANY` or `NOPRIVATE`), with `maxSize` set for `MAXSIZE`
+ */
+module.exports = async (connection, path, entries) => {
+    let keys = entries && typeof entries === 'object' ? Object.keys(entries) : [];
+    if (![connection.states.AUTHENTICATED, connection.states.SELECTED].includes(connection.state) || !keys.length) {
+        // nothing to do here
+        return;
+    }
+
+    // METADATA-SERVER only covers server annotations, METADATA covers both
+    if (!connection.capabilities.has('METADATA') && (path || !connection.capabilities.has('METADATA-SERVER'))) {
+        return false;
+    }
+
+    path = path ? normalizePath(connection, path) : '';
+
+    let list = [];
+    for (let key of keys) {
+        let value = entries[key];
+        list.push({ type: 'ATOM', value: key });
+
+        if (value === null || value === undefined || value === false) {
+            // NIL removes the entry
+            list.push(null);
+        } else if (Buffer.isBuffer(value)) {
+            list.push({ type: 'LITERAL', value });
+        } else {
+            value = value.toString();
+            list.push(QUOTABLE_VALUE.test(value) ? { type: 'STRING', value } : { type: 'LITERAL', value: Buffer.from(value) });
+        }
+    }
+
+    let response;
+    try {
+        response = await connection.exec('SETMETADATA', [{ type: 'STRING', value: encodePath(connection, path) }, list]);
+        response.next();
+        return true;
+    } catch (err) {
+        // MAXSIZE carries the largest value the server accepts, TOOMANY means the server
+        // is out of annotation slots and NOPRIVATE that private annotations are not stored
+        let metadataCode = getMetadataResponseCode(err.response);
+        if (metadataCode) {
+            err.metadataCode = metadataCode.code;
+            if (metadataCode.code === 'MAXSIZE' && typeof metadataCode.value === 'number') {
+                err.maxSize = metadataCode.value;
+            }
+        }
+
+        await enhanceCommandError(err);
+        connection.log.warn({ err, cid: connection.id });
+        throw err;
+    }
+};
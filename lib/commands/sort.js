@@ -0,0 +1,147 @@
+'use strict';
+
+const { enhanceCommandError, isValidSequenceValue, EXPANDED_RANGE_LIMIT } = require('../tools.js');
+const { searchCompilerWithCharset } = require('../search-compiler.js');
+
+// Sort keys from RFC 5256 section 3, plus DISPLAYFROM/DISPLAYTO from RFC 5957. Keys are
+// matched case-insensitively, so `displayFrom` and `DISPLAYFROM` are the same key.
+const SORT_KEYS = new Map([
+    ['ARRIVAL', false],
+    ['CC', false],
+    ['DATE', false],
+    ['FROM', false],
+    ['SIZE', false],
+    ['SUBJECT', false],
+    ['TO', false],
+    ['DISPLAYFROM', 'SORT=DISPLAY'],
+    ['DISPLAYTO', 'SORT=DISPLAY']
+]);
+
+/**
+ * Compiles sort criteria into the parenthesized SORT criteria list.
+ *
+ * Every entry is either a sort key name (`'date'`) or an object with a `key` and an optional
+ * `reverse` flag (`{ key: 'date', reverse: true }`). A single entry may be passed without
+ * wrapping it in an array.
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {Array<string|Object>|string|Object} criteria - Sort criteria
+ * @returns {Array} Attribute list for the criteria group
+ * @throws {Error} When a key is unknown or needs an extension the server does not advertise
+ */
+const compileSortCriteria = (connection, criteria) => {
+    let list = [];
+
+    for (let entry of [].concat(criteria || [])) {
+        let key = entry && typeof entry === 'object' ? entry.key : entry;
+        let reverse = !!(entry && typeof entry === 'object' && entry.reverse);
+
+        key = (key || '').toString().toUpperCase().trim();
+        if (!SORT_KEYS.has(key)) {
+            let error = new Error(`Unknown sort key "${key}"`);
+            error.code = 'InvalidSortCriteria';
+            throw error;
+        }
+
+        let extension = SORT_KEYS.get(key);
+        if (extension && !connection.capabilities.has(extension)) {
+            let error = new Error(`Server does not support ${extension} extension required for ${key} sort key`);
+            error.code = 'MissingServerExtension';
+            throw error;
+        }
+
+        if (reverse) {
+            list.push({ type: 'ATOM', value: 'REVERSE' });
+        }
+        list.push({ type: 'ATOM', value: key });
+    }
+
+    if (!list.length) {
+        let error = new Error('Sort criteria can not be empty');
+        error.code = 'InvalidSortCriteria';
+        throw error;
+    }
+
+    return list;
+};
+
+/**
+ * Sorts messages on the server side using the SORT extension (RFC 5256).
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {Array<string|Object>|string|Object} criteria - Sort criteria, see compileSortCriteria()
+ * @param {Object|boolean} query - Search query object, or true/empty object to sort all messages
+ * @param {Object} [options] - Sort options
+ * @param {boolean} [options.uid=true] - If true, use UID SORT and return UIDs instead of sequence numbers
+ * @returns {Promise<number[]|boolean>} Sequence numbers or UIDs in sorted order, false on failure
+ * @throws {Error} When the server does not support SORT or the criteria are invalid
+ */
+module.exports = async (connection, criteria, query, options) => {
+    if (connection.state !== connection.states.SELECTED) {
+        // nothing to do here
+        return false;
+    }
+
+    options = options || {};
+    let useUid = options.uid !== false;
+
+    if (!connection.capabilities.has('SORT')) {
+        let error = new Error('Server does not support SORT extension');
+        error.code = 'MissingServerExtension';
+        throw error;
+    }
+
+    let sortCriteria = compileSortCriteria(connection, criteria);
+    let { charset, attributes } = searchCompilerWithCharset(connection, query);
+
+    // A Set keeps the server order while dropping duplicates, same as the SEARCH handler
+    let results = new Set();
+    let response;
+    try {
+        response = await connection.exec(useUid ? 'UID SORT' : 'SORT', [sortCriteria, { type: 'ATOM', value: charset }, ...attributes], {
+            untagged: {
+                SORT: async untagged => {
+                    if (!untagged || !untagged.attributes || !untagged.attributes.length) {
+                        return;
+                    }
+
+                    let truncated = false;
+                    let discarded = false;
+                    for (let attribute of untagged.attributes) {
+                        // Same ceiling and nz-number checks as the SEARCH handler: the result set
+                        // is server-controlled and every entry ends up in a follow-up command
+                        /* c8 ignore next 4 */ // reaching the ceiling needs 2^24 accumulated results
+                        if (results.size >= EXPANDED_RANGE_LIMIT) {
+                            truncated = true;
+                            break;
+                        }
+                        let value = attribute && typeof attribute.value === 'string' ? Number(attribute.value) : NaN;
+                        if (!isValidSequenceValue(value)) {
+                            discarded = true;
+                            continue;
+                        }
+                        results.add(value);
+                    }
+
+                    if (truncated || discarded) {
+                        connection.log.warn({
+                            msg: 'Invalid entries in the SORT result',
+                            truncated,
+                            discarded,
+                            cid: connection.id
+                        });
+                    }
+                }
+            }
+        });
+        response.next();
+        return Array.from(results);
+    } catch (err) {
+        await enhanceCommandError(err);
+        connection.log.warn({ err, cid: connection.id });
+        return false;
+    }
+};
+
+// Exported for unit testing — not intended as public library API
+module.exports.compileSortCriteria = compileSortCriteria;
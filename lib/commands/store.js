@@ -1,6 +1,6 @@
 'use strict';
 
-const { formatFlag, canUseFlag, enhanceCommandError } = require('../tools.js');
+const { formatFlag, canUseFlag, enhanceCommandError, getStatusCode, expandRange } = require('../tools.js');
 
 /**
  * Updates flags or labels for messages in the selected mailbox.
@@ -14,6 +14,7 @@ const { formatFlag, canUseFlag, enhanceCommandError } = require('../tools.js');
  * @param {boolean} [options.silent] - If true, use .SILENT variant to suppress server response
  * @param {string} [options.operation] - Operation type: 'set', 'add', or 'remove'
  * @param {string} [options.unchangedSince] - Only update messages not changed since this modseq value
+ * @param {Function} [options.onModified] - Called with the sequence numbers (UIDs for UID STORE) of messages that were not updated because these changed since `unchangedSince`
  * @returns {Promise<boolean>} True on success, false on failure or if nothing to do
  */
 module.exports = async (connection, range, flags, options) => {
@@ -91,6 +92,15 @@ module.exports = async (connection, range, flags, options) => {
     let response;
     try {
         response = await connection.exec(options.uid ? 'UID STORE' : 'STORE', attributes);
+
+        // CONDSTORE (RFC 7162 section 3.1.3): messages that failed the UNCHANGEDSINCE test are listed
+        // in a MODIFIED response code, the command itself still succeeds for the other messages
+        if (typeof options.onModified === 'function' && getStatusCode(response.response) === 'MODIFIED') {
+            let section = response.response.attributes[0].section;
+            let modified = section[1] && typeof section[1].value === 'string' ? expandRange(section[1].value) : [];
+            options.onModified(modified);
+        }
+
         response.next();
         return true;
     } catch (err) {
@@ -0,0 +1,149 @@
+'use strict';
+
+const { enhanceCommandError, getThreadAlgorithms, isValidSequenceValue } = require('../tools.js');
+const { searchCompilerWithCharset } = require('../search-compiler.js');
+
+// Used when the caller does not name an algorithm. REFERENCES and its REFS variant build real
+// conversation trees from message headers, ORDEREDSUBJECT only groups messages by subject.
+const PREFERRED_ALGORITHMS = ['REFERENCES', 'REFS', 'ORDEREDSUBJECT'];
+
+/**
+ * Converts one parenthesized thread list from a THREAD response into a tree node.
+ *
+ * In the RFC 5256 grammar each number in a list is the child of the number before it, and the
+ * nested lists that follow the last number are its sibling sub-threads. A list that starts with
+ * nested lists has no common parent message, so a placeholder node with a `null` id holds them.
+ * Recursion only follows parser nesting, which the token parser already bounds.
+ *
+ * @param {Array} list - Parsed thread list
+ * @param {String} idKey - Node property for the message number, `uid` or `seq`
+ * @param {Object} state - Shared parsing state, `discarded` is set for unusable entries
+ * @returns {Object|null} Thread node `{ [idKey], children }`, or null for an empty list
+ */
+const parseThreadList = (list, idKey, state) => {
+    let root = null;
+    let current = null;
+
+    for (let entry of list) {
+        if (Array.isArray(entry)) {
+            let child = parseThreadList(entry, idKey, state);
+            if (!child) {
+                continue;
+            }
+            if (!current) {
+                root = current = { [idKey]: null, children: [] };
+            }
+            current.children.push(child);
+            continue;
+        }
+
+        let value = entry && typeof entry.value === 'string' ? Number(entry.value) : NaN;
+        if (!isValidSequenceValue(value)) {
+            state.discarded = true;
+            continue;
+        }
+
+        let node = { [idKey]: value, children: [] };
+        if (current) {
+            current.children.push(node);
+        } else {
+            root = node;
+        }
+        current = node;
+    }
+
+    return root;
+};
+
+/**
+ * Parses the attributes of an untagged THREAD response into a list of thread trees.
+ *
+ * @param {Array} attributes - Attribute list of the THREAD response
+ * @param {String} [idKey='uid'] - Node property for the message number, `uid` or `seq`
+ * @returns {{threads: Object[], discarded: Boolean}} Root nodes of every thread, and whether unusable entries were dropped
+ */
+const parseThreadResponse = (attributes, idKey) => {
+    let state = { discarded: false };
+    let threads = [];
+
+    for (let list of attributes || []) {
+        if (!Array.isArray(list)) {
+            state.discarded = true;
+            continue;
+        }
+        let node = parseThreadList(list, idKey || 'uid', state);
+        if (node) {
+            threads.push(node);
+        }
+    }
+
+    return { threads, discarded: state.discarded };
+};
+
+/**
+ * Threads messages on the server side using the THREAD extension (RFC 5256).
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @param {Object|boolean} query - Search query object, or true/empty object to thread all messages
+ * @param {Object} [options] - Thread options
+ * @param {String} [options.algorithm] - Threading algorithm, by default the best one the server advertises
+ * @param {boolean} [options.uid=true] - If true, use UID THREAD and return UIDs instead of sequence numbers
+ * @returns {Promise<Object[]|boolean>} Thread trees made of `{ uid, children }` nodes (`{ seq, children }` for sequence numbers), false on failure
+ * @throws {Error} When the server does not support THREAD or the requested algorithm
+ */
+module.exports = async (connection, query, options) => {
+    if (connection.state !== connection.states.SELECTED) {
+        // nothing to do here
+        return false;
+    }
+
+    options = options || {};
+    let useUid = options.uid !== false;
+
+    let algorithms = getThreadAlgorithms(connection);
+    let algorithm = (options.algorithm || '').toString().toUpperCase().trim() || PREFERRED_ALGORITHMS.find(name => algorithms.includes(name)) || algorithms[0];
+
+    if (!algorithm || !algorithms.includes(algorithm)) {
+        let error = new Error(`Server does not support THREAD=${algorithm || 'REFERENCES'} extension`);
+        error.code = 'MissingServerExtension';
+        throw error;
+    }
+
+    let { charset, attributes } = searchCompilerWithCharset(connection, query);
+
+    let threads = [];
+    let response;
+    try {
+        response = await connection.exec(
+            useUid ? 'UID THREAD' : 'THREAD',
+            [{ type: 'ATOM', value: algorithm }, { type: 'ATOM', value: charset }, ...attributes],
+            {
+                untagged: {
+                    THREAD: async untagged => {
+                        if (!untagged || !untagged.attributes) {
+                            return;
+                        }
+                        let parsed = parseThreadResponse(untagged.attributes, useUid ? 'uid' : 'seq');
+                        threads = threads.concat(parsed.threads);
+                        if (parsed.discarded) {
+                            connection.log.warn({
+                                msg: 'Invalid entries in the THREAD result',
+                                discarded: true,
+                                cid: connection.id
+                            });
+                        }
+                    }
+                }
+            }
+        );
+        response.next();
+        return threads;
+    } catch (err) {
+        await enhanceCommandError(err);
+        connection.log.warn({ err, cid: connection.id });
+        return false;
+    }
+};
+
+// Exported for unit testing — not intended as public library API
+module.exports.parseThreadResponse = parseThreadResponse;
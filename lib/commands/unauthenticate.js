@@ -0,0 +1,54 @@
+'use strict';
+
+const { hasCapability } = require('../tools.js');
+
+/**
+ * Ends the authenticated session without closing the connection (RFC 8437). The server returns
+ * to the not authenticated state, so every piece of session state is dropped as well and
+ * the client can authenticate again, possibly as another user.
+ *
+ * @param {Object} connection - IMAP connection instance
+ * @returns {Promise<boolean|undefined>} True on success, false on failure, or undefined if not authenticated or not supported
+ */
+module.exports = async connection => {
+    if (![connection.states.AUTHENTICATED, connection.states.SELECTED].includes(connection.state)) {
+        // nothing to do here
+        return;
+    }
+
+    if (!hasCapability(connection, 'UNAUTHENTICATE')) {
+        return;
+    }
+
+    let response;
+    try {
+        response = await connection.exec('UNAUTHENTICATE');
+        response.next();
+
+        let currentMailbox = connection.mailbox;
+        connection.mailbox = false;
+        connection.currentSelectCommand = false;
+        connection.state = connection.states.NOT_AUTHENTICATED;
+        connection.authenticated = false;
+
+        // Capabilities, enabled extensions and namespaces all belong to the session that just
+        // ended and may differ for the next user
+        connection.capabilities = new Map();
+        connection.authCapabilities = new Map();
+        connection.rawCapabilities = null;
+        connection.expectCapabilityUpdate = true;
+        connection.enabled = new Set();
+        connection.namespace = false;
+        connection.namespaces = false;
+        connection.folders = new Map();
+        connection.notifyFilters = false;
+
+        if (currentMailbox) {
+            connection.emit('mailboxClose', currentMailbox);
+        }
+        return true;
+    } catch (err) {
+        connection.log.warn({ err, cid: connection.id });
+        return false;
+    }
+};
@@ -31,6 +31,7 @@ class ImapStream extends Transform {
      * @param {string} [options.cid] - Connection identifier used for logging.
      * @param {Object} [options.logger] - A pino-compatible logger instance. If not provided, a default child logger is created.
      * @param {boolean} [options.logRaw] - If true, logs raw socket data at trace level.
+     * @param {Object} [options.recorder] - SessionRecorder that receives the raw socket data.
      * @param {boolean} [options.secureConnection] - Whether the connection uses TLS.
      * @param {number} [options.maxLineLength] - Maximum allowed length (in bytes) of a single
      *   line (a response without a literal). Defaults to MAX_LITERAL_SIZE (1GB). Guards against a
@@ -463,6 +464,10 @@ class ImapStream extends Transform {
             });
         }
 
+        if (this.options.recorder) {
+            this.options.recorder.record('s', chunk);
+        }
+
         // A terminal parser failure must not accept any more protocol input, even if the
         // transport delivers a chunk that was already in flight.
         if (this.destroyed) {
@@ -32,14 +32,27 @@ module.exports = new Map([
     ['UNSUBSCRIBE', require('./commands/unsubscribe.js')],
     ['STORE', require('./commands/store.js')],
     ['SEARCH', require('./commands/search.js')],
+    ['SORT', require('./commands/sort.js')],
+    ['THREAD', require('./commands/thread.js')],
     ['NOOP', require('./commands/noop.js')],
     ['EXPUNGE', require('./commands/expunge.js')],
     ['APPEND', require('./commands/append.js')],
+    ['MULTIAPPEND', require('./commands/multiappend.js')],
+    ['REPLACE', require('./commands/replace.js')],
     ['STATUS', require('./commands/status.js')],
     ['COPY', require('./commands/copy.js')],
     ['MOVE', require('./commands/move.js')],
     ['COMPRESS', require('./commands/compress.js')],
     ['QUOTA', require('./commands/quota.js')],
+    ['GETMETADATA', require('./commands/getmetadata.js')],
+    ['SETMETADATA', require('./commands/setmetadata.js')],
+    ['NOTIFY', require('./commands/notify.js')],
+    ['GETACL', require('./commands/getacl.js')],
+    ['SETACL', require('./commands/setacl.js')],
+    ['DELETEACL', require('./commands/deleteacl.js')],
+    ['LISTRIGHTS', require('./commands/listrights.js')],
+    ['MYRIGHTS', require('./commands/myrights.js')],
     ['IDLE', require('./commands/idle.js')],
-    ['AUTHENTICATE', require('./commands/authenticate.js')]
+    ['AUTHENTICATE', require('./commands/authenticate.js')],
+    ['UNAUTHENTICATE', require('./commands/unauthenticate.js')]
 ]);
@@ -0,0 +1,375 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { unrefTimer } = require('./tools');
+const imapFlow = require('./imap-flow');
+
+// Servers limit concurrent connections per account, Gmail for example allows 15
+const MAX_CONNECTIONS = 5;
+
+// Idle clients are logged out after this long
+const IDLE_TIMEOUT = 5 * 60 * 1000;
+
+// Idle clients unused for longer than this are checked with NOOP before being leased again,
+// a server may have dropped the session in the meantime without closing the socket
+const HEALTH_CHECK_INTERVAL = 30 * 1000;
+
+// A health check NOOP that gets no response in this time means a half-open connection
+const HEALTH_CHECK_TIMEOUT = 10 * 1000;
+
+const poolError = (message, code) => {
+    let error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * @typedef {Object} PoolLeaseObject
+ * @global
+ * @property {ImapFlow} client Connected client, only use it until the lease is released
+ * @property {MailboxLockObject|false} lock Mailbox lock held for the lease, or `false` if no mailbox was requested
+ * @property {Function} release Releases the mailbox lock and returns the client to the pool. Call with `{ destroy: true }` to log the client out instead
+ */
+
+/**
+ * Pool of {@link ImapFlow} clients. Clients are created on demand and reused between leases,
+ * the number of concurrent connections is limited per account (host, port and username).
+ *
+ * @extends EventEmitter
+ * @example
+ * const { ImapFlowPool } = require('imapflow');
+ * const pool = new ImapFlowPool({ maxConnections: 15, clientOptions: { logger: false } });
+ *
+ * let lease = await pool.acquire({ host: 'imap.gmail.com', port: 993, secure: true, auth: { user, pass } }, 'INBOX');
+ * try {
+ *     let status = await lease.client.status('INBOX', { unseen: true });
+ * } finally {
+ *     await lease.release();
+ * }
+ *
+ * await pool.drain();
+ */
+class ImapFlowPool extends EventEmitter {
+    /**
+     * @param {Object} [options] Pool options
+     * @param {Number} [options.maxConnections=5] Maximum number of concurrent connections per account
+     * @param {Number} [options.idleTimeout=300000] Milliseconds after which an unused client is logged out
+     * @param {Number} [options.healthCheckInterval=30000] Idle clients unused for longer than this are checked with NOOP before they are leased
+     * @param {Number} [options.healthCheckTimeout=10000] Milliseconds to wait for the health check NOOP before the client is evicted
+     * @param {Number} [options.acquireTimeout=0] Milliseconds to wait for a free connection before {@link ImapFlowPool#acquire} fails, 0 waits forever
+     * @param {Object} [options.clientOptions] Default {@link ImapFlow} options, merged with the options given to {@link ImapFlowPool#acquire}
+     */
+    constructor(options) {
+        super();
+        this.options = options || {};
+
+        this.maxConnections = Number(this.options.maxConnections) || MAX_CONNECTIONS;
+        this.idleTimeout = typeof this.options.idleTimeout === 'number' ? this.options.idleTimeout : IDLE_TIMEOUT;
+        this.healthCheckInterval = typeof this.options.healthCheckInterval === 'number' ? this.options.healthCheckInterval : HEALTH_CHECK_INTERVAL;
+        this.healthCheckTimeout = Number(this.options.healthCheckTimeout) || HEALTH_CHECK_TIMEOUT;
+        this.acquireTimeout = Number(this.options.acquireTimeout) || 0;
+
+        // per account state, keyed by getKey()
+        this.accounts = new Map();
+
+        this.draining = false;
+        this.drainWaiters = [];
+    }
+
+    /**
+     * Builds the key that connection limits apply to.
+     *
+     * @param {Object} options Client options
+     * @returns {String} Account key
+     */
+    getKey(options) {
+        return [options.host, options.port, (options.auth && options.auth.user) || ''].join(':').toLowerCase();
+    }
+
+    getAccount(key) {
+        if (!this.accounts.has(key)) {
+            this.accounts.set(key, {
+                key,
+                // unused clients, most recently used last
+                idle: [],
+                // leased clients and clients that are still connecting
+                active: new Set(),
+                // acquire() calls waiting for a free connection slot
+                waiters: []
+            });
+        }
+        return this.accounts.get(key);
+    }
+
+    /**
+     * Current pool usage.
+     *
+     * @returns {{idle: Number, active: Number, waiting: Number}} Counts over all accounts
+     */
+    get size() {
+        let size = { idle: 0, active: 0, waiting: 0 };
+        for (let account of this.accounts.values()) {
+            size.idle += account.idle.length;
+            size.active += account.active.size;
+            size.waiting += account.waiters.length;
+        }
+        return size;
+    }
+
+    /**
+     * Leases a connected client for an account, optionally with a lock on a mailbox. If the
+     * account already uses `maxConnections` connections, waits until one is released.
+     *
+     * @param {Object} options {@link ImapFlow} options for the account, at least `host`, `port` and `auth`
+     * @param {String} [path] Mailbox to lock for the lease, see {@link ImapFlow#getMailboxLock}
+     * @param {MailboxLockOptions} [lockOptions] Mailbox lock options
+     * @returns {Promise<PoolLeaseObject>} Lease, release it once done
+     * @throws Will throw if the pool is draining, the client can not connect or the mailbox can not be locked
+     */
+    async acquire(options, path, lockOptions) {
+        options = Object.assign({}, this.options.clientOptions, options);
+
+        let entry = await this.checkout(this.getKey(options), options);
+
+        let lock = false;
+        if (path) {
+            try {
+                lock = await entry.client.getMailboxLock(path, lockOptions);
+            } catch (err) {
+                await this.checkin(entry, { destroy: !entry.client.usable });
+                throw err;
+            }
+        }
+
+        let released = false;
+        return {
+            client: entry.client,
+            lock,
+            release: async releaseOptions => {
+                if (released) {
+                    return;
+                }
+                released = true;
+                if (lock) {
+                    lock.release();
+                }
+                await this.checkin(entry, releaseOptions);
+            }
+        };
+    }
+
+    async checkout(key, options) {
+        let deadline = this.acquireTimeout ? Date.now() + this.acquireTimeout : false;
+
+        while (true) {
+            if (this.draining) {
+                throw poolError('Connection pool is draining', 'PoolDraining');
+            }
+
+            // looked up on every round, the account is removed from the map once it has no clients
+            let account = this.getAccount(key);
+
+            let entry = account.idle.pop();
+            if (entry) {
+                clearTimeout(entry.idleTimer);
+                account.active.add(entry);
+                if (await this.isHealthy(entry)) {
+                    return entry;
+                }
+                await this.evict(entry, 'health check failed');
+                continue;
+            }
+
+            if (account.active.size < this.maxConnections) {
+                return await this.connectClient(account, options);
+            }
+
+            await this.waitForSlot(account, deadline);
+        }
+    }
+
+    async isHealthy(entry) {
+        let { client } = entry;
+        if (!client.usable || entry.broken) {
+            return false;
+        }
+        if (Date.now() - entry.lastUsed < this.healthCheckInterval) {
+            return true;
+        }
+
+        let timer;
+        let timeout = new Promise(resolve => {
+            timer = setTimeout(() => {
+                // the socket is most likely half-open, do not wait for LOGOUT either
+                entry.broken = true;
+                this.evict(entry, 'health check timed out').catch(() => false);
+                resolve(false);
+            }, this.healthCheckTimeout);
+        });
+
+        let noop = client.run('NOOP').catch(() => false);
+        try {
+            // NOOP resolves to false if the server rejected it
+            if (!(await Promise.race([noop, timeout]))) {
+                return false;
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+        return client.usable && !entry.broken;
+    }
+
+    async connectClient(account, options) {
+        let client = new imapFlow.ImapFlow(options);
+        let entry = { client, account, lastUsed: Date.now(), broken: false, idleTimer: false };
+
+        // a client that closes or fails is dropped from the pool, leased clients are dropped on release
+        client.on('error', err => {
+            entry.broken = true;
+            this.evict(entry, err.message).catch(() => false);
+        });
+        client.on('close', () => {
+            entry.broken = true;
+            this.evict(entry, 'connection closed').catch(() => false);
+        });
+
+        account.active.add(entry);
+        try {
+            await client.connect();
+        } catch (err) {
+            entry.broken = true;
+            await this.evict(entry, err.message);
+            throw err;
+        }
+
+        this.emit('create', { key: account.key, client });
+        return entry;
+    }
+
+    waitForSlot(account, deadline) {
+        return new Promise((resolve, reject) => {
+            let waiter = { resolve, reject, timer: false };
+            if (deadline) {
+                waiter.timer = setTimeout(
+                    () => {
+                        account.waiters.splice(account.waiters.indexOf(waiter), 1);
+                        reject(poolError('Timed out waiting for a free connection', 'PoolAcquireTimeout'));
+                    },
+                    Math.max(deadline - Date.now(), 0)
+                );
+            }
+            account.waiters.push(waiter);
+        });
+    }
+
+    // wakes the oldest acquire() call waiting for this account, it then retries checkout
+    wakeWaiter(account) {
+        let waiter = account.waiters.shift();
+        if (waiter) {
+            clearTimeout(waiter.timer);
+            waiter.resolve();
+        }
+    }
+
+    async checkin(entry, releaseOptions) {
+        let { account, client } = entry;
+        if (!account.active.has(entry)) {
+            // already evicted
+            return;
+        }
+
+        if (this.draining || entry.broken || !client.usable || (releaseOptions && releaseOptions.destroy)) {
+            await this.evict(entry, 'released');
+            return;
+        }
+
+        account.active.delete(entry);
+        entry.lastUsed = Date.now();
+        account.idle.push(entry);
+
+        if (this.idleTimeout) {
+            entry.idleTimer = unrefTimer(setTimeout(() => this.evict(entry, 'idle timeout').catch(() => false), this.idleTimeout));
+        }
+
+        this.wakeWaiter(account);
+    }
+
+    /**
+     * Removes a client from the pool and logs it out.
+     *
+     * @param {Object} entry Pool entry
+     * @param {String} reason Why the client was removed
+     */
+    async evict(entry, reason) {
+        let { account, client } = entry;
+
+        let idleIndex = account.idle.indexOf(entry);
+        if (idleIndex >= 0) {
+            account.idle.splice(idleIndex, 1);
+        } else if (!account.active.delete(entry)) {
+            // already evicted
+            return;
+        }
+
+        clearTimeout(entry.idleTimer);
+        if (!account.idle.length && !account.active.size && !account.waiters.length) {
+            this.accounts.delete(account.key);
+        }
+
+        this.emit('evict', { key: account.key, client, reason });
+        this.wakeWaiter(account);
+
+        try {
+            if (client.usable && !entry.broken) {
+                await client.logout();
+            }
+        } catch {
+            // connection is closed below in any case
+        }
+        client.close();
+
+        this.checkDrained();
+    }
+
+    checkDrained() {
+        if (this.draining && !this.accounts.size) {
+            let waiters = this.drainWaiters;
+            this.drainWaiters = [];
+            waiters.forEach(resolve => resolve());
+        }
+    }
+
+    /**
+     * Stops handing out leases and logs out every client. Idle clients are logged out at once,
+     * leased clients once their lease is released. Pending {@link ImapFlowPool#acquire} calls are rejected.
+     *
+     * @returns {Promise<void>} Resolves once all clients are logged out
+     */
+    async drain() {
+        this.draining = true;
+
+        let drained = new Promise(resolve => this.drainWaiters.push(resolve));
+
+        let idle = [];
+        for (let account of this.accounts.values()) {
+            for (let waiter of account.waiters.splice(0)) {
+                clearTimeout(waiter.timer);
+                waiter.reject(poolError('Connection pool is draining', 'PoolDraining'));
+            }
+            idle.push(...account.idle);
+        }
+        // accounts with no clients left would otherwise never be cleaned up
+        for (let account of this.accounts.values()) {
+            if (!account.idle.length && !account.active.size) {
+                this.accounts.delete(account.key);
+            }
+        }
+
+        await Promise.all(idle.map(entry => this.evict(entry, 'drain')));
+        this.checkDrained();
+
+        await drained;
+    }
+}
+
+module.exports.ImapFlowPool = ImapFlowPool;
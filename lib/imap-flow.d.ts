@@ -1,6 +1,6 @@
 import { EventEmitter } from 'events';
 import { ConnectionOptions } from 'tls';
-import { Readable } from 'stream';
+import { Readable, Duplex } from 'stream';
 
 export interface ImapFlowOptions {
     /** Hostname of the IMAP server */
@@ -21,10 +21,18 @@ export interface ImapFlowOptions {
         pass?: string;
         /** OAuth2 access token, if using OAuth2 authentication */
         accessToken?: string;
-        /** Optional login method override. Set to 'LOGIN', 'AUTH=LOGIN' or 'AUTH=PLAIN' to use specific method */
+        /** Async OAuth2 access token provider, called on every authentication. If the server rejects the token, it is called again once with `force: true` and must return a new token */
+        getAccessToken?: (options: { force: boolean }) => Promise<string> | string;
+        /** Optional login method override. Set to 'LOGIN', 'AUTH=LOGIN', 'AUTH=PLAIN', 'AUTH=SCRAM-SHA-1', 'AUTH=SCRAM-SHA-256', 'AUTH=SCRAM-SHA-1-PLUS', 'AUTH=SCRAM-SHA-256-PLUS' or 'AUTH=CRAM-MD5' to use specific method */
         loginMethod?: string;
-        /** Authorization identity for SASL PLAIN (used for admin impersonation/delegation). When set, authenticates as `user` but authorizes as `authzid` */
+        /** If true, AUTH=CRAM-MD5 may be used for legacy servers. It is never selected otherwise unless forced with `loginMethod` */
+        allowCramMd5?: boolean;
+        /** Authorization identity for SASL PLAIN and SCRAM (used for admin impersonation/delegation). When set, authenticates as `user` but authorizes as `authzid` */
         authzid?: string;
+        /** SASL mechanisms to use in order of preference, e.g. ['SCRAM-SHA-256', 'PLAIN']. Only mechanisms advertised by the server are used */
+        mechanisms?: string[];
+        /** Additional credentials for custom SASL mechanisms */
+        [key: string]: unknown;
     };
     /** Client identification info sent to the server if server supports ID extension */
     clientInfo?: IdInfoObject;
@@ -36,6 +44,8 @@ export interface ImapFlowOptions {
     logger?: Logger | false;
     /** If true, log data read and written to socket encoded in base64 */
     logRaw?: boolean;
+    /** Records the raw protocol dialogue, credentials are redacted */
+    recorder?: SessionRecorder;
     /** If true, emit 'log' events */
     emitLogs?: boolean;
     /** If true, then logs out automatically after successful authentication */
@@ -59,8 +69,20 @@ export interface ImapFlowOptions {
      * Node as-is. Proxy DNS and negotiation run inside `connectionTimeout`.
      */
     proxy?: string;
+    /**
+     * Returns the transport to use instead of a TCP connection, any Duplex stream works. If `secure` is set,
+     * TLS is negotiated on top of the returned stream. Takes precedence over `proxy`
+     */
+    socketFactory?: (options: { host: string; port: number; servername: string | false; secure: boolean }) => Duplex | Promise<Duplex>;
     /** If true, then use QRESYNC instead of CONDSTORE. EXPUNGE notifications will include UID instead of sequence number */
     qresync?: boolean;
+    /**
+     * Cache store for mailbox lists, mailbox state and message metadata. If set, fetch() serves
+     * envelope, bodyStructure, size and internalDate from the cache and only asks the server for
+     * flags and uncached messages. Cached messages are removed when the server reports them with
+     * VANISHED, so use `qresync: true` with a cache
+     */
+    cache?: CacheStore;
     /** If set, then breaks and restarts IDLE every maxIdleTime ms */
     maxIdleTime?: number;
     /** What command to run if IDLE is not supported. Defaults to 'NOOP' */
@@ -81,6 +103,12 @@ export interface ImapFlowOptions {
     greetingTimeout?: number;
     /** How long to wait for socket inactivity before timing out the connection. Defaults to 5 minutes */
     socketTimeout?: number;
+    /**
+     * Re-establish a lost connection automatically: the client authenticates again, re-selects the
+     * mailbox that was open and grants queued mailbox locks. `close` is then only emitted after
+     * `logout()`, `close()` or when reconnecting is given up. Disabled by default
+     */
+    reconnect?: boolean | ReconnectOptions;
     /**
      * Maximum allowed length in bytes of a single response line (a response without a literal).
      * Guards against a malicious or broken server that never sends a line terminator. Defaults to
@@ -127,6 +155,39 @@ export interface ImapFlowOptions {
     expungeHandler?: (event: ExpungeEvent) => Promise<void> | void;
 }
 
+export interface SaslMechanismContext {
+    /** IMAP connection instance */
+    connection: ImapFlow;
+    /** Username from auth.user */
+    username: string;
+    /** Mechanism name */
+    mechanism: string;
+    /** Password from auth.pass */
+    password?: string;
+    /** OAuth2 access token */
+    accessToken?: string;
+    /** Authorization identity */
+    authzid?: string;
+    /** Forced login method */
+    loginMethod?: string;
+    /** Any other auth option */
+    [key: string]: unknown;
+}
+
+export interface SaslMechanismSession {
+    /** Initial response sent with the AUTHENTICATE command itself */
+    initialResponse?: Buffer | string;
+    /** Returns the response for a decoded server challenge */
+    step?(challenge: Buffer): Buffer | string | Promise<Buffer | string>;
+    /** Called once the server accepted the authentication, throw to reject it */
+    finish?(): void | Promise<void>;
+    /** Authorized identity, defaults to auth.user */
+    identity?: string;
+}
+
+/** Creates a session for a SASL mechanism, or returns false if the mechanism can not be used with the given credentials */
+export type SaslMechanismFactory = (context: SaslMechanismContext) => SaslMechanismSession | false | Promise<SaslMechanismSession | false>;
+
 export interface Logger {
     debug(obj: any): void;
     info(obj: any): void;
@@ -147,6 +208,8 @@ export interface MailboxObject {
     listed?: boolean;
     /** True if the mailbox is subscribed - reported by LSUB or by LIST RETURN (SUBSCRIBED) on LIST-EXTENDED/IMAP4rev2 servers. Servers that answer neither report no subscription state at all, and every mailbox is then assumed to be subscribed */
     subscribed?: boolean;
+    /** Rights of the logged in user on this mailbox, set if server supports the LIST-MYRIGHTS extension */
+    myRights?: RightsObject;
     /** A Set of flags available to use in this mailbox. If it is not set or includes special flag "\*" then any flag can be used */
     permanentFlags?: Set<string>;
     /** Unique mailbox ID if server has OBJECTID extension enabled */
@@ -211,6 +274,67 @@ export interface QuotaResponse {
     };
 }
 
+export interface MetadataResponse {
+    /** Mailbox path the entries belong to, an empty string for server annotations */
+    path: string;
+    /** Entry values keyed by entry name, null for entries without a value */
+    entries: { [entry: string]: string | null };
+    /** Size of the largest value left out because of maxSize */
+    longEntries?: number;
+}
+
+export interface MetadataOptions {
+    /** Also return entries below the requested ones */
+    depth?: 0 | 1 | 'infinity';
+    /** Only return values up to this many octets */
+    maxSize?: number;
+}
+
+export interface RightsObject {
+    /** Rights string as reported by the server, eg. "lrswipkxtea" */
+    rights: string;
+    /** l - mailbox is visible to LIST */
+    lookup: boolean;
+    /** r - SELECT the mailbox, FETCH, SEARCH and COPY from it */
+    read: boolean;
+    /** s - keep the \Seen flag across sessions */
+    seen: boolean;
+    /** w - set and clear flags other than \Seen and \Deleted */
+    write: boolean;
+    /** i - APPEND and COPY into the mailbox */
+    insert: boolean;
+    /** p - send mail to the submission address of the mailbox */
+    post: boolean;
+    /** k (or obsolete c) - create child mailboxes */
+    createMailbox: boolean;
+    /** x (or obsolete d) - delete or rename the mailbox */
+    deleteMailbox: boolean;
+    /** t (or obsolete d) - set and clear the \Deleted flag */
+    deleteMessages: boolean;
+    /** e (or obsolete d) - EXPUNGE the mailbox */
+    expunge: boolean;
+    /** a - change the ACL of the mailbox */
+    administer: boolean;
+}
+
+export interface AclEntry {
+    /** User or group identifier, eg. "anyone" */
+    identifier: string;
+    /** Rights granted to the identifier */
+    rights: RightsObject;
+}
+
+export interface ListRightsResponse {
+    /** Mailbox path */
+    path: string;
+    /** User or group identifier */
+    identifier: string;
+    /** Rights that are always granted to the identifier */
+    required: RightsObject;
+    /** Groups of rights that can be granted, each group is granted or revoked as a whole */
+    optional: RightsObject[];
+}
+
 export interface ListResponse {
     /** Mailbox path (unicode string) */
     path: string;
@@ -236,6 +360,8 @@ export interface ListResponse {
     subscribed: boolean;
     /** If statusQuery was used, then this value includes the status response */
     status?: StatusObject;
+    /** Rights of the logged in user on this mailbox, set if server supports the LIST-MYRIGHTS extension */
+    myRights?: RightsObject;
 }
 
 export interface ListOptions {
@@ -449,6 +575,10 @@ export interface FetchQueryObject {
     headers?: boolean | string[];
     /** An array of BODYPART identifiers to include in the response */
     bodyParts?: Array<string | { key: string; start?: number; maxLength?: number }>;
+    /** If true then include a short plain text preview of the message. Uses the PREVIEW extension if available, otherwise the preview is built from the first text part */
+    preview?: boolean;
+    /** If true then include a parsed message with decoded headers, text and HTML bodies and attachment details. Only the header and the text parts are fetched */
+    parsed?: boolean;
     /** Fast macro equivalent to flags, internalDate, size */
     fast?: boolean;
     /** All macro equivalent to flags, internalDate, size, envelope */
@@ -553,10 +683,44 @@ export interface FetchMessageObject {
     binaryParts?: Set<string>;
     /** Requested header lines as Buffer */
     headers?: Buffer;
+    /** Plain text preview of the message. Null if the server has not generated the preview yet, an empty string if the message has no text content */
+    preview?: string | null;
+    /** Parsed message, only present if `parsed` was requested and the header and text parts of the message could be fetched */
+    parsed?: ParsedMessageObject;
     /** Account unique ID for this email */
     id?: string;
 }
 
+export interface ParsedAttachmentObject {
+    /** Body part number */
+    part: string;
+    /** Content-Type of the attachment */
+    contentType: string;
+    /** Decoded filename */
+    filename: string | false;
+    /** Content disposition, `inline` for parts that are referenced from HTML */
+    disposition: string;
+    /** Content-ID without angle brackets */
+    contentId: string | false;
+    /** Transfer encoding */
+    encoding: string;
+    /** Encoded size of the part */
+    size: number;
+    /** Downloads the decoded contents of the attachment. The mailbox of the message must be open */
+    stream(): Promise<Readable>;
+}
+
+export interface ParsedMessageObject {
+    /** Decoded header values, keys are lowercase */
+    headers: Map<string, string[]>;
+    /** Plain text body, false if the message has no plain text */
+    text: string | false;
+    /** HTML body, false if the message has no HTML */
+    html: string | false;
+    /** Attachments and inline parts that are not text bodies */
+    attachments: ParsedAttachmentObject[];
+}
+
 export interface DownloadObject {
     /** Content metadata */
     meta: {
@@ -592,6 +756,38 @@ export interface AppendResponseObject {
     seq?: number;
 }
 
+export interface CatenatePart {
+    /** Text content to include */
+    text?: string | Buffer;
+    /** IMAP URL of a stored message or message part to include */
+    url?: string;
+}
+
+export interface AppendMessageObject {
+    /** RFC822 formatted email message, or message parts to be joined by the server (requires CATENATE) */
+    content: string | Buffer | CatenatePart[];
+    /** Flags to be set for the uploaded message */
+    flags?: string[];
+    /** Internal date to be set for the message */
+    idate?: Date | string;
+}
+
+export interface ReplaceResponseObject {
+    /** Path of the mailbox the replaced message was in */
+    path: string;
+    /** Full mailbox path where the new message was uploaded to */
+    destination: string;
+    /**
+     * True if the old message was removed. Always true with the REPLACE extension, without it
+     * false if the new message was uploaded but deleting the old one failed
+     */
+    deleted: boolean;
+    /** Mailbox UIDVALIDITY if server has UIDPLUS extension enabled */
+    uidValidity?: bigint;
+    /** UID of the new message if server has UIDPLUS extension enabled */
+    uid?: number;
+}
+
 export interface CopyResponseObject {
     /** Path of source mailbox */
     path: string;
@@ -610,6 +806,8 @@ export interface FetchOptions {
     changedSince?: bigint;
     /** If true then requests a binary response if the server supports this */
     binary?: boolean;
+    /** If false then the cache store is not used even if it is set. Defaults to true */
+    cache?: boolean;
 }
 
 export interface StoreOptions {
@@ -617,6 +815,8 @@ export interface StoreOptions {
     uid?: boolean;
     /** If set then only messages with a lower or equal modseq value are updated */
     unchangedSince?: bigint;
+    /** Called with the sequence numbers (UIDs if uid is set) of messages that were not updated because of unchangedSince */
+    onModified?: (modified: number[]) => void;
     /** If true then update Gmail labels instead of message flags */
     useLabels?: boolean;
     /** If true then does not emit 'flags' event */
@@ -682,6 +882,77 @@ export interface FlagsEvent {
     flagColor?: string;
 }
 
+export interface MessageNewEvent {
+    /** Mailbox path */
+    path: string;
+    /** Message data requested with NOTIFY fetch attributes */
+    message: FetchMessageObject;
+}
+
+export interface MailboxStatusEvent {
+    /** Mailbox path */
+    path: string;
+    /** Count of messages */
+    messages?: number;
+    /** Predicted next UID */
+    uidNext?: number;
+    /** Mailbox UIDVALIDITY value */
+    uidValidity?: bigint;
+    /** Count of unseen messages */
+    unseen?: number;
+    /** Last known modseq value */
+    highestModseq?: bigint;
+}
+
+export interface MailboxChangeEvent {
+    /** Mailbox path */
+    path: string;
+    /** Mailbox path delimiter */
+    delimiter: string;
+    /** Mailbox flags as listed by the server */
+    flags: Set<string>;
+    /** True if the mailbox is subscribed */
+    subscribed: boolean;
+    /** True if the mailbox was deleted */
+    deleted: boolean;
+    /** Previous path of a renamed mailbox */
+    oldPath?: string;
+}
+
+export interface ReconnectOptions {
+    /** Delay before the first attempt in milliseconds, doubled for every following attempt. Defaults to 1000 */
+    initialDelay?: number;
+    /** Upper limit for the delay between attempts. Defaults to 60000 */
+    maxDelay?: number;
+    /** Attempts to make before giving up, 0 means no limit. Defaults to 0 */
+    maxAttempts?: number;
+}
+
+export interface ReconnectingEvent {
+    /** Attempt number, starting from 1 */
+    attempt: number;
+    /** Milliseconds until the attempt */
+    delay: number;
+    /** Why the previous attempt failed */
+    err?: Error;
+}
+
+export interface ReconnectedEvent {
+    /** Attempt that succeeded */
+    attempt: number;
+    /** Re-selected mailbox, false if no mailbox was open */
+    mailbox: MailboxObject | false;
+    /** State of the mailbox when the connection was lost */
+    previousMailbox: { path: string; readOnly: boolean; uidValidity?: bigint; highestModseq?: bigint } | false;
+}
+
+export interface MetadataChangeEvent {
+    /** Mailbox path, an empty string for server annotations */
+    path: string;
+    /** Names of the changed entries */
+    entries: string[];
+}
+
 export interface LogEvent {
     /** Log level */
     level: 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'fatal';
@@ -723,6 +994,65 @@ export interface ESearchResult {
     modseq?: bigint;
 }
 
+/** Sort key names supported by the SORT (RFC 5256) and SORT=DISPLAY (RFC 5957) extensions */
+export type SortKey = 'arrival' | 'cc' | 'date' | 'from' | 'size' | 'subject' | 'to' | 'displayFrom' | 'displayTo';
+
+/** Sort criteria entry, either a key name or a key with a reverse flag */
+export type SortCriteria =
+    | SortKey
+    | {
+          key: SortKey;
+          /** Sort this key in reverse order */
+          reverse?: boolean;
+      };
+
+/** NOTIFY event names (RFC 5465) */
+export type NotifyEvent =
+    | 'messageNew'
+    | 'messageExpunge'
+    | 'flagChange'
+    | 'annotationChange'
+    | 'mailboxName'
+    | 'subscriptionChange'
+    | 'mailboxMetadataChange'
+    | 'serverMetadataChange';
+
+/** Events for a NOTIFY mailbox filter, an empty list disables notifications for these mailboxes */
+export type NotifyFilter =
+    | NotifyEvent[]
+    | {
+          events: NotifyEvent[];
+          /** Mailbox paths, required for subtree and mailboxes filters */
+          paths?: string[];
+          /** FETCH attributes sent with every new message, only for selected mailbox filters */
+          fetch?: string[];
+      };
+
+export interface NotifyFilters {
+    selected?: NotifyFilter;
+    selectedDelayed?: NotifyFilter;
+    inboxes?: NotifyFilter;
+    personal?: NotifyFilter;
+    subscribed?: NotifyFilter;
+    subtree?: NotifyFilter | NotifyFilter[];
+    mailboxes?: NotifyFilter | NotifyFilter[];
+}
+
+export interface NotifyOptions {
+    /** Report the current status of every matching mailbox right away */
+    status?: boolean;
+}
+
+/** Thread tree node returned by {@link ImapFlow.thread} */
+export interface ThreadNode {
+    /** Message UID, `null` for a placeholder node that groups sibling threads without a common parent */
+    uid?: number | null;
+    /** Sequence number instead of `uid` when threading with `uid: false` */
+    seq?: number | null;
+    /** Replies to this message */
+    children: ThreadNode[];
+}
+
 export class AuthenticationFailure extends Error {
     authenticationFailed: true;
     serverResponseCode?: string;
@@ -734,6 +1064,9 @@ export class ImapFlow extends EventEmitter {
     /** Current module version */
     static version: string;
 
+    /** Registers a custom SASL mechanism, or replaces a built-in one */
+    static registerSaslMechanism(name: string, factory: SaslMechanismFactory): void;
+
     /** Instance ID for logs */
     id: string;
 
@@ -761,6 +1094,9 @@ export class ImapFlow extends EventEmitter {
     /** Is current mailbox idling */
     idling: boolean;
 
+    /** Active NOTIFY filters, or false if NOTIFY is not active */
+    notifyFilters: { filters: NotifyFilters; options: NotifyOptions } | false;
+
     constructor(options: ImapFlowOptions);
 
     /** Initiates a connection against IMAP server */
@@ -769,12 +1105,42 @@ export class ImapFlow extends EventEmitter {
     /** Graceful connection close by sending logout command to server */
     logout(): Promise<void>;
 
+    /** Authenticates the connection, runs automatically on connect. Call it to authenticate again after `unauthenticate()`, optionally with different credentials */
+    authenticate(auth?: ImapFlowOptions['auth']): Promise<boolean>;
+
+    /** Ends the authenticated session but keeps the connection open (requires UNAUTHENTICATE extension) */
+    unauthenticate(): Promise<boolean>;
+
     /** Closes TCP connection without notifying the server */
     close(): void;
 
     /** Returns current quota */
     getQuota(path?: string): Promise<QuotaResponse | false>;
 
+    /** Reads mailbox or server annotations (requires METADATA or METADATA-SERVER extension) */
+    getMetadata(path: string, entries: string | string[], options?: MetadataOptions): Promise<MetadataResponse | false>;
+
+    /** Sets or removes mailbox or server annotations, null values remove entries */
+    setMetadata(path: string, entries: { [entry: string]: string | Buffer | null }): Promise<boolean>;
+
+    /** Reads the access control list of a mailbox (requires ACL extension) */
+    getAcl(path: string): Promise<AclEntry[] | false>;
+
+    /** Changes the rights of an identifier on a mailbox, a leading "+" or "-" in a rights string adds or removes rights */
+    setAcl(path: string, identifier: string, rights: string | Partial<RightsObject>): Promise<boolean>;
+
+    /** Removes an identifier from the access control list of a mailbox */
+    deleteAcl(path: string, identifier: string): Promise<boolean>;
+
+    /** Lists the rights that can be granted to an identifier on a mailbox */
+    listRights(path: string, identifier: string): Promise<ListRightsResponse | false>;
+
+    /** Reads the rights the logged in user has on a mailbox */
+    myRights(path: string): Promise<RightsObject | false>;
+
+    /** Starts or stops change notifications for multiple mailboxes (requires NOTIFY extension) */
+    notify(filters: NotifyFilters | false, options?: NotifyOptions): Promise<boolean>;
+
     /** Lists available mailboxes as an Array */
     list(options?: ListOptions): Promise<ListResponse[]>;
 
@@ -841,7 +1207,13 @@ export class ImapFlow extends EventEmitter {
     messageDelete(range: SequenceString | number[] | SearchObject, options?: { uid?: boolean }): Promise<boolean>;
 
     /** Appends a new message to a mailbox */
-    append(path: string, content: string | Buffer, flags?: string[], idate?: Date | string): Promise<AppendResponseObject | false>;
+    append(path: string, content: string | Buffer | CatenatePart[], flags?: string[], idate?: Date | string): Promise<AppendResponseObject | false>;
+
+    /** Builds an IMAP URL for a message or message part in the current mailbox, for use as a CATENATE part */
+    getMessageUrl(uid: number, options?: { section?: string; path?: string; uidValidity?: bigint }): string | false;
+
+    /** Appends multiple messages to a mailbox, with a single command if server supports MULTIAPPEND */
+    appendMany(path: string, messages: Array<AppendMessageObject | string | Buffer>): Promise<AppendResponseObject[] | false>;
 
     /** Copies messages from current mailbox to destination mailbox */
     messageCopy(range: SequenceString | number[] | SearchObject, destination: string, options?: { uid?: boolean }): Promise<CopyResponseObject | false>;
@@ -849,8 +1221,18 @@ export class ImapFlow extends EventEmitter {
     /** Moves messages from current mailbox to destination mailbox */
     messageMove(range: SequenceString | number[] | SearchObject, destination: string, options?: { uid?: boolean }): Promise<CopyResponseObject | false>;
 
+    /** Replaces a message in the current mailbox with a new message, atomically if server supports REPLACE */
+    messageReplace(
+        uid: number,
+        path: string,
+        content: string | Buffer | CatenatePart[],
+        flags?: string[],
+        idate?: Date | string
+    ): Promise<ReplaceResponseObject | false>;
+
     /** Search messages from the currently opened mailbox — returns number[] (backward-compatible) */
     search(query: SearchObject, options?: { uid?: boolean }): Promise<number[] | false>;
+
     /** Search messages with ESEARCH RETURN options — returns ESearchResult */
     search(
         query: SearchObject,
@@ -860,6 +1242,15 @@ export class ImapFlow extends EventEmitter {
         }
     ): Promise<ESearchResult | number[] | false>;
 
+    /** Sorts messages from the currently opened mailbox on the server side (requires SORT extension) */
+    sort(criteria: SortCriteria | SortCriteria[], query?: SearchObject | boolean, options?: { uid?: boolean }): Promise<number[] | false>;
+
+    /** Lists threading algorithms advertised by the server through THREAD= capabilities */
+    getThreadAlgorithms(): string[];
+
+    /** Threads messages from the currently opened mailbox, on the server if it supports THREAD and on the client otherwise */
+    thread(query?: SearchObject | boolean, options?: { algorithm?: string; uid?: boolean }): Promise<ThreadNode[] | false>;
+
     /** Fetch messages from the currently opened mailbox */
     fetch(range: SequenceString | number[] | SearchObject, query: FetchQueryObject, options?: FetchOptions): AsyncIterableIterator<FetchMessageObject>;
 
@@ -898,6 +1289,19 @@ export class ImapFlow extends EventEmitter {
         };
     }>;
 
+    /** Lists the attachments of a message from its BODYSTRUCTURE, including the files of attached messages. Contents are downloaded on demand */
+    attachments(
+        uid: number | string,
+        options?: {
+            /** Only list parts of these types, `image/*` matches every image type */
+            contentType?: string | string[];
+            /** Only list parts with an encoded size of up to this many bytes */
+            maxSize?: number;
+            /** If false then inline parts are not listed */
+            inline?: boolean;
+        }
+    ): AsyncIterableIterator<ParsedAttachmentObject>;
+
     /** Opens a mailbox if not already open and returns a lock */
     getMailboxLock(path: string | string[], options?: MailboxLockOptions): Promise<MailboxLockObject>;
 
@@ -928,9 +1332,256 @@ export class ImapFlow extends EventEmitter {
     /** Mailbox was closed, either explicitly or because the connection went away while a mailbox was still selected */
     on(event: 'mailboxClose', listener: (mailbox: MailboxObject) => void): this;
 
+    /** New message data in the currently opened mailbox, requires NOTIFY with fetch attributes */
+    on(event: 'messageNew', listener: (data: MessageNewEvent) => void): this;
+
+    /** Status of another mailbox changed (NOTIFY) */
+    on(event: 'mailboxStatus', listener: (data: MailboxStatusEvent) => void): this;
+
+    /** A mailbox was created, deleted, renamed or its subscription changed (NOTIFY) */
+    on(event: 'mailboxChange', listener: (data: MailboxChangeEvent) => void): this;
+
+    /** Mailbox or server annotations changed (NOTIFY) */
+    on(event: 'metadataChange', listener: (data: MetadataChangeEvent) => void): this;
+
+    /** Server stopped sending NOTIFY notifications */
+    on(event: 'notifyOverflow', listener: () => void): this;
+
+    /** Connection was lost and a reconnect attempt is scheduled */
+    on(event: 'reconnecting', listener: (data: ReconnectingEvent) => void): this;
+
+    /** Connection was re-established after it was lost */
+    on(event: 'reconnected', listener: (data: ReconnectedEvent) => void): this;
+
     /** Log event if emitLogs=true */
     on(event: 'log', listener: (entry: LogEvent) => void): this;
 
     /** Response event */
     on(event: 'response', listener: (response: ResponseEvent) => void): this;
 }
+
+export interface ImapFlowPoolOptions {
+    /** Maximum number of concurrent connections per account (host, port and username), defaults to 5 */
+    maxConnections?: number;
+    /** Milliseconds after which an unused client is logged out, defaults to 5 minutes. Set to 0 to keep idle clients */
+    idleTimeout?: number;
+    /** Idle clients unused for longer than this (in milliseconds) are checked with NOOP before they are leased, defaults to 30 seconds */
+    healthCheckInterval?: number;
+    /** Milliseconds to wait for the health check NOOP before the client is evicted, defaults to 10 seconds */
+    healthCheckTimeout?: number;
+    /** Milliseconds to wait for a free connection before acquire() fails, 0 (default) waits forever */
+    acquireTimeout?: number;
+    /** Default ImapFlow options, merged with the options given to acquire() */
+    clientOptions?: Partial<ImapFlowOptions>;
+}
+
+export interface PoolLeaseObject {
+    /** Connected client, only use it until the lease is released */
+    client: ImapFlow;
+    /** Mailbox lock held for the lease, or false if no mailbox was requested */
+    lock: MailboxLockObject | false;
+    /** Releases the mailbox lock and returns the client to the pool, or logs it out if `destroy` is set */
+    release(options?: { destroy?: boolean }): Promise<void>;
+}
+
+export interface PoolEvictEvent {
+    /** Account key */
+    key: string;
+    /** Removed client */
+    client: ImapFlow;
+    /** Why the client was removed */
+    reason: string;
+}
+
+export class ImapFlowPool extends EventEmitter {
+    constructor(options?: ImapFlowPoolOptions);
+
+    /** Current pool usage over all accounts */
+    readonly size: { idle: number; active: number; waiting: number };
+
+    /** Leases a connected client for an account, optionally holding a lock on a mailbox */
+    acquire(options: ImapFlowOptions, path?: string | string[], lockOptions?: MailboxLockOptions): Promise<PoolLeaseObject>;
+
+    /** Stops handing out leases and logs out every client once it is released */
+    drain(): Promise<void>;
+
+    /** A new client was connected */
+    on(event: 'create', listener: (data: { key: string; client: ImapFlow }) => void): this;
+
+    /** A client was removed from the pool */
+    on(event: 'evict', listener: (data: PoolEvictEvent) => void): this;
+}
+
+export interface MailboxSyncState {
+    /** UIDVALIDITY of the mailbox when the state was stored */
+    uidValidity: bigint | string;
+    /** HIGHESTMODSEQ of the mailbox when the state was stored, false without CONDSTORE */
+    highestModseq?: bigint | string | false;
+    /** UIDs of the messages in the local mirror */
+    knownUids: number[];
+}
+
+export interface MailboxSyncChange {
+    uid: number;
+    flags: Set<string>;
+    modseq?: bigint;
+    flagColor?: string;
+}
+
+export interface MailboxSyncDelta {
+    /** UIDVALIDITY changed or there was no stored state, the local mirror must be rebuilt */
+    reset: boolean;
+    /** UIDs of messages that are not in knownUids */
+    added: number[];
+    /** UIDs from knownUids of messages that were expunged */
+    vanished: number[];
+    /** Flags of messages that changed, new messages included. Without CONDSTORE every message is listed */
+    changed: MailboxSyncChange[];
+    /** How the delta was computed */
+    mode: 'qresync' | 'condstore' | 'full';
+}
+
+export interface MailboxSyncResult {
+    path: string;
+    mailbox: MailboxObject;
+    delta: MailboxSyncDelta;
+    /** New state to persist for the next sync */
+    state: { uidValidity: bigint; highestModseq: bigint | false; knownUids: number[] };
+}
+
+export class MailboxSync {
+    constructor(client: ImapFlow, options?: { readOnly?: boolean });
+
+    /** Computes the changes to a mailbox since the stored state, holds a lock on the mailbox while running */
+    sync(path: string | string[], state?: MailboxSyncState): Promise<MailboxSyncResult>;
+}
+
+export interface CachedMessageEntry {
+    uid: number;
+    envelope?: MessageEnvelopeObject;
+    bodyStructure?: MessageStructureObject;
+    size?: number;
+    internalDate?: Date | string;
+    flags?: Set<string>;
+    flagColor?: string;
+    modseq?: bigint;
+}
+
+/** Storage interface for cached mailbox and message metadata, implement every method for a custom store */
+export class CacheStore {
+    getMailboxList(): Promise<ListResponse[] | null>;
+    setMailboxList(list: ListResponse[]): Promise<void>;
+    getMailbox(path: string): Promise<MailboxObject | null>;
+    /** Stores the state of an opened mailbox, cached messages are dropped if UIDVALIDITY changed */
+    setMailbox(path: string, mailbox: MailboxObject): Promise<void>;
+    getMessages(path: string, uidValidity: bigint, uids: number[]): Promise<Map<number, CachedMessageEntry>>;
+    setMessages(path: string, uidValidity: bigint, messages: FetchMessageObject[]): Promise<void>;
+    deleteMessages(path: string, uidValidity: bigint, uids: number[]): Promise<void>;
+    clear(): Promise<void>;
+}
+
+/** Cache store that keeps everything in memory */
+export class MemoryCacheStore extends CacheStore {
+    constructor();
+}
+
+/** Cache store that writes the cached data to a JSON file */
+export class FileCacheStore extends MemoryCacheStore {
+    constructor(filename: string);
+}
+
+export interface OfflineQueueIntent {
+    id: string;
+    action: 'flagsAdd' | 'flagsRemove' | 'flagsSet' | 'move' | 'copy' | 'delete';
+    path: string;
+    /** UIDVALIDITY as a string, so that intents can be stored as JSON */
+    uidValidity: string;
+    uids: number[];
+    flags?: string[];
+    destination?: string;
+    unchangedSince?: string;
+    useLabels?: boolean;
+    /** ISO date string */
+    created: string;
+}
+
+export interface OfflineQueueResult {
+    intent: OfflineQueueIntent;
+    status: 'queued' | 'applied' | 'conflict' | 'uidValidityChanged' | 'failed';
+    /** UIDs that failed the UNCHANGEDSINCE test */
+    modified?: number[];
+    /** Result of move and copy */
+    response?: CopyResponseObject;
+    err?: Error;
+}
+
+export interface OfflineQueueStorage {
+    load(): Promise<OfflineQueueIntent[] | null | undefined>;
+    save(intents: OfflineQueueIntent[]): Promise<void>;
+}
+
+export interface OfflineQueueOptions {
+    /** UIDVALIDITY the UIDs belong to, required unless the mailbox is open in the attached client */
+    uidValidity?: bigint | string;
+    /** Messages with a higher modseq on the server are not changed. Not used for move and copy */
+    unchangedSince?: bigint | string;
+    /** If true then update Gmail labels instead of message flags */
+    useLabels?: boolean;
+}
+
+/** Records message changes while disconnected and replays these in order once a client is connected */
+export class OfflineQueue extends EventEmitter {
+    constructor(options?: { storage?: OfflineQueueStorage });
+
+    pending(): Promise<OfflineQueueIntent[]>;
+    /** Replays queued intents now and whenever the client emits 'reconnected' */
+    attach(client: ImapFlow): Promise<OfflineQueueResult[]>;
+    detach(): void;
+    replay(): Promise<OfflineQueueResult[]>;
+
+    messageFlagsAdd(path: string, uids: number[], flags: string[], options?: OfflineQueueOptions): Promise<OfflineQueueResult>;
+    messageFlagsRemove(path: string, uids: number[], flags: string[], options?: OfflineQueueOptions): Promise<OfflineQueueResult>;
+    messageFlagsSet(path: string, uids: number[], flags: string[], options?: OfflineQueueOptions): Promise<OfflineQueueResult>;
+    messageDelete(path: string, uids: number[], options?: OfflineQueueOptions): Promise<OfflineQueueResult>;
+    messageMove(path: string, uids: number[], destination: string, options?: OfflineQueueOptions): Promise<OfflineQueueResult>;
+    messageCopy(path: string, uids: number[], destination: string, options?: OfflineQueueOptions): Promise<OfflineQueueResult>;
+
+    on(event: 'replayed', listener: (result: OfflineQueueResult) => void): this;
+}
+
+export interface SessionRecordingEvent {
+    /** Milliseconds since the connection was established */
+    t: number;
+    /** `c` for data sent by the client, `s` for data sent by the server */
+    src: 'c' | 's';
+    /** Base64 encoded data */
+    data: string;
+    /** Set if credentials were removed from the data */
+    redacted?: boolean;
+}
+
+export interface SessionRecordingSession {
+    host: string;
+    port: number;
+    secure: boolean;
+    clientInfo: IdInfoObject | null;
+    /** ISO date of the connection */
+    started: string;
+    events: SessionRecordingEvent[];
+}
+
+export interface SessionRecording {
+    version: number;
+    sessions: SessionRecordingSession[];
+}
+
+/** Records the raw protocol dialogue of ImapFlow sessions, set as the `recorder` option */
+export class SessionRecorder {
+    constructor(options?: { redact?: boolean });
+
+    sessions: SessionRecordingSession[];
+
+    open(info: { host: string; port: number; secure: boolean; clientInfo?: IdInfoObject }): void;
+    record(src: 'c' | 's', chunk: Buffer): void;
+    toJSON(): SessionRecording;
+}
@@ -25,6 +25,9 @@ const { PassThrough } = require('stream');
 
 const { proxyConnection, detachEarlyErrorHandler } = require('./proxy-connection');
 const { ConnectionDeadline } = require('./connection-deadline');
+const { CacheStore, MemoryCacheStore, FileCacheStore, IMMUTABLE_FIELDS } = require('./cache-store');
+const { SessionRecorder } = require('./session-recorder');
+const { findAttachments, withStream } = require('./parsed-message');
 
 const {
     comparePaths,
@@ -34,6 +37,7 @@ const {
     getDecoder,
     packMessageRange,
     normalizePath,
+    decodePath,
     expandRange,
     AuthenticationFailure,
     getColorFlags,
@@ -42,13 +46,34 @@ const {
     parseUintValue,
     isUnsafeKey,
     getStringList,
+    getThreadAlgorithms,
+    formatImapUrl,
     MAX_UINT32_DIGITS
 } = require('./tools');
 
 const imapCommands = require('./imap-commands.js');
+const { threadMessages } = require('./jwz-thread');
+const { parseStatusList } = require('./commands/status-fields.js');
+const { registerSaslMechanism, getMechanismOrder } = require('./commands/sasl-mechanisms.js');
 
 const noop = () => {};
 
+// Fields of an unsolicited FETCH response that report a flag change rather than new message data.
+// `id` is derived from the UID by formatMessageResponse(), so it is present on every such response
+const FLAG_UPDATE_KEYS = new Set(['seq', 'uid', 'id', 'emailId', 'modseq', 'flags', 'flagColor']);
+
+// Fetch query keys the `cache` store can answer, UIDs and flags are still fetched from the server
+const CACHEABLE_QUERY_KEYS = new Set(['uid', 'flags', ...IMMUTABLE_FIELDS]);
+
+// Messages read from the `cache` store and fetched from the server at a time
+const CACHE_FETCH_BATCH_SIZE = 100;
+
+// Only queries that ask for immutable fields and nothing the cache does not have are served from the cache
+const isCacheableQuery = query => {
+    let keys = Object.keys(query || {}).filter(key => query[key]);
+    return keys.some(key => IMMUTABLE_FIELDS.includes(key)) && keys.every(key => CACHEABLE_QUERY_KEYS.has(key));
+};
+
 const GREETING_TIMEOUT = 16 * 1000;
 const UPGRADE_TIMEOUT = 10 * 1000;
 
@@ -58,12 +83,23 @@ const SOCKET_TIMEOUT = 5 * 60 * 1000;
 // retries derive their delay from server-supplied hints, which are unbounded.
 const MAX_THROTTLE_DELAY = 5 * 60 * 1000;
 
+// Defaults for the `reconnect` option. The delay doubles with every failed attempt up to the
+// maximum, jitter keeps clients dropped by the same outage from returning in lockstep.
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 60 * 1000;
+
 // Default threshold for warning that a mailbox lock has been held for a long
 // time. Intended to catch forgotten release() calls, not legitimate long ops
 // (e.g. fetching hundreds of thousands of messages). Configurable via the
 // ImapFlow constructor option `maxLockHoldTime`. Set to 0 or false to disable.
 const HELD_LOCK_WARN_MS = 30 * 60 * 1000;
 
+// OAuth2 error statuses that mean the access token itself was rejected, so a fresh token may
+// succeed. OAUTHBEARER servers report `invalid_token` (RFC 7628), XOAUTH2 servers an HTTP status.
+const EXPIRED_TOKEN_STATUSES = new Set(['invalid_token', '401']);
+
+const isExpiredTokenError = err => !!(err && err.oauthError && EXPIRED_TOKEN_STATUSES.has((err.oauthError.status || '').toString().trim().toLowerCase()));
+
 const states = {
     NOT_AUTHENTICATED: 0x01,
     AUTHENTICATED: 0x02,
@@ -80,6 +116,7 @@ const states = {
  * @property {String} [specialUse] one of special-use flags (if applicable): "\All", "\Archive", "\Drafts", "\Flagged", "\Junk", "\Sent", "\Trash". Additionally INBOX has non-standard "\Inbox" flag set
  * @property {Boolean} listed `true` if mailbox was found from the output of LIST command
  * @property {Boolean} subscribed `true` if the mailbox is subscribed - reported by LSUB or by LIST RETURN (SUBSCRIBED) on LIST-EXTENDED/IMAP4rev2 servers. Servers that answer neither report no subscription state at all, and every mailbox is then assumed to be subscribed
+ * @property {RightsObject} [myRights] rights of the logged in user on this mailbox, set if server supports the `LIST-MYRIGHTS` extension
  * @property {Set<string>} permanentFlags A Set of flags available to use in this mailbox. If it is not set or includes special flag "\\\*" then any flag can be used.
  * @property {String} [mailboxId] unique mailbox ID if server has `OBJECTID` extension enabled
  * @property {BigInt} [highestModseq] latest known modseq value if server has CONDSTORE or XYMHIGHESTMODSEQ enabled
@@ -130,6 +167,42 @@ class ImapFlow extends EventEmitter {
      */
     static version = packageInfo.version;
 
+    /**
+     * Registers a custom SASL mechanism for authentication, or replaces a built-in one. The
+     * mechanism is used if the server advertises it as `AUTH=<name>`, after the built-in
+     * mechanisms unless `auth.mechanisms` sets a different preference order.
+     *
+     * The factory is called with an authentication context that includes `connection`, `username`,
+     * `mechanism` and every property of the `auth` options (the password as `password`). It returns
+     * `false` if the mechanism can not be used with these credentials, or a session object:
+     *
+     *  - `initialResponse` (Buffer|string) is sent with the AUTHENTICATE command itself
+     *  - `step(challenge)` returns the response for a decoded server challenge, can be async
+     *  - `finish()` is called once the server accepted the authentication, throw to reject it
+     *  - `identity` is the authorized identity, defaults to `auth.user`
+     *
+     * @static
+     * @param {String} name Mechanism name, eg. `"GSSAPI"`
+     * @param {Function} factory Session factory
+     * @example
+     * ImapFlow.registerSaslMechanism('X-TOKEN', context => {
+     *     if (!context.token) {
+     *         return false; // not configured, try the next mechanism
+     *     }
+     *     return {
+     *         step: challenge => `${context.username}:${context.token}:${challenge.toString()}`
+     *     };
+     * });
+     *
+     * const client = new ImapFlow({
+     *     host: 'imap.example.com',
+     *     auth: { user: 'user', token: 'abc', mechanisms: ['X-TOKEN'] }
+     * });
+     */
+    static registerSaslMechanism(name, factory) {
+        registerSaslMechanism(name, factory);
+    }
+
     /**
      * IMAP connection options
      *
@@ -172,15 +245,32 @@ class ImapFlow extends EventEmitter {
      * @property {String} [auth.accessToken]
      *     OAuth2 access token, if using OAuth2 authentication.
      *
+     * @property {Function} [auth.getAccessToken]
+     *     Async OAuth2 access token provider, used instead of `auth.accessToken`. It is called with `{ force }`
+     *     whenever the client authenticates, including reconnects, so it should return a cached token if one
+     *     is still valid. If the server rejects the token as invalid or expired, the provider is called once
+     *     more with `force: true` and must then return a newly issued token.
+     *
      * @property {String} [auth.loginMethod]
-     *     Optional login method for password-based authentication (e.g., "LOGIN", "AUTH=LOGIN", or "AUTH=PLAIN").
-     *     If not set, ImapFlow chooses based on available mechanisms.
+     *     Optional login method for password-based authentication (e.g., "LOGIN", "AUTH=LOGIN", "AUTH=PLAIN",
+     *     "AUTH=SCRAM-SHA-1", "AUTH=SCRAM-SHA-256", "AUTH=SCRAM-SHA-1-PLUS", "AUTH=SCRAM-SHA-256-PLUS" or "AUTH=CRAM-MD5").
+     *     If not set, ImapFlow chooses based on available mechanisms. SCRAM is used automatically when the
+     *     server does not offer PLAIN or LOGIN, the -PLUS variants bind the authentication to the TLS connection.
+     *
+     * @property {Boolean} [auth.allowCramMd5=false]
+     *     If `true`, AUTH=CRAM-MD5 may be used when the server offers no other usable mechanism. Meant for legacy
+     *     servers only, CRAM-MD5 is never selected without this option or a matching `auth.loginMethod`.
+     *
+     * @property {String[]} [auth.mechanisms]
+     *     SASL mechanisms to use, in order of preference (e.g., `["SCRAM-SHA-256", "PLAIN"]`). Only mechanisms
+     *     that the server advertises are used. Defaults to OAUTHBEARER, XOAUTH2, PLAIN, LOGIN, SCRAM, CRAM-MD5 and then
+     *     mechanisms registered with `ImapFlow.registerSaslMechanism()`.
      *
      * @property {String} [auth.authzid]
      *     Authorization identity for SASL PLAIN authentication (used for admin impersonation/delegation).
      *     When set, authenticates as `auth.user` but authorizes as `auth.authzid`.
      *     This is typically used in mail systems like Zimbra for admin users to access other users' mailboxes.
-     *     Only works with AUTH=PLAIN mechanism.
+     *     Only works with AUTH=PLAIN and SCRAM mechanisms.
      *
      * @property {IdInfoObject} [clientInfo]
      *     Client identification info sent to the server (via the ID command).
@@ -207,6 +297,9 @@ class ImapFlow extends EventEmitter {
      * @property {Boolean} [logRaw=false]
      *     If `true`, logs all raw data (read and written) in base64 encoding. You can pipe such logs to [eerawlog](https://github.com/postalsys/eerawlog) command for readable output.
      *
+     * @property {SessionRecorder} [recorder]
+     *     Records the raw protocol dialogue with timestamps and redacted credentials, see {@link SessionRecorder}.
+     *
      * @property {Boolean} [emitLogs=false]
      *     If `true`, emits `'log'` events with the same data passed to the logger.
      *
@@ -230,9 +323,24 @@ class ImapFlow extends EventEmitter {
      *     The proxy endpoint itself is never resolved by ImapFlow - a hostname endpoint is handed
      *     to Node as-is, keeping its normal lookup and connection behaviour.
      *
+     * @property {Function} [socketFactory]
+     *     Function `(options)` that returns the transport to use instead of a TCP connection, or a Promise for it.
+     *     Any Duplex stream works, eg. a Unix domain socket, an SSH-forwarded channel or an in-memory stream pair.
+     *     `options` includes `host`, `port`, `servername` and `secure`. If `secure` is set, TLS is negotiated on top
+     *     of the returned stream. STARTTLS, COMPRESS, `connectionTimeout` and `socketTimeout` apply as usual.
+     *     Takes precedence over `proxy`.
+     *
      * @property {Boolean} [qresync=false]
      *     If `true`, enables QRESYNC support so that EXPUNGE notifications include `uid` instead of `seq`.
      *
+     * @property {CacheStore} [cache]
+     *     Cache store for mailbox lists, mailbox state and message metadata, eg. a {@link MemoryCacheStore} or a
+     *     {@link FileCacheStore}. If set, {@link ImapFlow#fetch} serves `envelope`, `bodyStructure`, `size` and `internalDate`
+     *     from the cache and only asks the server for flags and for messages that are not cached yet. Cached messages
+     *     are removed once the server reports them as expunged with VANISHED, so use `qresync: true` with a cache. Plain
+     *     EXPUNGE responses only carry sequence numbers, the entries of such messages stay in the cache until they are
+     *     removed with `cache.deleteMessages()` or the mailbox UIDVALIDITY changes.
+     *
      * @property {Number} [maxIdleTime]
      *     If set, breaks and restarts IDLE every `maxIdleTime` milliseconds.
      *
@@ -260,6 +368,23 @@ class ImapFlow extends EventEmitter {
      *
      * @property {Number} [socketTimeout=300000]
      *     Maximum period of inactivity (in milliseconds) before terminating the connection. Defaults to 5 minutes.
+     *
+     * @property {Boolean|Object} [reconnect=false]
+     *     If set, a connection that is lost after {@link ImapFlow#connect} succeeded is re-established automatically instead of
+     *     emitting `close`. The client authenticates again, re-selects the mailbox that was open (using QRESYNC with
+     *     the last known `uidValidity` and `highestModseq` if enabled) and grants mailbox locks that were still queued.
+     *     Commands that were running when the connection dropped still fail. Emits `reconnecting` before every
+     *     attempt and `reconnected` once the session is restored. `close` is only emitted after {@link ImapFlow#logout},
+     *     {@link ImapFlow#close} or when reconnecting is given up.
+     *
+     * @property {Number} [reconnect.initialDelay=1000]
+     *     Delay (in milliseconds) before the first attempt, doubled for every following attempt.
+     *
+     * @property {Number} [reconnect.maxDelay=60000]
+     *     Upper limit for the delay between attempts.
+     *
+     * @property {Number} [reconnect.maxAttempts=0]
+     *     Attempts to make before giving up, 0 means no limit. Reconnecting also stops if authentication fails.
      */
 
     constructor(options) {
@@ -325,15 +450,8 @@ class ImapFlow extends EventEmitter {
         this.socketTimeout = Number(this.options.socketTimeout) || SOCKET_TIMEOUT;
 
         this.logRaw = this.options.logRaw;
-        this.streamer = new ImapStream({
-            logger: this.log,
-            cid: this.id,
-            logRaw: this.logRaw,
-            secureConnection: this.secureConnection,
-            maxLineLength: this.options.maxLineLength,
-            maxLiteralSize: this.options.maxLiteralSize,
-            maxResponseSize: this.options.maxResponseSize
-        });
+        this.recorder = this.options.recorder || false;
+        this.createStreamer();
 
         this.reading = false;
         this.socket = false;
@@ -421,6 +539,12 @@ class ImapFlow extends EventEmitter {
          */
         this.idling = false;
 
+        /**
+         * Active NOTIFY filters as set with {@link ImapFlow#notify}, or `false` if NOTIFY is not active
+         * @type {Object|Boolean}
+         */
+        this.notifyFilters = false;
+
         this.emitLogs = !!this.options.emitLogs;
         // ordering number for emitted logs
         this.lo = 0;
@@ -438,6 +562,7 @@ class ImapFlow extends EventEmitter {
         this.idRequested = false;
 
         this.maxIdleTime = this.options.maxIdleTime || false;
+        this.cache = this.options.cache || false;
         this.missingIdleCommand = (this.options.missingIdleCommand || '').toString().toUpperCase().trim() || 'NOOP';
 
         this.disableBinary = !!this.options.disableBinary;
@@ -450,6 +575,42 @@ class ImapFlow extends EventEmitter {
         this.skipListAuxArgs = false;
         this.skipLsub = false;
 
+        // Has the `connect` method already been called
+        this._connectCalled = false;
+
+        // Automatic reconnection, see the `reconnect` option
+        this.reconnectOptions = this.options.reconnect
+            ? Object.assign(
+                  { initialDelay: RECONNECT_DELAY, maxDelay: MAX_RECONNECT_DELAY, maxAttempts: 0 },
+                  typeof this.options.reconnect === 'object' ? this.options.reconnect : {}
+              )
+            : false;
+        this.reconnecting = false;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = false;
+        // STARTTLS upgrades secureConnection, a new connection starts from the configured transport again
+        this._secureTransport = this.secureConnection;
+        // Bumped for every new connection, so a close scheduled for a replaced connection is ignored
+        this._connectionGeneration = 0;
+        // Set once connect() has completed, only an established session is worth reconnecting
+        this._sessionEstablished = false;
+        // Set while closing a connection that failed or was closed by the server, as opposed to close() or logout()
+        this._connectionLost = false;
+        this._closeRequested = false;
+    }
+
+    createStreamer() {
+        this.streamer = new ImapStream({
+            logger: this.log,
+            cid: this.id,
+            logRaw: this.logRaw,
+            recorder: this.recorder,
+            secureConnection: this.secureConnection,
+            maxLineLength: this.options.maxLineLength,
+            maxLiteralSize: this.options.maxLiteralSize,
+            maxResponseSize: this.options.maxResponseSize
+        });
+
         // Named error handler for proper cleanup. Certain error codes represent
         // expected socket/network issues (buffer exhaustion, connection reset, broken pipe,
         // timeout, unreachable host) that just need a silent connection close rather
@@ -464,9 +625,6 @@ class ImapFlow extends EventEmitter {
             this.emitError(err);
         };
         this.streamer.on('error', this._streamerErrorHandler);
-
-        // Has the `connect` method already been called
-        this._connectCalled = false;
     }
 
     emitError(err) {
@@ -537,7 +695,7 @@ class ImapFlow extends EventEmitter {
 
         if (this.writeSocket.destroyed) {
             this.log.error({ msg: 'Write socket destroyed', cid: this.id });
-            this.close();
+            this.dropConnection();
             return;
         }
 
@@ -569,6 +727,14 @@ class ImapFlow extends EventEmitter {
             });
         }
 
+        if (this.recorder) {
+            this.recorder.record('c', chunk);
+        }
+
+        if (this._touchSocket) {
+            this._touchSocket();
+        }
+
         this.writeBytesCounter += chunk.length;
 
         this.writeSocket.write(chunk);
@@ -1233,9 +1399,36 @@ class ImapFlow extends EventEmitter {
 
         if (typeof socket.setTimeout === 'function') {
             socket.setTimeout(this.socketTimeout);
+        } else {
+            this.watchSocketActivity(socket);
         }
     }
 
+    /**
+     * Inactivity watchdog for transports from `socketFactory` that are plain Duplex streams without
+     * `setTimeout()`. Emits `timeout` on the stream like a socket does, once the stream has been
+     * idle for `socketTimeout`. Reads reset the timer here, writes in {@link ImapFlow#write}.
+     *
+     * @param {Object} socket - Duplex stream that carries the IMAP session.
+     */
+    watchSocketActivity(socket) {
+        this._touchSocket = () => {
+            clearTimeout(this.socketWatchdog);
+            if (socket.destroyed || this.socket !== socket) {
+                return;
+            }
+            this.socketWatchdog = setTimeout(() => {
+                if (!socket.destroyed && this.socket === socket) {
+                    socket.emit('timeout');
+                }
+            }, this.socketTimeout);
+            unrefTimer(this.socketWatchdog);
+        };
+        // the stream is piped to the parser in the same tick, so listening for data does not lose any
+        socket.on('data', this._touchSocket);
+        this._touchSocket();
+    }
+
     setSocketHandlers() {
         // Clear any existing handlers first to prevent duplicates
         this.clearSocketHandlers();
@@ -1246,8 +1439,8 @@ class ImapFlow extends EventEmitter {
                 this.log.error({ err, cid: this.id });
                 this.emitError(err);
             });
-        this._socketClose = this._socketClose || (() => this.close());
-        this._socketEnd = this._socketEnd || (() => this.close());
+        this._socketClose = this._socketClose || (() => this.dropConnection());
+        this._socketEnd = this._socketEnd || (() => this.dropConnection());
 
         /**
          * Socket timeout event handler.
@@ -1278,7 +1471,7 @@ class ImapFlow extends EventEmitter {
                         .catch(err => {
                             this.log.warn({ msg: 'IDLE recovery failed after timeout', err, cid: this.id });
                             if (!this.isClosed) {
-                                this.close();
+                                this.dropConnection();
                             }
                         });
                 } else {
@@ -1373,6 +1566,7 @@ class ImapFlow extends EventEmitter {
         }
 
         this.usable = true;
+        this._sessionEstablished = true;
     }
 
     // Enable extensions if possible. IMAP4rev2 must be enabled explicitly on
@@ -1753,7 +1947,18 @@ class ImapFlow extends EventEmitter {
         }
     }
 
-    async authenticate() {
+    /**
+     * Authenticates the connection. This happens automatically during {@link connect}, call it directly only to
+     * authenticate again after {@link ImapFlow#unauthenticate}.
+     *
+     * @param {Object} [auth] Authentication options in the same format as the `auth` constructor option, replaces it if set
+     * @returns {Promise<Boolean>} `true` once the connection is authenticated
+     * @throws {AuthenticationFailure} Will throw if authentication fails
+     * @example
+     * await client.unauthenticate();
+     * await client.authenticate({ user: 'other@example.com', pass: 'secret' });
+     */
+    async authenticate(auth) {
         if (this.state === this.states.LOGOUT) {
             throw new AuthenticationFailure('Already logged out');
         }
@@ -1763,6 +1968,10 @@ class ImapFlow extends EventEmitter {
             return true;
         }
 
+        if (auth) {
+            this.options.auth = auth;
+        }
+
         if (!this.options.auth) {
             throw new AuthenticationFailure('Please configure the login');
         }
@@ -1775,16 +1984,54 @@ class ImapFlow extends EventEmitter {
             loginMethod = 'LOGIN';
         }
 
-        if (this.options.auth.accessToken) {
-            this.authenticated = await this.run('AUTHENTICATE', this.options.auth.user, { accessToken: this.options.auth.accessToken });
-        } else if (this.options.auth.pass) {
-            if ((this.capabilities.has('AUTH=LOGIN') || this.capabilities.has('AUTH=PLAIN')) && loginMethod !== 'LOGIN') {
-                this.authenticated = await this.run('AUTHENTICATE', this.options.auth.user, {
-                    password: this.options.auth.pass,
-                    loginMethod,
-                    authzid: this.options.auth.authzid
-                });
-            } else {
+        // every auth option is passed on, custom SASL mechanisms may need more than a password
+        let credentials = Object.assign({}, this.options.auth, { loginMethod });
+        delete credentials.pass;
+
+        if (typeof this.options.auth.getAccessToken === 'function') {
+            // OAuth does not take a login method
+            delete credentials.loginMethod;
+            delete credentials.getAccessToken;
+
+            credentials.accessToken = await this.options.auth.getAccessToken({ force: false });
+            try {
+                this.authenticated = await this.run('AUTHENTICATE', this.options.auth.user, credentials);
+            } catch (err) {
+                if (!isExpiredTokenError(err)) {
+                    throw err;
+                }
+                // the cached token has expired or was revoked, retry once with a fresh one
+                this.log.info({ src: 'auth', msg: 'Access token rejected, requesting a new token', cid: this.id, oauthError: err.oauthError });
+                credentials.accessToken = await this.options.auth.getAccessToken({ force: true });
+                this.authenticated = await this.run('AUTHENTICATE', this.options.auth.user, credentials);
+            }
+        } else if (this.options.auth.accessToken) {
+            // OAuth does not take a login method
+            delete credentials.loginMethod;
+            this.authenticated = await this.run('AUTHENTICATE', this.options.auth.user, credentials);
+        } else if (this.options.auth.pass || this.options.auth.mechanisms) {
+            credentials.password = this.options.auth.pass;
+
+            // Use SASL if the server advertises a mechanism we know, the plain LOGIN command otherwise.
+            // A forced SASL method never falls back to LOGIN, an unknown one fails with UnsupportedAuthMechanism
+            // instead of sending the password in plaintext.
+            let useSasl = loginMethod ? loginMethod !== 'LOGIN' : getMechanismOrder(this, credentials).length > 0;
+            if (useSasl) {
+                try {
+                    this.authenticated = await this.run('AUTHENTICATE', this.options.auth.user, credentials);
+                } catch (err) {
+                    // none of the advertised mechanisms works with a password, eg. OAuth only
+                    if (err.code !== 'UnsupportedAuthMechanism' || loginMethod) {
+                        throw err;
+                    }
+                    useSasl = false;
+                }
+            }
+
+            if (!useSasl) {
+                if (!this.options.auth.pass) {
+                    throw new AuthenticationFailure('No password configured');
+                }
                 if (this.capabilities.has('LOGINDISABLED')) {
                     throw new AuthenticationFailure('Login is disabled');
                 }
@@ -1802,6 +2049,14 @@ class ImapFlow extends EventEmitter {
                 user: this.options.auth.user
             });
             await this.setAuthenticationState();
+
+            if (this.usable) {
+                // authenticated again after unauthenticate(), restore the session setup from startSession()
+                await this.run('NAMESPACE');
+                if (!this.options.disableAutoEnable) {
+                    await this.autoEnable();
+                }
+            }
             return true;
         }
 
@@ -2010,6 +2265,11 @@ class ImapFlow extends EventEmitter {
 
         let uidList = expandRange(uids);
 
+        // VANISHED is the only expunge notification that names UIDs, so this is where cached messages are pruned
+        if (uidList.length) {
+            await this.updateCache('deleteMessages', mailbox.path, mailbox.uidValidity, uidList);
+        }
+
         for (let uid of uidList) {
             let payload = {
                 path: mailbox.path,
@@ -2060,6 +2320,100 @@ class ImapFlow extends EventEmitter {
 
             this.emit('flags', updateEvent);
         }
+
+        // With NOTIFY MessageNew fetch attributes the server pushes the requested data for every new
+        // message. Anything beyond the flag update fields means this is such a message, not a flag change
+        if (this.notifyFilters && Object.keys(message).some(key => message[key] !== undefined && !FLAG_UPDATE_KEYS.has(key))) {
+            this.emit('messageNew', {
+                path: mailbox.path,
+                message
+            });
+        }
+    }
+
+    // Mailbox path from an unsolicited response, decoded and normalized the same way LIST does it
+    getResponsePath(token) {
+        let path = token && (typeof token.value === 'string' || Buffer.isBuffer(token.value)) ? token.value.toString() : false;
+        if (path === false) {
+            return false;
+        }
+        return path ? normalizePath(this, decodePath(this, path)) : '';
+    }
+
+    async untaggedStatus(untagged) {
+        let path = this.getResponsePath(untagged.attributes && untagged.attributes[0]);
+        let list = untagged.attributes && untagged.attributes[1];
+        if (!path || !Array.isArray(list)) {
+            return;
+        }
+
+        let event = { path };
+        parseStatusList(list, (key, value) => {
+            event[key] = value;
+        });
+
+        this.emit('mailboxStatus', event);
+    }
+
+    async untaggedList(untagged) {
+        let attributes = untagged.attributes || [];
+        let path = this.getResponsePath(attributes[2]);
+        if (!path) {
+            return;
+        }
+
+        let delimiter = attributes[1] && typeof attributes[1].value === 'string' ? attributes[1].value : '';
+        if (delimiter && path.charAt(0) === delimiter) {
+            path = path.slice(1);
+        }
+
+        let flags = new Set(getStringList(attributes[0]));
+        let event = {
+            path,
+            delimiter,
+            flags,
+            subscribed: flags.has('\\Subscribed'),
+            deleted: flags.has('\\NonExistent')
+        };
+
+        // A renamed mailbox carries its previous name as OLDNAME extended data (RFC 5465 section 5.4)
+        let extended = Array.isArray(attributes[3]) ? attributes[3] : [];
+        for (let i = 0; i < extended.length - 1; i += 2) {
+            let tag = extended[i] && typeof extended[i].value === 'string' ? extended[i].value.toUpperCase() : '';
+            if (tag === 'OLDNAME' && Array.isArray(extended[i + 1])) {
+                let oldPath = this.getResponsePath(extended[i + 1][0]);
+                if (oldPath) {
+                    event.oldPath = delimiter && oldPath.charAt(0) === delimiter ? oldPath.slice(1) : oldPath;
+                }
+            }
+        }
+
+        this.emit('mailboxChange', event);
+    }
+
+    async untaggedMetadata(untagged) {
+        let attributes = untagged.attributes || [];
+        let path = this.getResponsePath(attributes[0]);
+        if (path === false) {
+            return;
+        }
+
+        // Change notifications list entry names only (RFC 5464 section 4.4.2)
+        let entries = Array.isArray(attributes[1]) ? getStringList(attributes[1].filter((entry, i) => i % 2 === 0)) : getStringList(attributes.slice(1));
+        if (!entries.length) {
+            return;
+        }
+
+        this.emit('metadataChange', { path, entries });
+    }
+
+    async sectionNotificationOverflow() {
+        // The server stopped sending notifications, the client has to resync and call NOTIFY SET again
+        if (!this.notifyFilters) {
+            return;
+        }
+        this.notifyFilters = false;
+        this.emit('notifyOverflow');
     }
 
     async ensureSelectedMailbox(path) {
@@ -2136,6 +2490,49 @@ class ImapFlow extends EventEmitter {
         unrefTimer(this.idleStartTimer);
     }
 
+    /**
+     * Gets the transport from the `socketFactory` option. The factory runs inside the connection deadline,
+     * a stream that is returned after the deadline has expired is destroyed.
+     *
+     * @param {ConnectionDeadline} deadline - Shared connection deadline.
+     * @returns {Promise<Object>} Duplex stream for the IMAP session.
+     */
+    async createFactorySocket(deadline) {
+        let factoryPromise = Promise.resolve().then(() =>
+            this.options.socketFactory({
+                host: this.host,
+                port: this.port,
+                servername: this.servername,
+                secure: this.secureConnection
+            })
+        );
+
+        let socket;
+        try {
+            socket = await deadline.race(factoryPromise);
+        } catch (err) {
+            if (err.code === 'CONNECT_TIMEOUT') {
+                factoryPromise.then(socket => socket && typeof socket.destroy === 'function' && socket.destroy()).catch(noop);
+                this.log.error({ err, cid: this.id });
+                throw err;
+            }
+            let error = new Error('Failed to create socket');
+            error.code = err.code || 'SocketFactoryError';
+            error._err = err;
+            this.log.error({ error, cid: this.id });
+            throw error;
+        }
+
+        if (!socket || typeof socket.pipe !== 'function' || typeof socket.write !== 'function') {
+            let error = new Error('socketFactory did not return a Duplex stream');
+            error.code = 'SocketFactoryError';
+            this.log.error({ error, cid: this.id });
+            throw error;
+        }
+
+        return socket;
+    }
+
     // PUBLIC API METHODS
 
     /**
@@ -2184,8 +2581,16 @@ class ImapFlow extends EventEmitter {
         this.untaggedHandlers.FETCH = untagged => this.untaggedFetch(untagged);
         this.untaggedHandlers.VANISHED = untagged => this.untaggedVanished(untagged);
 
+        // NOTIFY (RFC 5465) reports changes in other mailboxes with unsolicited STATUS, LIST and METADATA responses
+        this.untaggedHandlers.STATUS = untagged => this.untaggedStatus(untagged);
+        this.untaggedHandlers.LIST = untagged => this.untaggedList(untagged);
+        this.untaggedHandlers.METADATA = untagged => this.untaggedMetadata(untagged);
+        this.sectionHandlers.NOTIFICATIONOVERFLOW = () => this.sectionNotificationOverflow();
+
         let socket = false;
-        if (this.options.proxy) {
+        if (typeof this.options.socketFactory === 'function') {
+            socket = await this.createFactorySocket(deadline);
+        } else if (this.options.proxy) {
             try {
                 socket = await proxyConnection(this.log, this.options.proxy, this.host, this.port, { deadline });
                 if (!socket) {
@@ -2264,6 +2669,10 @@ class ImapFlow extends EventEmitter {
 
                     this.log.info(logInfo);
 
+                    if (this.recorder) {
+                        this.recorder.open({ host: this.host, port: this.port, secure: !!this.tls, clientInfo: this.clientInfo });
+                    }
+
                     this.setSocketHandlers();
                     this.setEventHandlers();
                     this.socket.pipe(this.streamer);
@@ -2324,16 +2733,196 @@ class ImapFlow extends EventEmitter {
      * await client.logout();
      */
     async logout() {
+        this._closeRequested = true;
         return await this.run('LOGOUT');
     }
 
+    /**
+     * Ends the authenticated session but keeps the connection open, using the UNAUTHENTICATE extension (RFC 8437).
+     * Open mailbox, capabilities, namespace and enabled extensions are reset, and the connection can be authenticated
+     * again with {@link ImapFlow#authenticate}, eg. as another user, without a new TCP and TLS handshake.
+     *
+     * @returns {Promise<Boolean>} `true` if the session was ended, `false` if the server does not support UNAUTHENTICATE or the command failed
+     * @example
+     * if (await client.unauthenticate()) {
+     *   await client.authenticate({ user: 'other@example.com', pass: 'secret' });
+     * }
+     */
+    async unauthenticate() {
+        if (!(await this.run('UNAUTHENTICATE'))) {
+            return false;
+        }
+        // the server advertises a different set of capabilities before authentication
+        await this.run('CAPABILITY');
+        return true;
+    }
+
     /**
      * Close the TCP connection.
      * Unlike `close()`, return immediately from this function, allowing the
      * caller function to proceed, and run `close()` function afterwards.
      */
     closeAfter() {
-        setImmediate(() => this.close());
+        let generation = this._connectionGeneration;
+        setImmediate(() => {
+            // the connection this was scheduled for may already be replaced by a reconnect
+            if (generation === this._connectionGeneration) {
+                this.dropConnection();
+            }
+        });
+    }
+
+    /**
+     * Closes a connection that failed or was closed by the server. Unlike an explicit `close()`,
+     * this allows reconnecting if the `reconnect` option is set.
+     */
+    dropConnection() {
+        this._connectionLost = true;
+        this.close();
+        // a later close() call comes from the user again
+        this._connectionLost = false;
+    }
+
+    /**
+     * Computes the delay before a reconnect attempt: exponential backoff with "equal jitter",
+     * half of the delay is fixed and the other half random.
+     *
+     * @param {Number} attempt Attempt number, starting from 1
+     * @returns {Number} Delay in milliseconds
+     */
+    getReconnectDelay(attempt) {
+        let delay = Math.min(this.reconnectOptions.maxDelay, this.reconnectOptions.initialDelay * 2 ** (attempt - 1));
+        return Math.round(delay / 2 + (Math.random() * delay) / 2);
+    }
+
+    scheduleReconnect(session, err) {
+        let attempt = ++this.reconnectAttempt;
+        if (this.reconnectOptions.maxAttempts && attempt > this.reconnectOptions.maxAttempts) {
+            this.log.warn({ msg: 'Giving up reconnecting', attempts: attempt - 1, cid: this.id });
+            return this.stopReconnecting();
+        }
+
+        let delay = this.getReconnectDelay(attempt);
+        this.reconnecting = true;
+        this.log.info({ src: 'connection', msg: 'Reconnecting', attempt, delay, cid: this.id, err });
+
+        /**
+         * Connection was lost and a reconnect attempt is scheduled
+         * @event module:imapflow~ImapFlow#reconnecting
+         * @type {Object}
+         * @property {Number} attempt Attempt number, starting from 1
+         * @property {Number} delay Milliseconds until the attempt
+         * @property {Error} [err] Why the previous attempt failed
+         */
+        this.emit('reconnecting', { attempt, delay, err });
+
+        // deliberately not unref'd, the client is still expected to do work once it is back
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = false;
+            this.reconnect(session, attempt).catch(err => this.log.error({ err, cid: this.id }));
+        }, delay);
+    }
+
+    async reconnect(session, attempt) {
+        this.resetConnection();
+
+        let mailbox;
+        try {
+            await this.connect();
+            mailbox = await this.resumeSession(session);
+        } catch (err) {
+            if (!this.reconnecting) {
+                // closed while the attempt was running
+                return;
+            }
+            this.log.warn({ msg: 'Reconnect attempt failed', attempt, err, cid: this.id });
+            this.dropConnection();
+            if (err.authenticationFailed) {
+                // retrying with the same credentials would only lock the account
+                return this.stopReconnecting();
+            }
+            return this.scheduleReconnect(session, err);
+        }
+
+        this.reconnecting = false;
+        this.reconnectAttempt = 0;
+
+        /**
+         * Connection was re-established after it was lost
+         * @event module:imapflow~ImapFlow#reconnected
+         * @type {Object}
+         * @property {Number} attempt Attempt that succeeded
+         * @property {MailboxObject|false} mailbox Re-selected mailbox, `false` if no mailbox was open
+         * @property {Object|false} previousMailbox State of the mailbox when the connection was lost: `path`, `uidValidity` and `highestModseq`.
+         *     Unless `mailbox.qresync` is set, changes made in the meantime were not reported, use `highestModseq` with the `changedSince` fetch option to catch up
+         */
+        this.emit('reconnected', { attempt, mailbox, previousMailbox: session.mailbox });
+
+        // locks requested while the connection was down
+        this.processLocks().catch(err => this.log.error({ err, cid: this.id }));
+    }
+
+    // Restores the mailbox selection and NOTIFY filters of the lost connection
+    async resumeSession(session) {
+        let mailbox = false;
+        if (session.mailbox) {
+            let { path, readOnly, uidValidity, highestModseq } = session.mailbox;
+            try {
+                // QRESYNC parameters are only sent if QRESYNC is enabled
+                mailbox = await this.mailboxOpen(path, { readOnly, uidValidity, changedSince: highestModseq });
+            } catch (err) {
+                if (err.code === 'NoConnection') {
+                    throw err;
+                }
+                // eg. the mailbox was deleted in the meantime, the session itself is fine
+                this.log.warn({ msg: 'Failed to re-select mailbox after reconnect', path, err, cid: this.id });
+            }
+        }
+        if (session.notifyFilters) {
+            await this.notify(session.notifyFilters.filters, session.notifyFilters.options);
+        }
+        return mailbox;
+    }
+
+    // Ends reconnecting for good, the client is closed from here on
+    stopReconnecting() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = false;
+        this.reconnecting = false;
+        this._closeRequested = true;
+        // locks kept for the new session can not be granted anymore
+        this.rejectPendingLocks();
+        this.emit('close');
+    }
+
+    // Prepares the instance for a new connection after the previous one was closed
+    resetConnection() {
+        this._connectionGeneration++;
+        this._connectCalled = false;
+        this._connectionLost = false;
+        this.isClosed = false;
+        this.state = this.states.NOT_AUTHENTICATED;
+        this.secureConnection = this._secureTransport;
+        this.createStreamer();
+        this.reading = false;
+        this.socket = false;
+        this.writeSocket = false;
+        this.upgrading = false;
+        this.initialResolve = false;
+        this.initialReject = false;
+        this.requestTagMap = new Map();
+        this.requestQueue = [];
+        this.currentRequest = false;
+        this.commandParts = [];
+        this.capabilities = new Map();
+        this.authCapabilities = new Map();
+        this.rawCapabilities = null;
+        this.expectCapabilityUpdate = false;
+        this._starttlsHadTrailingData = false;
+        this.enabled = new Set();
+        this.idRequested = false;
+        this.notifyFilters = false;
+        this.byeReason = null;
     }
 
     // Builds the standard "connection not available" error, optionally annotated with the
@@ -2358,8 +2947,14 @@ class ImapFlow extends EventEmitter {
      */
     close() {
         try {
+            if (!this._connectionLost) {
+                // an explicit close, never reconnect after this
+                this._closeRequested = true;
+            }
+
             // clear pending timers
             clearTimeout(this.idleStartTimer);
+            clearTimeout(this.socketWatchdog);
             clearTimeout(this.upgradeTimeout);
             clearTimeout(this.connectTimeout);
             clearTimeout(this.greetingTimeout);
@@ -2425,7 +3020,19 @@ class ImapFlow extends EventEmitter {
             // connection that had just authenticated successfully - there is no later moment at
             // which the answer could be read, and such a client is never reconnected.
             let closedMailbox = false;
+            let reconnectSession = false;
             if (!this.isClosed) {
+                if (this.shouldReconnect()) {
+                    reconnectSession = {
+                        mailbox: this.mailbox && {
+                            path: this.mailbox.path,
+                            readOnly: !!this.mailbox.readOnly,
+                            uidValidity: this.mailbox.uidValidity,
+                            highestModseq: this.mailbox.highestModseq
+                        },
+                        notifyFilters: this.notifyFilters
+                    };
+                }
                 closedMailbox = this.mailbox;
                 this.mailbox = false;
                 this.currentSelectCommand = false;
@@ -2483,17 +3090,9 @@ class ImapFlow extends EventEmitter {
             }
             this.currentLock = false;
 
-            if (this.locks && this.locks.length) {
-                let pendingLocks = this.locks.splice(0); // Take all locks and clear the array
-                for (let lock of pendingLocks) {
-                    if (lock.acquireTimer) {
-                        clearTimeout(lock.acquireTimer);
-                        lock.acquireTimer = null;
-                    }
-                    if (typeof lock.reject === 'function') {
-                        lock.reject(createNoConnectionError(byeReason));
-                    }
-                }
+            // Queued locks wait for the reconnected session instead
+            if (!reconnectSession && !(this.reconnecting && !this._closeRequested)) {
+                this.rejectPendingLocks(byeReason);
             }
 
             // cleanup compression streams if they exist
@@ -2544,6 +3143,10 @@ class ImapFlow extends EventEmitter {
 
             this.state = this.states.LOGOUT;
             if (this.isClosed) {
+                if (this.reconnectTimer && this._closeRequested) {
+                    // closed while waiting for the next reconnect attempt
+                    this.stopReconnecting();
+                }
                 return;
             }
             // Set before teardown so a socket event that re-enters close() during destruction
@@ -2597,6 +3200,19 @@ class ImapFlow extends EventEmitter {
                 this.emit('mailboxClose', closedMailbox);
             }
 
+            if (reconnectSession) {
+                this.scheduleReconnect(reconnectSession);
+                return;
+            }
+
+            if (this.reconnecting) {
+                if (!this._closeRequested) {
+                    // a reconnect attempt failed, reconnect() schedules the next one
+                    return;
+                }
+                this.reconnecting = false;
+            }
+
             this.emit('close');
         } catch (ex) {
             // close failed
@@ -2604,8 +3220,29 @@ class ImapFlow extends EventEmitter {
         }
     }
 
-    /**
-     * @typedef {Object} QuotaResponse
+    // A lost connection is reconnected if enabled, unless the session never got established
+    // or a reconnect is already under way
+    shouldReconnect() {
+        return !!this.reconnectOptions && this._connectionLost && this._sessionEstablished && !this._closeRequested && !this.reconnecting;
+    }
+
+    rejectPendingLocks(byeReason) {
+        if (this.locks && this.locks.length) {
+            let pendingLocks = this.locks.splice(0); // Take all locks and clear the array
+            for (let lock of pendingLocks) {
+                if (lock.acquireTimer) {
+                    clearTimeout(lock.acquireTimer);
+                    lock.acquireTimer = null;
+                }
+                if (typeof lock.reject === 'function') {
+                    lock.reject(this.createNoConnectionError(byeReason));
+                }
+            }
+        }
+    }
+
+    /**
+     * @typedef {Object} QuotaResponse
      * @global
      * @property {String} path=INBOX mailbox path this quota applies to
      * @property {Object} [storage] Storage quota if provided by server
@@ -2631,6 +3268,217 @@ class ImapFlow extends EventEmitter {
         return await this.run('QUOTA', path);
     }
 
+    /**
+     * @typedef {Object} MetadataResponse
+     * @global
+     * @property {String} path mailbox path the entries belong to, an empty string for server annotations
+     * @property {Object} entries entry values keyed by entry name, `null` for entries that have no value
+     * @property {Number} [longEntries] if set then some values were left out for being larger than `maxSize`, this is the size of the largest one
+     */
+
+    /**
+     * Reads mailbox or server annotations. Requires the `METADATA` extension (RFC 5464), or `METADATA-SERVER` for server annotations.
+     *
+     * @param {String} path mailbox path, or an empty string to read server annotations
+     * @param {String|String[]} entries entry names to read, eg. `"/shared/comment"` or `"/private/vendor/example/color"`
+     * @param {Object} [options]
+     * @param {Number|String} [options.depth] Also returns entries below the requested ones, either `0` (default), `1` for direct children
+     *   or `"infinity"` for all descendants
+     * @param {Number} [options.maxSize] Only returns values up to this many octets, see `longEntries` in the response for skipped values
+     * @returns {Promise<MetadataResponse|Boolean>} Annotation values or `false` if METADATA is not supported or the command failed
+     *
+     * @example
+     * let meta = await client.getMetadata('INBOX', ['/private/vendor/example/color', '/shared/comment']);
+     * console.log(meta.entries['/shared/comment']);
+     * // server comment
+     * let server = await client.getMetadata('', '/shared/comment');
+     */
+    async getMetadata(path, entries, options) {
+        return await this.run('GETMETADATA', path || '', entries, options);
+    }
+
+    /**
+     * Sets or removes mailbox or server annotations. Requires the `METADATA` extension (RFC 5464), or `METADATA-SERVER` for server annotations.
+     *
+     * @param {String} path mailbox path, or an empty string to set server annotations
+     * @param {Object} entries values keyed by entry name. Use `null` as the value to remove an entry
+     * @returns {Promise<Boolean>} `true` if annotations were updated, `false` if METADATA is not supported
+     * @throws Will throw an error if the server rejects the update. For METADATA response codes the error has a `metadataCode` property
+     *   (`"MAXSIZE"`, `"TOOMANY"` or `"NOPRIVATE"`), and for `"MAXSIZE"` also a `maxSize` property with the largest accepted value size
+     *
+     * @example
+     * await client.setMetadata('INBOX', {
+     *     '/private/vendor/example/color': 'blue',
+     *     '/private/comment': null // removes the entry
+     * });
+     */
+    async setMetadata(path, entries) {
+        return await this.run('SETMETADATA', path || '', entries);
+    }
+
+    /**
+     * Access rights parsed from an ACL rights string (RFC 4314). The obsolete `c` right sets `createMailbox`
+     * and the obsolete `d` right sets `deleteMessages`, `expunge` and `deleteMailbox`.
+     * @typedef {Object} RightsObject
+     * @global
+     * @property {String} rights rights string as reported by the server, eg. `"lrswipkxtea"`
+     * @property {Boolean} lookup `l` - mailbox is visible to LIST
+     * @property {Boolean} read `r` - SELECT the mailbox, FETCH, SEARCH and COPY from it
+     * @property {Boolean} seen `s` - keep the \\Seen flag across sessions
+     * @property {Boolean} write `w` - set and clear flags other than \\Seen and \\Deleted
+     * @property {Boolean} insert `i` - APPEND and COPY into the mailbox
+     * @property {Boolean} post `p` - send mail to the submission address of the mailbox
+     * @property {Boolean} createMailbox `k` - create child mailboxes
+     * @property {Boolean} deleteMailbox `x` - delete or rename the mailbox
+     * @property {Boolean} deleteMessages `t` - set and clear the \\Deleted flag
+     * @property {Boolean} expunge `e` - EXPUNGE the mailbox
+     * @property {Boolean} administer `a` - change the ACL of the mailbox
+     */
+
+    /**
+     * @typedef {Object} AclEntry
+     * @global
+     * @property {String} identifier user or group identifier, eg. `"anyone"`
+     * @property {RightsObject} rights rights granted to the identifier
+     */
+
+    /**
+     * @typedef {Object} ListRightsResponse
+     * @global
+     * @property {String} path mailbox path
+     * @property {String} identifier user or group identifier
+     * @property {RightsObject} required rights that are always granted to the identifier
+     * @property {RightsObject[]} optional groups of rights that can be granted, each group is granted or revoked as a whole
+     */
+
+    /**
+     * Reads the access control list of a mailbox. Requires the `ACL` extension (RFC 4314).
+     *
+     * @param {String} path mailbox path
+     * @returns {Promise<AclEntry[]|Boolean>} ACL entries or `false` if ACL is not supported or the command failed
+     *
+     * @example
+     * let acl = await client.getAcl('Shared/Sales');
+     * for (let entry of acl) {
+     *     console.log(entry.identifier, entry.rights.rights);
+     * }
+     */
+    async getAcl(path) {
+        return await this.run('GETACL', path);
+    }
+
+    /**
+     * Changes the rights of an identifier on a mailbox. Requires the `ACL` extension (RFC 4314).
+     *
+     * @param {String} path mailbox path
+     * @param {String} identifier user or group identifier
+     * @param {String|RightsObject} rights rights string like `"lrs"`, prefixed with `+` to add rights or with `-` to remove rights.
+     *   A rights object replaces the current rights with the enabled ones
+     * @returns {Promise<Boolean>} `true` if the ACL was updated, `false` if ACL is not supported
+     * @throws Will throw an error if the server rejects the update
+     *
+     * @example
+     * await client.setAcl('Shared/Sales', 'alice', '+lrs');
+     * await client.setAcl('Shared/Sales', 'bob', { lookup: true, read: true });
+     */
+    async setAcl(path, identifier, rights) {
+        return await this.run('SETACL', path, identifier, rights);
+    }
+
+    /**
+     * Removes an identifier from the access control list of a mailbox. Requires the `ACL` extension (RFC 4314).
+     *
+     * @param {String} path mailbox path
+     * @param {String} identifier user or group identifier
+     * @returns {Promise<Boolean>} `true` if the ACL entry was removed, `false` if ACL is not supported
+     * @throws Will throw an error if the server rejects the update
+     *
+     * @example
+     * await client.deleteAcl('Shared/Sales', 'alice');
+     */
+    async deleteAcl(path, identifier) {
+        return await this.run('DELETEACL', path, identifier);
+    }
+
+    /**
+     * Lists the rights that can be granted to an identifier on a mailbox. Requires the `ACL` extension (RFC 4314).
+     *
+     * @param {String} path mailbox path
+     * @param {String} identifier user or group identifier
+     * @returns {Promise<ListRightsResponse|Boolean>} Grantable rights or `false` if ACL is not supported or the command failed
+     *
+     * @example
+     * let rights = await client.listRights('Shared/Sales', 'alice');
+     * console.log(rights.required.lookup);
+     */
+    async listRights(path, identifier) {
+        return await this.run('LISTRIGHTS', path, identifier);
+    }
+
+    /**
+     * Reads the rights the logged in user has on a mailbox. Requires the `ACL` extension (RFC 4314).
+     *
+     * @param {String} path mailbox path
+     * @returns {Promise<RightsObject|Boolean>} Rights of the current user or `false` if ACL is not supported or the command failed
+     *
+     * @example
+     * let rights = await client.myRights('INBOX');
+     * if (rights.administer) {
+     *     console.log('can change ACL');
+     * }
+     */
+    async myRights(path) {
+        return await this.run('MYRIGHTS', path);
+    }
+
+    /**
+     * Notification filter for {@link ImapFlow#notify}. Either a list of event names or an object with event names and extra settings.
+     * Event names are `messageNew`, `messageExpunge`, `flagChange`, `annotationChange`, `mailboxName`, `subscriptionChange`,
+     * `mailboxMetadataChange` and `serverMetadataChange`. An empty list disables notifications for the matching mailboxes.
+     * @typedef {String[]|Object} NotifyFilterObject
+     * @global
+     * @property {String[]} events event names to subscribe to
+     * @property {String[]} [paths] mailbox paths, required for `subtree` and `mailboxes` filters
+     * @property {String[]} [fetch] FETCH attributes the server sends with every `messageNew` event, eg. `["uid", "envelope"]`.
+     *   Only used for `selected` and `selectedDelayed` filters
+     */
+
+    /**
+     * Starts or stops change notifications for multiple mailboxes. Requires the `NOTIFY` extension (RFC 5465).
+     *
+     * Changes in the currently selected mailbox are reported with the `exists`, `expunge`, `flags` and `messageNew` events,
+     * changes in other mailboxes with the `mailboxStatus`, `mailboxChange` and `metadataChange` events. If the server can
+     * not keep up, it disables notifications and emits `notifyOverflow`.
+     *
+     * @param {Object|Boolean} filters Filters keyed by mailbox set, or `false` to stop notifications
+     * @param {NotifyFilterObject} [filters.selected] Events for the currently selected mailbox
+     * @param {NotifyFilterObject} [filters.selectedDelayed] Same as `selected`, but expunges are only reported when it is safe to do so
+     * @param {NotifyFilterObject} [filters.inboxes] Events for mailboxes that receive incoming mail
+     * @param {NotifyFilterObject} [filters.personal] Events for all mailboxes in the personal namespace
+     * @param {NotifyFilterObject} [filters.subscribed] Events for subscribed mailboxes
+     * @param {NotifyFilterObject|NotifyFilterObject[]} [filters.subtree] Events for the listed mailboxes and all their children
+     * @param {NotifyFilterObject|NotifyFilterObject[]} [filters.mailboxes] Events for the listed mailboxes only
+     * @param {Object} [options]
+     * @param {Boolean} [options.status=false] If `true` then the server reports the current status of every matching mailbox right away
+     * @returns {Promise<Boolean>} `true` if notification settings were updated
+     * @throws Will throw an error with code `MissingServerExtension` if the server does not support NOTIFY. If the server rejects some
+     *   of the events, these are listed in the `badEvents` property of the error
+     *
+     * @example
+     * client.on('mailboxStatus', data => {
+     *     console.log(`${data.path} has ${data.messages} messages`);
+     * });
+     * await client.notify({
+     *     selected: { events: ['messageNew', 'messageExpunge', 'flagChange'], fetch: ['uid', 'envelope'] },
+     *     personal: ['messageNew', 'messageExpunge', 'mailboxName', 'subscriptionChange']
+     * });
+     * // stop notifications
+     * await client.notify(false);
+     */
+    async notify(filters, options) {
+        return await this.run('NOTIFY', filters || false, options);
+    }
+
     /**
      * @typedef {Object} ListResponse
      * @global
@@ -2646,6 +3494,7 @@ class ImapFlow extends EventEmitter {
      * @property {Boolean} listed `true` if mailbox was found from the output of LIST command
      * @property {Boolean} subscribed `true` if the mailbox is subscribed - reported by LSUB or by LIST RETURN (SUBSCRIBED) on LIST-EXTENDED/IMAP4rev2 servers. Servers that answer neither report no subscription state at all, and every mailbox is then assumed to be subscribed
      * @property {StatusObject} [status] If `statusQuery` was used, then this value includes the status response
+     * @property {RightsObject} [myRights] rights of the logged in user on this mailbox, set if server supports the `LIST-MYRIGHTS` extension
      */
 
     /**
@@ -2682,6 +3531,7 @@ class ImapFlow extends EventEmitter {
         options = options || {};
         let folders = await this.run('LIST', '', '*', options);
         this.folders = new Map(folders.map(folder => [folder.path, folder]));
+        await this.updateCache('setMailboxList', folders);
         return folders;
     }
 
@@ -2839,7 +3689,23 @@ class ImapFlow extends EventEmitter {
      * // 125
      */
     async mailboxOpen(path, options) {
-        return await this.run('SELECT', path, options);
+        let mailbox = await this.run('SELECT', path, options);
+        if (mailbox) {
+            await this.updateCache('setMailbox', mailbox.path, mailbox);
+        }
+        return mailbox;
+    }
+
+    // A failing cache store must not break the session, so errors are only logged
+    async updateCache(method, ...args) {
+        if (!this.cache) {
+            return;
+        }
+        try {
+            await this.cache[method](...args);
+        } catch (err) {
+            this.log.warn({ msg: 'Failed to update cache', method, err, cid: this.id });
+        }
     }
 
     /**
@@ -2969,6 +3835,7 @@ class ImapFlow extends EventEmitter {
      * @param {Object} [options]
      * @param {Boolean} [options.uid] If `true` then uses UID {@link SequenceString} instead of sequence numbers
      * @param {BigInt} [options.unchangedSince] If set then only messages with a lower or equal `modseq` value are updated. Ignored if server does not support `CONDSTORE` extension.
+     * @param {Function} [options.onModified] Called with the sequence numbers (UIDs if `options.uid` is set) of messages that were not updated because of `unchangedSince`
      * @param {Boolean} [options.useLabels=false] If true then update Gmail labels instead of message flags
      * @returns {Promise<Boolean>} Did the operation succeed or not
      *
@@ -3003,6 +3870,7 @@ class ImapFlow extends EventEmitter {
      * @param {Object} [options]
      * @param {Boolean} [options.uid] If `true` then uses UID {@link SequenceString} instead of sequence numbers
      * @param {BigInt} [options.unchangedSince] If set then only messages with a lower or equal `modseq` value are updated. Ignored if server does not support `CONDSTORE` extension.
+     * @param {Function} [options.onModified] Called with the sequence numbers (UIDs if `options.uid` is set) of messages that were not updated because of `unchangedSince`
      * @param {Boolean} [options.useLabels=false] If true then update Gmail labels instead of message flags
      * @returns {Promise<Boolean>} Did the operation succeed or not
      *
@@ -3037,6 +3905,7 @@ class ImapFlow extends EventEmitter {
      * @param {Object} [options]
      * @param {Boolean} [options.uid] If `true` then uses UID {@link SequenceString} instead of sequence numbers
      * @param {BigInt} [options.unchangedSince] If set then only messages with a lower or equal `modseq` value are updated. Ignored if server does not support `CONDSTORE` extension.
+     * @param {Function} [options.onModified] Called with the sequence numbers (UIDs if `options.uid` is set) of messages that were not updated because of `unchangedSince`
      * @param {Boolean} [options.useLabels=false] If true then update Gmail labels instead of message flags
      * @returns {Promise<Boolean>} Did the operation succeed or not
      *
@@ -3157,22 +4026,95 @@ class ImapFlow extends EventEmitter {
      * @property {Number} [seq] sequence number of the uploaded message if path is currently selected mailbox
      */
 
+    /**
+     * Message part for assembling a message on the server with the `CATENATE` extension (RFC 4469). Either text to include as-is
+     * or an IMAP URL of a stored message or message part, see {@link ImapFlow#getMessageUrl}
+     * @typedef {Object} CatenatePartObject
+     * @global
+     * @property {string|Buffer} [text] text content to include
+     * @property {String} [url] IMAP URL of the message or message part to include
+     */
+
     /**
      * Appends a new message to a mailbox
      *
      * @param {String} path Mailbox path to upload the message to (unicode string)
-     * @param {string|Buffer} content RFC822 formatted email message
+     * @param {string|Buffer|CatenatePartObject[]} content RFC822 formatted email message, or a list of message parts to be joined
+     *   by the server. Message parts require the `CATENATE` extension
      * @param {string[]} [flags] an array of flags to be set for the uploaded message
      * @param {Date|string} [idate=now] internal date to be set for the message
      * @returns {Promise<AppendResponseObject>} info about uploaded message
+     * @throws Will throw an error if the server rejects the message. If a message part URL can not be resolved, the URL is set
+     *   as the `badUrl` property of the error
      *
      * @example
      * await client.append('INBOX', rawMessageBuffer, ['\\Seen'], new Date(2000, 1, 1));
+     *
+     * @example
+     * // forward an attachment without downloading it first
+     * await client.mailboxOpen('INBOX');
+     * await client.append('Drafts', [
+     *     { text: 'From: ...\r\nContent-Type: multipart/mixed; boundary="b"\r\n\r\n--b\r\n' },
+     *     { url: client.getMessageUrl(123, { section: '2.MIME' }) },
+     *     { url: client.getMessageUrl(123, { section: '2' }) },
+     *     { text: '\r\n--b--\r\n' }
+     * ]);
      */
     async append(path, content, flags, idate) {
         return (await this.run('APPEND', path, content, flags, idate)) || false;
     }
 
+    /**
+     * @typedef {Object} AppendMessageObject
+     * @global
+     * @property {string|Buffer|CatenatePartObject[]} content RFC822 formatted email message, or a list of message parts to be joined by the server
+     * @property {string[]} [flags] an array of flags to be set for the uploaded message
+     * @property {Date|string} [idate=now] internal date to be set for the message
+     */
+
+    /**
+     * Appends multiple messages to a mailbox. Uses a single APPEND command if the server supports the `MULTIAPPEND` extension (RFC 3502),
+     * in which case either all messages are stored or none. Otherwise every message is uploaded with a separate APPEND command, and
+     * if any of these fails, the thrown error lists the results of the other messages in the `appended` property (`null` for failed ones)
+     *
+     * @param {String} path Mailbox path to upload the messages to (unicode string)
+     * @param {Array<AppendMessageObject|string|Buffer>} messages messages to upload, either as objects or as plain RFC822 formatted content
+     * @returns {Promise<AppendResponseObject[]>} info about uploaded messages, in the same order as the input messages
+     *
+     * @example
+     * let results = await client.appendMany('Archive', [
+     *     { content: rawMessage1, flags: ['\\Seen'], idate: new Date(2000, 1, 1) },
+     *     rawMessage2
+     * ]);
+     * console.log(results.map(result => result.uid));
+     */
+    async appendMany(path, messages) {
+        return (await this.run('MULTIAPPEND', path, messages)) || false;
+    }
+
+    /**
+     * Builds an IMAP URL (RFC 5092) for a message or message part, to be used as a `CATENATE` message part with {@link ImapFlow#append}.
+     * The URL refers to the currently opened mailbox and its `UIDVALIDITY`, unless `path` and `uidValidity` are set.
+     *
+     * @param {Number} uid UID of the message
+     * @param {Object} [options]
+     * @param {String} [options.section] body part to refer to instead of the full message, eg. `"2"`, `"2.MIME"` or `"1.HEADER"`
+     * @param {String} [options.path] mailbox path of the message
+     * @param {BigInt} [options.uidValidity] `UIDVALIDITY` of the mailbox
+     * @returns {String|Boolean} IMAP URL or `false` if the mailbox is not known
+     *
+     * @example
+     * await client.mailboxOpen('INBOX');
+     * let url = client.getMessageUrl(123, { section: '2' });
+     * // "/INBOX;UIDVALIDITY=1234567/;UID=123/;SECTION=2"
+     */
+    getMessageUrl(uid, options) {
+        options = options || {};
+        let path = options.path ? normalizePath(this, options.path) : this.mailbox && this.mailbox.path;
+        let uidValidity = options.uidValidity || (this.mailbox && comparePaths(this, path, this.mailbox.path) && this.mailbox.uidValidity);
+        return formatImapUrl({ path, uidValidity, uid, section: options.section });
+    }
+
     /**
      * @typedef {Object} CopyResponseObject
      * @global
@@ -3230,6 +4172,44 @@ class ImapFlow extends EventEmitter {
         return await this.run('MOVE', range, destination, options);
     }
 
+    /**
+     * @typedef {Object} ReplaceResponseObject
+     * @global
+     * @property {String} path path of the mailbox the replaced message was in
+     * @property {String} destination full mailbox path where the new message was uploaded to
+     * @property {Boolean} deleted `true` if the old message was removed. Always `true` with the `REPLACE` extension, without it `false` if the new message was uploaded but deleting the old one failed
+     * @property {BigInt} [uidValidity] mailbox `UIDVALIDITY` if server has `UIDPLUS` extension enabled
+     * @property {Number} [uid] UID of the new message if server has `UIDPLUS` extension enabled
+     */
+
+    /**
+     * Replaces a message in the currently opened mailbox with a new message. Uses the `REPLACE` extension (RFC 8508) when available,
+     * which stores the new message and expunges the old one atomically. Without the extension the new message is uploaded with
+     * {@link ImapFlow#append} and the old one is then removed with {@link ImapFlow#messageDelete}. This fallback is not atomic: both
+     * messages exist until the deletion completes, and if the deletion fails, both messages are kept and `deleted` is set to `false`
+     * in the response. If the upload fails, the old message is not touched.
+     *
+     * @param {Number} uid UID of the message to replace
+     * @param {String} path Mailbox path to upload the new message to (unicode string), usually the path of the currently opened mailbox
+     * @param {string|Buffer|CatenatePartObject[]} content RFC822 formatted email message, or a list of message parts to be joined by the server
+     * @param {string[]} [flags] an array of flags to be set for the new message
+     * @param {Date|string} [idate=now] internal date to be set for the new message
+     * @returns {Promise<ReplaceResponseObject>} info about the new message
+     * @throws Will throw an error if the server rejects the new message
+     *
+     * @example
+     * await client.mailboxOpen('Drafts');
+     * let draft = await client.append('Drafts', firstVersion, ['\\Draft']);
+     * draft = await client.messageReplace(draft.uid, 'Drafts', secondVersion, ['\\Draft']);
+     */
+    async messageReplace(uid, path, content, flags, idate) {
+        if (!this.mailbox) {
+            // no mailbox selected, nothing to do
+            return false;
+        }
+        return (await this.run('REPLACE', uid, path, content, flags, idate, { uid: true })) || false;
+    }
+
     /**
      * Search messages from the currently opened mailbox
      *
@@ -3293,6 +4273,121 @@ class ImapFlow extends EventEmitter {
         return result;
     }
 
+    /**
+     * Sort criteria entry for {@link ImapFlow#sort}. Either a sort key name or an object with a `key` and a `reverse` flag.
+     * Available keys are `arrival`, `cc`, `date`, `from`, `size`, `subject`, `to`, and if the server supports `SORT=DISPLAY`
+     * also `displayFrom` and `displayTo`.
+     * @typedef {String|Object} SortCriteriaObject
+     * @global
+     * @property {String} key sort key name
+     * @property {Boolean} [reverse=false] If `true` then this key is sorted in reverse order
+     * @example
+     * "date" // oldest first
+     * { key: "date", reverse: true } // newest first
+     */
+
+    /**
+     * Sorts messages from the currently opened mailbox on the server side. Requires the `SORT` extension (RFC 5256),
+     * the `displayFrom` and `displayTo` keys additionally require `SORT=DISPLAY` (RFC 5957).
+     *
+     * @param {SortCriteriaObject|SortCriteriaObject[]} criteria Sort keys, in the order of precedence
+     * @param {SearchObject} [query] Query to filter the messages, sorts all messages if not set
+     * @param {Object} [options]
+     * @param {Boolean} [options.uid=true] If `true` then returns UID numbers, if `false` then sequence numbers
+     * @returns {Promise<Number[]|Boolean>} An array of UID or sequence numbers in sorted order, or `false` if the command failed
+     * @throws Will throw an error with code `MissingServerExtension` if the server does not support the required extensions
+     *
+     * @example
+     * let mailbox = await client.mailboxOpen('INBOX');
+     * // unseen messages, newest first
+     * let uids = await client.sort([{ key: 'date', reverse: true }], { seen: false });
+     */
+    async sort(criteria, query, options) {
+        if (!this.mailbox) {
+            // no mailbox selected, nothing to do
+            return;
+        }
+
+        return (await this.run('SORT', criteria, query, options)) || false;
+    }
+
+    /**
+     * Lists the threading algorithms advertised by the server through `THREAD=` capabilities (RFC 5256).
+     *
+     * @returns {String[]} Uppercase algorithm names, eg. `["ORDEREDSUBJECT", "REFERENCES"]`, or an empty array if THREAD is not supported
+     *
+     * @example
+     * if (client.getThreadAlgorithms().includes('REFERENCES')) {
+     *     let threads = await client.thread({ seen: false }, { algorithm: 'references' });
+     * }
+     */
+    getThreadAlgorithms() {
+        return getThreadAlgorithms(this);
+    }
+
+    /**
+     * Thread tree node returned by {@link ImapFlow#thread}
+     * @typedef {Object} ThreadNode
+     * @global
+     * @property {Number|null} uid UID of the message (`seq` instead when the `uid` option is `false`). `null` for a placeholder node that
+     *   groups sibling threads without a common parent message
+     * @property {ThreadNode[]} children Replies to this message, in server order
+     */
+
+    /**
+     * Threads messages from the currently opened mailbox. Uses the `THREAD` extension (RFC 5256) when the server advertises
+     * any `THREAD=` algorithm. Otherwise the messages are threaded on the client side with the JWZ algorithm, which gives
+     * results similar to `THREAD=REFERENCES` but needs to fetch the envelope and reference headers of every matching message.
+     *
+     * @param {SearchObject} [query] Query to filter the messages, threads all messages if not set
+     * @param {Object} [options]
+     * @param {String} [options.algorithm] Threading algorithm to use, eg. `"references"` or `"orderedsubject"`. Defaults to the best
+     *   algorithm the server advertises. Ignored for client-side threading
+     * @param {Boolean} [options.uid=true] If `true` then nodes include UID numbers, if `false` then sequence numbers in a `seq` property
+     * @returns {Promise<ThreadNode[]|Boolean>} Root nodes of every thread, or `false` if the command failed
+     * @throws Will throw an error with code `MissingServerExtension` if the server supports THREAD but not the requested algorithm
+     *
+     * @example
+     * let mailbox = await client.mailboxOpen('INBOX');
+     * let threads = await client.thread({ since: new Date(2024, 0, 1) });
+     * for (let thread of threads) {
+     *     console.log(thread.uid, thread.children.length);
+     * }
+     */
+    async thread(query, options) {
+        if (!this.mailbox) {
+            // no mailbox selected, nothing to do
+            return;
+        }
+
+        if (!getThreadAlgorithms(this).length) {
+            return await this.threadOnClient(query, options);
+        }
+
+        return (await this.run('THREAD', query, options)) || false;
+    }
+
+    /**
+     * Client-side fallback for {@link ImapFlow#thread}, fetches the headers needed for threading and builds the tree locally.
+     *
+     * @param {SearchObject} [query] Query to filter the messages
+     * @param {Object} [options]
+     * @param {Boolean} [options.uid=true] If `true` then nodes include UID numbers, if `false` then sequence numbers
+     * @returns {Promise<ThreadNode[]>} Root nodes of every thread
+     * @private
+     */
+    async threadOnClient(query, options) {
+        options = options || {};
+
+        let range = query && typeof query === 'object' && Object.keys(query).length ? query : '1:*';
+        if (range === '1:*' && !this.mailbox.exists) {
+            return [];
+        }
+
+        let messages = await this.fetchAll(range, { uid: true, envelope: true, headers: ['references', 'in-reply-to'] }, { uid: true });
+        return threadMessages(messages, { idKey: options.uid === false ? 'seq' : 'uid' });
+    }
+
     /**
      * @typedef {Object} FetchQueryObject
      * @global
@@ -3309,6 +4404,8 @@ class ImapFlow extends EventEmitter {
      * @property {Boolean} [labels] if `true` then include GMail labels in the response (only if server supports `X-GM-EXT-1` extension)
      * @property {boolean | string[]} [headers] if `true` then includes full headers of the message in the response. If the value is an array of header keys then includes only headers listed in the array
      * @property {string[]} [bodyParts] An array of BODYPART identifiers to include in the response
+     * @property {Boolean} [preview] if `true` then include a short plain text preview of the message. Uses the `PREVIEW` extension if the server supports it, otherwise the preview is built from the first text part of the message
+     * @property {Boolean} [parsed] if `true` then include a parsed message with decoded headers, text and HTML bodies and attachment details. The message is split up by its BODYSTRUCTURE, so only the header and the text parts are fetched, not the whole source
      * @property {Boolean} [fast] IMAP macro equivalent to `flags`, `internalDate`, `size`
      * @property {Boolean} [all] IMAP macro equivalent to `flags`, `internalDate`, `size`, `envelope`
      * @property {Boolean} [full] IMAP macro equivalent to `flags`, `internalDate`, `size`, `envelope`, `bodyStructure`
@@ -3378,6 +4475,34 @@ class ImapFlow extends EventEmitter {
      * @property {Map<string, Buffer>} [bodyParts] a Map of message body parts where key is requested part identifier and value is a Buffer
      * @property {Set<string>} [binaryParts] part identifiers from `bodyParts` that arrived via FETCH BINARY, i.e. with the content-transfer-encoding already decoded by the server
      * @property {Buffer} [headers] Requested header lines as Buffer
+     * @property {String|null} [preview] plain text preview of the message. `null` if the server has not generated the preview yet, an empty string if the message has no text content
+     * @property {ParsedMessageObject} [parsed] parsed message. Only present if `parsed` was requested and the header and text parts of the message could be fetched
+     */
+
+    /**
+     * Attachment of a parsed message
+     *
+     * @typedef {Object} ParsedAttachmentObject
+     * @global
+     * @property {String} part body part number
+     * @property {String} contentType Content-Type of the attachment
+     * @property {String|false} filename decoded filename
+     * @property {String} disposition content disposition, `inline` for parts that are referenced from HTML
+     * @property {String|false} contentId Content-ID without angle brackets
+     * @property {String} encoding transfer encoding
+     * @property {Number} size encoded size of the part
+     * @property {Function} stream returns a Promise for a Readable stream with the decoded contents. Uses {@link ImapFlow#download}, so the mailbox of the message must be open and the fetch must be finished
+     */
+
+    /**
+     * Parsed message from the `parsed` fetch query
+     *
+     * @typedef {Object} ParsedMessageObject
+     * @global
+     * @property {Map<string, string[]>} headers decoded header values, keys are lowercase
+     * @property {String|false} text plain text body, `false` if the message has no plain text
+     * @property {String|false} html HTML body, `false` if the message has no HTML
+     * @property {ParsedAttachmentObject[]} attachments attachments and inline parts that are not text bodies
      */
 
     /**
@@ -3389,6 +4514,7 @@ class ImapFlow extends EventEmitter {
      * @param {Boolean} [options.uid] If `true` then uses UID numbers instead of sequence numbers for `range`
      * @param {BigInt} [options.changedSince] If set then only messages with a higher modseq value are returned. Ignored if server does not support `CONDSTORE` extension.
      * @param {Boolean} [options.binary=false] If `true` then requests a binary response if the server supports this
+     * @param {Boolean} [options.cache=true] If `false` then the `cache` store is not used even if it is set
      * @yields {Promise<FetchMessageObject>} Message data object
      *
      * @example
@@ -3408,6 +4534,11 @@ class ImapFlow extends EventEmitter {
             return;
         }
 
+        if (this.cache && options.cache !== false && this.mailbox.uidValidity && isCacheableQuery(query)) {
+            yield* this.fetchCached(range, query, options);
+            return;
+        }
+
         range = await this.resolveRange(range, options);
         if (!range) {
             return false;
@@ -3517,6 +4648,80 @@ class ImapFlow extends EventEmitter {
         }
     }
 
+    // Serves the immutable parts of the query from the cache. Current flags and UIDs are fetched
+    // first, then the full query only for the messages that are not cached yet
+    async *fetchCached(range, query, options) {
+        let { path, uidValidity } = this.mailbox;
+        let requested = IMMUTABLE_FIELDS.filter(key => query[key]);
+
+        let current = await this.fetchAll(range, { uid: true, flags: true }, { uid: options.uid, changedSince: options.changedSince, cache: false });
+
+        // cached entries are read and missing messages fetched one batch at a time, so a large
+        // uncached range streams like a normal fetch instead of being buffered as a whole
+        for (let i = 0; i < current.length; i += CACHE_FETCH_BATCH_SIZE) {
+            let batch = current.slice(i, i + CACHE_FETCH_BATCH_SIZE);
+
+            let cached = new Map();
+            try {
+                cached = await this.cache.getMessages(
+                    path,
+                    uidValidity,
+                    batch.map(message => message.uid)
+                );
+            } catch (err) {
+                this.log.warn({ msg: 'Failed to read cache', err, cid: this.id });
+            }
+
+            let isCached = message => cached.has(message.uid) && requested.every(key => cached.get(message.uid)[key] !== undefined);
+            let missing = batch.filter(message => !isCached(message)).map(message => message.uid);
+
+            // Builds the result for a cached message
+            let fromCache = message => {
+                let entry = cached.get(message.uid);
+                let result = Object.assign({}, message);
+                if (!query.flags) {
+                    delete result.flags;
+                    delete result.flagColor;
+                }
+                for (let key of requested) {
+                    result[key] = entry[key];
+                }
+                return result;
+            };
+
+            let fetched = new Map();
+            let pos = 0;
+            if (missing.length) {
+                for await (let message of this.fetch(missing, query, { uid: true, binary: options.binary, cache: false })) {
+                    // keep the order of the range, cached messages before this one are yielded first
+                    while (pos < batch.length && batch[pos].uid < message.uid) {
+                        if (isCached(batch[pos])) {
+                            yield fromCache(batch[pos]);
+                        }
+                        pos++;
+                    }
+                    fetched.set(message.uid, message);
+                    yield message;
+                }
+            }
+
+            for (; pos < batch.length; pos++) {
+                // messages that were not fetched are either cached or expunged between the two FETCH commands
+                if (!fetched.has(batch[pos].uid) && isCached(batch[pos])) {
+                    yield fromCache(batch[pos]);
+                }
+            }
+
+            // flags of the cached messages are refreshed as well
+            await this.updateCache(
+                'setMessages',
+                path,
+                uidValidity,
+                batch.map(message => fetched.get(message.uid) || message)
+            );
+        }
+    }
+
     /**
      * Fetch messages from the currently opened mailbox.
      *
@@ -4170,6 +5375,44 @@ class ImapFlow extends EventEmitter {
         return data;
     }
 
+    /**
+     * Lists the attachments of a message and streams their contents on demand. Attachments are found
+     * from the BODYSTRUCTURE of the message, including the files of attached messages, so nothing but
+     * the structure is fetched until `stream()` is called for a part. Parts with an `attachment`
+     * disposition are attachments, parts without a disposition but with a Content-ID are inline parts.
+     * Text bodies are not listed.
+     *
+     * @param {Number|String} uid UID of the message
+     * @param {Object} [options]
+     * @param {String|String[]} [options.contentType] Only list parts of these types. A type like `image/*` matches every subtype
+     * @param {Number} [options.maxSize] Only list parts with an encoded size of up to this many bytes
+     * @param {Boolean} [options.inline=true] If `false` then inline parts are not listed
+     * @yields {Promise<ParsedAttachmentObject>} Attachment details. Call `stream()` only after the iteration is finished or in between iterations, as it runs a download
+     *
+     * @example
+     * let mailbox = await client.mailboxOpen('INBOX');
+     * for await (let attachment of client.attachments(123, { contentType: 'application/pdf', maxSize: 10 * 1024 * 1024 })) {
+     *     let content = await attachment.stream();
+     *     content.pipe(fs.createWriteStream(attachment.filename || `${attachment.part}.pdf`));
+     *     await once(content, 'end');
+     * }
+     */
+    async *attachments(uid, options) {
+        if (!this.mailbox) {
+            // no mailbox selected, nothing to do
+            return;
+        }
+
+        let message = await this.fetchOne(uid, { uid: true, bodyStructure: true }, { uid: true });
+        if (!message || !message.bodyStructure) {
+            return;
+        }
+
+        for (let attachment of findAttachments(message.bodyStructure, options)) {
+            yield withStream(this, message.uid, attachment);
+        }
+    }
+
     async run(command, ...args) {
         command = command.toUpperCase();
         if (!this.commands.has(command)) {
@@ -4251,6 +5494,11 @@ class ImapFlow extends EventEmitter {
             // Process all locks in queue until empty
             let processedCount = 0;
             while (this.locks.length > 0) {
+                // Locks stay queued while reconnecting, reconnect() processes them once the session is back
+                if (this.reconnecting) {
+                    break;
+                }
+
                 // Mutex invariant: at most one lock may be held at a time.
                 // If a lock is already granted, stop processing; release() will
                 // clear currentLock and reschedule us to pick up the next queued lock.
@@ -4398,7 +5646,7 @@ class ImapFlow extends EventEmitter {
             // a lock that failed immediately and the next getMailboxLock call
             // arrived before we finished). Schedule another run if needed.
             /* c8 ignore start */ // requires a lock to be enqueued during an in-flight processLocks pass; not reproducible deterministically
-            if (this.locks.length && !this.currentLock) {
+            if (this.locks.length && !this.currentLock && !this.reconnecting) {
                 setImmediate(() => {
                     this.processLocks().catch(err => this.log.error({ err, cid: this.id }));
                 });
@@ -4662,6 +5910,76 @@ class ImapFlow extends EventEmitter {
  * });
  */
 
+/**
+ * A new message arrived to the currently opened mailbox. Only emitted when NOTIFY is active with `fetch` attributes
+ * for the selected mailbox.
+ *
+ * @event module:imapflow~ImapFlow#messageNew
+ * @type {Object}
+ * @property {String} path mailbox path this event applies to
+ * @property {FetchMessageObject} message requested message data
+ * @example
+ * client.on('messageNew', data => {
+ *     console.log(`New message "${data.message.envelope.subject}" in "${data.path}"`);
+ * });
+ */
+
+/**
+ * Status of a mailbox changed. Emitted for NOTIFY message events in mailboxes other than the currently opened one.
+ *
+ * @event module:imapflow~ImapFlow#mailboxStatus
+ * @type {Object}
+ * @property {String} path mailbox path this event applies to
+ * @property {Number} [messages] count of messages
+ * @property {Number} [uidNext] predicted next UID
+ * @property {BigInt} [uidValidity] mailbox `UIDVALIDITY` value
+ * @property {Number} [unseen] count of unseen messages
+ * @property {BigInt} [highestModseq] last known modseq value (if CONDSTORE extension is enabled)
+ * @example
+ * client.on('mailboxStatus', data => {
+ *     console.log(`"${data.path}" has ${data.messages} messages`);
+ * });
+ */
+
+/**
+ * A mailbox was created, deleted, renamed, subscribed or unsubscribed. Emitted for NOTIFY `mailboxName` and `subscriptionChange` events.
+ *
+ * @event module:imapflow~ImapFlow#mailboxChange
+ * @type {Object}
+ * @property {String} path mailbox path this event applies to
+ * @property {String} delimiter mailbox path delimiter
+ * @property {Set<string>} flags mailbox flags as listed by the server
+ * @property {Boolean} subscribed `true` if the mailbox is subscribed
+ * @property {Boolean} deleted `true` if the mailbox was deleted
+ * @property {String} [oldPath] previous path of a renamed mailbox
+ * @example
+ * client.on('mailboxChange', data => {
+ *     if (data.oldPath) {
+ *         console.log(`"${data.oldPath}" was renamed to "${data.path}"`);
+ *     }
+ * });
+ */
+
+/**
+ * Annotations were changed. Emitted for NOTIFY `mailboxMetadataChange` and `serverMetadataChange` events.
+ *
+ * @event module:imapflow~ImapFlow#metadataChange
+ * @type {Object}
+ * @property {String} path mailbox path this event applies to, an empty string for server annotations
+ * @property {String[]} entries names of the changed entries
+ * @example
+ * client.on('metadataChange', async data => {
+ *     let meta = await client.getMetadata(data.path, data.entries);
+ * });
+ */
+
+/**
+ * The server stopped sending NOTIFY notifications because there were too many of these. Mailbox state should be
+ * refreshed and NOTIFY enabled again.
+ *
+ * @event module:imapflow~ImapFlow#notifyOverflow
+ */
+
 /**
  * Log event if `emitLogs=true`
  *
@@ -4674,3 +5992,12 @@ class ImapFlow extends EventEmitter {
  */
 
 module.exports.ImapFlow = ImapFlow;
+module.exports.CacheStore = CacheStore;
+module.exports.MemoryCacheStore = MemoryCacheStore;
+module.exports.FileCacheStore = FileCacheStore;
+module.exports.SessionRecorder = SessionRecorder;
+
+// required after the ImapFlow export, the pool module reads it from this module
+module.exports.ImapFlowPool = require('./imap-flow-pool').ImapFlowPool;
+module.exports.MailboxSync = require('./mailbox-sync').MailboxSync;
+module.exports.OfflineQueue = require('./offline-queue').OfflineQueue;
@@ -0,0 +1,367 @@
+'use strict';
+
+const { Headers } = require('@zone-eu/mailsplit');
+
+// Client-side threading for servers that do not advertise THREAD (RFC 5256). Follows the
+// algorithm described by Jamie Zawinski (https://www.jwz.org/doc/threading.html), which is
+// also the basis of the REFERENCES algorithm in RFC 5256, so the result has the same shape
+// as a server-side THREAD=REFERENCES response: a list of `{ uid, children }` trees where a
+// `null` id marks a placeholder for a message that is referenced but not in the result.
+//
+// Reply chains are server-controlled and can be arbitrarily deep, so every tree walk below
+// uses an explicit stack instead of recursion.
+
+// Leading reply/forward markers, optionally with a mailing list style counter ("Re[2]:")
+const SUBJECT_REPLY_PREFIX = /^(re|fwd?|fw|aw|sv|vs)\s*(\[\d+\])?\s*:\s*/i;
+// Leading "[list-name]" blobs, only stripped when something is left after them
+const SUBJECT_BLOB_PREFIX = /^\[[^\]]*\]\s*/;
+// Trailing "(fwd)" markers
+const SUBJECT_FWD_TRAILER = /\s*\(fwd\)\s*$/i;
+
+/**
+ * Reduces a subject line to the part that stays the same across replies and forwards.
+ *
+ * @param {String} subject - Decoded subject line
+ * @returns {{subject: String, isReply: Boolean}} Normalized base subject and whether any reply or forward marker was removed
+ */
+const getBaseSubject = subject => {
+    let value = (subject || '').toString().replace(/\s+/g, ' ').trim();
+    let isReply = false;
+
+    let previous;
+    do {
+        previous = value;
+        value = value.replace(SUBJECT_FWD_TRAILER, '');
+
+        if (SUBJECT_REPLY_PREFIX.test(value)) {
+            value = value.replace(SUBJECT_REPLY_PREFIX, '');
+            isReply = true;
+        }
+
+        let unblobbed = value.replace(SUBJECT_BLOB_PREFIX, '');
+        if (unblobbed && unblobbed !== value) {
+            value = unblobbed;
+        }
+        value = value.trim();
+    } while (value !== previous);
+
+    return { subject: value.toLowerCase(), isReply };
+};
+
+/**
+ * Extracts message IDs from a References or In-Reply-To header value.
+ *
+ * @param {String} value - Header value
+ * @returns {String[]} Message IDs in header order, including the angle brackets
+ */
+const getMessageIds = value => ((value || '').toString().match(/<[^<>\s]+>/g) || []).map(id => id.toLowerCase());
+
+/**
+ * Lists the ancestors of a message, oldest first, from its References and In-Reply-To headers.
+ *
+ * @param {Object} message - Fetched message object
+ * @returns {String[]} Referenced message IDs
+ */
+const getReferences = message => {
+    let references = [];
+    let inReplyTo = [];
+
+    if (message.headers) {
+        let headers = new Headers(Buffer.isBuffer(message.headers) ? message.headers : Buffer.from(message.headers.toString()));
+        references = getMessageIds(headers.getFirst('references'));
+        inReplyTo = getMessageIds(headers.getFirst('in-reply-to'));
+    }
+
+    if (!inReplyTo.length && message.envelope) {
+        inReplyTo = getMessageIds(message.envelope.inReplyTo);
+    }
+
+    // In-Reply-To is only used when References is missing, and then only its first ID,
+    // other entries tend to be email addresses or free text
+    if (!references.length && inReplyTo.length) {
+        references = [inReplyTo[0]];
+    }
+
+    return references;
+};
+
+/**
+ * Checks if `ancestor` is `container` itself or one of its ancestors.
+ *
+ * @param {Object} container - Container to start from
+ * @param {Object} ancestor - Container to look for
+ * @returns {Boolean}
+ */
+const isAncestor = (container, ancestor) => {
+    for (let current = container; current; current = current.parent) {
+        if (current === ancestor) {
+            return true;
+        }
+    }
+    return false;
+};
+
+const unlink = container => {
+    if (container.parent) {
+        container.parent.children.delete(container);
+        container.parent = null;
+    }
+};
+
+const link = (parent, child) => {
+    unlink(child);
+    child.parent = parent;
+    parent.children.add(child);
+};
+
+const getDate = message => {
+    let date = message && message.envelope && message.envelope.date;
+    let time = date ? new Date(date).getTime() : NaN;
+    return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Orders siblings by the sent date of their message, placeholders by their first child.
+ * Messages without a usable date keep their number order after the dated ones.
+ */
+const compareContainers = (a, b) => {
+    let aDate = a.sortDate;
+    let bDate = b.sortDate;
+    if (aDate !== bDate) {
+        if (aDate === null) {
+            return 1;
+        }
+        if (bDate === null) {
+            return -1;
+        }
+        return aDate - bDate;
+    }
+    return a.sortId - b.sortId;
+};
+
+// Used for picking the subject of a placeholder, before sort keys are computed
+const compareMessageContainers = (a, b) => {
+    let aDate = a.message ? getDate(a.message) : null;
+    let bDate = b.message ? getDate(b.message) : null;
+    if (aDate !== bDate && aDate !== null && bDate !== null) {
+        return aDate - bDate;
+    }
+    return (a.message ? 0 : 1) - (b.message ? 0 : 1);
+};
+
+/**
+ * Builds thread trees from fetched messages.
+ *
+ * Every message needs an `envelope` and, for best results, the `references` and `in-reply-to`
+ * header fields, as returned by `fetch(range, { envelope: true, headers: ['references', 'in-reply-to'] })`.
+ *
+ * @param {Object[]} messages - Fetched message objects
+ * @param {Object} [options]
+ * @param {String} [options.idKey='uid'] - Message property used as the node id, `uid` or `seq`
+ * @returns {Object[]} Root nodes of every thread, each node is `{ [idKey], children }`
+ */
+const threadMessages = (messages, options) => {
+    options = options || {};
+    let idKey = options.idKey || 'uid';
+
+    let idTable = new Map();
+    let containers = [];
+
+    let getContainer = id => {
+        let container = idTable.get(id);
+        if (!container) {
+            container = { message: null, parent: null, children: new Set() };
+            idTable.set(id, container);
+            containers.push(container);
+        }
+        return container;
+    };
+
+    // 1. Index every message by its Message-ID and link it under its references
+    let uniqueCounter = 0;
+    for (let message of messages || []) {
+        if (!message || typeof message[idKey] !== 'number') {
+            continue;
+        }
+
+        let messageId = getMessageIds(message.envelope && message.envelope.messageId)[0];
+        let container = messageId && getContainer(messageId);
+        if (!container || container.message) {
+            // missing or duplicate Message-ID, thread the message on its own identity
+            container = getContainer(`\x00${++uniqueCounter}`);
+        }
+        container.message = message;
+
+        let references = getReferences(message);
+        let previous = null;
+        for (let reference of references) {
+            let current = getContainer(reference);
+            // keep links that earlier messages already established and never create a loop
+            if (previous && !current.parent && !isAncestor(previous, current)) {
+                link(previous, current);
+            }
+            previous = current;
+        }
+
+        // The message itself knows its direct parent better than any other message's References
+        if (previous && previous !== container && !isAncestor(previous, container)) {
+            link(previous, container);
+        } else if (!previous || previous === container) {
+            unlink(container);
+        }
+    }
+
+    // 2. Prune placeholders, children are processed before their parents
+    let roots = new Set(containers.filter(container => !container.parent));
+    let order = [];
+    let stack = Array.from(roots);
+    while (stack.length) {
+        let container = stack.pop();
+        order.push(container);
+        for (let child of container.children) {
+            stack.push(child);
+        }
+    }
+
+    for (let i = order.length - 1; i >= 0; i--) {
+        let container = order[i];
+        if (container.message) {
+            continue;
+        }
+
+        let parent = container.parent;
+        let children = Array.from(container.children);
+        if (!children.length) {
+            unlink(container);
+            roots.delete(container);
+            continue;
+        }
+
+        if (parent) {
+            // promote the children of an empty container to its own level
+            unlink(container);
+            for (let child of children) {
+                link(parent, child);
+            }
+        } else if (children.length === 1) {
+            // a root level placeholder is only kept when it groups several threads
+            unlink(children[0]);
+            roots.delete(container);
+            roots.add(children[0]);
+        }
+    }
+
+    // 3. Group root level threads with the same base subject
+    let subjectInfo = container => {
+        let message = container.message || (container.children.size ? Array.from(container.children).sort(compareMessageContainers)[0].message : null);
+        return message && message.envelope ? getBaseSubject(message.envelope.subject) : { subject: '', isReply: false };
+    };
+
+    let subjectTable = new Map();
+    for (let container of roots) {
+        let { subject, isReply } = subjectInfo(container);
+        if (!subject) {
+            continue;
+        }
+        let existing = subjectTable.get(subject);
+        if (
+            !existing ||
+            (!container.message && existing.container.message) ||
+            (existing.container.message && container.message && existing.isReply && !isReply)
+        ) {
+            subjectTable.set(subject, { container, isReply });
+        }
+    }
+
+    for (let container of Array.from(roots)) {
+        if (!roots.has(container)) {
+            // already merged into another thread during this pass
+            continue;
+        }
+        let { subject, isReply } = subjectInfo(container);
+        let entry = subject && subjectTable.get(subject);
+        if (!entry || entry.container === container) {
+            continue;
+        }
+
+        let other = entry.container;
+        roots.delete(container);
+
+        if (!other.message && !container.message) {
+            for (let child of Array.from(container.children)) {
+                link(other, child);
+            }
+        } else if (!other.message) {
+            link(other, container);
+        } else if (!container.message) {
+            roots.delete(other);
+            roots.add(container);
+            link(container, other);
+            entry.container = container;
+        } else if (!entry.isReply && isReply) {
+            link(other, container);
+        } else if (entry.isReply && !isReply) {
+            roots.delete(other);
+            roots.add(container);
+            link(container, other);
+            entry.container = container;
+            entry.isReply = false;
+        } else {
+            // neither is a reply to the other, group them under a new placeholder
+            let placeholder = { message: null, parent: null, children: new Set() };
+            roots.delete(other);
+            roots.add(placeholder);
+            link(placeholder, other);
+            link(placeholder, container);
+            entry.container = placeholder;
+        }
+    }
+
+    // 4. Sort siblings by date and convert the containers into plain nodes. Placeholders sort
+    // by their earliest child, so sort keys are computed bottom-up
+    let walk = [];
+    stack = Array.from(roots);
+    while (stack.length) {
+        let container = stack.pop();
+        walk.push(container);
+        for (let child of container.children) {
+            stack.push(child);
+        }
+    }
+    for (let i = walk.length - 1; i >= 0; i--) {
+        let container = walk[i];
+        if (container.message) {
+            container.sortDate = getDate(container.message);
+            container.sortId = container.message[idKey];
+        } else {
+            let first = Array.from(container.children).sort(compareContainers)[0];
+            container.sortDate = first ? first.sortDate : null;
+            container.sortId = first ? first.sortId : Infinity;
+        }
+    }
+
+    let result = [];
+    let nodes = new Map();
+    let toNode = container => {
+        let node = { [idKey]: container.message ? container.message[idKey] : null, children: [] };
+        nodes.set(container, node);
+        return node;
+    };
+
+    for (let container of Array.from(roots).sort(compareContainers)) {
+        result.push(toNode(container));
+        stack = [container];
+        while (stack.length) {
+            let current = stack.pop();
+            let node = nodes.get(current);
+            for (let child of Array.from(current.children).sort(compareContainers)) {
+                node.children.push(toNode(child));
+                stack.push(child);
+            }
+        }
+    }
+
+    return result;
+};
+
+module.exports = { threadMessages, getBaseSubject };
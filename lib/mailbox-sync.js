@@ -0,0 +1,206 @@
+'use strict';
+
+const syncError = (message, code) => {
+    let error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * @typedef {Object} MailboxSyncState
+ * @global
+ * @property {BigInt} uidValidity UIDVALIDITY of the mailbox when the state was stored
+ * @property {BigInt|false} highestModseq HIGHESTMODSEQ of the mailbox when the state was stored, `false` if the server does not support CONDSTORE
+ * @property {Number[]} knownUids UIDs of the messages in the local mirror
+ */
+
+/**
+ * @typedef {Object} MailboxSyncDelta
+ * @global
+ * @property {Boolean} reset `true` if UIDVALIDITY changed or there was no stored state. Every stored UID is invalid, the local mirror must be rebuilt from `added` and `changed`
+ * @property {Number[]} added UIDs of messages that are not in `knownUids`
+ * @property {Number[]} vanished UIDs from `knownUids` of messages that were expunged
+ * @property {Object[]} changed Flags `{ uid, flags, modseq, flagColor }` of messages that changed, new messages included. Without CONDSTORE changes can not be detected and every message is listed
+ * @property {String} mode How the delta was computed: `qresync`, `condstore` (changed flags from modseq, expunges from UID diffing) or `full` (UID diffing and flags of every message)
+ */
+
+/**
+ * @typedef {Object} MailboxSyncResult
+ * @global
+ * @property {String} path Mailbox path
+ * @property {MailboxObject} mailbox The selected mailbox
+ * @property {MailboxSyncDelta} delta Changes since the stored state
+ * @property {MailboxSyncState} state New state to persist for the next sync
+ */
+
+/**
+ * Computes the changes to a mailbox since a previously stored state, so that a local mirror can be
+ * kept up to date without re-implementing modseq bookkeeping. Uses QRESYNC if it is enabled for the
+ * client (see the `qresync` option of {@link ImapFlow}), CONDSTORE if available, and falls back to
+ * comparing UID sets on servers that support neither.
+ *
+ * @example
+ * const { ImapFlow, MailboxSync } = require('imapflow');
+ * const client = new ImapFlow({ ..., qresync: true });
+ * await client.connect();
+ *
+ * let sync = new MailboxSync(client);
+ * let { delta, state } = await sync.sync('INBOX', await loadState('INBOX'));
+ * await applyChanges(delta);
+ * await saveState('INBOX', state);
+ */
+class MailboxSync {
+    /**
+     * @param {ImapFlow} client Connected client
+     * @param {Object} [options] Sync options
+     * @param {Boolean} [options.readOnly=true] Open mailboxes with EXAMINE, so that syncing does not clear the `\Recent` flags
+     */
+    constructor(client, options) {
+        this.client = client;
+        this.options = options || {};
+        this.readOnly = this.options.readOnly !== false;
+    }
+
+    /**
+     * Synchronizes a mailbox. Holds a lock on the mailbox while running, see {@link ImapFlow#getMailboxLock}.
+     *
+     * @param {String|Array} path Mailbox path
+     * @param {MailboxSyncState} [state] Stored state, leave empty for the first sync. Values returned by an earlier sync can be stored as strings
+     * @returns {Promise<MailboxSyncResult>} Changes and the new state
+     * @throws Will throw if the mailbox can not be opened or listed
+     */
+    async sync(path, state) {
+        state = this.normalizeState(state);
+
+        let lock = await this.client.getMailboxLock(path, { readOnly: this.readOnly, description: 'MailboxSync' });
+        try {
+            return await this.syncMailbox(lock.path, state);
+        } finally {
+            lock.release();
+        }
+    }
+
+    normalizeState(state) {
+        state = state || {};
+        return {
+            uidValidity: state.uidValidity ? BigInt(state.uidValidity) : false,
+            highestModseq: state.highestModseq ? BigInt(state.highestModseq) : false,
+            knownUids: Array.from(state.knownUids || [], Number)
+        };
+    }
+
+    async syncMailbox(path, state) {
+        let { client } = this;
+
+        // With QRESYNC the server reports expunged and changed messages while the mailbox is
+        // being selected, as untagged VANISHED and FETCH responses
+        let vanished = new Set();
+        let changed = new Map();
+        let onExpunge = event => {
+            if (event.path === path && event.vanished && event.uid) {
+                vanished.add(event.uid);
+            }
+        };
+        let onFlags = event => {
+            if (event.path === path && event.uid) {
+                changed.set(event.uid, this.formatChange(event));
+            }
+        };
+
+        client.on('expunge', onExpunge);
+        client.on('flags', onFlags);
+        let mailbox;
+        try {
+            // QRESYNC parameters are only sent if QRESYNC is enabled, re-selecting the mailbox
+            // that the lock already selected is what triggers the resync
+            mailbox = await client.mailboxOpen(path, {
+                readOnly: this.readOnly,
+                uidValidity: state.uidValidity || undefined,
+                changedSince: state.highestModseq || undefined
+            });
+        } finally {
+            client.removeListener('expunge', onExpunge);
+            client.removeListener('flags', onFlags);
+        }
+
+        let delta = {
+            reset: !state.uidValidity || state.uidValidity !== mailbox.uidValidity,
+            added: [],
+            vanished: [],
+            changed: [],
+            mode: 'full'
+        };
+        let known = new Set(state.knownUids);
+        let uids;
+
+        if (delta.reset) {
+            // nothing stored is valid anymore
+            known.clear();
+            uids = await this.listUids(mailbox);
+            delta.changed = await this.fetchChanges(mailbox);
+        } else if (mailbox.qresync && typeof client.options.expungeHandler !== 'function') {
+            // an expungeHandler receives VANISHED results instead of `expunge` events, so these
+            // are only complete if none is set
+            delta.mode = 'qresync';
+            for (let uid of vanished) {
+                changed.delete(uid);
+            }
+            uids = state.knownUids.filter(uid => !vanished.has(uid)).concat(Array.from(changed.keys()).filter(uid => !known.has(uid)));
+            delta.changed = Array.from(changed.values());
+        } else if (client.enabled.has('CONDSTORE') && !mailbox.noModseq && state.highestModseq) {
+            delta.mode = 'condstore';
+            uids = await this.listUids(mailbox);
+            delta.changed = await this.fetchChanges(mailbox, state.highestModseq);
+        } else {
+            uids = await this.listUids(mailbox);
+            delta.changed = await this.fetchChanges(mailbox);
+        }
+
+        let current = new Set(uids);
+        delta.added = uids.filter(uid => !known.has(uid)).sort((a, b) => a - b);
+        delta.vanished = state.knownUids.filter(uid => known.has(uid) && !current.has(uid)).sort((a, b) => a - b);
+
+        return {
+            path,
+            mailbox,
+            delta,
+            state: {
+                uidValidity: mailbox.uidValidity,
+                highestModseq: (!mailbox.noModseq && mailbox.highestModseq) || false,
+                knownUids: Array.from(current).sort((a, b) => a - b)
+            }
+        };
+    }
+
+    async listUids(mailbox) {
+        if (!mailbox.exists) {
+            return [];
+        }
+        let uids = await this.client.search({ all: true }, { uid: true });
+        if (!Array.isArray(uids)) {
+            throw syncError(`Failed to list messages in ${mailbox.path}`, 'MailboxSyncFailed');
+        }
+        return uids;
+    }
+
+    async fetchChanges(mailbox, changedSince) {
+        if (!mailbox.exists) {
+            return [];
+        }
+        let messages = await this.client.fetchAll('1:*', { uid: true, flags: true }, { uid: true, changedSince });
+        return messages.map(message => this.formatChange(message));
+    }
+
+    formatChange(message) {
+        let change = { uid: message.uid, flags: message.flags };
+        if (message.modseq) {
+            change.modseq = message.modseq;
+        }
+        if (message.flagColor) {
+            change.flagColor = message.flagColor;
+        }
+        return change;
+    }
+}
+
+module.exports.MailboxSync = MailboxSync;
@@ -0,0 +1,401 @@
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Queued actions and the client methods these are replayed with
+const FLAG_ACTIONS = {
+    flagsAdd: 'messageFlagsAdd',
+    flagsRemove: 'messageFlagsRemove',
+    flagsSet: 'messageFlagsSet'
+};
+
+const queueError = (message, code) => {
+    let error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Change to a mailbox recorded by {@link OfflineQueue}. Intents only contain JSON compatible values,
+ * so these can be persisted as is.
+ *
+ * @typedef {Object} OfflineQueueIntent
+ * @global
+ * @property {String} id Unique ID of the intent
+ * @property {String} action One of `flagsAdd`, `flagsRemove`, `flagsSet`, `move`, `copy` or `delete`
+ * @property {String} path Mailbox path
+ * @property {String} uidValidity UIDVALIDITY of the mailbox the UIDs belong to
+ * @property {Number[]} uids UIDs of the messages
+ * @property {String[]} [flags] Flags for flag changes
+ * @property {String} [destination] Destination mailbox for `move` and `copy`
+ * @property {String} [unchangedSince] Modseq for the `UNCHANGEDSINCE` test of flag changes and deletes
+ * @property {Boolean} [useLabels] If `true` then Gmail labels are changed instead of flags
+ * @property {String} created Time the intent was recorded as an ISO date string
+ */
+
+/**
+ * @typedef {Object} OfflineQueueResult
+ * @global
+ * @property {OfflineQueueIntent} intent The intent
+ * @property {String} status One of:
+ *     `queued` (not replayed yet, the client is not connected),
+ *     `applied`,
+ *     `conflict` (messages listed in `modified` changed after `unchangedSince` and were left as is, the other messages were updated),
+ *     `uidValidityChanged` (UIDVALIDITY of the mailbox changed, so the UIDs refer to other messages and nothing was done) or
+ *     `failed` (the server rejected the command, see `err`).
+ *     Only `queued` intents are kept in the queue
+ * @property {Number[]} [modified] UIDs that failed the `UNCHANGEDSINCE` test
+ * @property {CopyResponseObject} [response] Result of `move` and `copy`
+ * @property {Error} [err] Why the intent failed
+ */
+
+/**
+ * Storage for queued intents, set as the `storage` option of {@link OfflineQueue} to keep
+ * the queue over restarts.
+ *
+ * @typedef {Object} OfflineQueueStorage
+ * @global
+ * @property {Function} load Async function that resolves with the stored intents, or a falsy value if nothing is stored
+ * @property {Function} save Async function that is called with the full list of intents whenever the queue changes
+ */
+
+/**
+ * Records message changes while the client is disconnected and replays these in order once it is connected.
+ * Changes are keyed by UID and the UIDVALIDITY of the mailbox, so these are never applied to other messages.
+ * Flag changes and deletes can include a modseq, messages changed on the server after it are left
+ * as is and reported as a conflict. Conflict detection requires the `CONDSTORE` extension.
+ *
+ * @extends EventEmitter
+ * @example
+ * const { ImapFlow, OfflineQueue } = require('imapflow');
+ * const queue = new OfflineQueue({ storage: { load: loadIntents, save: saveIntents } });
+ * queue.on('replayed', result => console.log(result.intent.action, result.status));
+ *
+ * // while offline, UIDVALIDITY and modseq come from the local mirror
+ * await queue.messageFlagsAdd('INBOX', [12, 13], ['\\Seen'], { uidValidity, unchangedSince: modseq });
+ *
+ * const client = new ImapFlow({ ..., reconnect: true });
+ * await client.connect();
+ * // replays the queue, and again whenever the client reconnects
+ * await queue.attach(client);
+ */
+class OfflineQueue extends EventEmitter {
+    /**
+     * @param {Object} [options] Queue options
+     * @param {OfflineQueueStorage} [options.storage] Storage for the queue, by default intents are only kept in memory
+     */
+    constructor(options) {
+        super();
+        this.options = options || {};
+        this.storage = this.options.storage || false;
+
+        this.intents = [];
+        this.loading = false;
+        this.replaying = false;
+
+        this.client = false;
+        this.onReconnected = () => {
+            // the client may be detached by the time the replay fails
+            let { client } = this;
+            this.replay().catch(err => client.log.warn({ msg: 'Failed to replay offline queue', err, cid: client.id }));
+        };
+    }
+
+    /**
+     * Queued intents, in the order these are replayed
+     *
+     * @returns {Promise<OfflineQueueIntent[]>}
+     */
+    async pending() {
+        await this.load();
+        return this.intents.slice();
+    }
+
+    /**
+     * Sets the client to replay intents with. Intents queued so far are replayed right away if the client
+     * is connected, and again whenever it emits `reconnected` (see the `reconnect` option of {@link ImapFlow}).
+     * Once attached, new intents are applied immediately while the client is connected.
+     *
+     * @param {ImapFlow} client Client to use
+     * @returns {Promise<OfflineQueueResult[]>} Results of the replayed intents
+     */
+    async attach(client) {
+        this.detach();
+        this.client = client;
+        client.on('reconnected', this.onReconnected);
+        return await this.replay();
+    }
+
+    /**
+     * Stops using the attached client, new intents are queued until another client is attached
+     */
+    detach() {
+        if (this.client) {
+            this.client.removeListener('reconnected', this.onReconnected);
+        }
+        this.client = false;
+    }
+
+    /**
+     * Queues adding flags to messages
+     *
+     * @param {String} path Mailbox path
+     * @param {Number[]} uids Message UIDs
+     * @param {String[]} flags Flags to add
+     * @param {Object} [options]
+     * @param {BigInt|String} [options.uidValidity] UIDVALIDITY the UIDs belong to. Required unless the mailbox is currently open in the attached client
+     * @param {BigInt|String} [options.unchangedSince] Messages with a higher modseq on the server are not updated
+     * @param {Boolean} [options.useLabels=false] If true then update Gmail labels instead of message flags
+     * @returns {Promise<OfflineQueueResult>} Result of the intent, `queued` if the client is not connected
+     */
+    async messageFlagsAdd(path, uids, flags, options) {
+        return await this.enqueue('flagsAdd', path, uids, options, { flags });
+    }
+
+    /**
+     * Queues removing flags from messages, see {@link OfflineQueue#messageFlagsAdd} for the options
+     *
+     * @param {String} path Mailbox path
+     * @param {Number[]} uids Message UIDs
+     * @param {String[]} flags Flags to remove
+     * @param {Object} [options]
+     * @returns {Promise<OfflineQueueResult>} Result of the intent, `queued` if the client is not connected
+     */
+    async messageFlagsRemove(path, uids, flags, options) {
+        return await this.enqueue('flagsRemove', path, uids, options, { flags });
+    }
+
+    /**
+     * Queues replacing the flags of messages, see {@link OfflineQueue#messageFlagsAdd} for the options
+     *
+     * @param {String} path Mailbox path
+     * @param {Number[]} uids Message UIDs
+     * @param {String[]} flags Flags to set
+     * @param {Object} [options]
+     * @returns {Promise<OfflineQueueResult>} Result of the intent, `queued` if the client is not connected
+     */
+    async messageFlagsSet(path, uids, flags, options) {
+        return await this.enqueue('flagsSet', path, uids, options, { flags });
+    }
+
+    /**
+     * Queues deleting messages. With `options.unchangedSince` the messages are first marked as `\Deleted`
+     * using the `UNCHANGEDSINCE` test, and only the messages that passed it are expunged.
+     *
+     * @param {String} path Mailbox path
+     * @param {Number[]} uids Message UIDs
+     * @param {Object} [options]
+     * @param {BigInt|String} [options.uidValidity] UIDVALIDITY the UIDs belong to. Required unless the mailbox is currently open in the attached client
+     * @param {BigInt|String} [options.unchangedSince] Messages with a higher modseq on the server are not deleted
+     * @returns {Promise<OfflineQueueResult>} Result of the intent, `queued` if the client is not connected
+     */
+    async messageDelete(path, uids, options) {
+        return await this.enqueue('delete', path, uids, options);
+    }
+
+    /**
+     * Queues moving messages to another mailbox
+     *
+     * @param {String} path Mailbox path
+     * @param {Number[]} uids Message UIDs
+     * @param {String} destination Mailbox path to move the messages to
+     * @param {Object} [options]
+     * @param {BigInt|String} [options.uidValidity] UIDVALIDITY the UIDs belong to. Required unless the mailbox is currently open in the attached client
+     * @returns {Promise<OfflineQueueResult>} Result of the intent, `queued` if the client is not connected
+     */
+    async messageMove(path, uids, destination, options) {
+        return await this.enqueue('move', path, uids, options, { destination });
+    }
+
+    /**
+     * Queues copying messages to another mailbox, see {@link OfflineQueue#messageMove} for the options
+     *
+     * @param {String} path Mailbox path
+     * @param {Number[]} uids Message UIDs
+     * @param {String} destination Mailbox path to copy the messages to
+     * @param {Object} [options]
+     * @returns {Promise<OfflineQueueResult>} Result of the intent, `queued` if the client is not connected
+     */
+    async messageCopy(path, uids, destination, options) {
+        return await this.enqueue('copy', path, uids, options, { destination });
+    }
+
+    async enqueue(action, path, uids, options, fields) {
+        options = options || {};
+
+        let uidValidity = options.uidValidity;
+        if (!uidValidity && this.client && this.client.mailbox && this.client.mailbox.path === path) {
+            uidValidity = this.client.mailbox.uidValidity;
+        }
+        if (!uidValidity) {
+            throw queueError(`UIDVALIDITY of ${path} is required to queue changes`, 'OfflineQueueNoUidValidity');
+        }
+
+        let intent = Object.assign(
+            {
+                id: crypto.randomBytes(8).toString('hex'),
+                action,
+                path,
+                uidValidity: uidValidity.toString(),
+                uids: Array.from([].concat(uids || []), Number)
+            },
+            fields || {}
+        );
+        if (options.unchangedSince && action !== 'move' && action !== 'copy') {
+            intent.unchangedSince = options.unchangedSince.toString();
+        }
+        if (options.useLabels && FLAG_ACTIONS[action]) {
+            intent.useLabels = true;
+        }
+        intent.created = new Date().toISOString();
+
+        await this.load();
+        this.intents.push(intent);
+        await this.save();
+
+        let results = await this.replay();
+        return results.find(result => result.intent.id === intent.id) || { intent, status: 'queued' };
+    }
+
+    /**
+     * Replays queued intents in order with the attached client. Stops at the first intent that can not be
+     * sent because the connection is not available, the remaining intents stay in the queue.
+     *
+     * @returns {Promise<OfflineQueueResult[]>} Results of the replayed intents
+     */
+    async replay() {
+        // intents queued while a replay is running are picked up by the running one
+        if (!this.replaying) {
+            this.replaying = this.replayIntents().finally(() => {
+                this.replaying = false;
+            });
+        }
+        return await this.replaying;
+    }
+
+    async replayIntents() {
+        await this.load();
+
+        let { client } = this;
+        let results = [];
+        // stops once the client is detached or replaced, the new client replays the rest
+        while (this.intents.length && client && this.client === client && client.usable) {
+            let intent = this.intents[0];
+            let result = await this.applyIntent(client, intent);
+            if (!result) {
+                // lost the connection, try again once reconnected
+                break;
+            }
+
+            this.intents.shift();
+            await this.save();
+
+            results.push(result);
+
+            /**
+             * An intent was replayed
+             * @event module:imapflow~OfflineQueue#replayed
+             * @type {OfflineQueueResult}
+             */
+            this.emit('replayed', result);
+        }
+        return results;
+    }
+
+    // Returns `false` if the intent could not be sent and needs to stay in the queue
+    async applyIntent(client, intent) {
+        let lock;
+        try {
+            lock = await client.getMailboxLock(intent.path, { description: 'OfflineQueue' });
+        } catch (err) {
+            return this.failed(client, intent, err);
+        }
+
+        try {
+            if (client.mailbox.uidValidity !== BigInt(intent.uidValidity)) {
+                return { intent, status: 'uidValidityChanged' };
+            }
+
+            let modified = [];
+            let options = { uid: true };
+            if (intent.unchangedSince) {
+                options.unchangedSince = BigInt(intent.unchangedSince);
+                options.onModified = uids => {
+                    modified = modified.concat(uids);
+                };
+            }
+
+            let response;
+            if (FLAG_ACTIONS[intent.action]) {
+                options.useLabels = !!intent.useLabels;
+                response = await client[FLAG_ACTIONS[intent.action]](intent.uids, intent.flags, options);
+            } else if (intent.action === 'delete') {
+                response = true;
+                let uids = intent.uids;
+                if (options.unchangedSince) {
+                    // only messages that pass the UNCHANGEDSINCE test are marked for deletion
+                    response = await client.messageFlagsAdd(uids, ['\\Deleted'], Object.assign({ silent: true }, options));
+                    uids = uids.filter(uid => !modified.includes(uid));
+                }
+                if (response && uids.length) {
+                    response = await client.messageDelete(uids, { uid: true });
+                }
+            } else if (intent.action === 'move' || intent.action === 'copy') {
+                response = await client[intent.action === 'move' ? 'messageMove' : 'messageCopy'](intent.uids, intent.destination, { uid: true });
+            } else {
+                return { intent, status: 'failed', err: queueError(`Unknown action ${intent.action}`, 'OfflineQueueUnknownAction') };
+            }
+
+            if (!response) {
+                return this.failed(client, intent, queueError(`Failed to replay ${intent.action} for ${intent.path}`, 'OfflineQueueReplayFailed'));
+            }
+
+            let result = { intent, status: modified.length ? 'conflict' : 'applied' };
+            if (modified.length) {
+                result.modified = modified;
+            }
+            if (typeof response === 'object') {
+                result.response = response;
+            }
+            return result;
+        } catch (err) {
+            return this.failed(client, intent, err);
+        } finally {
+            lock.release();
+        }
+    }
+
+    failed(client, intent, err) {
+        if (err.code === 'NoConnection' || !client.usable) {
+            return false;
+        }
+        // the server rejected the change, retrying would fail the same way
+        client.log.warn({ msg: 'Failed to replay queued change', action: intent.action, path: intent.path, err, cid: client.id });
+        return { intent, status: 'failed', err };
+    }
+
+    load() {
+        // concurrent calls share the same read
+        if (!this.loading) {
+            this.loading = (async () => {
+                if (this.storage) {
+                    this.intents = (await this.storage.load()) || [];
+                }
+            })().catch(err => {
+                // try again on the next call
+                this.loading = false;
+                throw err;
+            });
+        }
+        return this.loading;
+    }
+
+    async save() {
+        if (this.storage) {
+            await this.storage.save(this.intents.slice());
+        }
+    }
+}
+
+module.exports.OfflineQueue = OfflineQueue;
@@ -0,0 +1,273 @@
+'use strict';
+
+const libmime = require('libmime');
+const libqp = require('libqp');
+const libbase64 = require('libbase64');
+const { Headers } = require('@zone-eu/mailsplit');
+const FlowedDecoder = require('@zone-eu/mailsplit/lib/flowed-decoder');
+const { getDecoder } = require('./tools');
+
+// Parsed messages for the `parsed` fetch query. Instead of downloading the whole source and
+// running it through a MIME parser, the message is split up by its BODYSTRUCTURE: the header
+// and the text bodies are fetched and decoded, attachments are described from the structure
+// and only downloaded when the caller asks for their content. The same attachment details are
+// used by ImapFlow#attachments().
+
+// Body types that are shown as the message text
+const TEXT_TYPES = ['text/plain', 'text/html'];
+
+/**
+ * Describes a leaf part that is not a text body. Filenames are already decoded from RFC 2231
+ * and RFC 2047 by the BODYSTRUCTURE parser.
+ *
+ * @param {Object} node - BODYSTRUCTURE node
+ * @param {String} type - Lowercase content type of the node
+ * @param {String} part - Part number of the node
+ * @returns {Object} Attachment details
+ */
+const describeAttachment = (node, type, part) => {
+    let parameters = node.parameters || {};
+    let dispositionParameters = node.dispositionParameters || {};
+    let contentId = node.id ? node.id.replace(/^\s*<|>\s*$/g, '').trim() : false;
+    return {
+        part,
+        contentType: type,
+        filename: dispositionParameters.filename || parameters.name || false,
+        // parts without a disposition are shown inline if they can be referenced from HTML
+        disposition: node.disposition || (contentId ? 'inline' : 'attachment'),
+        contentId: contentId || false,
+        encoding: (node.encoding || '7bit').toString().toLowerCase(),
+        size: node.size || 0
+    };
+};
+
+// Adds a lazy content stream to attachment details, the part is downloaded only when asked for
+const withStream = (connection, uid, attachment) =>
+    Object.assign({}, attachment, {
+        // the same mailbox must still be open
+        stream: async () => (await connection.download(uid, attachment.part, { uid: true })).content
+    });
+
+/**
+ * Splits a message into its text bodies and attachments. Inline text/plain and text/html parts
+ * are text bodies, every other leaf part is an attachment. Attached messages are not descended
+ * into, they are listed as a single attachment.
+ *
+ * @param {Object} bodyStructure - Parsed BODYSTRUCTURE
+ * @returns {{textParts: Object[], attachments: Object[]}} Part details in part order
+ */
+const findMessageParts = bodyStructure => {
+    let textParts = [];
+    let attachments = [];
+
+    // depth-first in part order, with an explicit stack as the structure is server-controlled
+    let stack = bodyStructure ? [bodyStructure] : [];
+    while (stack.length) {
+        let node = stack.shift();
+        if (!node || typeof node !== 'object') {
+            continue;
+        }
+
+        let type = (node.type || 'text/plain').toString().toLowerCase();
+
+        if (Array.isArray(node.childNodes) && /^multipart\//.test(type)) {
+            stack.unshift(...node.childNodes);
+            continue;
+        }
+
+        let parameters = node.parameters || {};
+
+        // a single part message has no part number, its body is addressed as part 1
+        let part = node.part || '1';
+
+        if (node.disposition !== 'attachment' && TEXT_TYPES.includes(type)) {
+            textParts.push({
+                part,
+                type,
+                encoding: (node.encoding || '7bit').toString().toLowerCase(),
+                charset: parameters.charset || 'ascii',
+                flowed: (parameters.format || '').toString().toLowerCase() === 'flowed',
+                delSp: (parameters.delsp || '').toString().toLowerCase() === 'yes'
+            });
+            continue;
+        }
+
+        attachments.push(describeAttachment(node, type, part));
+    }
+
+    return { textParts, attachments };
+};
+
+// Checks a content type against a list of types, `image/*` matches every image type
+const matchesContentType = (type, patterns) =>
+    patterns.some(pattern => {
+        pattern = pattern.toString().trim().toLowerCase();
+        return pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern;
+    });
+
+/**
+ * Lists the attachments and inline parts of a message from its BODYSTRUCTURE. Attached messages
+ * are descended into, so the files of a forwarded message are listed instead of the message
+ * itself. Text bodies are never listed.
+ *
+ * @param {Object} bodyStructure - Parsed BODYSTRUCTURE
+ * @param {Object} [options]
+ * @param {String|String[]} [options.contentType] - Only list parts of these types, `image/*` matches every image type
+ * @param {Number} [options.maxSize] - Only list parts with an encoded size up to this many bytes
+ * @param {Boolean} [options.inline=true] - If `false`, parts that are shown inline are not listed
+ * @returns {Object[]} Attachment details in part order
+ */
+const findAttachments = (bodyStructure, options) => {
+    options = options || {};
+    let contentTypes = options.contentType ? [].concat(options.contentType) : false;
+    let attachments = [];
+
+    let stack = bodyStructure ? [bodyStructure] : [];
+    while (stack.length) {
+        let node = stack.shift();
+        if (!node || typeof node !== 'object') {
+            continue;
+        }
+
+        let type = (node.type || 'text/plain').toString().toLowerCase();
+        let part = node.part || '1';
+
+        if (Array.isArray(node.childNodes) && /^multipart\//.test(type)) {
+            stack.unshift(...node.childNodes);
+            continue;
+        }
+
+        if (type === 'message/rfc822' && Array.isArray(node.childNodes)) {
+            // the parser numbers the body of a non-multipart message like its wrapper,
+            // but the body is addressed as the first part of the message
+            stack.unshift(
+                ...node.childNodes.map(child =>
+                    child && typeof child === 'object' && !Array.isArray(child.childNodes) ? Object.assign({}, child, { part: `${part}.1` }) : child
+                )
+            );
+            continue;
+        }
+
+        if (node.disposition !== 'attachment' && TEXT_TYPES.includes(type)) {
+            continue;
+        }
+
+        let attachment = describeAttachment(node, type, part);
+        if (contentTypes && !matchesContentType(type, contentTypes)) {
+            continue;
+        }
+        if (typeof options.maxSize === 'number' && attachment.size > options.maxSize) {
+            continue;
+        }
+        if (options.inline === false && attachment.disposition === 'inline') {
+            continue;
+        }
+        attachments.push(attachment);
+    }
+
+    return attachments;
+};
+
+/**
+ * Decodes a header block into a Map of lowercase header keys and decoded values. Encoded words
+ * are decoded, folded lines are joined. A header key that is repeated has several values.
+ *
+ * @param {Buffer} content - Raw header block
+ * @returns {Map<string, string[]>} Decoded headers in the original order
+ */
+const parseHeaders = content => {
+    let headers = new Map();
+    for (let line of new Headers(content || Buffer.alloc(0)).getList()) {
+        // header lines are kept as binary strings, 8bit values are most probably UTF-8
+        let { key, value } = libmime.decodeHeader(Buffer.from(line.line, 'binary').toString());
+        if (!key) {
+            continue;
+        }
+        try {
+            value = libmime.decodeWords(value);
+        } catch {
+            // failed to decode, keep as is (most probably an unknown charset is used)
+        }
+        if (!headers.has(key)) {
+            headers.set(key, []);
+        }
+        headers.get(key).push(value);
+    }
+    return headers;
+};
+
+// Runs a complete Buffer through a Transform stream and resolves with the output
+const transformBuffer = async (transform, content) =>
+    await new Promise((resolve, reject) => {
+        let chunks = [];
+        transform.on('data', chunk => chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk));
+        transform.once('error', reject);
+        transform.once('end', () => resolve(Buffer.concat(chunks)));
+        transform.end(content);
+    });
+
+/**
+ * Decodes a text body part into a string. Decodes the transfer encoding, unwraps format=flowed
+ * text and converts the charset into unicode. Unknown charsets are used as is.
+ *
+ * @param {Buffer} content - Raw part content as returned by BODY.PEEK
+ * @param {Object} node - Part details from findMessageParts()
+ * @returns {Promise<String>} Decoded text
+ */
+const decodeTextPart = async (content, node) => {
+    content = content || Buffer.alloc(0);
+
+    switch (node.encoding) {
+        case 'base64':
+            content = libbase64.decode(content.toString());
+            break;
+        case 'quoted-printable':
+            content = libqp.decode(content.toString());
+            break;
+    }
+
+    if (node.flowed) {
+        content = await transformBuffer(new FlowedDecoder({ delSp: node.delSp }), content);
+    }
+
+    let charset = node.charset.toString();
+    if (['ascii', 'usascii', 'utf8'].includes(charset.toLowerCase().replace(/[^a-z0-9]+/g, ''))) {
+        return content.toString();
+    }
+
+    let decoder;
+    try {
+        // the whole part is already in memory, so the decoder may buffer all of it
+        decoder = getDecoder(charset, content.length);
+    } catch {
+        // unknown charset, use as is
+        return content.toString();
+    }
+    return (await transformBuffer(decoder, content)).toString();
+};
+
+/**
+ * Builds the `parsed` object of a fetched message.
+ *
+ * @param {Object} connection - IMAP connection instance, used to download attachments
+ * @param {Object} message - Formatted message, must include `uid`
+ * @param {Object} structure - Message parts from findMessageParts()
+ * @param {Buffer} header - Raw header block of the message
+ * @param {Map<string, Buffer>} bodyParts - Raw content of the text parts
+ * @returns {Promise<Object>} Parsed message
+ */
+const createParsedMessage = async (connection, message, structure, header, bodyParts) => {
+    let texts = { 'text/plain': [], 'text/html': [] };
+    for (let node of structure.textParts) {
+        texts[node.type].push(await decodeTextPart(bodyParts && bodyParts.get(node.part), node));
+    }
+
+    return {
+        headers: parseHeaders(header),
+        text: texts['text/plain'].length ? texts['text/plain'].join('\n') : false,
+        html: texts['text/html'].length ? texts['text/html'].join('<br/>\n') : false,
+        attachments: structure.attachments.map(attachment => withStream(connection, message.uid, attachment))
+    };
+};
+
+module.exports = { findMessageParts, findAttachments, withStream, parseHeaders, decodeTextPart, createParsedMessage };
@@ -0,0 +1,176 @@
+'use strict';
+
+const libqp = require('libqp');
+const libbase64 = require('libbase64');
+const { getDecoder } = require('./tools');
+
+// Client-side message previews for servers that do not advertise PREVIEW (RFC 8970). The
+// server generated preview is plain text of up to 256 characters, this one is built from
+// the start of the first text part and kept a bit shorter so it reads the same in a list.
+
+// Characters kept in a preview
+const PREVIEW_LENGTH = 200;
+
+// Bytes fetched from the text part. HTML markup, transfer encoding and multi-byte charsets
+// all inflate the source, so this is well above what the preview itself needs.
+const PREVIEW_FETCH_BYTES = 4096;
+
+// Named entities that commonly show up in the first lines of an HTML message, anything
+// else is left as-is
+const HTML_ENTITIES = new Map([
+    ['nbsp', ' '],
+    ['amp', '&'],
+    ['lt', '<'],
+    ['gt', '>'],
+    ['quot', '"'],
+    ['apos', "'"],
+    ['hellip', '…'],
+    ['ndash', '–'],
+    ['mdash', '—'],
+    ['lsquo', '‘'],
+    ['rsquo', '’'],
+    ['ldquo', '“'],
+    ['rdquo', '”']
+]);
+
+/**
+ * Finds the body part to build a preview from: the first inline text/plain part, or the first
+ * inline text/html part if the message has no plain text. Attachments and attached messages
+ * are skipped.
+ *
+ * @param {Object} bodyStructure - Parsed BODYSTRUCTURE
+ * @returns {{part: String, type: String, encoding: String, charset: String}|false} Part details, or false if the message has no usable text part
+ */
+const findPreviewPart = bodyStructure => {
+    let html = false;
+
+    // depth-first in part order, with an explicit stack as the structure is server-controlled
+    let stack = bodyStructure ? [bodyStructure] : [];
+    while (stack.length) {
+        let node = stack.shift();
+        if (!node || typeof node !== 'object') {
+            continue;
+        }
+
+        let type = (node.type || 'text/plain').toString().toLowerCase();
+
+        if (Array.isArray(node.childNodes) && /^multipart\//.test(type)) {
+            stack.unshift(...node.childNodes);
+            continue;
+        }
+
+        if (node.disposition === 'attachment' || !['text/plain', 'text/html'].includes(type)) {
+            continue;
+        }
+
+        let entry = {
+            // a single part message has no part number, its body is addressed as part 1
+            part: node.part || '1',
+            type,
+            encoding: (node.encoding || '7bit').toString().toLowerCase(),
+            charset: (node.parameters && node.parameters.charset) || 'ascii'
+        };
+
+        if (type === 'text/plain') {
+            return entry;
+        }
+        html = html || entry;
+    }
+
+    return html;
+};
+
+/**
+ * Decodes the transfer encoding of a truncated part. Partial base64 blocks and quoted-printable
+ * escapes cut off at the end are dropped instead of being decoded into garbage.
+ *
+ * @param {Buffer} content - Raw part content
+ * @param {String} encoding - Content-Transfer-Encoding of the part
+ * @returns {Buffer} Decoded content
+ */
+const decodeTransferEncoding = (content, encoding) => {
+    switch (encoding) {
+        case 'base64': {
+            let value = content.toString().replace(/[^a-zA-Z0-9+/=]+/g, '');
+            return libbase64.decode(value.substr(0, value.length - (value.length % 4)));
+        }
+        case 'quoted-printable':
+            return libqp.decode(content.toString().replace(/[=][0-9a-fA-F]?$/, ''));
+        default:
+            return content;
+    }
+};
+
+/**
+ * Decodes a Buffer into a string using the charset decoders of the download stream.
+ *
+ * @param {Buffer} content - Encoded content
+ * @param {String} charset - Charset of the content
+ * @returns {Promise<String>} Decoded text
+ */
+const decodeCharset = async (content, charset) => {
+    charset = (charset || 'ascii').toString();
+    if (['ascii', 'usascii', 'utf8'].includes(charset.toLowerCase().replace(/[^a-z0-9]+/g, ''))) {
+        return content.toString();
+    }
+
+    let decoder;
+    try {
+        decoder = getDecoder(charset, PREVIEW_FETCH_BYTES);
+    } catch {
+        // unknown charset, use as is
+        return content.toString();
+    }
+
+    return await new Promise((resolve, reject) => {
+        let chunks = [];
+        decoder.on('data', chunk => chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk));
+        decoder.once('error', reject);
+        decoder.once('end', () => resolve(Buffer.concat(chunks).toString()));
+        decoder.end(content);
+    });
+};
+
+/**
+ * Converts HTML into plain text. Only meant for previews, so markup is dropped rather than
+ * rendered and anything that is not visible text (styles, scripts, comments) is removed.
+ *
+ * @param {String} html - HTML source, possibly truncated
+ * @returns {String} Text content
+ */
+const htmlToText = html =>
+    html
+        .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?(<\/\1\s*>|$)/gi, ' ')
+        .replace(/<!--[\s\S]*?(-->|$)/g, ' ')
+        .replace(/<[^>]*(>|$)/g, ' ')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+            if (entity.charAt(0) === '#') {
+                let code = entity.charAt(1).toLowerCase() === 'x' ? parseInt(entity.substr(2), 16) : parseInt(entity.substr(1), 10);
+                return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+            }
+            return HTML_ENTITIES.get(entity.toLowerCase()) || match;
+        });
+
+/**
+ * Builds a preview text from the start of a body part.
+ *
+ * @param {Buffer} content - Raw part content as returned by BODY.PEEK
+ * @param {{type: String, encoding: String, charset: String}} node - Part details from findPreviewPart()
+ * @returns {Promise<String>} Preview text of up to PREVIEW_LENGTH characters
+ */
+const createPreview = async (content, node) => {
+    let text = await decodeCharset(decodeTransferEncoding(content || Buffer.alloc(0), node.encoding), node.charset);
+
+    // the fetch may have cut a multi-byte character in half
+    text = text.replace(/�+$/, '');
+
+    if (node.type === 'text/html') {
+        text = htmlToText(text);
+    }
+
+    // count code points, not UTF-16 units, so surrogate pairs are not split
+    let chars = Array.from(text.replace(/\s+/g, ' ').trim());
+    return chars.length > PREVIEW_LENGTH ? chars.slice(0, PREVIEW_LENGTH).join('').trim() : chars.join('');
+};
+
+module.exports = { findPreviewPart, createPreview, htmlToText, PREVIEW_FETCH_BYTES };
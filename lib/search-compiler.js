@@ -509,3 +509,32 @@ module.exports.searchCompiler = (connection, query) => {
 
     return attributes;
 };
+
+/**
+ * Compiles a search query for commands that take a mandatory charset argument in front of
+ * the search keys (SORT and THREAD, RFC 5256). SEARCH only names a charset when the query
+ * needs one, so the optional CHARSET prefix emitted by searchCompiler() is lifted out here
+ * and turned into the explicit charset value. An empty query, or `true`, matches every message.
+ *
+ * @param {Object} connection - IMAP connection object
+ * @param {Object|boolean} query - Search query object
+ * @returns {{charset: string, attributes: Array}} Charset name and the search key attributes
+ * @throws {Error} When required server extensions are not available
+ */
+module.exports.searchCompilerWithCharset = (connection, query) => {
+    let attributes;
+    if (!query || query === true || (typeof query === 'object' && (!Object.keys(query).length || (Object.keys(query).length === 1 && query.all)))) {
+        attributes = [{ type: 'ATOM', value: 'ALL' }];
+    } else {
+        attributes = module.exports.searchCompiler(connection, query);
+    }
+
+    // UTF8=ACCEPT servers must accept UTF-8 as the charset of any search (RFC 6855 section 3)
+    let charset = connection.enabled.has('UTF8=ACCEPT') ? 'UTF-8' : 'US-ASCII';
+    if (attributes.length >= 2 && attributes[0].value === 'CHARSET') {
+        charset = attributes[1].value;
+        attributes = attributes.slice(2);
+    }
+
+    return { charset, attributes };
+};
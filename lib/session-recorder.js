@@ -0,0 +1,121 @@
+'use strict';
+
+// Commands that carry credentials, everything the client sends for these is redacted
+// until the tagged response. The visible prefix keeps the tag, command and SASL mechanism.
+const SENSITIVE_COMMAND = /^\S+ (?:LOGIN |AUTHENTICATE \S+)/i;
+
+/**
+ * Records the raw protocol dialogue of {@link ImapFlow} sessions. Set an instance as the `recorder`
+ * option of the client to capture every byte sent and received, after TLS and before COMPRESS
+ * deflate (or after inflate), with timestamps relative to the start of the connection.
+ * Each connection, including automatic reconnects, starts a new session in the recording.
+ *
+ * Credentials sent with LOGIN and AUTHENTICATE are redacted unless `redact` is set to `false`.
+ * The recording is plain JSON, see {@link SessionRecorder#toJSON}, and can be re-run offline with
+ * `SessionReplay` from `imapflow/testing`.
+ *
+ * @example
+ * const recorder = new SessionRecorder();
+ * const client = new ImapFlow({ ..., recorder });
+ * await client.connect();
+ * // ...
+ * await client.logout();
+ * await fs.promises.writeFile('session.json', JSON.stringify(recorder));
+ */
+class SessionRecorder {
+    /**
+     * @param {Object} [options]
+     * @param {Boolean} [options.redact=true] If `false`, credentials are recorded as well
+     */
+    constructor(options) {
+        this.options = options || {};
+        this.redact = this.options.redact !== false;
+
+        /**
+         * Recorded sessions, one for every connection
+         * @type {Object[]}
+         */
+        this.sessions = [];
+
+        this.current = false;
+    }
+
+    /**
+     * Starts a new session, called by {@link ImapFlow} once a connection is established
+     *
+     * @param {Object} info Connection info
+     * @param {String} info.host Server hostname
+     * @param {Number} info.port Server port
+     * @param {Boolean} info.secure Is the connection using TLS
+     * @param {Object} [info.clientInfo] Client ID sent to the server, needed to replay the ID command
+     */
+    open(info) {
+        info = info || {};
+        this.current = {
+            host: info.host,
+            port: info.port,
+            secure: !!info.secure,
+            clientInfo: info.clientInfo || null,
+            started: new Date().toISOString(),
+            events: []
+        };
+        this.startTime = Date.now();
+        // tag of the command that is being redacted
+        this.sensitiveTag = false;
+        // incomplete last line of server data, used to find the tagged response
+        this.serverTail = '';
+
+        this.sessions.push(this.current);
+    }
+
+    /**
+     * Records a chunk of data
+     *
+     * @param {String} src Either `c` (sent by the client) or `s` (sent by the server)
+     * @param {Buffer} chunk Raw data
+     */
+    record(src, chunk) {
+        if (!this.current || !chunk || !chunk.length) {
+            return;
+        }
+
+        let event = { t: Date.now() - this.startTime, src };
+
+        if (src === 'c' && this.redact) {
+            let match = !this.sensitiveTag && chunk.toString('binary', 0, Math.min(chunk.length, 1024)).match(SENSITIVE_COMMAND);
+            if (match) {
+                this.sensitiveTag = match[0].split(' ')[0];
+                chunk = chunk.slice(0, match[0].length);
+                event.redacted = true;
+            } else if (this.sensitiveTag) {
+                chunk = Buffer.alloc(0);
+                event.redacted = true;
+            }
+        }
+
+        if (src === 's' && this.sensitiveTag) {
+            let lines = (this.serverTail + chunk.toString('binary')).split('\r\n');
+            this.serverTail = lines.pop();
+            if (lines.some(line => line.startsWith(`${this.sensitiveTag} `))) {
+                this.sensitiveTag = false;
+                this.serverTail = '';
+            }
+        }
+
+        event.data = chunk.toString('base64');
+        this.current.events.push(event);
+    }
+
+    /**
+     * Returns the recording as a JSON-friendly object `{ version, sessions }`. Every session
+     * lists its events as `{ t, src, data, redacted }`, where `t` is the time in milliseconds since
+     * the connection was established and `data` is base64 encoded.
+     *
+     * @returns {Object} Recording
+     */
+    toJSON() {
+        return { version: 1, sessions: this.sessions };
+    }
+}
+
+module.exports = { SessionRecorder };
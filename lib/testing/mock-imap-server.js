@@ -0,0 +1,2240 @@
+'use strict';
+
+const net = require('net');
+const zlib = require('zlib');
+const { EventEmitter } = require('events');
+const { parser, compiler } = require('../handler/imap-handler');
+const { ImapStream } = require('../handler/imap-stream');
+const { threadMessages, getBaseSubject } = require('../jwz-thread');
+const { MockMailboxStore, storeError, DELIMITER } = require('./mock-mailbox-store');
+const { getEnvelope, getBodyStructure, getSection, getHeaderText, getAddresses } = require('./mock-message');
+
+const CAPABILITIES = [
+    'IMAP4rev1',
+    'LITERAL+',
+    'SASL-IR',
+    'AUTH=PLAIN',
+    'ID',
+    'IDLE',
+    'ENABLE',
+    'NAMESPACE',
+    'UIDPLUS',
+    'MOVE',
+    'UNSELECT',
+    'CONDSTORE',
+    'QRESYNC',
+    'SPECIAL-USE',
+    'QUOTA'
+];
+
+const SYSTEM_FLAGS = ['\\Answered', '\\Flagged', '\\Deleted', '\\Seen', '\\Draft'];
+
+// Storage limit reported for QUOTA, in kilobytes
+const QUOTA_LIMIT = 1024 * 1024;
+
+// Every standard ACL right (RFC 4314), the owner of a mailbox has all of these
+const ACL_RIGHTS = 'lrswipkxtea';
+
+const SORT_KEYS = ['ARRIVAL', 'CC', 'DATE', 'FROM', 'SIZE', 'SUBJECT', 'TO', 'DISPLAYFROM', 'DISPLAYTO'];
+
+// REFS is threaded the same way as REFERENCES
+const THREAD_ALGORITHMS = ['REFERENCES', 'REFS', 'ORDEREDSUBJECT'];
+
+const NOTIFY_FILTERS = ['SELECTED', 'SELECTED-DELAYED', 'INBOXES', 'PERSONAL', 'SUBSCRIBED', 'SUBTREE', 'MAILBOXES'];
+
+// NOTIFY events that are reported, any other event is rejected with BADEVENT
+const NOTIFY_EVENTS = ['MessageNew', 'MessageExpunge', 'FlagChange', 'MailboxName'];
+
+// Store changes mapped to the NOTIFY event that reports them
+const NOTIFY_CHANGES = { exists: 'MessageNew', expunge: 'MessageExpunge', flags: 'FlagChange', mailbox: 'MailboxName' };
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const STATES = {
+    NOT_AUTHENTICATED: 1,
+    AUTHENTICATED: 2,
+    SELECTED: 3,
+    LOGOUT: 4
+};
+
+const noopLogger = { trace: () => {}, debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+const formatDate = date => {
+    let pad = num => (num < 10 ? '0' : '') + num;
+    return `${pad(date.getUTCDate())}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(
+        date.getUTCSeconds()
+    )} +0000`;
+};
+
+const parseDate = value => {
+    let match = (value || '').toString().match(/^(\d{1,2})-([a-z]{3})-(\d{4})/i);
+    if (!match) {
+        return null;
+    }
+    let month = MONTHS.findIndex(name => name.toLowerCase() === match[2].toLowerCase());
+    return month < 0 ? null : Date.UTC(Number(match[3]), month, Number(match[1]));
+};
+
+const dayOf = date => {
+    date = new Date(date);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+// Packs a list of numbers into a sequence set, eg. [1, 2, 3, 5] into "1:3,5"
+const packSet = list => {
+    let ranges = [];
+    for (let num of list.slice().sort((a, b) => a - b)) {
+        let last = ranges[ranges.length - 1];
+        if (last && num === last[1] + 1) {
+            last[1] = num;
+        } else {
+            ranges.push([num, num]);
+        }
+    }
+    return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}:${end}`)).join(',');
+};
+
+// Checks if a number is part of a sequence set, `max` is the value of "*"
+const inSet = (set, num, max) =>
+    set.split(',').some(range => {
+        let [start, end] = range.split(':').map(value => (value === '*' ? max : Number(value)));
+        if (end === undefined) {
+            return num === start;
+        }
+        return num >= Math.min(start, end) && num <= Math.max(start, end);
+    });
+
+const attrValue = attr =>
+    attr && typeof attr === 'object' && !Array.isArray(attr) && attr.value !== undefined && attr.value !== null ? attr.value.toString() : '';
+
+const isSequenceSet = value => /^(\d+|\*)(:(\d+|\*))?(,(\d+|\*)(:(\d+|\*))?)*$/.test(value);
+
+const flagList = flags => Array.from(flags || []).map(flag => ({ type: 'ATOM', value: flag }));
+
+// Reads the flags argument of STORE and APPEND, a list or a single flag
+const readFlags = attr =>
+    []
+        .concat(attr || [])
+        .map(attrValue)
+        .filter(flag => flag);
+
+// Reads a CATENATE part list (RFC 4469), `TEXT <literal>` and `URL <imap url>` pairs
+const readCatenateParts = list => {
+    let parts = [];
+    for (let i = 0; i < list.length; i += 2) {
+        let type = attrValue(list[i]).toUpperCase();
+        let value = list[i + 1];
+        if (type === 'TEXT' && value && value.type === 'LITERAL') {
+            parts.push({ text: Buffer.isBuffer(value.value) ? value.value : Buffer.from(value.value || '', 'binary') });
+        } else if (type === 'URL' && value && ['STRING', 'ATOM'].includes(value.type)) {
+            parts.push({ url: attrValue(value) });
+        } else {
+            return null;
+        }
+    }
+    return parts.length ? parts : null;
+};
+
+// Reads the messages of APPEND and REPLACE, each is optional flags and date followed by either a
+// literal or a CATENATE part list. MULTIAPPEND (RFC 3502) repeats this group for every message.
+// Returns `null` if the arguments do not match this syntax.
+const readMessages = attributes => {
+    let messages = [];
+    let message = { flags: [] };
+    let pending = false;
+    for (let i = 0; i < attributes.length; i++) {
+        let attr = attributes[i];
+        if (Array.isArray(attr) && !pending) {
+            message.flags = readFlags(attr);
+            pending = true;
+            continue;
+        }
+        if (attr && attr.type === 'STRING' && !message.internalDate) {
+            message.internalDate = new Date(attr.value.replace(/^(\d+)-(\w+)-(\d+)/, '$2 $1 $3'));
+            pending = true;
+            continue;
+        }
+
+        if (attr && attr.type === 'LITERAL') {
+            message.source = Buffer.isBuffer(attr.value) ? attr.value : Buffer.from(attr.value || '', 'binary');
+        } else if (attrValue(attr).toUpperCase() === 'CATENATE' && Array.isArray(attributes[i + 1])) {
+            message.catenate = readCatenateParts(attributes[++i]);
+            if (!message.catenate) {
+                return null;
+            }
+        } else {
+            return null;
+        }
+        messages.push(message);
+        message = { flags: [] };
+        pending = false;
+    }
+    // flags or a date without a message
+    return messages.length && !pending ? messages : null;
+};
+
+// Resolves an IMAP URL (RFC 5092) of a CATENATE part, eg. "/INBOX;UIDVALIDITY=123/;UID=4/;SECTION=1"
+const resolveImapUrl = (store, url) => {
+    let match = url.match(/^\/([^;]+)(?:;UIDVALIDITY=(\d+))?\/;UID=(\d+)(?:\/;SECTION=([^;/]+))?$/i);
+    if (!match) {
+        return null;
+    }
+    let path;
+    try {
+        path = decodeURIComponent(match[1]);
+    } catch {
+        return null;
+    }
+    let mailbox = store.getMailbox(path);
+    if (!mailbox || (match[2] && Number(match[2]) !== mailbox.uidValidity)) {
+        return null;
+    }
+    let message = store.getMessage(path, Number(match[3]));
+    if (!message) {
+        return null;
+    }
+    return match[4] ? getSection(store.getMessageNode(message), decodeURIComponent(match[4])) : message.source;
+};
+
+// Message source of a parsed APPEND message, CATENATE parts are joined. An URL that can not be
+// resolved fails the command with a BADURL response code.
+const getMessageSource = (store, message) => {
+    if (!message.catenate) {
+        return message.source;
+    }
+    return Buffer.concat(
+        message.catenate.map(part => {
+            if (part.text) {
+                return part.text;
+            }
+            let content = resolveImapUrl(store, part.url);
+            if (!content) {
+                throw storeError(`Unable to resolve ${part.url}`, `BADURL ${part.url}`);
+            }
+            return content;
+        })
+    );
+};
+
+// Checks if the server supports the APPEND forms the messages use
+const canAppend = (session, messages) =>
+    !!messages &&
+    (messages.length === 1 || session.hasCapability('MULTIAPPEND')) &&
+    (!messages.some(message => message.catenate) || session.hasCapability('CATENATE'));
+
+// Values for STATUS and for NOTIFY status updates
+const getStatusValues = mailbox => ({
+    MESSAGES: mailbox.messages.length,
+    RECENT: 0,
+    UIDNEXT: mailbox.uidNext,
+    UIDVALIDITY: mailbox.uidValidity,
+    UNSEEN: mailbox.messages.filter(message => !message.flags.has('\\Seen')).length,
+    HIGHESTMODSEQ: mailbox.highestModseq,
+    SIZE: mailbox.messages.reduce((size, message) => size + message.size, 0)
+});
+
+const statusList = (values, keys) =>
+    keys.flatMap(key => [
+        { type: 'ATOM', value: key },
+        { type: 'ATOM', value: String(values[key]) }
+    ]);
+
+// Transforms the input stream into commands. Synchronizing literals need a continuation response
+// before the client sends the literal data, so the stream reports these as they are found.
+class CommandStream extends ImapStream {
+    checkLiteralMarker(line) {
+        // the base stream only knows synchronizing literals, a LITERAL+ marker is checked without the "+"
+        let nonSync = line && line.length > 3 && /\+\}\r?\n$/.test(line.toString('binary', Math.max(0, line.length - 4)));
+        let checked = line;
+        if (nonSync) {
+            let pos = line.lastIndexOf('+}');
+            checked = Buffer.concat([line.slice(0, pos), line.slice(pos + 1)]);
+        }
+
+        let found = super.checkLiteralMarker(checked);
+        if (found && !nonSync) {
+            this.emit('continue');
+        }
+        return found;
+    }
+}
+
+/**
+ * A single client connection of {@link MockImapServer}
+ */
+class MockImapSession {
+    constructor(server, socket) {
+        this.server = server;
+        this.store = server.store;
+        this.socket = socket;
+        this.id = ++server.sessionCounter;
+
+        this.state = server.options.preauth ? STATES.AUTHENTICATED : STATES.NOT_AUTHENTICATED;
+        this.user = server.options.preauth ? 'preauth' : false;
+        this.enabled = new Set();
+        this.condstore = false;
+
+        // NOTIFY filters: { filters: [{ kind, paths, events, fetch }], pending }, where `pending` lists
+        // changes in other mailboxes that are not yet reported
+        this.notify = false;
+
+        // selected mailbox: { path, readOnly, uids, pending }, where `uids` is the view of the
+        // mailbox that sequence numbers refer to and `pending` lists changes not yet reported
+        this.selected = false;
+
+        // set while waiting for a continuation line (IDLE, AUTHENTICATE)
+        this.continuation = false;
+        this.idling = false;
+
+        // set once COMPRESS DEFLATE is active
+        this.inflate = false;
+        this.deflate = false;
+
+        this.closed = false;
+        this.processing = false;
+        // responses are written in order, compiling a response is async
+        this.writeQueue = Promise.resolve();
+
+        this.onChange = change => this.storeChange(change);
+        this.store.on('change', this.onChange);
+
+        this.stream = new CommandStream({ cid: `mock-${this.id}`, logger: noopLogger });
+        this.stream.on('continue', () => this.writeRaw('+ Ready for literal data\r\n'));
+        this.stream.on('readable', () => this.processInput().catch(err => this.fail(err)));
+        this.stream.on('error', err => this.fail(err));
+
+        socket.on('error', () => this.close());
+        socket.on('close', () => this.close());
+        socket.pipe(this.stream);
+    }
+
+    get capabilities() {
+        return this.server.capabilities;
+    }
+
+    hasCapability(capability) {
+        return this.capabilities.includes(capability);
+    }
+
+    async greet() {
+        let greeting = this.server.options.greeting;
+        if (greeting === false) {
+            return;
+        }
+
+        let failure = await this.server.getInjection('GREETING');
+        if (failure) {
+            return await this.applyFailure('*', failure);
+        }
+
+        if (this.server.options.preauth) {
+            await this.writeStatus('*', 'PREAUTH', `CAPABILITY ${this.capabilities.join(' ')}`, greeting || 'Mock IMAP server logged in as preauth');
+        } else {
+            await this.writeStatus('*', 'OK', `CAPABILITY ${this.capabilities.join(' ')}`, greeting || 'Mock IMAP server ready');
+        }
+    }
+
+    writeRaw(data) {
+        this.writeQueue = this.writeQueue.then(() => {
+            if (!this.closed) {
+                this.output(data);
+            }
+        });
+        return this.writeQueue;
+    }
+
+    output(data) {
+        if (!this.deflate) {
+            return this.socket.write(data);
+        }
+        this.deflate.write(data);
+        this.deflate.flush();
+    }
+
+    startCompression() {
+        this.socket.unpipe(this.stream);
+        this.inflate = zlib.createInflateRaw();
+        this.inflate.on('error', err => this.fail(err));
+        this.socket.pipe(this.inflate).pipe(this.stream);
+
+        this.deflate = zlib.createDeflateRaw();
+        this.deflate.pipe(this.socket);
+    }
+
+    end() {
+        if (this.deflate) {
+            this.deflate.end();
+        } else {
+            this.socket.end();
+        }
+    }
+
+    // Compiles a response with the IMAP compiler and writes it to the socket
+    async send(response) {
+        this.writeQueue = this.writeQueue.then(async () => {
+            let compiled = await compiler(response);
+            if (!this.closed) {
+                this.output(Buffer.concat([].concat(compiled).concat(Buffer.from('\r\n'))));
+            }
+        });
+        return await this.writeQueue;
+    }
+
+    async untagged(command, attributes) {
+        return await this.send({ tag: '*', command, attributes });
+    }
+
+    async writeStatus(tag, status, code, text) {
+        let attributes = [];
+        if (code) {
+            // response codes are written as is, eg. "PERMANENTFLAGS (\Seen \*)" can not be compiled from atoms
+            attributes.push({ type: 'ATOM', value: '', section: [{ type: 'TEXT', value: code }] });
+        }
+        attributes.push({ type: 'TEXT', value: text || `${status === 'OK' ? 'Completed' : 'Failed'}` });
+        return await this.send({ tag, command: status, attributes });
+    }
+
+    async processInput() {
+        if (this.processing) {
+            return;
+        }
+        this.processing = true;
+        try {
+            let item;
+            while (!this.closed && (item = this.stream.read()) !== null) {
+                try {
+                    await this.handleInput(item);
+                } finally {
+                    item.next();
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async handleInput(item) {
+        if (this.continuation) {
+            let continuation = this.continuation;
+            this.continuation = false;
+            return await continuation(item.payload.toString('binary'));
+        }
+
+        let parsed;
+        try {
+            parsed = await parser(item.payload, { literals: item.literals, literalPlus: true });
+        } catch (err) {
+            return await this.writeStatus(err.parsedTag || '*', 'BAD', false, `Failed to parse command: ${err.message}`);
+        }
+
+        await this.runCommand(parsed.tag, (parsed.command || '').toUpperCase(), parsed.attributes || []);
+    }
+
+    async runCommand(tag, command, attributes) {
+        if (command.startsWith('AUTHENTICATE ')) {
+            // the parser reads the mechanism as a part of the command name
+            attributes = [{ type: 'ATOM', value: command.substr(13) }].concat(attributes);
+            command = 'AUTHENTICATE';
+        }
+
+        let uid = command.startsWith('UID ');
+        let name = uid ? command.substr(4) : command;
+
+        this.server.emit('command', { session: this, tag, command, attributes });
+
+        let ctx = this.createContext(tag, command, name, uid, attributes);
+
+        let failure = await this.server.getInjection(command, name);
+        if (failure) {
+            return await this.applyFailure(tag, failure);
+        }
+
+        let handler = this.server.handlers[command] || this.server.handlers[name];
+        try {
+            if (typeof handler === 'function') {
+                return await handler(ctx);
+            }
+            return await ctx.next();
+        } catch (err) {
+            // a failing store operation is a NO with the response code of the error
+            await ctx.no(err.message, err.code);
+        }
+    }
+
+    createContext(tag, command, name, uid, attributes) {
+        let ctx = {
+            session: this,
+            server: this.server,
+            store: this.store,
+            tag,
+            command,
+            uid,
+            attributes,
+            write: data => this.writeRaw(data),
+            send: response => this.send(response),
+            untagged: (command, attributes) => this.untagged(command, attributes),
+            ok: async (text, code) => {
+                await this.flushUpdates(ctx);
+                return await this.writeStatus(tag, 'OK', code, text || `${command} completed`);
+            },
+            no: (text, code) => this.writeStatus(tag, 'NO', code, text || `${command} failed`),
+            bad: (text, code) => this.writeStatus(tag, 'BAD', code, text || `${command} failed`),
+            // runs the built-in implementation of the command, for handlers that only add to it
+            next: async () => {
+                let spec = this.server.commands[name];
+                if (!spec || (spec.capability && !this.hasCapability(spec.capability)) || (uid && !spec.uid)) {
+                    return await ctx.bad(`Command ${command} is not supported`);
+                }
+                if (spec.state && !spec.state.includes(this.state)) {
+                    return await ctx.bad(`Command ${command} is not allowed in the current state`);
+                }
+                return await spec.handler(this, ctx);
+            }
+        };
+        return ctx;
+    }
+
+    async applyFailure(tag, failure) {
+        if (failure.disconnect) {
+            // connection dropped without a response
+            this.socket.destroy();
+            return;
+        }
+        let status = (failure.status || 'NO').toUpperCase();
+        if (status === 'BYE') {
+            await this.writeStatus('*', 'BYE', failure.code, failure.text || 'Server shutting down');
+            this.end();
+            return;
+        }
+        await this.writeStatus(tag, status, failure.code, failure.text || 'Injected failure');
+    }
+
+    // Queues changes made by other sessions (or the test) to the selected mailbox, other changes are left to NOTIFY
+    storeChange(change) {
+        if (change.type === 'mailbox' || !this.selected || change.path !== this.selected.path) {
+            this.notifyChange(change);
+            return;
+        }
+        if (change.origin === this && change.type !== 'exists') {
+            // the session reports its own changes in the command responses
+            return;
+        }
+        this.selected.pending.push(change);
+        if (this.idling) {
+            this.flushUpdates().catch(err => this.fail(err));
+        }
+    }
+
+    // Queues a change in another mailbox if NOTIFY asks for it, own changes are not reported
+    notifyChange(change) {
+        if (!this.notify || change.origin === this) {
+            return;
+        }
+        let events = this.getNotifyEvents(change.path) || (change.oldPath && this.getNotifyEvents(change.oldPath));
+        if (!events || !events.has(NOTIFY_CHANGES[change.type])) {
+            return;
+        }
+        this.notify.pending.push(change);
+        if (this.idling) {
+            this.flushUpdates().catch(err => this.fail(err));
+        }
+    }
+
+    // Events of the first NOTIFY filter that matches a mailbox
+    getNotifyEvents(path) {
+        for (let filter of this.notify.filters) {
+            let matches;
+            switch (filter.kind) {
+                case 'SELECTED':
+                case 'SELECTED-DELAYED':
+                    matches = !!this.selected && this.selected.path === path;
+                    break;
+                case 'INBOXES':
+                    matches = path === 'INBOX';
+                    break;
+                case 'PERSONAL':
+                    matches = true;
+                    break;
+                case 'SUBSCRIBED': {
+                    let mailbox = this.store.getMailbox(path);
+                    matches = !!mailbox && mailbox.subscribed;
+                    break;
+                }
+                case 'SUBTREE':
+                    matches = filter.paths.some(entry => path === entry || path.startsWith(entry + DELIMITER));
+                    break;
+                default:
+                    matches = filter.paths.includes(path);
+            }
+            if (matches) {
+                return filter.events;
+            }
+        }
+        return null;
+    }
+
+    // FETCH attributes that NOTIFY asks for with new messages in the selected mailbox
+    getNotifyFetch() {
+        let filter = this.notify && this.notify.filters.find(entry => ['SELECTED', 'SELECTED-DELAYED'].includes(entry.kind));
+        return filter && filter.events.has('MessageNew') && filter.fetch.length ? filter.fetch : false;
+    }
+
+    async writeNotifyStatus(path) {
+        let mailbox = this.store.getMailbox(path);
+        if (mailbox) {
+            let keys = ['MESSAGES', 'UIDNEXT', 'UIDVALIDITY', 'UNSEEN'].concat(this.condstore ? 'HIGHESTMODSEQ' : []);
+            await this.untagged('STATUS', [{ type: 'STRING', value: mailbox.path }, statusList(getStatusValues(mailbox), keys)]);
+        }
+    }
+
+    // Reports queued NOTIFY changes of other mailboxes: mailbox changes as LIST responses and
+    // message changes as a single STATUS response for every changed mailbox
+    async flushNotifications() {
+        let pending = this.notify.pending;
+        this.notify.pending = [];
+
+        let paths = new Set();
+        for (let change of pending) {
+            if (change.type !== 'mailbox') {
+                paths.add(change.path);
+                continue;
+            }
+            let attributes = [flagList(change.deleted ? ['\\NonExistent'] : []), { type: 'STRING', value: DELIMITER }, { type: 'STRING', value: change.path }];
+            if (change.oldPath) {
+                attributes.push([{ type: 'STRING', value: 'OLDNAME' }, [{ type: 'STRING', value: change.oldPath }]]);
+            }
+            await this.untagged('LIST', attributes);
+        }
+        for (let path of paths) {
+            await this.writeNotifyStatus(path);
+        }
+    }
+
+    // Reports queued changes. EXPUNGE responses are not allowed while FETCH, STORE or SEARCH
+    // run, as the client could not tell which messages the sequence numbers refer to
+    async flushUpdates(ctx) {
+        if (this.notify && this.notify.pending.length) {
+            // only yields when there is something to report, so that changes made together are reported together
+            await this.flushNotifications();
+        }
+        if (!this.selected || !this.selected.pending.length) {
+            return;
+        }
+        let allowExpunge = !ctx || ctx.uid || !['FETCH', 'STORE', 'SEARCH'].includes(ctx.command);
+
+        let selected = this.selected;
+        let pending = selected.pending;
+        selected.pending = [];
+
+        let exists = false;
+        let added = [];
+        for (let change of pending) {
+            let uid = change.message.uid;
+            let index = selected.uids.indexOf(uid);
+            switch (change.type) {
+                case 'exists':
+                    if (index < 0) {
+                        selected.uids.push(uid);
+                        added.push(change.message);
+                        exists = true;
+                    }
+                    break;
+                case 'expunge':
+                    if (!allowExpunge) {
+                        selected.pending.push(change);
+                    } else if (index >= 0) {
+                        if (exists) {
+                            await this.untagged(String(selected.uids.length), [{ type: 'ATOM', value: 'EXISTS' }]);
+                            exists = false;
+                        }
+                        await this.writeExpunge(index, uid);
+                    }
+                    break;
+                case 'flags':
+                    if (index >= 0 && this.store.getMessage(selected.path, uid)) {
+                        await this.writeFetch(index + 1, change.message, ['FLAGS'].concat(this.condstore ? 'MODSEQ' : []), { uid: true });
+                    }
+                    break;
+            }
+        }
+        if (exists) {
+            await this.untagged(String(selected.uids.length), [{ type: 'ATOM', value: 'EXISTS' }]);
+        }
+
+        // NOTIFY with FETCH attributes pushes the requested data of every new message
+        let fetch = this.getNotifyFetch();
+        for (let message of fetch ? added : []) {
+            let index = selected.uids.indexOf(message.uid);
+            if (index >= 0 && this.store.getMessage(selected.path, message.uid)) {
+                await this.writeFetch(index + 1, message, fetch);
+            }
+        }
+    }
+
+    async writeExpunge(index, uid) {
+        this.selected.uids.splice(index, 1);
+        if (this.enabled.has('QRESYNC')) {
+            return await this.untagged('VANISHED', [{ type: 'SEQUENCE', value: String(uid) }]);
+        }
+        return await this.untagged(String(index + 1), [{ type: 'ATOM', value: 'EXPUNGE' }]);
+    }
+
+    // Reports messages this session removed from the selected mailbox
+    async writeExpunged(removed) {
+        for (let message of removed) {
+            let index = this.selected.uids.indexOf(message.uid);
+            if (index >= 0) {
+                await this.writeExpunge(index, message.uid);
+            }
+        }
+    }
+
+    // Messages of the selected mailbox that a sequence set refers to
+    resolveSet(set, uid) {
+        let selected = this.selected;
+        let messages = [];
+        if (uid) {
+            let max = selected.uids.length ? Math.max(...selected.uids) : 0;
+            for (let msgUid of selected.uids) {
+                if (inSet(set, msgUid, max)) {
+                    messages.push({ seq: selected.uids.indexOf(msgUid) + 1, uid: msgUid });
+                }
+            }
+        } else {
+            selected.uids.forEach((msgUid, i) => {
+                if (inSet(set, i + 1, selected.uids.length)) {
+                    messages.push({ seq: i + 1, uid: msgUid });
+                }
+            });
+        }
+        return messages.map(entry => Object.assign(entry, { message: this.store.getMessage(selected.path, entry.uid) })).filter(entry => entry.message);
+    }
+
+    async writeFetch(seq, message, items, options) {
+        options = options || {};
+        let attributes = [];
+        let seen = new Set();
+        let add = (key, value) => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                attributes.push({ type: 'ATOM', value: key }, value);
+            }
+        };
+
+        if (options.uid) {
+            add('UID', message.uid);
+        }
+        for (let item of items) {
+            let key = typeof item === 'string' ? item : attrValue(item).toUpperCase();
+            switch (key) {
+                case 'UID':
+                    add('UID', message.uid);
+                    break;
+                case 'FLAGS':
+                    add('FLAGS', flagList(message.flags));
+                    break;
+                case 'MODSEQ':
+                    add('MODSEQ', [{ type: 'ATOM', value: String(message.modseq) }]);
+                    break;
+                case 'INTERNALDATE':
+                    add('INTERNALDATE', { type: 'STRING', value: formatDate(message.internalDate) });
+                    break;
+                case 'RFC822.SIZE':
+                    add('RFC822.SIZE', message.size);
+                    break;
+                case 'ENVELOPE':
+                    add('ENVELOPE', getEnvelope(this.store.getMessageNode(message)));
+                    break;
+                case 'BODYSTRUCTURE':
+                    add('BODYSTRUCTURE', getBodyStructure(this.store.getMessageNode(message)));
+                    break;
+                case 'BODY':
+                case 'BODY.PEEK':
+                case 'BINARY':
+                case 'BINARY.PEEK': {
+                    if (!item.section) {
+                        add('BODY', getBodyStructure(this.store.getMessageNode(message)));
+                        break;
+                    }
+                    let section = attrValue(item.section[0]);
+                    let fields = Array.isArray(item.section[1]) ? item.section[1].map(attrValue) : [];
+                    let content = getSection(this.store.getMessageNode(message), section, fields) || Buffer.alloc(0);
+                    let partial;
+                    if (item.partial) {
+                        partial = [item.partial[0]];
+                        content = content.slice(item.partial[0], item.partial.length > 1 ? item.partial[0] + item.partial[1] : content.length);
+                    }
+                    attributes.push({ type: 'ATOM', value: key.replace('.PEEK', ''), section: item.section, partial }, { type: 'LITERAL', value: content });
+                    break;
+                }
+            }
+        }
+
+        await this.untagged(String(seq), [{ type: 'ATOM', value: 'FETCH' }, attributes]);
+    }
+
+    // Flags the client may store, keywords are allowed
+    checkWritable() {
+        if (this.selected.readOnly) {
+            throw storeError('Mailbox is opened read-only', 'READ-ONLY');
+        }
+    }
+
+    deselect() {
+        this.selected = false;
+        if (this.state === STATES.SELECTED) {
+            this.state = STATES.AUTHENTICATED;
+        }
+    }
+
+    async authenticated(ctx, username, password) {
+        let accepted = await this.server.checkCredentials(username, password);
+        if (!accepted) {
+            return await ctx.no('Invalid credentials', 'AUTHENTICATIONFAILED');
+        }
+        this.user = username;
+        this.state = STATES.AUTHENTICATED;
+        return await ctx.ok('Logged in', `CAPABILITY ${this.capabilities.join(' ')}`);
+    }
+
+    fail(err) {
+        this.server.emit('error', err);
+        this.socket.destroy();
+    }
+
+    close() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.store.removeListener('change', this.onChange);
+        this.server.sessions.delete(this);
+        this.socket.destroy();
+    }
+}
+
+const ANY = [STATES.NOT_AUTHENTICATED, STATES.AUTHENTICATED, STATES.SELECTED];
+const NOT_AUTHENTICATED = [STATES.NOT_AUTHENTICATED];
+const AUTHENTICATED = [STATES.AUTHENTICATED, STATES.SELECTED];
+const SELECTED = [STATES.SELECTED];
+
+// Mailbox name argument, INBOX is case-insensitive
+const mailboxArg = attr => {
+    let path = Buffer.isBuffer(attr && attr.value) ? attr.value.toString() : attrValue(attr);
+    return path.toUpperCase() === 'INBOX' ? 'INBOX' : path;
+};
+
+const listMailboxes = (session, reference, pattern, subscribedOnly) => {
+    let regex = new RegExp(
+        '^' +
+            (reference + pattern)
+                .split('')
+                .map(chr => (chr === '*' ? '.*' : chr === '%' ? `[^${DELIMITER}]*` : chr.replace(/[.+?^${}()|[\]\\]/g, '\\$&')))
+                .join('') +
+            '$',
+        'i'
+    );
+    let mailboxes = session.store.listMailboxes();
+    return mailboxes
+        .filter(mailbox => regex.test(mailbox.path) && (!subscribedOnly || mailbox.subscribed))
+        .map(mailbox => {
+            let hasChildren = mailboxes.some(entry => entry.path.startsWith(mailbox.path + DELIMITER));
+            let flags = [hasChildren ? '\\HasChildren' : '\\HasNoChildren'].concat(mailbox.specialUse || []);
+            return [flagList(flags), { type: 'STRING', value: DELIMITER }, { type: 'STRING', value: mailbox.path }];
+        });
+};
+
+// Builds a predicate from SEARCH criteria, `tokens` is consumed as the keys are read
+const parseSearch = (session, tokens, state) => {
+    let token = tokens.shift();
+    if (Array.isArray(token)) {
+        let inner = token.slice();
+        let tests = [];
+        while (inner.length) {
+            tests.push(parseSearch(session, inner, state));
+        }
+        return entry => tests.every(test => test(entry));
+    }
+
+    let key = attrValue(token).toUpperCase();
+    let arg = () => attrValue(tokens.shift());
+    let header = (name, value) => entry => {
+        let node = session.store.getMessageNode(entry.message);
+        return node.headers.some(line => line.key === name && line.value.toLowerCase().includes(value.toLowerCase()));
+    };
+    let flag = (name, expected) => entry => entry.message.flags.has(name) === expected;
+
+    switch (key) {
+        case 'ALL':
+        case 'OLD':
+            return () => true;
+        case 'NEW':
+        case 'RECENT':
+            return () => false;
+        case 'ANSWERED':
+        case 'DELETED':
+        case 'DRAFT':
+        case 'FLAGGED':
+        case 'SEEN':
+            return flag(`\\${key.charAt(0)}${key.substr(1).toLowerCase()}`, true);
+        case 'UNANSWERED':
+        case 'UNDELETED':
+        case 'UNDRAFT':
+        case 'UNFLAGGED':
+        case 'UNSEEN':
+            return flag(`\\${key.charAt(2)}${key.substr(3).toLowerCase()}`, false);
+        case 'KEYWORD':
+            return flag(arg(), true);
+        case 'UNKEYWORD':
+            return flag(arg(), false);
+        case 'FROM':
+        case 'TO':
+        case 'CC':
+        case 'BCC':
+        case 'SUBJECT':
+            return header(key.toLowerCase(), arg());
+        case 'HEADER': {
+            let name = arg().toLowerCase();
+            return header(name, arg());
+        }
+        case 'BODY':
+        case 'TEXT': {
+            let value = arg().toLowerCase();
+            return entry => {
+                let node = session.store.getMessageNode(entry.message);
+                return (key === 'BODY' ? node.body : entry.message.source).toString('binary').toLowerCase().includes(value);
+            };
+        }
+        case 'BEFORE':
+        case 'ON':
+        case 'SINCE':
+        case 'SENTBEFORE':
+        case 'SENTON':
+        case 'SENTSINCE': {
+            let date = parseDate(arg());
+            return entry => {
+                let value = key.startsWith('SENT') ? session.store.getMessageNode(entry.message).getHeader('date') : entry.message.internalDate;
+                let day = value ? dayOf(value) : NaN;
+                switch (key.replace('SENT', '')) {
+                    case 'BEFORE':
+                        return day < date;
+                    case 'ON':
+                        return day === date;
+                    default:
+                        return day >= date;
+                }
+            };
+        }
+        case 'LARGER': {
+            let size = Number(arg());
+            return entry => entry.message.size > size;
+        }
+        case 'SMALLER': {
+            let size = Number(arg());
+            return entry => entry.message.size < size;
+        }
+        case 'UID': {
+            let set = arg();
+            let max = session.selected.uids.length ? Math.max(...session.selected.uids) : 0;
+            return entry => inSet(set, entry.uid, max);
+        }
+        case 'MODSEQ': {
+            // optional entry name and type are ignored
+            if (tokens.length > 2 && tokens[0] && tokens[0].type === 'STRING') {
+                tokens.splice(0, 2);
+            }
+            let modseq = Number(arg());
+            state.modseq = true;
+            return entry => entry.message.modseq >= modseq;
+        }
+        case 'NOT': {
+            let test = parseSearch(session, tokens, state);
+            return entry => !test(entry);
+        }
+        case 'OR': {
+            let first = parseSearch(session, tokens, state);
+            let second = parseSearch(session, tokens, state);
+            return entry => first(entry) || second(entry);
+        }
+        default:
+            if (isSequenceSet(key)) {
+                return entry => inSet(key, entry.seq, session.selected.uids.length);
+            }
+            throw storeError(`Unsupported search key ${key}`, 'BADCHARSET');
+    }
+};
+
+// Messages of the selected mailbox that match SEARCH criteria, `tokens` is consumed
+const searchMessages = (session, tokens) => {
+    let state = {};
+    let tests = [];
+    while (tokens.length) {
+        tests.push(parseSearch(session, tokens, state));
+    }
+    return { matches: session.resolveSet('1:*', false).filter(entry => tests.every(test => test(entry))), state };
+};
+
+// Value of a SORT key (RFC 5256 section 3), strings are compared case-insensitively
+const getSortValue = (session, message, key) => {
+    let node = session.store.getMessageNode(message);
+    switch (key) {
+        case 'ARRIVAL':
+            return message.internalDate.getTime();
+        case 'DATE': {
+            // messages without a valid Date header sort by their internal date
+            let date = new Date(node.getHeader('date') || '').getTime();
+            return Number.isFinite(date) ? date : message.internalDate.getTime();
+        }
+        case 'SIZE':
+            return message.size;
+        case 'SUBJECT':
+            return getBaseSubject(getHeaderText(node, 'subject')).subject;
+        default: {
+            // FROM, TO and CC sort by the local part of the first address, DISPLAYFROM and DISPLAYTO by its display name
+            let [address] = getAddresses(node, key.replace(/^DISPLAY/, '').toLowerCase());
+            if (!address) {
+                return '';
+            }
+            if (key.startsWith('DISPLAY')) {
+                return (address.name || address.address).toLowerCase();
+            }
+            let at = address.address.lastIndexOf('@');
+            return (at >= 0 ? address.address.substr(0, at) : address.address).toLowerCase();
+        }
+    }
+};
+
+const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// ORDEREDSUBJECT (RFC 5256): messages with the same base subject are children of the earliest one
+const threadBySubject = (session, matches, idKey) => {
+    let threads = new Map();
+    let sorted = matches
+        .map(entry => ({ entry, date: getSortValue(session, entry.message, 'DATE'), subject: getSortValue(session, entry.message, 'SUBJECT') }))
+        .sort((a, b) => a.date - b.date || a.entry.seq - b.entry.seq);
+    for (let { entry, subject } of sorted) {
+        let thread = threads.get(subject);
+        if (!thread) {
+            threads.set(subject, { [idKey]: entry[idKey], children: [] });
+        } else {
+            thread.children.push({ [idKey]: entry[idKey], children: [] });
+        }
+    }
+    return Array.from(threads.values());
+};
+
+// Message details that the client-side threading implementation expects
+const getThreadInput = (session, entry) => {
+    let node = session.store.getMessageNode(entry.message);
+    return {
+        uid: entry.uid,
+        seq: entry.seq,
+        envelope: {
+            date: node.getHeader('date'),
+            subject: getHeaderText(node, 'subject'),
+            inReplyTo: node.getHeader('in-reply-to'),
+            messageId: node.getHeader('message-id')
+        },
+        headers: node.header
+    };
+};
+
+// Converts a thread tree into a THREAD response list: a single child continues the list, several
+// children are nested lists and a placeholder without a message only holds nested lists
+const threadList = (node, idKey) => {
+    let list = [];
+    let current = node;
+    while (current) {
+        if (current[idKey] === null) {
+            return list.concat(current.children.map(child => threadList(child, idKey)));
+        }
+        list.push({ type: 'ATOM', value: String(current[idKey]) });
+        if (current.children.length !== 1) {
+            return list.concat(current.children.map(child => threadList(child, idKey)));
+        }
+        current = current.children[0];
+    }
+    return list;
+};
+
+// METADATA-SERVER only covers server annotations, METADATA covers both
+const supportsMetadata = (session, path) => session.hasCapability('METADATA') || (!path && session.hasCapability('METADATA-SERVER'));
+
+// Annotations of a mailbox, or server annotations for an empty path
+const getMetadata = (session, path) => (path ? session.store.mustGetMailbox(path).metadata : session.store.metadata);
+
+const metadataValue = value => {
+    if (value === null) {
+        return null;
+    }
+    return /^[\x20-\x7e]*$/.test(value) ? { type: 'STRING', value } : { type: 'LITERAL', value: Buffer.from(value) };
+};
+
+const storeResponse = async (session, ctx, entries, options) => {
+    for (let entry of entries) {
+        await session.writeFetch(entry.seq, entry.message, ['FLAGS'].concat(session.condstore ? 'MODSEQ' : []), options);
+    }
+};
+
+// Built-in command implementations
+const COMMANDS = {
+    CAPABILITY: {
+        state: ANY,
+        async handler(session, ctx) {
+            await ctx.untagged(
+                'CAPABILITY',
+                session.capabilities.map(capability => ({ type: 'ATOM', value: capability }))
+            );
+            await ctx.ok();
+        }
+    },
+
+    NOOP: {
+        state: ANY,
+        async handler(session, ctx) {
+            await ctx.ok();
+        }
+    },
+
+    CHECK: {
+        state: SELECTED,
+        async handler(session, ctx) {
+            await ctx.ok();
+        }
+    },
+
+    LOGOUT: {
+        state: ANY,
+        async handler(session, ctx) {
+            session.state = STATES.LOGOUT;
+            await session.writeStatus('*', 'BYE', false, 'Logging out');
+            await ctx.ok();
+            session.end();
+        }
+    },
+
+    ID: {
+        state: ANY,
+        capability: 'ID',
+        async handler(session, ctx) {
+            let id = session.server.options.id || { name: 'imapflow-mock' };
+            let list = [];
+            for (let key of Object.keys(id)) {
+                list.push({ type: 'STRING', value: key }, { type: 'STRING', value: String(id[key]) });
+            }
+            await ctx.untagged('ID', [list]);
+            await ctx.ok();
+        }
+    },
+
+    NAMESPACE: {
+        state: AUTHENTICATED,
+        capability: 'NAMESPACE',
+        async handler(session, ctx) {
+            await ctx.untagged('NAMESPACE', [
+                [
+                    [
+                        { type: 'STRING', value: '' },
+                        { type: 'STRING', value: DELIMITER }
+                    ]
+                ],
+                null,
+                null
+            ]);
+            await ctx.ok();
+        }
+    },
+
+    ENABLE: {
+        state: AUTHENTICATED,
+        capability: 'ENABLE',
+        async handler(session, ctx) {
+            let enabled = [];
+            for (let extension of ctx.attributes.map(attr => attrValue(attr).toUpperCase())) {
+                if (['CONDSTORE', 'QRESYNC', 'UTF8=ACCEPT'].includes(extension) && session.hasCapability(extension)) {
+                    session.enabled.add(extension);
+                    enabled.push(extension);
+                }
+            }
+            if (session.enabled.has('QRESYNC') || session.enabled.has('CONDSTORE')) {
+                session.condstore = true;
+            }
+            await ctx.untagged(
+                'ENABLED',
+                enabled.map(extension => ({ type: 'ATOM', value: extension }))
+            );
+            await ctx.ok();
+        }
+    },
+
+    STARTTLS: {
+        state: NOT_AUTHENTICATED,
+        capability: 'STARTTLS',
+        async handler(session, ctx) {
+            await ctx.no('TLS is not available in the mock server');
+        }
+    },
+
+    LOGIN: {
+        state: NOT_AUTHENTICATED,
+        async handler(session, ctx) {
+            if (session.hasCapability('LOGINDISABLED')) {
+                return await ctx.no('LOGIN is disabled', 'PRIVACYREQUIRED');
+            }
+            let [username, password] = ctx.attributes.map(attr => (Buffer.isBuffer(attr && attr.value) ? attr.value.toString() : attrValue(attr)));
+            await session.authenticated(ctx, username, password);
+        }
+    },
+
+    AUTHENTICATE: {
+        state: NOT_AUTHENTICATED,
+        async handler(session, ctx) {
+            let mechanism = attrValue(ctx.attributes[0]).toUpperCase();
+            if (mechanism !== 'PLAIN' || !session.hasCapability('AUTH=PLAIN')) {
+                return await ctx.no(`Unsupported mechanism ${mechanism}`);
+            }
+
+            let verify = async value => {
+                if (value.trim() === '*') {
+                    return await ctx.bad('Authentication cancelled');
+                }
+                let [, username, password] = Buffer.from(value.trim(), 'base64').toString().split('\x00');
+                await session.authenticated(ctx, username, password);
+            };
+
+            if (ctx.attributes.length > 1) {
+                // SASL-IR
+                return await verify(attrValue(ctx.attributes[1]));
+            }
+            session.continuation = verify;
+            await session.writeRaw('+ \r\n');
+        }
+    },
+
+    UNAUTHENTICATE: {
+        state: AUTHENTICATED,
+        capability: 'UNAUTHENTICATE',
+        async handler(session, ctx) {
+            session.deselect();
+            session.state = STATES.NOT_AUTHENTICATED;
+            session.user = false;
+            await ctx.ok();
+        }
+    },
+
+    COMPRESS: {
+        state: AUTHENTICATED,
+        capability: 'COMPRESS=DEFLATE',
+        async handler(session, ctx) {
+            if (attrValue(ctx.attributes[0]).toUpperCase() !== 'DEFLATE') {
+                return await ctx.bad('Unsupported compression mechanism');
+            }
+            if (session.deflate) {
+                return await ctx.no('Compression is already active', 'COMPRESSIONACTIVE');
+            }
+            await ctx.ok('DEFLATE active');
+            session.startCompression();
+        }
+    },
+
+    LIST: {
+        state: AUTHENTICATED,
+        async handler(session, ctx) {
+            // selection options before the reference and RETURN options after the pattern are ignored
+            let args = ctx.attributes.filter(attr => !Array.isArray(attr));
+            let returnPos = args.findIndex(attr => attrValue(attr).toUpperCase() === 'RETURN');
+            if (returnPos >= 0) {
+                args = args.slice(0, returnPos);
+            }
+            let [reference, pattern] = args.map(attr => mailboxArg(attr));
+            if (!pattern) {
+                await ctx.untagged('LIST', [[{ type: 'ATOM', value: '\\Noselect' }], { type: 'STRING', value: DELIMITER }, { type: 'STRING', value: '' }]);
+                return await ctx.ok();
+            }
+            for (let entry of listMailboxes(session, reference || '', pattern)) {
+                await ctx.untagged('LIST', entry);
+            }
+            await ctx.ok();
+        }
+    },
+
+    LSUB: {
+        state: AUTHENTICATED,
+        async handler(session, ctx) {
+            let [reference, pattern] = ctx.attributes.map(attr => mailboxArg(attr));
+            for (let entry of listMailboxes(session, reference || '', pattern || '', true)) {
+                await ctx.untagged('LSUB', entry);
+            }
+            await ctx.ok();
+        }
+    },
+
+    CREATE: {
+        state: AUTHENTICATED,
+        async handler(session, ctx) {
+            session.store.createMailbox(mailboxArg(ctx.attributes[0]).replace(/\/$/, ''), {}, session);
+            await ctx.ok();
+        }
+    },
+
+    DELETE: {
+        state: AUTHENTICATED,
+        async handler(session, ctx) {
+            let path = mailboxArg(ctx.attributes[0]);
+            session.store.deleteMailbox(path, session);
+            if (session.selected && session.selected.path === path) {
+                session.deselect();
+            }
+            await ctx.ok();
+        }
+    },
+
+    RENAME: {
+        state: AUTHENTICATED,
+        async handler(session, ctx) {
+            session.store.renameMailbox(mailboxArg(ctx.attributes[0]), mailboxArg(ctx.attributes[1]), session);
+            await ctx.ok();
+        }
+    },
+
+    SUBSCRIBE: {
+        state: AUTHENTICATED,
+        async handler(session, ctx) {
+            session.store.mustGetMailbox(mailboxArg(ctx.attributes[0])).subscribed = true;
+            await ctx.ok();
+        }
+    },
+
+    UNSUBSCRIBE: {
+        state: AUTHENTICATED,
+        async handler(session, ctx) {
+            let mailbox = session.store.getMailbox(mailboxArg(ctx.attributes[0]));
+            if (mailbox) {
+                mailbox.subscribed = false;
+            }
+            await ctx.ok();
+        }
+    },
+
+    SELECT: {
+        state: AUTHENTICATED,
+        async handler(session, ctx) {
+            await COMMANDS.EXAMINE.handler(session, ctx, false);
+        }
+    },
+
+    EXAMINE: {
+        state: AUTHENTICATED,
+        async handler(session, ctx, readOnly) {
+            readOnly = readOnly !== false;
+            let path = mailboxArg(ctx.attributes[0]);
+            let mailbox = session.store.getMailbox(path);
+            if (session.selected) {
+                session.deselect();
+                if (session.enabled.has('QRESYNC')) {
+                    await session.writeStatus('*', 'OK', 'CLOSED', 'Previous mailbox closed');
+                }
+            }
+            if (!mailbox) {
+                return await ctx.no(`Mailbox ${path} does not exist`, 'NONEXISTENT');
+            }
+
+            let qresync = false;
+            let params = Array.isArray(ctx.attributes[1]) ? ctx.attributes[1] : [];
+            if (params.some(param => attrValue(param).toUpperCase() === 'CONDSTORE')) {
+                session.condstore = true;
+            }
+            let qresyncPos = params.findIndex(param => attrValue(param).toUpperCase() === 'QRESYNC');
+            if (qresyncPos >= 0 && session.enabled.has('QRESYNC') && Array.isArray(params[qresyncPos + 1])) {
+                let [uidValidity, modseq] = params[qresyncPos + 1].map(attrValue).map(Number);
+                if (uidValidity === mailbox.uidValidity) {
+                    qresync = { modseq };
+                }
+            }
+
+            session.selected = { path: mailbox.path, readOnly, uids: mailbox.messages.map(message => message.uid), pending: [] };
+            session.state = STATES.SELECTED;
+
+            await ctx.untagged('FLAGS', [flagList(SYSTEM_FLAGS)]);
+            await session.writeStatus('*', 'OK', `PERMANENTFLAGS (${readOnly ? '' : SYSTEM_FLAGS.concat('\\*').join(' ')})`, 'Flags permitted');
+            await ctx.untagged(String(mailbox.messages.length), [{ type: 'ATOM', value: 'EXISTS' }]);
+            await ctx.untagged('0', [{ type: 'ATOM', value: 'RECENT' }]);
+            let unseen = mailbox.messages.findIndex(message => !message.flags.has('\\Seen'));
+            if (unseen >= 0) {
+                await session.writeStatus('*', 'OK', `UNSEEN ${unseen + 1}`, 'First unseen');
+            }
+            await session.writeStatus('*', 'OK', `UIDVALIDITY ${mailbox.uidValidity}`, 'UIDs valid');
+            await session.writeStatus('*', 'OK', `UIDNEXT ${mailbox.uidNext}`, 'Predicted next UID');
+            if (session.hasCapability('CONDSTORE')) {
+                await session.writeStatus('*', 'OK', `HIGHESTMODSEQ ${mailbox.highestModseq}`, 'Highest');
+            }
+
+            if (qresync) {
+                let vanished = mailbox.expunged.filter(entry => entry.modseq > qresync.modseq).map(entry => entry.uid);
+                if (vanished.length) {
+                    await ctx.untagged('VANISHED', [[{ type: 'ATOM', value: 'EARLIER' }], { type: 'SEQUENCE', value: packSet(vanished) }]);
+                }
+                for (let [i, message] of mailbox.messages.entries()) {
+                    if (message.modseq > qresync.modseq) {
+                        await session.writeFetch(i + 1, message, ['FLAGS', 'MODSEQ'], { uid: true });
+                    }
+                }
+            }
+
+            await ctx.ok(`${ctx.command} completed`, readOnly ? 'READ-ONLY' : 'READ-WRITE');
+        }
+    },
+
+    STATUS: {
+        state: AUTHENTICATED,
+        async handler(session, ctx) {
+            let path = mailboxArg(ctx.attributes[0]);
+            let mailbox = session.store.mustGetMailbox(path);
+            let values = getStatusValues(mailbox);
+            let keys = [].concat(ctx.attributes[1] || []).map(attr => attrValue(attr).toUpperCase());
+            await ctx.untagged('STATUS', [
+                { type: 'STRING', value: mailbox.path },
+                statusList(
+                    values,
+                    keys.filter(key => values[key] !== undefined)
+                )
+            ]);
+            await ctx.ok();
+        }
+    },
+
+    APPEND: {
+        state: AUTHENTICATED,
+        async handler(session, ctx) {
+            let path = mailboxArg(ctx.attributes[0]);
+            if (!session.store.getMailbox(path)) {
+                return await ctx.no(`Mailbox ${path} does not exist`, 'TRYCREATE');
+            }
+            let messages = readMessages(ctx.attributes.slice(1));
+            if (!canAppend(session, messages)) {
+                return await ctx.bad('Invalid APPEND arguments');
+            }
+
+            // MULTIAPPEND stores either all messages or none, so all sources are resolved first
+            let sources = messages.map(message => getMessageSource(session.store, message));
+            let uids = messages.map(({ flags, internalDate }, i) => session.store.addMessage(path, sources[i], { flags, internalDate }, session).uid);
+            let mailbox = session.store.getMailbox(path);
+            await ctx.ok('APPEND completed', session.hasCapability('UIDPLUS') ? `APPENDUID ${mailbox.uidValidity} ${packSet(uids)}` : false);
+        }
+    },
+
+    CLOSE: {
+        state: SELECTED,
+        async handler(session, ctx) {
+            if (!session.selected.readOnly) {
+                session.store.expunge(session.selected.path, null, session);
+            }
+            session.deselect();
+            await ctx.ok();
+        }
+    },
+
+    UNSELECT: {
+        state: SELECTED,
+        capability: 'UNSELECT',
+        async handler(session, ctx) {
+            session.deselect();
+            await ctx.ok();
+        }
+    },
+
+    EXPUNGE: {
+        state: SELECTED,
+        uid: true,
+        async handler(session, ctx) {
+            session.checkWritable();
+            let uids = null;
+            if (ctx.uid) {
+                uids = session
+                    .resolveSet(attrValue(ctx.attributes[0]), true)
+                    .filter(entry => entry.message.flags.has('\\Deleted'))
+                    .map(entry => entry.uid);
+            }
+            await session.writeExpunged(session.store.expunge(session.selected.path, uids, session));
+            await ctx.ok();
+        }
+    },
+
+    SEARCH: {
+        state: SELECTED,
+        uid: true,
+        async handler(session, ctx) {
+            let tokens = ctx.attributes.slice();
+            if (attrValue(tokens[0]).toUpperCase() === 'CHARSET') {
+                tokens.splice(0, 2);
+            }
+            let { matches, state } = searchMessages(session, tokens);
+            let attributes = matches.map(entry => (ctx.uid ? entry.uid : entry.seq));
+            if (state.modseq && matches.length) {
+                attributes.push([
+                    { type: 'ATOM', value: 'MODSEQ' },
+                    { type: 'ATOM', value: String(Math.max(...matches.map(entry => entry.message.modseq))) }
+                ]);
+            }
+            await ctx.untagged('SEARCH', attributes);
+            await ctx.ok();
+        }
+    },
+
+    SORT: {
+        state: SELECTED,
+        uid: true,
+        capability: 'SORT',
+        async handler(session, ctx) {
+            // the charset is ignored, values are compared as decoded
+            let [criteria, , ...tokens] = ctx.attributes;
+            let keys = [];
+            let reverse = false;
+            for (let key of [].concat(criteria || []).map(attr => attrValue(attr).toUpperCase())) {
+                if (key === 'REVERSE') {
+                    reverse = true;
+                    continue;
+                }
+                if (!SORT_KEYS.includes(key) || (key.startsWith('DISPLAY') && !session.hasCapability('SORT=DISPLAY'))) {
+                    return await ctx.bad(`Unsupported sort key ${key}`);
+                }
+                keys.push({ key, reverse });
+                reverse = false;
+            }
+            if (!keys.length) {
+                return await ctx.bad('Sort criteria can not be empty');
+            }
+
+            let { matches } = searchMessages(session, tokens);
+            let values = new Map(matches.map(entry => [entry, keys.map(({ key }) => getSortValue(session, entry.message, key))]));
+            matches.sort((a, b) => {
+                for (let [i, { reverse }] of keys.entries()) {
+                    let result = compareValues(values.get(a)[i], values.get(b)[i]);
+                    if (result) {
+                        return reverse ? -result : result;
+                    }
+                }
+                // ties are sorted by sequence number
+                return a.seq - b.seq;
+            });
+            await ctx.untagged(
+                'SORT',
+                matches.map(entry => (ctx.uid ? entry.uid : entry.seq))
+            );
+            await ctx.ok();
+        }
+    },
+
+    THREAD: {
+        state: SELECTED,
+        uid: true,
+        async handler(session, ctx) {
+            let [algorithm, , ...tokens] = ctx.attributes;
+            algorithm = attrValue(algorithm).toUpperCase();
+            if (!THREAD_ALGORITHMS.includes(algorithm) || !session.hasCapability(`THREAD=${algorithm}`)) {
+                return await ctx.bad(`Unsupported threading algorithm ${algorithm}`);
+            }
+
+            let { matches } = searchMessages(session, tokens);
+            let idKey = ctx.uid ? 'uid' : 'seq';
+            let threads =
+                algorithm === 'ORDEREDSUBJECT'
+                    ? threadBySubject(session, matches, idKey)
+                    : threadMessages(
+                          matches.map(entry => getThreadInput(session, entry)),
+                          { idKey }
+                      );
+            await ctx.untagged(
+                'THREAD',
+                threads.map(node => threadList(node, idKey))
+            );
+            await ctx.ok();
+        }
+    },
+
+    FETCH: {
+        state: SELECTED,
+        uid: true,
+        async handler(session, ctx) {
+            let [set, query, modifiers] = ctx.attributes;
+            let items = [].concat(query || []);
+            let macros = {
+                ALL: ['FLAGS', 'INTERNALDATE', 'RFC822.SIZE', 'ENVELOPE'],
+                FAST: ['FLAGS', 'INTERNALDATE', 'RFC822.SIZE'],
+                FULL: ['FLAGS', 'INTERNALDATE', 'RFC822.SIZE', 'ENVELOPE', 'BODY']
+            };
+            items = items.flatMap(item => macros[attrValue(item).toUpperCase()] || item);
+
+            let changedSince = false;
+            let vanished = false;
+            if (Array.isArray(modifiers)) {
+                for (let i = 0; i < modifiers.length; i++) {
+                    let name = attrValue(modifiers[i]).toUpperCase();
+                    if (name === 'CHANGEDSINCE') {
+                        changedSince = Number(attrValue(modifiers[++i]));
+                    } else if (name === 'VANISHED') {
+                        vanished = true;
+                    }
+                }
+            }
+
+            let wantsModseq = changedSince !== false || items.some(item => attrValue(item).toUpperCase() === 'MODSEQ');
+            if (wantsModseq) {
+                session.condstore = true;
+                items.push('MODSEQ');
+            }
+
+            let setValue = attrValue(set);
+            if (vanished && ctx.uid && session.enabled.has('QRESYNC') && changedSince !== false) {
+                let mailbox = session.store.getMailbox(session.selected.path);
+                let max = mailbox.uidNext - 1;
+                let uids = mailbox.expunged.filter(entry => entry.modseq > changedSince && inSet(setValue, entry.uid, max)).map(entry => entry.uid);
+                if (uids.length) {
+                    await ctx.untagged('VANISHED', [[{ type: 'ATOM', value: 'EARLIER' }], { type: 'SEQUENCE', value: packSet(uids) }]);
+                }
+            }
+
+            for (let entry of session.resolveSet(setValue, ctx.uid)) {
+                if (changedSince !== false && entry.message.modseq <= changedSince) {
+                    continue;
+                }
+                // reading the body without PEEK marks the message as seen
+                let marksSeen = items.some(item => ['BODY', 'BINARY'].includes(attrValue(item).toUpperCase()) && item.section);
+                if (marksSeen && !session.selected.readOnly && !entry.message.flags.has('\\Seen')) {
+                    session.store.updateFlags(session.selected.path, [entry.uid], 'add', ['\\Seen'], {}, session);
+                    items = items.concat('FLAGS');
+                }
+                if (session.condstore && !items.includes('MODSEQ')) {
+                    items = items.concat('MODSEQ');
+                }
+                await session.writeFetch(entry.seq, entry.message, items, { uid: ctx.uid });
+            }
+            await ctx.ok();
+        }
+    },
+
+    STORE: {
+        state: SELECTED,
+        uid: true,
+        async handler(session, ctx) {
+            session.checkWritable();
+
+            // UNCHANGEDSINCE is accepted before and after the flags
+            let unchangedSince;
+            let args = [];
+            for (let attr of ctx.attributes) {
+                if (Array.isArray(attr) && attr.length === 2 && attrValue(attr[0]).toUpperCase() === 'UNCHANGEDSINCE') {
+                    unchangedSince = Number(attrValue(attr[1]));
+                    session.condstore = true;
+                } else {
+                    args.push(attr);
+                }
+            }
+            let [set, operation, flags] = args;
+            operation = attrValue(operation).toUpperCase();
+            let match = operation.match(/^([+-])?FLAGS(\.SILENT)?$/);
+            if (!match) {
+                return await ctx.bad(`Unsupported STORE operation ${operation}`);
+            }
+
+            let entries = session.resolveSet(attrValue(set), ctx.uid);
+            let result = session.store.updateFlags(
+                session.selected.path,
+                entries.map(entry => entry.uid),
+                match[1] === '+' ? 'add' : match[1] === '-' ? 'remove' : 'set',
+                readFlags(flags),
+                { unchangedSince },
+                session
+            );
+
+            if (!match[2]) {
+                await storeResponse(
+                    session,
+                    ctx,
+                    entries.filter(entry => result.updated.includes(entry.message)),
+                    { uid: ctx.uid }
+                );
+            }
+
+            let modified = entries.filter(entry => result.modified.includes(entry.uid)).map(entry => (ctx.uid ? entry.uid : entry.seq));
+            await ctx.ok('STORE completed', modified.length ? `MODIFIED ${packSet(modified)}` : false);
+        }
+    },
+
+    COPY: {
+        state: SELECTED,
+        uid: true,
+        async handler(session, ctx, move) {
+            let entries = session.resolveSet(attrValue(ctx.attributes[0]), ctx.uid);
+            let destination = mailboxArg(ctx.attributes[1]);
+            if (move) {
+                session.checkWritable();
+            }
+
+            let uidMap = session.store.copyMessages(
+                session.selected.path,
+                entries.map(entry => entry.uid),
+                destination,
+                session
+            );
+            let target = session.store.getMailbox(destination);
+            let code =
+                session.hasCapability('UIDPLUS') && uidMap.size
+                    ? `COPYUID ${target.uidValidity} ${Array.from(uidMap.keys()).join(',')} ${Array.from(uidMap.values()).join(',')}`
+                    : false;
+
+            if (!move) {
+                return await ctx.ok('COPY completed', code);
+            }
+
+            if (code) {
+                await session.writeStatus('*', 'OK', code, 'Moved');
+            }
+            await session.writeExpunged(
+                session.store.expunge(
+                    session.selected.path,
+                    entries.map(entry => entry.uid),
+                    session
+                )
+            );
+            await ctx.ok('MOVE completed');
+        }
+    },
+
+    MOVE: {
+        state: SELECTED,
+        uid: true,
+        capability: 'MOVE',
+        async handler(session, ctx) {
+            await COMMANDS.COPY.handler(session, ctx, true);
+        }
+    },
+
+    REPLACE: {
+        state: SELECTED,
+        uid: true,
+        capability: 'REPLACE',
+        async handler(session, ctx) {
+            let messages = readMessages(ctx.attributes.slice(2));
+            if (!canAppend(session, messages) || messages.length > 1) {
+                return await ctx.bad('Invalid REPLACE arguments');
+            }
+
+            session.checkWritable();
+            let [entry] = session.resolveSet(attrValue(ctx.attributes[0]), ctx.uid);
+            if (!entry) {
+                return await ctx.no('Message to replace does not exist');
+            }
+            let path = mailboxArg(ctx.attributes[1]);
+            let mailbox = session.store.getMailbox(path);
+            if (!mailbox) {
+                return await ctx.no(`Mailbox ${path} does not exist`, 'TRYCREATE');
+            }
+
+            // the new message is reported before the old one is expunged (RFC 8508 section 3)
+            let [{ flags, internalDate }] = messages;
+            let message = session.store.addMessage(path, getMessageSource(session.store, messages[0]), { flags, internalDate }, session);
+            if (session.hasCapability('UIDPLUS')) {
+                await session.writeStatus('*', 'OK', `APPENDUID ${mailbox.uidValidity} ${message.uid}`, 'Replacement message stored');
+            }
+            await session.writeExpunged(session.store.expunge(session.selected.path, [entry.uid], session));
+            await ctx.ok();
+        }
+    },
+
+    IDLE: {
+        state: AUTHENTICATED,
+        capability: 'IDLE',
+        async handler(session, ctx) {
+            session.idling = true;
+            session.continuation = async line => {
+                session.idling = false;
+                if (line.trim().toUpperCase() !== 'DONE') {
+                    return await ctx.bad('Expected DONE');
+                }
+                await ctx.ok('IDLE terminated');
+            };
+            await session.writeRaw('+ idling\r\n');
+            await session.flushUpdates();
+        }
+    },
+
+    GETQUOTAROOT: {
+        state: AUTHENTICATED,
+        capability: 'QUOTA',
+        async handler(session, ctx) {
+            let mailbox = session.store.mustGetMailbox(mailboxArg(ctx.attributes[0]));
+            await ctx.untagged('QUOTAROOT', [
+                { type: 'STRING', value: mailbox.path },
+                { type: 'STRING', value: '' }
+            ]);
+            await COMMANDS.GETQUOTA.handler(session, ctx);
+        }
+    },
+
+    GETQUOTA: {
+        state: AUTHENTICATED,
+        capability: 'QUOTA',
+        async handler(session, ctx) {
+            let used = 0;
+            for (let mailbox of session.store.listMailboxes()) {
+                used += mailbox.messages.reduce((size, message) => size + message.size, 0);
+            }
+            await ctx.untagged('QUOTA', [
+                { type: 'STRING', value: '' },
+                [
+                    { type: 'ATOM', value: 'STORAGE' },
+                    { type: 'ATOM', value: String(Math.ceil(used / 1024)) },
+                    { type: 'ATOM', value: String(QUOTA_LIMIT) }
+                ]
+            ]);
+            await ctx.ok();
+        }
+    },
+
+    GETMETADATA: {
+        state: AUTHENTICATED,
+        async handler(session, ctx) {
+            let args = ctx.attributes.slice();
+            let options = Array.isArray(args[0]) ? args.shift().map(attrValue) : [];
+            let path = mailboxArg(args[0]);
+            if (!supportsMetadata(session, path)) {
+                return await ctx.bad('Command GETMETADATA is not supported');
+            }
+
+            let maxSize = Infinity;
+            let depth = '0';
+            for (let i = 0; i < options.length - 1; i += 2) {
+                switch (options[i].toUpperCase()) {
+                    case 'MAXSIZE':
+                        maxSize = Number(options[i + 1]);
+                        break;
+                    case 'DEPTH':
+                        depth = options[i + 1].toLowerCase();
+                        break;
+                }
+            }
+
+            let metadata = getMetadata(session, path);
+            let list = [];
+            // values over MAXSIZE are left out, the size of the longest one is reported
+            let longEntries = 0;
+            let add = (entry, value) => {
+                let size = value === null ? 0 : Buffer.byteLength(value);
+                if (size > maxSize) {
+                    longEntries = Math.max(longEntries, size);
+                    return;
+                }
+                list.push({ type: 'ATOM', value: entry }, metadataValue(value));
+            };
+
+            for (let entry of [].concat(args[1] || []).map(attrValue)) {
+                let key = entry.toLowerCase();
+                // entries without a value are listed as NIL
+                add(entry, metadata.has(key) ? metadata.get(key) : null);
+                if (depth === '0') {
+                    continue;
+                }
+                for (let [name, value] of metadata) {
+                    if (name.startsWith(key + '/') && (depth === 'infinity' || !name.substr(key.length + 1).includes('/'))) {
+                        add(name, value);
+                    }
+                }
+            }
+
+            await ctx.untagged('METADATA', [{ type: 'STRING', value: path }, list]);
+            await ctx.ok('GETMETADATA completed', longEntries ? `METADATA LONGENTRIES ${longEntries}` : false);
+        }
+    },
+
+    SETMETADATA: {
+        state: AUTHENTICATED,
+        async handler(session, ctx) {
+            let path = mailboxArg(ctx.attributes[0]);
+            if (!supportsMetadata(session, path)) {
+                return await ctx.bad('Command SETMETADATA is not supported');
+            }
+            let metadata = getMetadata(session, path);
+            let list = [].concat(ctx.attributes[1] || []);
+            for (let i = 0; i < list.length; i += 2) {
+                if (!/^\/(private|shared)\/./i.test(attrValue(list[i]))) {
+                    return await ctx.bad(`Invalid entry name ${attrValue(list[i])}`);
+                }
+            }
+            for (let i = 0; i < list.length; i += 2) {
+                let key = attrValue(list[i]).toLowerCase();
+                if (list[i + 1] === null || list[i + 1] === undefined) {
+                    // NIL removes the entry
+                    metadata.delete(key);
+                } else {
+                    metadata.set(key, attrValue(list[i + 1]));
+                }
+            }
+            await ctx.ok();
+        }
+    },
+
+    NOTIFY: {
+        state: AUTHENTICATED,
+        capability: 'NOTIFY',
+        async handler(session, ctx) {
+            let args = ctx.attributes.slice();
+            let mode = attrValue(args.shift()).toUpperCase();
+            if (mode === 'NONE') {
+                session.notify = false;
+                return await ctx.ok();
+            }
+            if (mode !== 'SET') {
+                return await ctx.bad('Expected NOTIFY SET or NOTIFY NONE');
+            }
+            let status = !Array.isArray(args[0]) && attrValue(args[0]).toUpperCase() === 'STATUS';
+            if (status) {
+                args.shift();
+            }
+
+            let filters = [];
+            let badEvents = new Set();
+            for (let group of args) {
+                let kind = attrValue(Array.isArray(group) ? group[0] : null).toUpperCase();
+                if (!NOTIFY_FILTERS.includes(kind)) {
+                    return await ctx.bad(`Invalid NOTIFY filter ${kind}`);
+                }
+                let rest = group.slice(1);
+                // SUBTREE and MAILBOXES list one mailbox or a parenthesized list of mailboxes
+                let paths = ['SUBTREE', 'MAILBOXES'].includes(kind) ? [].concat(rest.shift() || []).map(mailboxArg) : [];
+
+                let events = new Set();
+                let fetch = [];
+                for (let event of Array.isArray(rest[0]) ? rest[0] : []) {
+                    if (Array.isArray(event)) {
+                        // FETCH attributes that follow MessageNew
+                        fetch = event;
+                        continue;
+                    }
+                    let name = NOTIFY_EVENTS.find(entry => entry.toUpperCase() === attrValue(event).toUpperCase());
+                    if (name) {
+                        events.add(name);
+                    } else {
+                        badEvents.add(attrValue(event));
+                    }
+                }
+                filters.push({ kind, paths, events, fetch });
+            }
+            if (badEvents.size) {
+                return await ctx.no('Unsupported events', `BADEVENT (${Array.from(badEvents).join(' ')})`);
+            }
+
+            session.notify = { filters, pending: [] };
+            if (status) {
+                for (let mailbox of session.store.listMailboxes()) {
+                    let events = (!session.selected || session.selected.path !== mailbox.path) && session.getNotifyEvents(mailbox.path);
+                    if (events && events.has('MessageNew')) {
+                        await session.writeNotifyStatus(mailbox.path);
+                    }
+                }
+            }
+            await ctx.ok();
+        }
+    },
+
+    GETACL: {
+        state: AUTHENTICATED,
+        capability: 'ACL',
+        async handler(session, ctx) {
+            let mailbox = session.store.mustGetMailbox(mailboxArg(ctx.attributes[0]));
+            let list = [{ type: 'STRING', value: mailbox.path }];
+            for (let [identifier, rights] of mailbox.acl) {
+                list.push({ type: 'STRING', value: identifier }, { type: 'STRING', value: rights });
+            }
+            await ctx.untagged('ACL', list);
+            await ctx.ok();
+        }
+    },
+
+    SETACL: {
+        state: AUTHENTICATED,
+        capability: 'ACL',
+        async handler(session, ctx) {
+            let mailbox = session.store.mustGetMailbox(mailboxArg(ctx.attributes[0]));
+            let identifier = attrValue(ctx.attributes[1]);
+            let rights = attrValue(ctx.attributes[2]);
+            let modifier = /^[+-]/.test(rights) ? rights.charAt(0) : '';
+            rights = rights.substr(modifier.length);
+            // obsolete RFC 2086 rights and server specific digits are accepted as well
+            if (!/^[lrswipkxteacd0-9]*$/.test(rights)) {
+                return await ctx.bad(`Invalid rights ${rights}`);
+            }
+
+            let current = new Set(modifier ? mailbox.acl.get(identifier) || '' : '');
+            for (let right of rights) {
+                current[modifier === '-' ? 'delete' : 'add'](right);
+            }
+            if (current.size) {
+                mailbox.acl.set(identifier, Array.from(current).join(''));
+            } else {
+                mailbox.acl.delete(identifier);
+            }
+            await ctx.ok();
+        }
+    },
+
+    DELETEACL: {
+        state: AUTHENTICATED,
+        capability: 'ACL',
+        async handler(session, ctx) {
+            session.store.mustGetMailbox(mailboxArg(ctx.attributes[0])).acl.delete(attrValue(ctx.attributes[1]));
+            await ctx.ok();
+        }
+    },
+
+    LISTRIGHTS: {
+        state: AUTHENTICATED,
+        capability: 'ACL',
+        async handler(session, ctx) {
+            let mailbox = session.store.mustGetMailbox(mailboxArg(ctx.attributes[0]));
+            // nothing is granted by default and every right can be granted on its own
+            await ctx.untagged(
+                'LISTRIGHTS',
+                [
+                    { type: 'STRING', value: mailbox.path },
+                    { type: 'STRING', value: attrValue(ctx.attributes[1]) },
+                    { type: 'STRING', value: '' }
+                ].concat(ACL_RIGHTS.split('').map(right => ({ type: 'ATOM', value: right })))
+            );
+            await ctx.ok();
+        }
+    },
+
+    MYRIGHTS: {
+        state: AUTHENTICATED,
+        capability: 'ACL',
+        async handler(session, ctx) {
+            let mailbox = session.store.mustGetMailbox(mailboxArg(ctx.attributes[0]));
+            let rights = mailbox.acl.has(session.user) ? mailbox.acl.get(session.user) : ACL_RIGHTS;
+            await ctx.untagged('MYRIGHTS', [
+                { type: 'STRING', value: mailbox.path },
+                { type: 'STRING', value: rights }
+            ]);
+            await ctx.ok();
+        }
+    }
+};
+
+/**
+ * Scriptable in-process IMAP server for testing code that uses {@link ImapFlow}. Keeps mailboxes and
+ * messages in a {@link MockMailboxStore}, so flags, UIDs, modseq values and expunges behave like on a real
+ * server, including CONDSTORE and QRESYNC. Commands are parsed and responses compiled with the same
+ * protocol handler ImapFlow uses.
+ *
+ * SORT, THREAD (REFERENCES, REFS and ORDEREDSUBJECT), REPLACE, MULTIAPPEND, CATENATE, METADATA, NOTIFY and ACL are built in as well, but the
+ * default capabilities do not include these, list them in `capabilities` to use them. NOTIFY reports MessageNew,
+ * MessageExpunge, FlagChange and MailboxName events, other events are rejected with BADEVENT. Mailbox owners have every
+ * ACL right unless the ACL of the mailbox lists the user. Other commands can be implemented with `handlers`.
+ * TLS is not supported, connect with `secure: false`. COMPRESS=DEFLATE is supported when listed in `capabilities`.
+ *
+ * @extends EventEmitter
+ * @example
+ * const { ImapFlow } = require('imapflow');
+ * const { MockImapServer, CAPABILITIES } = require('imapflow/testing');
+ *
+ * const server = new MockImapServer({
+ *     users: { user: 'secret' },
+ *     mailboxes: { INBOX: { messages: ['Subject: hello\r\n\r\nHello world!'] } },
+ *     capabilities: CAPABILITIES.concat('SORT', 'THREAD=REFERENCES')
+ * });
+ * await server.listen();
+ *
+ * const client = new ImapFlow(server.clientOptions({ auth: { user: 'user', pass: 'secret' } }));
+ * await client.connect();
+ *
+ * // fail the next SELECT
+ * server.failCommand('SELECT', { code: 'UNAVAILABLE', text: 'Try again later', times: 1 });
+ *
+ * await server.close();
+ */
+class MockImapServer extends EventEmitter {
+    /**
+     * @param {Object} [options] Server options
+     * @param {String[]} [options.capabilities] Advertised capabilities, replaces the default list
+     * @param {String|false} [options.greeting] Text of the greeting, `false` to send no greeting at all
+     * @param {Boolean} [options.preauth=false] Greet with PREAUTH, the session starts authenticated
+     * @param {Object} [options.users] Accepted credentials as `{ username: password }`. Any credentials are accepted if not set
+     * @param {Function} [options.authenticate] Async function `(username, password)` that resolves to `true` if the credentials are valid, used instead of `users`
+     * @param {Object} [options.id] Server ID returned for the ID command
+     * @param {MockMailboxStore} [options.store] Mailbox store, can be shared between servers
+     * @param {Object} [options.mailboxes] Initial mailboxes if `store` is not set, see {@link MockMailboxStore}
+     * @param {Object} [options.handlers] Command handlers keyed by command name (`FETCH` or `UID FETCH`). A handler is called with
+     *     a context object `{ session, tag, command, attributes, uid, ok(), no(), bad(), untagged(), send(), write(), next() }`, call `next()` to run the built-in implementation
+     * @param {Object} [options.failures] Injected failures keyed by command name, see {@link MockImapServer#failCommand}
+     * @param {Object} [options.delays] Response delays in milliseconds keyed by command name, see {@link MockImapServer#delayCommand}
+     */
+    constructor(options) {
+        super();
+        this.options = options || {};
+
+        this.capabilities = [].concat(this.options.capabilities || CAPABILITIES);
+        this.store = this.options.store || new MockMailboxStore({ mailboxes: this.options.mailboxes });
+        // every session listens for changes
+        this.store.setMaxListeners(0);
+
+        // built-in command implementations, handlers are checked first
+        this.commands = COMMANDS;
+        this.handlers = {};
+        for (let key of Object.keys(this.options.handlers || {})) {
+            this.handlers[key.toUpperCase()] = this.options.handlers[key];
+        }
+
+        this.failures = new Map();
+        for (let key of Object.keys(this.options.failures || {})) {
+            this.failCommand(key, this.options.failures[key]);
+        }
+        this.delays = new Map();
+        for (let key of Object.keys(this.options.delays || {})) {
+            this.delayCommand(key, this.options.delays[key]);
+        }
+
+        this.sessions = new Set();
+        this.sessionCounter = 0;
+        this.port = false;
+
+        this.server = net.createServer(socket => this.handleConnection(socket));
+    }
+
+    /**
+     * Starts listening
+     *
+     * @param {Number} [port=0] Port to listen on, by default a free port is used
+     * @param {String} [host='127.0.0.1'] Address to listen on
+     * @returns {Promise<Number>} The port the server listens on
+     */
+    async listen(port, host) {
+        this.host = host || '127.0.0.1';
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port || 0, this.host, () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+        this.port = this.server.address().port;
+        return this.port;
+    }
+
+    /**
+     * Closes every connection and stops listening
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.dropConnections();
+        if (this.server.listening) {
+            await new Promise(resolve => this.server.close(() => resolve()));
+        }
+    }
+
+    /**
+     * Closes every client connection without a response, as if the network failed
+     */
+    dropConnections() {
+        for (let session of this.sessions) {
+            session.close();
+        }
+    }
+
+    /**
+     * Builds {@link ImapFlow} options for connecting to this server
+     *
+     * @param {Object} [overrides] Options to merge with the defaults
+     * @returns {Object} Client options
+     */
+    clientOptions(overrides) {
+        return Object.assign(
+            {
+                host: this.host || '127.0.0.1',
+                port: this.port,
+                secure: false,
+                auth: { user: 'user', pass: 'pass' },
+                logger: false
+            },
+            overrides || {}
+        );
+    }
+
+    /**
+     * Makes a command fail. Injected failures are checked before handlers and built-in implementations.
+     *
+     * @param {String} command Command name, eg. `SELECT` (also matches `UID` variants) or `UID FETCH`. Use `GREETING` to fail the greeting
+     * @param {Object} [failure] How to fail
+     * @param {String} [failure.status='NO'] Response status: `NO`, `BAD` or `BYE` (sends an untagged BYE and closes the connection)
+     * @param {String} [failure.code] Response code, eg. `TRYCREATE` or `UNAVAILABLE`
+     * @param {String} [failure.text] Response text
+     * @param {Boolean} [failure.disconnect] Close the connection without a response instead
+     * @param {Number} [failure.times] Fail only this many times, by default the command fails until {@link MockImapServer#reset} is called
+     */
+    failCommand(command, failure) {
+        this.failures.set(command.toUpperCase(), Object.assign({}, failure || {}));
+    }
+
+    /**
+     * Delays the response to a command
+     *
+     * @param {String} command Command name, see {@link MockImapServer#failCommand}. Use `GREETING` to delay the greeting
+     * @param {Number} delay Delay in milliseconds
+     */
+    delayCommand(command, delay) {
+        this.delays.set(command.toUpperCase(), Number(delay) || 0);
+    }
+
+    /**
+     * Removes injected failures and delays
+     */
+    reset() {
+        this.failures.clear();
+        this.delays.clear();
+    }
+
+    // Waits for a configured delay and returns the failure to apply, if any
+    async getInjection(...names) {
+        let delay = names.map(name => this.delays.get(name)).find(value => value);
+        if (delay) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        let name = names.find(name => this.failures.has(name));
+        if (!name) {
+            return false;
+        }
+        let failure = this.failures.get(name);
+        if (typeof failure.times === 'number' && --failure.times <= 0) {
+            this.failures.delete(name);
+        }
+        return failure;
+    }
+
+    async checkCredentials(username, password) {
+        if (typeof this.options.authenticate === 'function') {
+            return !!(await this.options.authenticate(username, password));
+        }
+        if (this.options.users) {
+            return Object.prototype.hasOwnProperty.call(this.options.users, username) && this.options.users[username] === password;
+        }
+        return true;
+    }
+
+    handleConnection(socket) {
+        socket.setNoDelay(true);
+        let session = new MockImapSession(this, socket);
+        this.sessions.add(session);
+
+        /**
+         * A client connected
+         * @event module:imapflow~MockImapServer#connection
+         * @type {MockImapSession}
+         */
+        this.emit('connection', session);
+
+        session.greet().catch(err => session.fail(err));
+    }
+}
+
+module.exports = { MockImapServer, MockImapSession, CAPABILITIES };
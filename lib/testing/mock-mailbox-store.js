@@ -0,0 +1,328 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { parseNode } = require('./mock-message');
+
+const DELIMITER = '/';
+
+// Response code for the tagged NO that a failing command gets, see storeError()
+const storeError = (message, code) => {
+    let error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const normalizePath = path => (path.toUpperCase() === 'INBOX' ? 'INBOX' : path);
+
+// METADATA entry names are case-insensitive, entries are stored with lowercase names
+const metadataMap = entries => new Map(Object.keys(entries || {}).map(entry => [entry.toLowerCase(), String(entries[entry])]));
+
+/**
+ * In-memory mailboxes of {@link MockImapServer}. Every change increments the modseq of the
+ * mailbox, expunged UIDs are remembered with the modseq of the expunge for QRESYNC.
+ *
+ * Changes are emitted as `change` events `{ type, path, message, origin }`, where `type` is one of
+ * `exists`, `flags` or `expunge`, so that connected sessions can report these to their clients.
+ * Created, deleted and renamed mailboxes are emitted as `{ type: 'mailbox', path, oldPath, deleted, origin }`
+ * for NOTIFY. Tests can modify the store directly to simulate changes made by other clients.
+ *
+ * @extends EventEmitter
+ * @example
+ * const store = new MockMailboxStore({
+ *     mailboxes: {
+ *         INBOX: { messages: ['Subject: hello\r\n\r\nHello world!'] },
+ *         Sent: { specialUse: '\\Sent' }
+ *     }
+ * });
+ * store.addMessage('INBOX', 'Subject: second\r\n\r\nAnother one', { flags: ['\\Seen'] });
+ */
+class MockMailboxStore extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.mailboxes] Initial mailboxes keyed by path: `{ specialUse, subscribed, uidValidity, acl, metadata, messages }`,
+     *     messages are either raw sources or `{ source, flags, internalDate }` objects. INBOX always exists
+     * @param {Object} [options.metadata] Server annotations keyed by entry name, eg. `{ '/shared/comment': 'Test server' }`
+     */
+    constructor(options) {
+        super();
+        this.options = options || {};
+        this.delimiter = DELIMITER;
+        this.mailboxes = new Map();
+        // server annotations (METADATA-SERVER), mailbox annotations are kept with the mailbox
+        this.metadata = metadataMap(this.options.metadata);
+        this.uidValidityCounter = Math.floor(Date.now() / 1000);
+
+        let mailboxes = Object.assign({ INBOX: {} }, this.options.mailboxes || {});
+        for (let path of Object.keys(mailboxes)) {
+            let spec = mailboxes[path] || {};
+            this.createMailbox(path, spec);
+            for (let message of spec.messages || []) {
+                if (typeof message === 'string' || Buffer.isBuffer(message)) {
+                    message = { source: message };
+                }
+                this.addMessage(path, message.source, message);
+            }
+        }
+    }
+
+    /**
+     * @param {String} path Mailbox path
+     * @returns {Object|null} Mailbox entry, or `null` if the mailbox does not exist
+     */
+    getMailbox(path) {
+        return this.mailboxes.get(normalizePath(path)) || null;
+    }
+
+    mustGetMailbox(path) {
+        let mailbox = this.getMailbox(path);
+        if (!mailbox) {
+            throw storeError(`Mailbox ${path} does not exist`, 'NONEXISTENT');
+        }
+        return mailbox;
+    }
+
+    /**
+     * @returns {Object[]} Every mailbox, sorted by path
+     */
+    listMailboxes() {
+        return Array.from(this.mailboxes.values()).sort((a, b) => (a.path === 'INBOX' ? -1 : b.path === 'INBOX' ? 1 : a.path.localeCompare(b.path)));
+    }
+
+    /**
+     * @param {String} path Mailbox path
+     * @param {Object} [options]
+     * @param {String} [options.specialUse] Special use flag, eg. `\Sent`
+     * @param {Boolean} [options.subscribed=true] Is the mailbox subscribed
+     * @param {Number} [options.uidValidity] UIDVALIDITY of the mailbox
+     * @param {Object} [options.acl] Access control list as `{ identifier: rights }`, eg. `{ anyone: 'lr' }`
+     * @param {Object} [options.metadata] Mailbox annotations keyed by entry name
+     * @param {Object} [origin] Session that made the change
+     * @returns {Object} The new mailbox entry
+     */
+    createMailbox(path, options, origin) {
+        options = options || {};
+        path = normalizePath(path);
+        if (this.mailboxes.has(path)) {
+            throw storeError(`Mailbox ${path} already exists`, 'ALREADYEXISTS');
+        }
+        let mailbox = {
+            path,
+            specialUse: options.specialUse || false,
+            subscribed: options.subscribed !== false,
+            uidValidity: Number(options.uidValidity) || this.uidValidityCounter++,
+            uidNext: 1,
+            highestModseq: 1,
+            messages: [],
+            // expunged UIDs with the modseq of the expunge, for VANISHED (EARLIER)
+            expunged: [],
+            // identifiers mapped to rights strings, the owner has every right unless listed
+            acl: new Map(Object.entries(options.acl || {})),
+            metadata: metadataMap(options.metadata)
+        };
+        this.mailboxes.set(path, mailbox);
+
+        this.emit('change', { type: 'mailbox', path, origin });
+        return mailbox;
+    }
+
+    /**
+     * @param {String} path Mailbox path
+     * @param {Object} [origin] Session that made the change
+     */
+    deleteMailbox(path, origin) {
+        let mailbox = this.mustGetMailbox(path);
+        if (mailbox.path === 'INBOX') {
+            throw storeError('INBOX can not be deleted', 'CANNOT');
+        }
+        this.mailboxes.delete(mailbox.path);
+
+        this.emit('change', { type: 'mailbox', path: mailbox.path, deleted: true, origin });
+    }
+
+    /**
+     * Renames a mailbox and its children
+     *
+     * @param {String} path Mailbox path
+     * @param {String} newPath New path
+     * @param {Object} [origin] Session that made the change
+     */
+    renameMailbox(path, newPath, origin) {
+        let mailbox = this.mustGetMailbox(path);
+        newPath = normalizePath(newPath);
+        if (mailbox.path === 'INBOX') {
+            throw storeError('Renaming INBOX is not supported', 'CANNOT');
+        }
+        if (this.mailboxes.has(newPath)) {
+            throw storeError(`Mailbox ${newPath} already exists`, 'ALREADYEXISTS');
+        }
+        let oldPath = mailbox.path;
+        for (let entry of this.listMailboxes()) {
+            if (entry.path === oldPath || entry.path.startsWith(oldPath + DELIMITER)) {
+                let previous = entry.path;
+                this.mailboxes.delete(previous);
+                entry.path = newPath + previous.substr(oldPath.length);
+                this.mailboxes.set(entry.path, entry);
+                this.emit('change', { type: 'mailbox', path: entry.path, oldPath: previous, origin });
+            }
+        }
+    }
+
+    /**
+     * Adds a message to a mailbox
+     *
+     * @param {String} path Mailbox path
+     * @param {String|Buffer} source Raw message
+     * @param {Object} [options]
+     * @param {String[]} [options.flags] Message flags
+     * @param {Date|String} [options.internalDate] Internal date, defaults to now
+     * @param {Object} [origin] Session that made the change
+     * @returns {Object} The stored message
+     */
+    addMessage(path, source, options, origin) {
+        options = options || {};
+        let mailbox = this.mustGetMailbox(path);
+        source = Buffer.isBuffer(source) ? source : Buffer.from((source || '').toString().replace(/\r?\n/g, '\r\n'));
+
+        let message = {
+            uid: mailbox.uidNext++,
+            flags: new Set(options.flags || []),
+            modseq: ++mailbox.highestModseq,
+            internalDate: options.internalDate ? new Date(options.internalDate) : new Date(),
+            source,
+            size: source.length
+        };
+        mailbox.messages.push(message);
+
+        this.emit('change', { type: 'exists', path: mailbox.path, message, origin });
+        return message;
+    }
+
+    /**
+     * @param {String} path Mailbox path
+     * @param {Number} uid Message UID
+     * @returns {Object|null} Stored message
+     */
+    getMessage(path, uid) {
+        return this.mustGetMailbox(path).messages.find(message => message.uid === uid) || null;
+    }
+
+    /**
+     * Parsed MIME tree of a message, cached with the message
+     *
+     * @param {Object} message Stored message
+     * @returns {Object} MIME tree
+     */
+    getMessageNode(message) {
+        if (!message.node) {
+            message.node = parseNode(message.source);
+        }
+        return message.node;
+    }
+
+    /**
+     * Updates message flags
+     *
+     * @param {String} path Mailbox path
+     * @param {Number[]} uids Message UIDs
+     * @param {String} operation One of `set`, `add` or `remove`
+     * @param {String[]} flags Flags
+     * @param {Object} [options]
+     * @param {Number|BigInt} [options.unchangedSince] Messages with a higher modseq are not updated (CONDSTORE)
+     * @param {Object} [origin] Session that made the change
+     * @returns {{updated: Object[], modified: Number[]}} Updated messages and the UIDs that failed the `unchangedSince` test
+     */
+    updateFlags(path, uids, operation, flags, options, origin) {
+        options = options || {};
+        let mailbox = this.mustGetMailbox(path);
+        let result = { updated: [], modified: [] };
+
+        for (let message of mailbox.messages.filter(message => uids.includes(message.uid))) {
+            if (options.unchangedSince !== undefined && message.modseq > Number(options.unchangedSince)) {
+                result.modified.push(message.uid);
+                continue;
+            }
+
+            let current = Array.from(message.flags).sort().join(' ');
+            if (operation === 'set') {
+                message.flags = new Set(flags);
+            } else {
+                for (let flag of flags) {
+                    message.flags[operation === 'remove' ? 'delete' : 'add'](flag);
+                }
+            }
+            if (Array.from(message.flags).sort().join(' ') !== current) {
+                message.modseq = ++mailbox.highestModseq;
+                this.emit('change', { type: 'flags', path: mailbox.path, message, origin });
+            }
+            result.updated.push(message);
+        }
+        return result;
+    }
+
+    /**
+     * Removes messages from a mailbox
+     *
+     * @param {String} path Mailbox path
+     * @param {Number[]} [uids] UIDs to remove, by default every message with the `\Deleted` flag
+     * @param {Object} [origin] Session that made the change
+     * @returns {Object[]} Removed messages
+     */
+    expunge(path, uids, origin) {
+        let mailbox = this.mustGetMailbox(path);
+        let removed = mailbox.messages.filter(message => (uids ? uids.includes(message.uid) : message.flags.has('\\Deleted')));
+        if (!removed.length) {
+            return removed;
+        }
+
+        let modseq = ++mailbox.highestModseq;
+        mailbox.messages = mailbox.messages.filter(message => !removed.includes(message));
+        for (let message of removed) {
+            mailbox.expunged.push({ uid: message.uid, modseq });
+            this.emit('change', { type: 'expunge', path: mailbox.path, message, origin });
+        }
+        return removed;
+    }
+
+    /**
+     * Copies messages to another mailbox
+     *
+     * @param {String} path Mailbox path
+     * @param {Number[]} uids Message UIDs
+     * @param {String} destination Destination mailbox path
+     * @param {Object} [origin] Session that made the change
+     * @returns {Map<Number, Number>} Source UIDs mapped to the UIDs of the copies
+     */
+    copyMessages(path, uids, destination, origin) {
+        let mailbox = this.mustGetMailbox(path);
+        let target = this.getMailbox(destination);
+        if (!target) {
+            throw storeError(`Mailbox ${destination} does not exist`, 'TRYCREATE');
+        }
+
+        let uidMap = new Map();
+        for (let message of mailbox.messages.filter(message => uids.includes(message.uid))) {
+            let copy = this.addMessage(target.path, message.source, { flags: message.flags, internalDate: message.internalDate }, origin);
+            uidMap.set(message.uid, copy.uid);
+        }
+        return uidMap;
+    }
+
+    /**
+     * Changes UIDVALIDITY of a mailbox and renumbers its messages, as a server does when it rebuilds its index
+     *
+     * @param {String} path Mailbox path
+     * @returns {Number} The new UIDVALIDITY
+     */
+    resetUidValidity(path) {
+        let mailbox = this.mustGetMailbox(path);
+        mailbox.uidValidity = this.uidValidityCounter++;
+        mailbox.uidNext = 1;
+        mailbox.expunged = [];
+        for (let message of mailbox.messages) {
+            message.uid = mailbox.uidNext++;
+        }
+        return mailbox.uidValidity;
+    }
+}
+
+module.exports = { MockMailboxStore, storeError, DELIMITER };
@@ -0,0 +1,306 @@
+'use strict';
+
+const libmime = require('libmime');
+
+// Minimal MIME parser for the mock server. Builds the node tree that ENVELOPE, BODYSTRUCTURE and
+// BODY[section] responses are generated from. Only meant for well formed test messages.
+
+const splitHeader = source => {
+    let match = source.toString('binary').match(/\r?\n\r?\n/);
+    if (!match) {
+        return { header: source, body: Buffer.alloc(0) };
+    }
+    let end = match.index + match[0].length;
+    return { header: source.slice(0, end), body: source.slice(end) };
+};
+
+const parseHeaderLines = header => {
+    let lines = [];
+    for (let line of header.toString('binary').split(/\r?\n/)) {
+        if (/^\s/.test(line) && lines.length) {
+            // folded line
+            lines[lines.length - 1].value += ' ' + line.trim();
+        } else if (line.indexOf(':') > 0) {
+            let key = line.substr(0, line.indexOf(':'));
+            lines.push({ key: key.trim().toLowerCase(), line, value: line.substr(line.indexOf(':') + 1).trim() });
+        }
+    }
+    return lines;
+};
+
+// Splits a multipart body into the contents of its parts. Binary strings keep one character per
+// byte, so string offsets can be used to slice the buffer
+const splitMultipart = (body, boundary) => {
+    let text = body.toString('binary');
+    let delimiter = new RegExp(`(^|\\r?\\n)--${boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(--)?[ \\t]*(\\r?\\n|$)`, 'g');
+
+    let parts = [];
+    let start = null;
+    let match;
+    while ((match = delimiter.exec(text))) {
+        if (start !== null) {
+            // the line break before the delimiter belongs to the delimiter
+            parts.push(body.slice(start, match.index));
+        }
+        if (match[2]) {
+            break;
+        }
+        start = match.index + match[0].length;
+    }
+    return parts;
+};
+
+/**
+ * Parses a message or a MIME part into a node tree
+ *
+ * @param {Buffer} source Raw message
+ * @returns {Object} Node with `header`, `body`, `headers`, `contentType`, `childNodes` for multipart
+ *     nodes and `message` for message/rfc822 parts
+ */
+const parseNode = source => {
+    let { header, body } = splitHeader(source);
+    let headers = parseHeaderLines(header);
+    let getHeader = key => {
+        let entry = headers.find(entry => entry.key === key);
+        return entry ? entry.value : null;
+    };
+
+    let contentType = libmime.parseHeaderValue(getHeader('content-type') || 'text/plain');
+    contentType.value = (contentType.value || 'text/plain').toLowerCase();
+    if (contentType.value.indexOf('/') < 0) {
+        contentType.value = 'text/plain';
+    }
+
+    let node = { source, header, body, headers, getHeader, contentType };
+
+    if (/^multipart\//.test(contentType.value) && contentType.params.boundary) {
+        node.childNodes = splitMultipart(body, contentType.params.boundary).map(parseNode);
+    } else if (contentType.value === 'message/rfc822') {
+        node.message = parseNode(body);
+    }
+    return node;
+};
+
+// Header values can contain characters a quoted string can not carry, these are sent as literals
+const nstring = value => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    value = value.toString();
+    return /[\r\n\0\x80-\xff]/.test(value) ? { type: 'LITERAL', value: Buffer.from(value, 'binary') } : { type: 'STRING', value };
+};
+
+const splitAddresses = value => {
+    let list = [];
+    let current = '';
+    let quoted = false;
+    let angled = false;
+    for (let chr of value) {
+        if (chr === '"') {
+            quoted = !quoted;
+        } else if (!quoted && chr === '<') {
+            angled = true;
+        } else if (!quoted && chr === '>') {
+            angled = false;
+        } else if (!quoted && !angled && chr === ',') {
+            list.push(current);
+            current = '';
+            continue;
+        }
+        current += chr;
+    }
+    list.push(current);
+    return list.map(entry => entry.trim()).filter(entry => entry);
+};
+
+const splitAddress = entry => {
+    let match = entry.match(/^(.*)<([^>]*)>\s*$/);
+    return { name: match ? match[1].trim().replace(/^"(.*)"$/, '$1') : '', address: (match ? match[2] : entry).trim() };
+};
+
+const parseAddressList = value => {
+    if (!value) {
+        return null;
+    }
+    let addresses = splitAddresses(value).map(entry => {
+        let { name, address } = splitAddress(entry);
+        let at = address.lastIndexOf('@');
+        return [nstring(name), null, nstring(at >= 0 ? address.substr(0, at) : address), nstring(at >= 0 ? address.substr(at + 1) : '')];
+    });
+    return addresses.length ? addresses : null;
+};
+
+const decodeWords = value => {
+    try {
+        return libmime.decodeWords(value);
+    } catch {
+        // unknown charset, use as is
+        return value;
+    }
+};
+
+/**
+ * Returns the decoded value of a header, for SORT and THREAD
+ *
+ * @param {Object} node Message node
+ * @param {String} key Lowercase header key
+ * @returns {String} Decoded value, an empty string if the header is not set
+ */
+const getHeaderText = (node, key) => decodeWords(node.getHeader(key) || '');
+
+/**
+ * Lists the addresses of an address header, for SORT
+ *
+ * @param {Object} node Message node
+ * @param {String} key Lowercase header key, eg. "from"
+ * @returns {Object[]} Addresses as `{ name, address }` with decoded names
+ */
+const getAddresses = (node, key) =>
+    splitAddresses(node.getHeader(key) || '').map(entry => {
+        let { name, address } = splitAddress(entry);
+        return { name: decodeWords(name), address };
+    });
+
+/**
+ * Builds the ENVELOPE structure of a message node
+ *
+ * @param {Object} node Message node
+ * @returns {Array} Envelope as compiler input
+ */
+const getEnvelope = node => {
+    let from = parseAddressList(node.getHeader('from'));
+    return [
+        nstring(node.getHeader('date')),
+        nstring(node.getHeader('subject')),
+        from,
+        parseAddressList(node.getHeader('sender')) || from,
+        parseAddressList(node.getHeader('reply-to')) || from,
+        parseAddressList(node.getHeader('to')),
+        parseAddressList(node.getHeader('cc')),
+        parseAddressList(node.getHeader('bcc')),
+        nstring(node.getHeader('in-reply-to')),
+        nstring(node.getHeader('message-id'))
+    ];
+};
+
+const paramList = params => {
+    let list = [];
+    for (let key of Object.keys(params || {})) {
+        list.push(nstring(key.toUpperCase()), nstring(params[key]));
+    }
+    return list.length ? list : null;
+};
+
+const getDisposition = node => {
+    let value = node.getHeader('content-disposition');
+    if (!value) {
+        return null;
+    }
+    let disposition = libmime.parseHeaderValue(value);
+    return [nstring(disposition.value.toUpperCase()), paramList(disposition.params)];
+};
+
+const countLines = body => (body.length ? body.toString('binary').split(/\r?\n/).length : 0);
+
+/**
+ * Builds the BODYSTRUCTURE of a node
+ *
+ * @param {Object} node Message or part node
+ * @returns {Array} Body structure as compiler input
+ */
+const getBodyStructure = node => {
+    let [type, subtype] = node.contentType.value.split('/');
+    if (node.childNodes) {
+        return node.childNodes
+            .map(getBodyStructure)
+            .concat([nstring(subtype.toUpperCase()), paramList(node.contentType.params), getDisposition(node), null, null]);
+    }
+
+    let structure = [
+        nstring(type.toUpperCase()),
+        nstring(subtype.toUpperCase()),
+        paramList(node.contentType.params),
+        nstring(node.getHeader('content-id')),
+        nstring(node.getHeader('content-description')),
+        nstring((node.getHeader('content-transfer-encoding') || '7BIT').toUpperCase()),
+        node.body.length
+    ];
+    if (node.message) {
+        structure.push(getEnvelope(node.message), getBodyStructure(node.message), countLines(node.body));
+    } else if (type === 'text') {
+        structure.push(countLines(node.body));
+    }
+    return structure.concat([null, getDisposition(node), null, null]);
+};
+
+// Resolves a part number like "1.2" to a node, parts of message/rfc822 parts are numbered from
+// the encapsulated message
+const getNode = (node, path) => {
+    for (let num of path) {
+        if (node.message) {
+            node = node.message;
+        }
+        if (node.childNodes) {
+            node = node.childNodes[num - 1];
+        } else if (num !== 1) {
+            node = null;
+        }
+        if (!node) {
+            return null;
+        }
+    }
+    return node;
+};
+
+const filterHeaders = (node, fields, exclude) => {
+    fields = fields.map(field => field.toLowerCase());
+    let lines = node.headers.filter(entry => fields.includes(entry.key) !== exclude);
+    // folded lines are reported unfolded
+    return Buffer.from(lines.map(entry => `${entry.line.substr(0, entry.line.indexOf(':'))}: ${entry.value}\r\n`).join('') + '\r\n', 'binary');
+};
+
+/**
+ * Returns the contents of a BODY[section]
+ *
+ * @param {Object} root Message node
+ * @param {String} section Section specifier, eg. "", "HEADER", "1.2", "2.MIME" or "HEADER.FIELDS"
+ * @param {String[]} [fields] Header fields for HEADER.FIELDS and HEADER.FIELDS.NOT
+ * @returns {Buffer|null} Section contents, or `null` if the part does not exist
+ */
+const getSection = (root, section, fields) => {
+    if (!section) {
+        return root.source;
+    }
+    let match = section.toUpperCase().match(/^((?:\d+\.)*\d+)?\.?(HEADER\.FIELDS\.NOT|HEADER\.FIELDS|HEADER|TEXT|MIME)?$/);
+    if (!match) {
+        return null;
+    }
+    let node = match[1] ? getNode(root, match[1].split('.').map(Number)) : root;
+    if (!node) {
+        return null;
+    }
+
+    let specifier = match[2];
+    if (!specifier) {
+        return node.body;
+    }
+    if (specifier === 'MIME') {
+        return match[1] ? node.header : null;
+    }
+
+    // HEADER and TEXT of a message/rfc822 part refer to the encapsulated message
+    let message = match[1] ? node.message : root;
+    if (!message) {
+        return null;
+    }
+    switch (specifier) {
+        case 'HEADER':
+            return message.header;
+        case 'TEXT':
+            return message.body;
+        default:
+            return filterHeaders(message, fields || [], specifier === 'HEADER.FIELDS.NOT');
+    }
+};
+
+module.exports = { parseNode, getEnvelope, getBodyStructure, getSection, getHeaderText, getAddresses };
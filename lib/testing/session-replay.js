@@ -0,0 +1,387 @@
+'use strict';
+
+const net = require('net');
+const zlib = require('zlib');
+const { EventEmitter } = require('events');
+
+const COMPRESS_COMMAND = /^(\S+) COMPRESS DEFLATE\r\n$/i;
+
+const LINE_END = Buffer.from('\r\n');
+
+const replayError = (message, details) => {
+    let error = new Error(message);
+    error.code = 'ReplayDiverged';
+    Object.assign(error, details || {});
+    return error;
+};
+
+// Shows the beginning of unexpected data in error messages
+const preview = data => {
+    let text = data.toString('binary', 0, Math.min(data.length, 200));
+    return JSON.stringify(text + (data.length > 200 ? '...' : ''));
+};
+
+// Merges consecutive events from the same side into steps. Client steps are split into segments,
+// a redacted segment matches any command data the client sends
+const buildSteps = session => {
+    let steps = [];
+    for (let event of session.events || []) {
+        let data = Buffer.from(event.data || '', 'base64');
+        let last = steps[steps.length - 1];
+        if (!last || last.src !== event.src) {
+            last = { src: event.src, t: event.t, segments: [] };
+            steps.push(last);
+        }
+
+        let segment = last.segments[last.segments.length - 1];
+        if (event.src === 'c' && event.redacted) {
+            if (data.length) {
+                last.segments.push({ data });
+            }
+            if (!last.segments.length || !last.segments[last.segments.length - 1].redacted) {
+                last.segments.push({ redacted: true });
+            }
+        } else if (segment && !segment.redacted) {
+            segment.data = Buffer.concat([segment.data, data]);
+        } else {
+            last.segments.push({ data });
+        }
+    }
+
+    for (let step of steps) {
+        // the connection is compressed after the response to COMPRESS
+        let match = step.src === 'c' && step.segments.length === 1 && step.segments[0].data && step.segments[0].data.toString('binary').match(COMPRESS_COMMAND);
+        if (match) {
+            step.compressTag = match[1];
+        }
+    }
+    return steps;
+};
+
+// Returns the length of the redacted command data at the start of `buffer`: everything up to
+// the end of the line, including non-synchronizing literals, or `-1` if the data is incomplete
+const redactedLength = buffer => {
+    let pos = 0;
+    for (;;) {
+        let end = buffer.indexOf(LINE_END, pos);
+        if (end < 0) {
+            return -1;
+        }
+        let literal = buffer.toString('binary', pos, end).match(/\{(\d+)\+\}$/);
+        if (!literal) {
+            // a synchronizing literal waits for a continuation response, the data is a separate step
+            return end + 2;
+        }
+        pos = end + 2 + Number(literal[1]);
+        if (pos > buffer.length) {
+            return -1;
+        }
+    }
+};
+
+/**
+ * Replays a single recorded session to a connected client
+ */
+class ReplayConnection {
+    constructor(replay, socket, session, index) {
+        this.replay = replay;
+        this.socket = socket;
+        this.index = index;
+        this.steps = buildSteps(session);
+        this.step = 0;
+        this.segment = 0;
+        this.received = Buffer.alloc(0);
+        this.finished = false;
+        this.running = false;
+
+        // set once COMPRESS DEFLATE is replayed
+        this.compressTag = false;
+        this.inflate = false;
+        this.deflate = false;
+
+        socket.on('data', chunk => {
+            if (this.inflate) {
+                return this.inflate.write(chunk);
+            }
+            this.onData(chunk);
+        });
+        socket.on('error', () => false);
+        socket.on('close', () => {
+            if (!this.finished) {
+                this.fail(replayError(`Client closed the connection before the end of session ${index}`, { session: index, step: this.step }));
+            }
+        });
+    }
+
+    onData(chunk) {
+        this.received = Buffer.concat([this.received, chunk]);
+        this.run().catch(err => this.fail(err));
+    }
+
+    write(data) {
+        if (!this.deflate) {
+            return this.socket.write(data);
+        }
+        this.deflate.write(data);
+        this.deflate.flush();
+    }
+
+    startCompression() {
+        this.inflate = zlib.createInflateRaw();
+        this.inflate.on('data', chunk => this.onData(chunk));
+        this.inflate.on('error', err => this.fail(err));
+
+        this.deflate = zlib.createDeflateRaw();
+        this.deflate.pipe(this.socket);
+    }
+
+    async run() {
+        if (this.running || this.finished) {
+            return;
+        }
+        this.running = true;
+        try {
+            while (this.step < this.steps.length) {
+                let step = this.steps[this.step];
+                if (step.src === 's') {
+                    if (this.replay.options.realtime && this.step) {
+                        let previous = this.steps[this.step - 1];
+                        await new Promise(resolve => setTimeout(resolve, Math.max(step.t - previous.t, 0)));
+                    }
+                    this.write(step.segments[0].data);
+                    this.step++;
+                    let response = `\r\n${step.segments[0].data.toString('binary')}`;
+                    if (this.compressTag && response.includes(`\r\n${this.compressTag} OK`)) {
+                        this.compressTag = false;
+                        this.startCompression();
+                    }
+                    continue;
+                }
+
+                if (!this.matchClient(step)) {
+                    // wait for more data
+                    return;
+                }
+                this.compressTag = step.compressTag || false;
+                this.step++;
+                this.segment = 0;
+            }
+
+            if (this.received.length) {
+                throw replayError(`Unexpected data after the end of session ${this.index}: ${preview(this.received)}`, {
+                    session: this.index,
+                    step: this.step,
+                    received: this.received.toString('binary')
+                });
+            }
+            this.finished = true;
+            if (this.deflate) {
+                this.deflate.end();
+            } else {
+                this.socket.end();
+            }
+            this.replay.connectionFinished(this);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Consumes received data that matches the client step, returns `true` once the step is complete
+    matchClient(step) {
+        while (this.segment < step.segments.length) {
+            let segment = step.segments[this.segment];
+            if (segment.redacted) {
+                let length = redactedLength(this.received);
+                if (length < 0) {
+                    return false;
+                }
+                this.received = this.received.slice(length);
+            } else {
+                let length = Math.min(segment.data.length, this.received.length);
+                if (!segment.data.slice(0, length).equals(this.received.slice(0, length))) {
+                    throw replayError(
+                        `Client diverged from session ${this.index} at step ${this.step}: expected ${preview(segment.data)}, received ${preview(this.received)}`,
+                        { session: this.index, step: this.step, expected: segment.data.toString('binary'), received: this.received.toString('binary') }
+                    );
+                }
+                if (length < segment.data.length) {
+                    // partial match, keep the matched part of the segment for later
+                    step.segments[this.segment] = { data: segment.data.slice(length) };
+                    this.received = Buffer.alloc(0);
+                    return false;
+                }
+                this.received = this.received.slice(length);
+            }
+            this.segment++;
+        }
+        return true;
+    }
+
+    fail(err) {
+        if (this.finished) {
+            return;
+        }
+        this.finished = true;
+        this.socket.destroy();
+        this.replay.connectionFailed(err);
+    }
+}
+
+/**
+ * Replays a recording made with {@link SessionRecorder} to {@link ImapFlow}, so a session can be re-run
+ * offline. The server side of the recording is sent as is, and the data the client sends must match the
+ * recorded client data byte by byte, except for redacted credentials. Every connection replays the next
+ * recorded session. If the client diverges from the recording, the connection is closed and
+ * {@link SessionReplay#done} rejects with an error that has the code `ReplayDiverged`.
+ *
+ * Use the same client options as in the recorded session, except for the transport: the replay is not
+ * encrypted, so sessions that used STARTTLS can not be replayed. COMPRESS is replayed as recorded.
+ *
+ * @extends EventEmitter
+ * @example
+ * const replay = new SessionReplay(JSON.parse(await fs.promises.readFile('session.json')));
+ * await replay.listen();
+ * const client = new ImapFlow(replay.clientOptions());
+ * await client.connect();
+ * // ... the same calls as in the recorded session
+ * await client.logout();
+ * await replay.done();
+ */
+class SessionReplay extends EventEmitter {
+    /**
+     * @param {Object|String} recording Recording as returned by {@link SessionRecorder#toJSON}, or its JSON string
+     * @param {Object} [options]
+     * @param {Boolean} [options.realtime=false] If `true`, server data is delayed as in the recording
+     */
+    constructor(recording, options) {
+        super();
+        this.recording = typeof recording === 'string' ? JSON.parse(recording) : recording;
+        this.options = options || {};
+        this.sessions = (this.recording && this.recording.sessions) || [];
+
+        this.connections = new Set();
+        this.next = 0;
+        this.finished = 0;
+        this.error = false;
+        this.port = false;
+
+        this._done = new Promise((resolve, reject) => {
+            this._resolve = resolve;
+            this._reject = reject;
+        });
+        // rejections are reported by done()
+        this._done.catch(() => false);
+
+        this.server = net.createServer(socket => this.handleConnection(socket));
+    }
+
+    /**
+     * Starts listening
+     *
+     * @param {Number} [port=0] Port to listen on, by default a free port is used
+     * @param {String} [host='127.0.0.1'] Address to listen on
+     * @returns {Promise<Number>} The port the server listens on
+     */
+    async listen(port, host) {
+        this.host = host || '127.0.0.1';
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port || 0, this.host, () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+        this.port = this.server.address().port;
+        return this.port;
+    }
+
+    /**
+     * Closes every connection and stops listening
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {
+        for (let connection of this.connections) {
+            connection.finished = true;
+            connection.socket.destroy();
+        }
+        if (this.server.listening) {
+            await new Promise(resolve => this.server.close(() => resolve()));
+        }
+    }
+
+    /**
+     * Builds {@link ImapFlow} options for connecting to the replay. Client ID is taken from the
+     * recording, so that the ID command matches.
+     *
+     * @param {Object} [overrides] Options to merge with the defaults
+     * @returns {Object} Client options
+     */
+    clientOptions(overrides) {
+        let session = this.sessions[0] || {};
+        let options = {
+            host: this.host || '127.0.0.1',
+            port: this.port,
+            secure: false,
+            doSTARTTLS: false,
+            // credentials are redacted in the recording, any value matches
+            auth: { user: 'replay', pass: 'replay' },
+            logger: false
+        };
+        if (session.clientInfo) {
+            options.clientInfo = session.clientInfo;
+        }
+        return Object.assign(options, overrides || {});
+    }
+
+    /**
+     * Waits until every recorded session has been replayed
+     *
+     * @returns {Promise<void>} Rejects with a `ReplayDiverged` error if a client diverged from the recording
+     */
+    async done() {
+        return await this._done;
+    }
+
+    handleConnection(socket) {
+        let index = this.next++;
+        if (index >= this.sessions.length) {
+            socket.destroy();
+            return this.connectionFailed(replayError(`Unexpected connection, the recording has ${this.sessions.length} session(s)`, { session: index }));
+        }
+
+        let connection = new ReplayConnection(this, socket, this.sessions[index], index);
+        this.connections.add(connection);
+        socket.on('close', () => this.connections.delete(connection));
+        connection.run().catch(err => connection.fail(err));
+    }
+
+    connectionFinished(connection) {
+        /**
+         * A recorded session was replayed to the end
+         * @event module:imapflow~SessionReplay#replayed
+         * @type {Number}
+         */
+        this.emit('replayed', connection.index);
+        if (++this.finished >= this.sessions.length && !this.error) {
+            this._resolve();
+        }
+    }
+
+    connectionFailed(err) {
+        if (this.error) {
+            return;
+        }
+        this.error = err;
+
+        /**
+         * Client diverged from the recording
+         * @event module:imapflow~SessionReplay#diverged
+         * @type {Error}
+         */
+        this.emit('diverged', err);
+        this._reject(err);
+    }
+}
+
+module.exports = { SessionReplay };
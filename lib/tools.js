@@ -113,6 +113,23 @@ const tools = {
         return IMAP4REV2_FOLDED_CAPABILITIES.has(capability) && tools.isRev2Active(connection);
     },
 
+    /**
+     * Lists the threading algorithms the server advertises through `THREAD=` capabilities
+     * (RFC 5256), in the order the server listed them.
+     *
+     * @param {Object} connection - IMAP connection instance
+     * @returns {String[]} Uppercase algorithm names, e.g. ['ORDEREDSUBJECT', 'REFERENCES']
+     */
+    getThreadAlgorithms(connection) {
+        let algorithms = [];
+        for (let [capability] of connection.capabilities) {
+            if (/^THREAD=./i.test(capability)) {
+                algorithms.push(capability.substr(capability.indexOf('=') + 1).toUpperCase());
+            }
+        }
+        return algorithms;
+    },
+
     /**
      * Builds the attribute list for a STATUS request - the standalone STATUS command
      * or the LIST-STATUS return option - from a status query object. Items the current
@@ -256,6 +273,36 @@ const tools = {
         return tools.normalizePath(connection, a) === tools.normalizePath(connection, b);
     },
 
+    /**
+     * Builds an IMAP URL (RFC 5092) for a stored message or message part, eg. for CATENATE
+     * (RFC 4469). The URL is relative to the current server, mailbox names and sections are
+     * UTF-8 and percent-encoded.
+     *
+     * @param {Object} options - URL components
+     * @param {String} options.path - Mailbox path (unicode string)
+     * @param {BigInt|Number|String} options.uidValidity - `UIDVALIDITY` of the mailbox
+     * @param {Number} options.uid - Message UID
+     * @param {String} [options.section] - Body part, eg. `"2"` or `"1.MIME"`
+     * @returns {String|false} IMAP URL, or false if a required component is missing
+     */
+    formatImapUrl(options) {
+        options = options || {};
+        let uidValidity = options.uidValidity !== undefined && options.uidValidity !== null ? options.uidValidity.toString() : '';
+        let uid = options.uid !== undefined && options.uid !== null ? options.uid.toString() : '';
+        if (!options.path || !tools.isDecimalString(uidValidity, MAX_UINT32_DIGITS) || !tools.isDecimalString(uid, MAX_UINT32_DIGITS) || uid === '0') {
+            return false;
+        }
+
+        // ";" and "?" separate URL components, and most other delimiters are allowed as-is
+        let encode = value => encodeURIComponent(value).replace(/%(2F|3A|40|26|3D|24|2B|2C)/gi, match => decodeURIComponent(match));
+
+        let url = `/${encode(options.path)};UIDVALIDITY=${uidValidity}/;UID=${uid}`;
+        if (options.section) {
+            url += `/;SECTION=${encode(options.section.toString())}`;
+        }
+        return url;
+    },
+
     /**
      * Parses a capability response list into a Map of capability names to values.
      *
@@ -316,6 +363,30 @@ const tools = {
             : false;
     },
 
+    /**
+     * Reads a METADATA response code (RFC 5464 section 4.2/4.3), eg. `[METADATA LONGENTRIES 2199]`
+     * from a GETMETADATA completion or `[METADATA MAXSIZE 1024]` from a failed SETMETADATA.
+     *
+     * @param {Object} response - Parsed tagged response
+     * @returns {{code: String, value?: Number}|false} Uppercase sub-code with its numeric argument if any, or false
+     */
+    getMetadataResponseCode(response) {
+        if (tools.getStatusCode(response) !== 'METADATA') {
+            return false;
+        }
+        let section = response.attributes[0].section;
+        let code = section[1] && typeof section[1].value === 'string' ? section[1].value.toUpperCase().trim() : false;
+        if (!code) {
+            return false;
+        }
+        let result = { code };
+        let value = tools.parseUintValue(section[2] && section[2].value);
+        if (value !== false) {
+            result.value = value;
+        }
+        return result;
+    },
+
     /**
      * Compiles an IMAP response object back into a human-readable string.
      *
@@ -628,6 +699,14 @@ const tools = {
                     map.size = getUint(attribute) || 0;
                     break;
 
+                case 'preview': {
+                    // PREVIEW extension (RFC 8970). NIL means that the server had no preview
+                    // ready for a LAZY request and did not want to generate one on the spot
+                    let value = getString(attribute);
+                    map.preview = typeof value === 'string' ? value : null;
+                    break;
+                }
+
                 case 'flags':
                     map.flags = new Set(getArray(attribute));
                     break;
@@ -1287,6 +1366,23 @@ const tools = {
         return list.map(entry => (entry && typeof entry.value === 'string' ? entry.value : false)).filter(entry => entry);
     },
 
+    /**
+     * Reads a single parsed token (a mailbox name, an identifier, an entry value) as a string.
+     * Any of these may arrive as literals, which the parser can hand over as Buffers.
+     *
+     * @param {*} token - Parsed attribute from a response.
+     * @returns {String|null} Token value, or null for NIL and unusable tokens.
+     */
+    getTokenString(token) {
+        if (!token || token.value === null || token.value === undefined) {
+            return null;
+        }
+        if (Buffer.isBuffer(token.value)) {
+            return token.value.toString();
+        }
+        return typeof token.value === 'string' ? token.value : null;
+    },
+
     /**
      * Parses an untrusted decimal value from a server response into a BigInt.
      *
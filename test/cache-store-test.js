@@ -0,0 +1,339 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const pathlib = require('path');
+const { ImapFlow, CacheStore, MemoryCacheStore, FileCacheStore } = require('../lib/imap-flow');
+const { MockImapServer } = require('../testing');
+
+const tmpFile = () => pathlib.join(os.tmpdir(), `imapflow-cache-${process.pid}-${Date.now()}-${Math.random().toString(16).slice(2)}`, 'cache.json');
+
+const removeFile = filename => fs.promises.rm(pathlib.dirname(filename), { recursive: true, force: true });
+
+const message = uid => ({
+    seq: uid - 10,
+    uid,
+    id: `id-${uid}`,
+    flags: new Set(['\\Seen']),
+    modseq: BigInt(uid * 10),
+    size: uid * 100,
+    internalDate: new Date('2024-01-01T00:00:00.000Z'),
+    envelope: { subject: `Message ${uid}`, date: new Date('2024-01-01T00:00:00.000Z'), from: [{ name: 'Sender', address: 'sender@example.com' }] },
+    bodyStructure: { type: 'text/plain', parameters: { charset: 'utf-8' }, size: 10 },
+    source: Buffer.from('not cached')
+});
+
+module.exports['Cache: base store methods are not implemented'] = async test => {
+    let store = new CacheStore();
+    try {
+        await store.getMessages('INBOX', BigInt(1), [1]);
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'NotImplemented');
+    }
+    test.done();
+};
+
+module.exports['Cache: memory store keeps messages per UIDVALIDITY'] = async test => {
+    let store = new MemoryCacheStore();
+
+    await store.setMailbox('INBOX', { path: 'INBOX', uidValidity: BigInt(5), exists: 2 });
+    await store.setMessages('INBOX', BigInt(5), [message(11), message(12)]);
+
+    let cached = await store.getMessages('INBOX', BigInt(5), [11, 12, 13]);
+    test.deepEqual(Array.from(cached.keys()), [11, 12]);
+    test.equal(cached.get(11).envelope.subject, 'Message 11');
+    test.equal(cached.get(11).modseq, BigInt(110));
+    test.equal(cached.get(11).source, undefined);
+    test.equal(cached.get(11).seq, undefined);
+
+    // returned values are copies
+    cached.get(11).flags.add('\\Flagged');
+    test.ok(!(await store.getMessages('INBOX', BigInt(5), [11])).get(11).flags.has('\\Flagged'));
+
+    // merged with the existing entry
+    await store.setMessages('INBOX', BigInt(5), [{ uid: 11, flags: new Set() }]);
+    cached = await store.getMessages('INBOX', BigInt(5), [11]);
+    test.equal(cached.get(11).flags.size, 0);
+    test.equal(cached.get(11).size, 1100);
+
+    await store.deleteMessages('INBOX', BigInt(5), [12]);
+    test.equal((await store.getMessages('INBOX', BigInt(5), [12])).size, 0);
+
+    // another UIDVALIDITY does not see the old entries, and storing it drops them
+    test.equal((await store.getMessages('INBOX', BigInt(6), [11])).size, 0);
+    await store.setMailbox('INBOX', { path: 'INBOX', uidValidity: BigInt(6), exists: 0 });
+    test.equal((await store.getMessages('INBOX', BigInt(5), [11])).size, 0);
+    test.equal((await store.getMailbox('INBOX')).uidValidity, BigInt(6));
+
+    test.equal(await store.getMailbox('Sent'), null);
+    await store.clear();
+    test.equal(await store.getMailbox('INBOX'), null);
+    test.done();
+};
+
+module.exports['Cache: file store persists data between instances'] = async test => {
+    let filename = tmpFile();
+    try {
+        let store = new FileCacheStore(filename);
+        test.equal(await store.getMailboxList(), null);
+
+        await store.setMailboxList([{ path: 'INBOX', flags: new Set(['\\HasNoChildren']), delimiter: '/' }]);
+        await store.setMailbox('INBOX', { path: 'INBOX', uidValidity: BigInt(5), highestModseq: BigInt(900), flags: new Set(['\\Seen']) });
+        await store.setMessages('INBOX', BigInt(5), [message(11)]);
+
+        // concurrent first reads share the same load
+        let reopened = new FileCacheStore(filename);
+        let [list, mailbox, cached] = await Promise.all([
+            reopened.getMailboxList(),
+            reopened.getMailbox('INBOX'),
+            reopened.getMessages('INBOX', BigInt(5), [11])
+        ]);
+
+        test.ok(list[0].flags.has('\\HasNoChildren'));
+        test.equal(mailbox.highestModseq, BigInt(900));
+        test.ok(mailbox.flags instanceof Set);
+
+        let entry = cached.get(11);
+        test.equal(entry.modseq, BigInt(110));
+        test.ok(entry.internalDate instanceof Date);
+        test.equal(entry.envelope.date.toISOString(), '2024-01-01T00:00:00.000Z');
+        test.deepEqual(entry.bodyStructure, { type: 'text/plain', parameters: { charset: 'utf-8' }, size: 10 });
+        test.ok(entry.flags.has('\\Seen'));
+    } finally {
+        await removeFile(filename);
+    }
+    test.done();
+};
+
+module.exports['Cache: file store reports unreadable files'] = async test => {
+    let filename = tmpFile();
+    try {
+        await fs.promises.mkdir(pathlib.dirname(filename), { recursive: true });
+        await fs.promises.writeFile(filename, '{broken');
+
+        let store = new FileCacheStore(filename);
+        try {
+            await store.getMailboxList();
+            test.ok(false, 'Should have thrown');
+        } catch (err) {
+            test.ok(err instanceof SyntaxError);
+        }
+
+        // loading is retried once the file is fixed
+        await fs.promises.writeFile(filename, '{}');
+        test.equal(await store.getMailboxList(), null);
+    } finally {
+        await removeFile(filename);
+    }
+    test.done();
+};
+
+// Client with FETCH mocked, `messages` are the messages in the selected mailbox
+const makeClient = (cache, messages) => {
+    let client = new ImapFlow({ host: 'imap.example.com', port: 993, auth: { user: 'test', pass: 'test' }, logger: false, cache });
+    client.socket = { destroyed: false, destroy: () => {} };
+    client.usable = true;
+    client.mailbox = { path: 'INBOX', exists: messages.length, uidValidity: BigInt(5) };
+    client.state = client.states.SELECTED;
+
+    let fetches = [];
+    client.run = async (command, range, query, options) => {
+        fetches.push({ range, query, uid: !!options.uid });
+        let uids = options.uid ? range.split(',').map(Number) : false;
+        for (let msg of messages) {
+            if (uids && !uids.includes(msg.uid)) {
+                continue;
+            }
+            let result = { seq: msg.seq, uid: msg.uid, id: msg.id, flags: msg.flags, modseq: msg.modseq };
+            for (let key of Object.keys(query)) {
+                if (query[key] && msg[key] !== undefined) {
+                    result[key] = msg[key];
+                }
+            }
+            await new Promise(resolve => options.onUntaggedFetch(result, resolve));
+        }
+        return true;
+    };
+    return { client, fetches };
+};
+
+module.exports['Cache: fetch serves immutable fields from the cache'] = async test => {
+    let cache = new MemoryCacheStore();
+    let messages = [message(11), message(12)];
+    let { client, fetches } = makeClient(cache, messages);
+
+    let first = await client.fetchAll('1:*', { uid: true, envelope: true, size: true });
+    test.deepEqual(
+        first.map(msg => msg.envelope.subject),
+        ['Message 11', 'Message 12']
+    );
+    // UIDs and flags first, then the full query for the uncached messages
+    test.equal(fetches.length, 2);
+    test.deepEqual(fetches[0].query, { uid: true, flags: true });
+    test.equal(fetches[1].range, '11,12');
+    test.equal(fetches[1].uid, true);
+
+    // a new message arrived and flags changed on the server
+    messages.push(message(13));
+    messages[0].flags = new Set(['\\Flagged']);
+    client.mailbox.exists = 3;
+
+    let second = [];
+    for await (let msg of client.fetch('1:*', { uid: true, envelope: true, size: true, flags: true })) {
+        second.push(msg);
+    }
+    test.deepEqual(
+        second.map(msg => [msg.seq, msg.uid, msg.size, msg.envelope.subject]),
+        [
+            [1, 11, 1100, 'Message 11'],
+            [2, 12, 1200, 'Message 12'],
+            [3, 13, 1300, 'Message 13']
+        ]
+    );
+    test.ok(second[0].flags.has('\\Flagged'));
+    // only the new message was fetched in full
+    test.equal(fetches.length, 4);
+    test.equal(fetches[3].range, '13');
+
+    // cached flags were refreshed as well
+    let cached = await cache.getMessages('INBOX', BigInt(5), [11]);
+    test.ok(cached.get(11).flags.has('\\Flagged'));
+    test.done();
+};
+
+module.exports['Cache: fetch only requests uncached messages'] = async test => {
+    let cache = new MemoryCacheStore();
+    let messages = [message(11), message(12)];
+    await cache.setMessages('INBOX', BigInt(5), [messages[0]]);
+
+    let { client, fetches } = makeClient(cache, messages);
+    let result = await client.fetchAll('1:*', { uid: true, bodyStructure: true });
+
+    test.equal(fetches.length, 2);
+    test.equal(fetches[1].range, '12');
+    test.equal(result.length, 2);
+    test.equal(result[0].bodyStructure.type, 'text/plain');
+    // flags were not requested
+    test.equal(result[0].flags, undefined);
+    test.done();
+};
+
+module.exports['Cache: fetch streams uncached messages in batches'] = async test => {
+    let cache = new MemoryCacheStore();
+    let messages = [];
+    for (let uid = 11; uid <= 260; uid++) {
+        messages.push(message(uid));
+    }
+    // cached message in between uncached ones keeps its place
+    await cache.setMessages('INBOX', BigInt(5), [messages[1]]);
+
+    let { client, fetches } = makeClient(cache, messages);
+    let uids = [];
+    for await (let msg of client.fetch('1:*', { uid: true, envelope: true })) {
+        if (!uids.length) {
+            // UID listing and the first batch only
+            test.equal(fetches.length, 2);
+        }
+        uids.push(msg.uid);
+    }
+
+    test.deepEqual(
+        uids,
+        messages.map(msg => msg.uid)
+    );
+    test.equal(fetches.length, 4);
+    test.equal(fetches[1].range.split(',').length, 99);
+    test.equal(fetches[3].range.split(',').length, 50);
+    test.equal((await cache.getMessages('INBOX', BigInt(5), [260])).get(260).envelope.subject, 'Message 260');
+    test.done();
+};
+
+module.exports['Cache: VANISHED removes cached messages'] = async test => {
+    let cache = new MemoryCacheStore();
+    let messages = [message(11), message(12), message(13)];
+    await cache.setMessages('INBOX', BigInt(5), messages);
+
+    let { client } = makeClient(cache, messages);
+    let expunged = [];
+    client.on('expunge', event => expunged.push(event.uid));
+    await client.untaggedVanished({ attributes: [{ type: 'ATOM', value: '11:12' }] });
+
+    test.deepEqual(expunged, [11, 12]);
+    test.deepEqual(Array.from((await cache.getMessages('INBOX', BigInt(5), [11, 12, 13])).keys()), [13]);
+    test.done();
+};
+
+module.exports['Cache: VANISHED (EARLIER) during QRESYNC SELECT removes cached messages'] = async test => {
+    let server = new MockImapServer({
+        users: { user: 'pass' },
+        mailboxes: { INBOX: { uidValidity: 5, messages: ['Subject: a\r\n\r\n1', 'Subject: b\r\n\r\n2', 'Subject: c\r\n\r\n3'] } }
+    });
+    await server.listen();
+
+    let cache = new MemoryCacheStore();
+    let client = new ImapFlow(server.clientOptions({ auth: { user: 'user', pass: 'pass' }, qresync: true, cache }));
+    try {
+        await client.connect();
+        let mailbox = await client.mailboxOpen('INBOX');
+        await client.fetchAll('1:*', { uid: true, envelope: true });
+        await client.mailboxClose();
+
+        server.store.expunge('INBOX', [3]);
+
+        await client.mailboxOpen('INBOX', { uidValidity: mailbox.uidValidity, changedSince: mailbox.highestModseq });
+        test.deepEqual(Array.from((await cache.getMessages('INBOX', BigInt(5), [1, 2, 3])).keys()), [1, 2]);
+
+        await client.logout();
+    } finally {
+        client.close();
+        await server.close();
+    }
+    test.done();
+};
+
+module.exports['Cache: fetch bypasses the cache for other queries'] = async test => {
+    let cache = new MemoryCacheStore();
+    let messages = [message(11)];
+    await cache.setMessages('INBOX', BigInt(5), messages);
+
+    let { client, fetches } = makeClient(cache, messages);
+    await client.fetchAll('1:*', { uid: true, envelope: true, source: true });
+    await client.fetchAll('1:*', { uid: true, envelope: true }, { cache: false });
+    test.equal(fetches.length, 2);
+    test.ok(fetches[0].query.source);
+    test.done();
+};
+
+module.exports['Cache: fetch falls back to the server if the cache fails'] = async test => {
+    let cache = new MemoryCacheStore();
+    cache.getMessages = async () => {
+        throw new Error('cache unavailable');
+    };
+    cache.setMessages = async () => {
+        throw new Error('cache unavailable');
+    };
+
+    let { client } = makeClient(cache, [message(11)]);
+    let result = await client.fetchAll('1:*', { uid: true, envelope: true });
+    test.equal(result.length, 1);
+    test.equal(result[0].envelope.subject, 'Message 11');
+    test.done();
+};
+
+module.exports['Cache: list and mailboxOpen update the cache'] = async test => {
+    let cache = new MemoryCacheStore();
+    let client = new ImapFlow({ host: 'imap.example.com', port: 993, auth: { user: 'test', pass: 'test' }, logger: false, cache });
+    client.run = async command => {
+        if (command === 'LIST') {
+            return [{ path: 'INBOX', flags: new Set() }];
+        }
+        return { path: 'INBOX', uidValidity: BigInt(5), exists: 1 };
+    };
+
+    await client.list();
+    await client.mailboxOpen('INBOX');
+    test.equal((await cache.getMailboxList())[0].path, 'INBOX');
+    test.equal((await cache.getMailbox('INBOX')).exists, 1);
+    test.done();
+};
@@ -7,6 +7,7 @@
 // Mock Connection Factory
 // ============================================
 
+const crypto = require('crypto');
 const imapCommands = require('../lib/imap-commands.js');
 
 const createMockConnection = (overrides = {}) => {
@@ -808,6 +809,330 @@ module.exports['Commands: search error with serverResponseCode'] = async test =>
     test.done();
 };
 
+// ============================================
+// SORT Command Tests
+// ============================================
+
+const sortCommand = require('../lib/commands/sort');
+
+module.exports['Commands: sort skips when not selected'] = async test => {
+    const connection = createMockConnection({ state: 2 });
+
+    const result = await sortCommand(connection, ['date'], true);
+    test.equal(result, false);
+    test.done();
+};
+
+module.exports['Commands: sort throws without SORT capability'] = async test => {
+    const connection = createMockConnection({ state: 3 });
+
+    try {
+        await sortCommand(connection, ['date'], true);
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'MissingServerExtension');
+    }
+    test.done();
+};
+
+module.exports['Commands: sort returns UIDs in server order'] = async test => {
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map([['SORT', true]]),
+        exec: async (cmd, attrs, opts) => {
+            execArgs = { cmd, attrs };
+            await opts.untagged.SORT({
+                attributes: [{ value: '7' }, { value: '3' }, { value: '12' }, { value: '3' }]
+            });
+            return { next: () => {} };
+        }
+    });
+
+    const result = await sortCommand(connection, [{ key: 'date', reverse: true }, 'subject'], { seen: false });
+    test.deepEqual(result, [7, 3, 12]);
+    test.equal(execArgs.cmd, 'UID SORT');
+    test.deepEqual(execArgs.attrs[0], [
+        { type: 'ATOM', value: 'REVERSE' },
+        { type: 'ATOM', value: 'DATE' },
+        { type: 'ATOM', value: 'SUBJECT' }
+    ]);
+    test.deepEqual(execArgs.attrs[1], { type: 'ATOM', value: 'US-ASCII' });
+    test.equal(execArgs.attrs[2].value, 'UNSEEN');
+    test.done();
+};
+
+module.exports['Commands: sort uses sequence numbers when uid is false'] = async test => {
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map([['SORT', true]]),
+        exec: async (cmd, attrs) => {
+            execArgs = { cmd, attrs };
+            return { next: () => {} };
+        }
+    });
+
+    const result = await sortCommand(connection, 'arrival', true, { uid: false });
+    test.deepEqual(result, []);
+    test.equal(execArgs.cmd, 'SORT');
+    test.deepEqual(execArgs.attrs.slice(1), [
+        { type: 'ATOM', value: 'US-ASCII' },
+        { type: 'ATOM', value: 'ALL' }
+    ]);
+    test.done();
+};
+
+module.exports['Commands: sort moves the search charset into the charset argument'] = async test => {
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map([['SORT', true]]),
+        exec: async (cmd, attrs) => {
+            execArgs = { cmd, attrs };
+            return { next: () => {} };
+        }
+    });
+
+    await sortCommand(connection, ['from'], { subject: 'tõlge' });
+    test.deepEqual(execArgs.attrs[1], { type: 'ATOM', value: 'UTF-8' });
+    test.equal(execArgs.attrs[2].value, 'SUBJECT');
+    test.ok(!execArgs.attrs.some(attr => attr.value === 'CHARSET'));
+    test.done();
+};
+
+module.exports['Commands: sort requires SORT=DISPLAY for display keys'] = async test => {
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map([['SORT', true]])
+    });
+
+    try {
+        await sortCommand(connection, ['displayFrom'], true);
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'MissingServerExtension');
+    }
+
+    connection.capabilities.set('SORT=DISPLAY', true);
+    test.deepEqual(sortCommand.compileSortCriteria(connection, [{ key: 'displayTo', reverse: true }]), [
+        { type: 'ATOM', value: 'REVERSE' },
+        { type: 'ATOM', value: 'DISPLAYTO' }
+    ]);
+    test.done();
+};
+
+module.exports['Commands: sort rejects unknown and empty criteria'] = async test => {
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map([['SORT', true]])
+    });
+
+    test.throws(() => sortCommand.compileSortCriteria(connection, ['relevance']), /Unknown sort key/);
+    test.throws(() => sortCommand.compileSortCriteria(connection, []), /can not be empty/);
+    test.done();
+};
+
+module.exports['Commands: sort discards invalid entries in the result'] = async test => {
+    let warned = null;
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map([['SORT', true]]),
+        log: {
+            warn: data => {
+                warned = data;
+            },
+            info: () => {},
+            debug: () => {},
+            trace: () => {},
+            error: () => {}
+        },
+        exec: async (cmd, attrs, opts) => {
+            await opts.untagged.SORT({
+                attributes: [{ value: '4' }, { value: '1e400' }, { value: '-1' }, null, { value: '2' }]
+            });
+            return { next: () => {} };
+        }
+    });
+
+    const result = await sortCommand(connection, ['size'], true);
+    test.deepEqual(result, [4, 2]);
+    test.ok(warned && warned.discarded);
+    test.done();
+};
+
+module.exports['Commands: sort returns false on command failure'] = async test => {
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map([['SORT', true]]),
+        exec: async () => {
+            throw commandError('Command failed', 'BAD');
+        }
+    });
+
+    const result = await sortCommand(connection, ['date'], true);
+    test.equal(result, false);
+    test.done();
+};
+
+// ============================================
+// THREAD Command Tests
+// ============================================
+
+const threadCommand = require('../lib/commands/thread');
+const { parser } = require('../lib/handler/imap-handler');
+
+const threadCapabilities = () =>
+    new Map([
+        ['THREAD=ORDEREDSUBJECT', true],
+        ['THREAD=REFERENCES', true]
+    ]);
+
+module.exports['Commands: thread skips when not selected'] = async test => {
+    const connection = createMockConnection({ state: 2, capabilities: threadCapabilities() });
+
+    const result = await threadCommand(connection, true);
+    test.equal(result, false);
+    test.done();
+};
+
+module.exports['Commands: thread throws without THREAD capability'] = async test => {
+    const connection = createMockConnection({ state: 3 });
+
+    try {
+        await threadCommand(connection, true);
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'MissingServerExtension');
+    }
+    test.done();
+};
+
+module.exports['Commands: thread throws for an algorithm the server does not advertise'] = async test => {
+    const connection = createMockConnection({ state: 3, capabilities: new Map([['THREAD=ORDEREDSUBJECT', true]]) });
+
+    try {
+        await threadCommand(connection, true, { algorithm: 'references' });
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'MissingServerExtension');
+        test.ok(/THREAD=REFERENCES/.test(err.message));
+    }
+    test.done();
+};
+
+module.exports['Commands: thread prefers REFERENCES and parses the thread tree'] = async test => {
+    let execArgs = null;
+    // response example from RFC 5256 section 4
+    const parsed = await parser('* THREAD (2)(3 6 (4 23)(44 7 96))');
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: threadCapabilities(),
+        exec: async (cmd, attrs, opts) => {
+            execArgs = { cmd, attrs };
+            await opts.untagged.THREAD(parsed);
+            return { next: () => {} };
+        }
+    });
+
+    const result = await threadCommand(connection, { seen: false });
+    test.equal(execArgs.cmd, 'UID THREAD');
+    test.deepEqual(execArgs.attrs[0], { type: 'ATOM', value: 'REFERENCES' });
+    test.deepEqual(execArgs.attrs[1], { type: 'ATOM', value: 'US-ASCII' });
+    test.equal(execArgs.attrs[2].value, 'UNSEEN');
+    test.deepEqual(result, [
+        { uid: 2, children: [] },
+        {
+            uid: 3,
+            children: [
+                {
+                    uid: 6,
+                    children: [
+                        { uid: 4, children: [{ uid: 23, children: [] }] },
+                        { uid: 44, children: [{ uid: 7, children: [{ uid: 96, children: [] }] }] }
+                    ]
+                }
+            ]
+        }
+    ]);
+    test.done();
+};
+
+module.exports['Commands: thread uses sequence numbers and the requested algorithm'] = async test => {
+    let execArgs = null;
+    const parsed = await parser('* THREAD ((3)(5))');
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: threadCapabilities(),
+        exec: async (cmd, attrs, opts) => {
+            execArgs = { cmd, attrs };
+            await opts.untagged.THREAD(parsed);
+            return { next: () => {} };
+        }
+    });
+
+    const result = await threadCommand(connection, true, { algorithm: 'orderedSubject', uid: false });
+    test.equal(execArgs.cmd, 'THREAD');
+    test.deepEqual(execArgs.attrs, [
+        { type: 'ATOM', value: 'ORDEREDSUBJECT' },
+        { type: 'ATOM', value: 'US-ASCII' },
+        { type: 'ATOM', value: 'ALL' }
+    ]);
+    // no common parent, so a placeholder node groups the two threads
+    test.deepEqual(result, [
+        {
+            seq: null,
+            children: [
+                { seq: 3, children: [] },
+                { seq: 5, children: [] }
+            ]
+        }
+    ]);
+    test.done();
+};
+
+module.exports['Commands: thread discards invalid entries in the result'] = async test => {
+    let warned = null;
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: threadCapabilities(),
+        log: {
+            warn: data => {
+                warned = data;
+            },
+            info: () => {},
+            debug: () => {},
+            trace: () => {},
+            error: () => {}
+        },
+        exec: async (cmd, attrs, opts) => {
+            await opts.untagged.THREAD({
+                attributes: [[{ value: '4' }, { value: '-1' }, { value: '9' }], { value: '5' }, [{ value: '0' }]]
+            });
+            return { next: () => {} };
+        }
+    });
+
+    const result = await threadCommand(connection, true);
+    test.deepEqual(result, [{ uid: 4, children: [{ uid: 9, children: [] }] }]);
+    test.ok(warned && warned.discarded);
+    test.done();
+};
+
+module.exports['Commands: thread returns false on command failure'] = async test => {
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: threadCapabilities(),
+        exec: async () => {
+            throw commandError('Command failed', 'BAD');
+        }
+    });
+
+    const result = await threadCommand(connection, true);
+    test.equal(result, false);
+    test.done();
+};
+
 // ============================================
 // STORE Command Tests
 // ============================================
@@ -1018,6 +1343,40 @@ module.exports['Commands: store with CONDSTORE'] = async test => {
     test.done();
 };
 
+module.exports['Commands: store reports MODIFIED messages'] = async test => {
+    const connection = createMockConnection({
+        state: 3,
+        enabled: new Set(['CONDSTORE']),
+        exec: async () => ({
+            response: {
+                attributes: [
+                    {
+                        type: 'ATOM',
+                        value: '',
+                        section: [
+                            { type: 'ATOM', value: 'MODIFIED' },
+                            { type: 'ATOM', value: '7,9:10' }
+                        ]
+                    }
+                ]
+            },
+            next: () => {}
+        })
+    });
+
+    let modified = null;
+    const result = await storeCommand(connection, '7:12', ['\\Seen'], {
+        uid: true,
+        unchangedSince: 12345,
+        onModified: uids => {
+            modified = uids;
+        }
+    });
+    test.equal(result, true);
+    test.deepEqual(modified, [7, 9, 10]);
+    test.done();
+};
+
 module.exports['Commands: store handles error'] = async test => {
     const connection = createMockConnection({
         state: 3,
@@ -1819,60 +2178,228 @@ module.exports['Commands: move handles COPYUID with missing source/destination U
 };
 
 // ============================================
-// EXPUNGE Command Tests
+// REPLACE Command Tests
 // ============================================
 
-const expungeCommand = require('../lib/commands/expunge');
+const replaceCommand = require('../lib/commands/replace');
 
-module.exports['Commands: expunge success'] = async test => {
-    let execCalled = false;
+module.exports['Commands: replace skips when not selected or without target'] = async test => {
+    let connection = createMockConnection({ state: 2, capabilities: new Map([['REPLACE', true]]) });
+    test.equal(await replaceCommand(connection, 5, 'Drafts', 'content'), undefined);
+
+    connection = createMockConnection({ state: 3, capabilities: new Map([['REPLACE', true]]) });
+    test.equal(await replaceCommand(connection, 0, 'Drafts', 'content'), undefined);
+    test.equal(await replaceCommand(connection, 5, '', 'content'), undefined);
+    test.done();
+};
+
+module.exports['Commands: replace sends UID REPLACE and reads APPENDUID from untagged OK'] = async test => {
+    let execArgs = null;
     const connection = createMockConnection({
         state: 3,
-        exec: async cmd => {
-            test.equal(cmd, 'EXPUNGE');
-            execCalled = true;
+        mailbox: { path: 'Drafts', permanentFlags: new Set(['\\*']) },
+        capabilities: new Map([['REPLACE', true]]),
+        exec: async (cmd, attrs, opts) => {
+            execArgs = { cmd, attrs };
+            await opts.untagged.OK({
+                attributes: [{ section: [{ value: 'APPENDUID' }, { value: '38505' }, { value: '3956' }] }]
+            });
             return { next: () => {}, response: { attributes: [] } };
         }
     });
 
-    const result = await expungeCommand(connection, '1:*', {});
-    test.equal(result, true);
-    test.equal(execCalled, true);
+    const result = await replaceCommand(connection, 3955, 'Drafts', 'new version', ['\\Draft'], null, { uid: true });
+    test.equal(execArgs.cmd, 'UID REPLACE');
+    test.deepEqual(execArgs.attrs[0], { type: 'SEQUENCE', value: '3955' });
+    test.deepEqual(execArgs.attrs[1], { type: 'ATOM', value: 'Drafts' });
+    test.deepEqual(execArgs.attrs[2], [{ type: 'ATOM', value: '\\Draft' }]);
+    test.equal(execArgs.attrs[3].type, 'LITERAL');
+    test.equal(execArgs.attrs[3].value.toString(), 'new version');
+    test.deepEqual(result, { path: 'Drafts', destination: 'Drafts', deleted: true, uidValidity: BigInt(38505), uid: 3956 });
     test.done();
 };
 
-module.exports['Commands: expunge with UID range'] = async test => {
+module.exports['Commands: replace reads APPENDUID from tagged OK'] = async test => {
     let execCmd = null;
     const connection = createMockConnection({
         state: 3,
-        capabilities: new Map([['UIDPLUS', true]]),
+        capabilities: new Map([['REPLACE', true]]),
         exec: async cmd => {
             execCmd = cmd;
-            return { next: () => {}, response: { attributes: [] } };
+            return {
+                next: () => {},
+                response: { attributes: [{ section: [{ value: 'APPENDUID' }, { value: '1' }, { value: '20' }] }] }
+            };
         }
     });
 
-    await expungeCommand(connection, '1:100', { uid: true });
-    test.equal(execCmd, 'UID EXPUNGE');
+    const result = await replaceCommand(connection, 4, 'Archive', 'content');
+    test.equal(execCmd, 'REPLACE');
+    test.equal(result.uid, 20);
+    test.equal(result.destination, 'Archive');
     test.done();
 };
 
-module.exports['Commands: expunge uses UID EXPUNGE via folded rev2 capability'] = async test => {
-    let execCmd = null;
+module.exports['Commands: replace throws when the server rejects the message'] = async test => {
     const connection = createMockConnection({
         state: 3,
-        // No UIDPLUS token - RFC 9051 folds UIDPLUS into base IMAP4rev2. Falling
-        // back to plain EXPUNGE here would purge every \Deleted message instead
-        // of only the requested range.
-        capabilities: new Map([['IMAP4rev2', true]]),
-        exec: async cmd => {
-            execCmd = cmd;
-            return { next: () => {}, response: { attributes: [] } };
+        capabilities: new Map([['REPLACE', true]]),
+        exec: async () => {
+            throw commandError('Message too big', 'NO');
         }
     });
 
-    await expungeCommand(connection, '1:100', { uid: true });
-    test.equal(execCmd, 'UID EXPUNGE');
+    try {
+        await replaceCommand(connection, 4, 'Drafts', 'content', [], null, { uid: true });
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.responseStatus, 'NO');
+    }
+    test.done();
+};
+
+module.exports['Commands: replace fallback appends before deleting'] = async test => {
+    let calls = [];
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map(),
+        append: async (path, content, flags, idate) => {
+            calls.push(['append', path, content, flags, idate]);
+            return { destination: path, uid: 21 };
+        },
+        messageDelete: async (range, opts) => {
+            calls.push(['delete', range, opts]);
+            return true;
+        }
+    });
+
+    const result = await replaceCommand(connection, 20, 'Drafts', 'content', ['\\Draft'], null, { uid: true });
+    test.deepEqual(calls, [
+        ['append', 'Drafts', 'content', ['\\Draft'], null],
+        ['delete', 20, { silent: true, uid: true }]
+    ]);
+    test.deepEqual(result, { path: 'INBOX', destination: 'Drafts', uid: 21, deleted: true });
+    test.done();
+};
+
+module.exports['Commands: replace fallback keeps the old message when upload fails'] = async test => {
+    let deleteCalled = false;
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map(),
+        append: async () => {
+            throw commandError('Over quota', 'NO');
+        },
+        messageDelete: async () => {
+            deleteCalled = true;
+        }
+    });
+
+    try {
+        await replaceCommand(connection, 20, 'Drafts', 'content', [], null, { uid: true });
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.responseStatus, 'NO');
+    }
+    test.equal(deleteCalled, false);
+    test.done();
+};
+
+module.exports['Commands: replace fallback does not delete if the upload is not stored'] = async test => {
+    let deleteCalled = false;
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map(),
+        append: async () => false,
+        messageDelete: async () => {
+            deleteCalled = true;
+        }
+    });
+
+    const result = await replaceCommand(connection, 20, 'Drafts', 'content', [], null, { uid: true });
+    test.equal(result, false);
+    test.equal(deleteCalled, false);
+    test.done();
+};
+
+module.exports['Commands: replace fallback reports a failed deletion'] = async test => {
+    let warnings = [];
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map(),
+        append: async path => ({ destination: path, uid: 21 }),
+        messageDelete: async () => {
+            throw commandError('Mailbox is read-only', 'NO');
+        }
+    });
+    connection.log.warn = entry => warnings.push(entry);
+
+    const result = await replaceCommand(connection, 20, 'Drafts', 'content', [], null, { uid: true });
+    test.deepEqual(result, { path: 'INBOX', destination: 'Drafts', uid: 21, deleted: false });
+    test.equal(warnings.length, 1);
+    test.equal(warnings[0].err.responseStatus, 'NO');
+
+    // EXPUNGE failures that are not thrown are reported the same way
+    connection.messageDelete = async () => false;
+    test.equal((await replaceCommand(connection, 20, 'Drafts', 'content', [], null, { uid: true })).deleted, false);
+    test.done();
+};
+
+// ============================================
+// EXPUNGE Command Tests
+// ============================================
+
+const expungeCommand = require('../lib/commands/expunge');
+
+module.exports['Commands: expunge success'] = async test => {
+    let execCalled = false;
+    const connection = createMockConnection({
+        state: 3,
+        exec: async cmd => {
+            test.equal(cmd, 'EXPUNGE');
+            execCalled = true;
+            return { next: () => {}, response: { attributes: [] } };
+        }
+    });
+
+    const result = await expungeCommand(connection, '1:*', {});
+    test.equal(result, true);
+    test.equal(execCalled, true);
+    test.done();
+};
+
+module.exports['Commands: expunge with UID range'] = async test => {
+    let execCmd = null;
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map([['UIDPLUS', true]]),
+        exec: async cmd => {
+            execCmd = cmd;
+            return { next: () => {}, response: { attributes: [] } };
+        }
+    });
+
+    await expungeCommand(connection, '1:100', { uid: true });
+    test.equal(execCmd, 'UID EXPUNGE');
+    test.done();
+};
+
+module.exports['Commands: expunge uses UID EXPUNGE via folded rev2 capability'] = async test => {
+    let execCmd = null;
+    const connection = createMockConnection({
+        state: 3,
+        // No UIDPLUS token - RFC 9051 folds UIDPLUS into base IMAP4rev2. Falling
+        // back to plain EXPUNGE here would purge every \Deleted message instead
+        // of only the requested range.
+        capabilities: new Map([['IMAP4rev2', true]]),
+        exec: async cmd => {
+            execCmd = cmd;
+            return { next: () => {}, response: { attributes: [] } };
+        }
+    });
+
+    await expungeCommand(connection, '1:100', { uid: true });
+    test.equal(execCmd, 'UID EXPUNGE');
     test.done();
 };
 
@@ -3620,6 +4147,178 @@ module.exports['Commands: fetch with all/fast/full query'] = async test => {
     test.done();
 };
 
+module.exports['Commands: fetch requests PREVIEW with LAZY when supported'] = async test => {
+    let queryAttrs = null;
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map([
+            ['IMAP4rev1', true],
+            ['PREVIEW', true]
+        ]),
+        exec: async (cmd, attrs, opts) => {
+            queryAttrs = attrs;
+            await opts.untagged.FETCH(await parser('* 1 FETCH (UID 100 PREVIEW "Hello there")'));
+            await opts.untagged.FETCH(await parser('* 2 FETCH (UID 101 PREVIEW NIL)'));
+            return { next: () => {} };
+        }
+    });
+
+    const result = await fetchCommand(connection, '1:2', { preview: true });
+    test.deepEqual(queryAttrs[1], [{ type: 'ATOM', value: 'PREVIEW' }, [{ type: 'ATOM', value: 'LAZY' }], { type: 'ATOM', value: 'UID' }]);
+    test.equal(result.list[0].preview, 'Hello there');
+    // not generated yet
+    test.strictEqual(result.list[1].preview, null);
+    test.done();
+};
+
+module.exports['Commands: fetch builds preview from the first text part without PREVIEW'] = async test => {
+    let calls = [];
+    let delivered = [];
+    const connection = createMockConnection({
+        state: 3,
+        exec: async (cmd, attrs, opts) => {
+            calls.push({ cmd, attrs });
+            if (calls.length === 1) {
+                // UIDs of the range are listed first
+                for (let [seq, uid] of [
+                    [1, 100],
+                    [2, 101],
+                    [3, 102]
+                ]) {
+                    await opts.untagged.FETCH(await parser(`* ${seq} FETCH (UID ${uid})`));
+                }
+            } else if (calls.length === 2) {
+                await opts.untagged.FETCH(
+                    await parser(
+                        '* 1 FETCH (UID 100 BODYSTRUCTURE (("text" "plain" ("charset" "utf-8") NIL NIL "quoted-printable" 11 1 NIL NIL NIL NIL)("text" "html" ("charset" "utf-8") NIL NIL "7bit" 20 1 NIL NIL NIL NIL) "alternative" ("boundary" "x") NIL NIL NIL))'
+                    )
+                );
+                await opts.untagged.FETCH(
+                    await parser(
+                        '* 2 FETCH (UID 101 BODYSTRUCTURE ("application" "pdf" ("name" "a.pdf") NIL NIL "base64" 100 NIL ("attachment" ("filename" "a.pdf")) NIL NIL))'
+                    )
+                );
+                await opts.untagged.FETCH(
+                    await parser('* 3 FETCH (UID 102 BODYSTRUCTURE ("text" "plain" ("charset" "utf-8") NIL NIL "7bit" 20 1 NIL NIL NIL NIL))')
+                );
+            } else {
+                await opts.untagged.FETCH(await parser('* 1 FETCH (UID 100 BODY[1]<0> {14}\r\n)', { literals: [Buffer.from('Hello=20world=')] }));
+                await opts.untagged.FETCH(await parser('* 3 FETCH (UID 102 BODY[1]<0> {14}\r\n)', { literals: [Buffer.from('Second message')] }));
+            }
+            return { next: () => {} };
+        }
+    });
+
+    const result = await fetchCommand(
+        connection,
+        '1:3',
+        { preview: true },
+        {
+            onUntaggedFetch: (message, next) => {
+                delivered.push(message);
+                next();
+            }
+        }
+    );
+
+    test.equal(calls.length, 3);
+    test.deepEqual(calls[0].attrs, [
+        { type: 'SEQUENCE', value: '1:3' },
+        { type: 'ATOM', value: 'UID' }
+    ]);
+    test.equal(calls[1].cmd, 'UID FETCH');
+    test.deepEqual(calls[1].attrs[0], { type: 'SEQUENCE', value: '100:102' });
+    test.ok(JSON.stringify(calls[1].attrs).includes('BODYSTRUCTURE'));
+    test.equal(calls[2].cmd, 'UID FETCH');
+    test.deepEqual(calls[2].attrs, [
+        { type: 'SEQUENCE', value: '100,102' },
+        { type: 'ATOM', value: 'BODY.PEEK', section: [{ type: 'ATOM', value: '1' }], partial: [0, 4096] }
+    ]);
+
+    test.equal(result.count, 3);
+    test.equal(delivered.length, 3);
+    test.deepEqual(
+        delivered.map(message => message.preview),
+        ['Hello world', '', 'Second message']
+    );
+    // BODYSTRUCTURE was not requested by the caller
+    test.equal(delivered[0].bodyStructure, undefined);
+    test.done();
+};
+
+module.exports['Commands: fetch delivers client-side previews in batches'] = async test => {
+    let events = [];
+    const connection = createMockConnection({
+        state: 3,
+        exec: async (cmd, attrs, opts) => {
+            let value = attrs[0].value;
+            events.push(`${cmd} ${value}`);
+            if (cmd === 'FETCH') {
+                for (let seq = 1; seq <= 150; seq++) {
+                    await opts.untagged.FETCH(await parser(`* ${seq} FETCH (UID ${seq + 1000})`));
+                }
+            } else if (JSON.stringify(attrs).includes('BODYSTRUCTURE')) {
+                let [first, last] = value.split(':').map(Number);
+                for (let uid = first; uid <= last; uid++) {
+                    await opts.untagged.FETCH(
+                        await parser(
+                            `* ${uid - 1000} FETCH (UID ${uid} BODYSTRUCTURE ("text" "plain" ("charset" "utf-8") NIL NIL "7bit" 20 1 NIL NIL NIL NIL))`
+                        )
+                    );
+                }
+            }
+            return { next: () => {} };
+        }
+    });
+
+    const result = await fetchCommand(
+        connection,
+        '1:*',
+        { preview: true },
+        {
+            onUntaggedFetch: (message, next) => {
+                events.push(`deliver ${message.uid}`);
+                next();
+            }
+        }
+    );
+
+    test.equal(result.count, 150);
+    test.equal(events.filter(event => event.startsWith('deliver')).length, 150);
+    // the first batch is delivered before the second one is fetched
+    test.deepEqual(events.slice(0, 3), ['FETCH 1:*', 'UID FETCH 1001:1100', 'UID FETCH 1001:1100']);
+    test.equal(events[3], 'deliver 1001');
+    test.equal(events[103], 'UID FETCH 1101:1150');
+    test.done();
+};
+
+module.exports['Commands: fetch keeps messages when the preview fetch fails'] = async test => {
+    let calls = 0;
+    const connection = createMockConnection({
+        state: 3,
+        exec: async (cmd, attrs, opts) => {
+            calls++;
+            if (calls > 2) {
+                throw commandError('Preview fetch failed', 'NO');
+            }
+            if (calls === 1) {
+                await opts.untagged.FETCH(await parser('* 1 FETCH (UID 100)'));
+                return { next: () => {} };
+            }
+            await opts.untagged.FETCH(
+                await parser('* 1 FETCH (UID 100 BODYSTRUCTURE ("text" "plain" ("charset" "utf-8") NIL NIL "7bit" 20 1 NIL NIL NIL NIL))')
+            );
+            return { next: () => {} };
+        }
+    });
+
+    const result = await fetchCommand(connection, '1', { preview: true, bodyStructure: true });
+    test.equal(result.list.length, 1);
+    test.equal(result.list[0].preview, undefined);
+    test.equal(result.list[0].bodyStructure.type, 'text/plain');
+    test.done();
+};
+
 // ============================================
 // LIST Command Tests
 // ============================================
@@ -7458,80 +8157,369 @@ module.exports['Commands: append with disableBinary does not use literal8'] = as
     test.done();
 };
 
-// ============================================
-// IDLE Command Tests
-// ============================================
-
-const idleCommand = require('../lib/commands/idle');
-
-module.exports['Commands: idle with IDLE capability'] = async test => {
-    let execCommand = '';
-    let idlingSet = false;
+module.exports['Commands: append assembles a message with CATENATE'] = async test => {
+    let execAttrs = null;
     const connection = createMockConnection({
-        state: 3, // SELECTED
-        capabilities: new Map([['IDLE', true]]),
-        exec: async (cmd, attrs, opts) => {
-            execCommand = cmd;
-            idlingSet = connection.idling;
-            // Simulate continuation response
-            if (opts && opts.onPlusTag) {
-                await opts.onPlusTag();
-            }
-            return { next: () => {} };
-        },
-        write: () => {}
+        state: 2,
+        mailbox: { path: 'OtherFolder', permanentFlags: new Set(['\\*']) },
+        capabilities: new Map([
+            ['CATENATE', true],
+            ['APPENDLIMIT', 20]
+        ]),
+        exec: async (cmd, attrs) => {
+            execAttrs = attrs;
+            return { next: () => {}, response: { attributes: [] } };
+        }
     });
 
-    await idleCommand(connection);
-    test.equal(execCommand, 'IDLE');
-    test.equal(idlingSet, true);
-    test.done();
-};
-
-module.exports['Commands: idle uses IDLE on rev2-only servers without the IDLE token'] = async test => {
-    let execCommand = '';
-    const connection = createMockConnection({
-        state: 3,
-        // IDLE is part of base IMAP4rev2 - no separate token required
-        capabilities: new Map([['IMAP4rev2', true]]),
-        exec: async (cmd, attrs, opts) => {
-            execCommand = cmd;
-            if (opts && opts.onPlusTag) {
-                await opts.onPlusTag();
-            }
-            return { next: () => {} };
-        },
-        write: () => {}
-    });
+    // the URL part is not counted against APPENDLIMIT, the server checks the full size
+    await appendCommand(connection, 'Drafts', ['Header\r\n\r\n', { url: '/INBOX;UIDVALIDITY=1/;UID=2/;SECTION=2' }, { text: Buffer.from('end') }], ['\\Draft']);
 
-    await idleCommand(connection);
-    test.equal(execCommand, 'IDLE');
+    test.deepEqual(execAttrs[0], { type: 'ATOM', value: 'Drafts' });
+    test.deepEqual(execAttrs[1], [{ type: 'ATOM', value: '\\Draft' }]);
+    test.deepEqual(execAttrs[2], { type: 'ATOM', value: 'CATENATE' });
+    let parts = execAttrs[3];
+    test.deepEqual(parts[0], { type: 'ATOM', value: 'TEXT' });
+    test.equal(parts[1].type, 'LITERAL');
+    test.equal(parts[1].value.toString(), 'Header\r\n\r\n');
+    test.deepEqual(parts[2], { type: 'ATOM', value: 'URL' });
+    test.deepEqual(parts[3], { type: 'STRING', value: '/INBOX;UIDVALIDITY=1/;UID=2/;SECTION=2' });
+    test.deepEqual(parts[4], { type: 'ATOM', value: 'TEXT' });
+    test.equal(parts[5].value.toString(), 'end');
+    test.equal(execAttrs.length, 4);
     test.done();
 };
 
-module.exports['Commands: idle skips when not selected'] = async test => {
-    const connection = createMockConnection({ state: 2 }); // AUTHENTICATED
+module.exports['Commands: append rejects CATENATE parts without support or content'] = async test => {
+    let connection = createMockConnection({ state: 2, mailbox: { path: 'OtherFolder' } });
+    try {
+        await appendCommand(connection, 'Drafts', [{ url: '/INBOX;UIDVALIDITY=1/;UID=2' }]);
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'MissingServerExtension');
+    }
 
-    const result = await idleCommand(connection);
-    test.equal(result, undefined);
+    connection = createMockConnection({ state: 2, mailbox: { path: 'OtherFolder' }, capabilities: new Map([['CATENATE', true]]) });
+    for (let parts of [[], [{ size: 10 }]]) {
+        try {
+            await appendCommand(connection, 'Drafts', parts);
+            test.ok(false, 'should have thrown');
+        } catch (err) {
+            test.equal(err.code, 'InvalidCatenatePart');
+        }
+    }
     test.done();
 };
 
-module.exports['Commands: idle falls back to NOOP without IDLE capability'] = async test => {
-    let noopCalled = false;
+module.exports['Commands: append exposes BADURL from a failed CATENATE'] = async test => {
     const connection = createMockConnection({
-        state: 3,
-        capabilities: new Map(), // No IDLE
-        currentSelectCommand: { command: 'SELECT', arguments: [{ value: 'INBOX' }] },
-        exec: async cmd => {
-            if (cmd === 'NOOP') {
-                noopCalled = true;
-                // Break out of the loop by calling preCheck
-                if (connection.preCheck) {
-                    await connection.preCheck();
-                }
-            }
-            return { next: () => {} };
+        state: 2,
+        mailbox: { path: 'OtherFolder' },
+        capabilities: new Map([['CATENATE', true]]),
+        exec: async () => {
+            let err = commandError('Command failed', 'NO');
+            err.response = {
+                tag: 'A1',
+                command: 'NO',
+                attributes: [
+                    {
+                        type: 'ATOM',
+                        value: '',
+                        section: [
+                            { type: 'ATOM', value: 'BADURL' },
+                            { type: 'ATOM', value: '/INBOX;UIDVALIDITY=1/;UID=2' }
+                        ]
+                    },
+                    { type: 'TEXT', value: 'No such message' }
+                ]
+            };
+            throw err;
+        }
+    });
+
+    try {
+        await appendCommand(connection, 'Drafts', [{ url: '/INBOX;UIDVALIDITY=1/;UID=2' }]);
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.serverResponseCode, 'BADURL');
+        test.equal(err.badUrl, '/INBOX;UIDVALIDITY=1/;UID=2');
+    }
+    test.done();
+};
+
+// ============================================
+// MULTIAPPEND Command Tests
+// ============================================
+
+const multiAppendCommand = require('../lib/commands/multiappend');
+
+module.exports['Commands: multiappend skips without messages or when not authenticated'] = async test => {
+    let connection = createMockConnection({ state: 1, capabilities: new Map([['MULTIAPPEND', true]]) });
+    test.equal(await multiAppendCommand(connection, 'INBOX', ['content']), undefined);
+
+    connection = createMockConnection({ state: 2, capabilities: new Map([['MULTIAPPEND', true]]) });
+    test.equal(await multiAppendCommand(connection, 'INBOX', []), undefined);
+    test.equal(await multiAppendCommand(connection, '', ['content']), undefined);
+    test.done();
+};
+
+module.exports['Commands: multiappend sends all messages in a single APPEND'] = async test => {
+    let calls = [];
+    const connection = createMockConnection({
+        state: 2,
+        mailbox: { path: 'OtherFolder', permanentFlags: new Set(['\\*']) },
+        capabilities: new Map([
+            ['MULTIAPPEND', true],
+            ['UIDPLUS', true]
+        ]),
+        exec: async (cmd, attrs) => {
+            calls.push({ cmd, attrs });
+            return {
+                next: () => {},
+                response: {
+                    attributes: [{ section: [{ value: 'APPENDUID' }, { value: '38505' }, { value: '3955:3956,4000' }] }]
+                }
+            };
+        }
+    });
+
+    const result = await multiAppendCommand(connection, 'Archive', [
+        { content: 'first', flags: ['\\Seen'], idate: new Date('2020-01-02T03:04:05Z') },
+        Buffer.from('second'),
+        { content: 'third', flags: ['\\Flagged'] }
+    ]);
+
+    test.equal(calls.length, 1);
+    test.equal(calls[0].cmd, 'APPEND');
+    let attrs = calls[0].attrs;
+    test.deepEqual(attrs[0], { type: 'ATOM', value: 'Archive' });
+    test.deepEqual(attrs[1], [{ type: 'ATOM', value: '\\Seen' }]);
+    test.equal(attrs[2].type, 'STRING');
+    test.equal(attrs[3].type, 'LITERAL');
+    test.equal(attrs[3].value.toString(), 'first');
+    // second message has neither flags nor a date
+    test.equal(attrs[4].type, 'LITERAL');
+    test.equal(attrs[4].value.toString(), 'second');
+    test.deepEqual(attrs[5], [{ type: 'ATOM', value: '\\Flagged' }]);
+    test.equal(attrs[6].value.toString(), 'third');
+    test.equal(attrs.length, 7);
+
+    test.deepEqual(
+        result.map(entry => entry.uid),
+        [3955, 3956, 4000]
+    );
+    test.equal(result[0].destination, 'Archive');
+    test.equal(result[2].uidValidity, BigInt(38505));
+    test.done();
+};
+
+module.exports['Commands: multiappend resolves sequence numbers in the selected mailbox'] = async test => {
+    let emitted = [];
+    let searches = [];
+    const connection = createMockConnection({
+        state: 3,
+        mailbox: { path: 'INBOX', exists: 10, permanentFlags: new Set(['\\*']) },
+        capabilities: new Map([['MULTIAPPEND', true]]),
+        emit: (name, data) => emitted.push({ name, data }),
+        exec: async (cmd, attrs, opts) => {
+            if (cmd === 'APPEND') {
+                await opts.untagged.EXISTS({ command: '12' });
+            }
+            return { next: () => {}, response: { attributes: [] } };
+        }
+    });
+    connection.search = async (query, options) => {
+        searches.push({ query, options });
+        return [201, 200];
+    };
+
+    const result = await multiAppendCommand(connection, 'INBOX', ['one', 'two']);
+    test.deepEqual(
+        result.map(entry => [entry.seq, entry.uid]),
+        [
+            [11, 200],
+            [12, 201]
+        ]
+    );
+    test.deepEqual(searches[0], { query: { seq: '11:12' }, options: { uid: true } });
+    test.equal(connection.mailbox.exists, 12);
+    test.deepEqual(emitted[0], { name: 'exists', data: { path: 'INBOX', count: 12, prevCount: 10 } });
+    test.done();
+};
+
+module.exports['Commands: multiappend throws when the server rejects the upload'] = async test => {
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['MULTIAPPEND', true]]),
+        exec: async () => {
+            throw commandError('Mailbox is full', 'NO');
+        }
+    });
+
+    try {
+        await multiAppendCommand(connection, 'Archive', ['one', 'two']);
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.responseStatus, 'NO');
+    }
+    test.done();
+};
+
+module.exports['Commands: multiappend checks APPENDLIMIT for every message'] = async test => {
+    let execCalled = false;
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([
+            ['MULTIAPPEND', true],
+            ['APPENDLIMIT', 10]
+        ]),
+        exec: async () => {
+            execCalled = true;
+            return { next: () => {}, response: { attributes: [] } };
+        }
+    });
+
+    try {
+        await multiAppendCommand(connection, 'Archive', ['short', 'far too long content']);
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.serverResponseCode, 'APPENDLIMIT');
+    }
+    test.equal(execCalled, false);
+    test.done();
+};
+
+module.exports['Commands: multiappend falls back to queued APPEND commands'] = async test => {
+    let calls = [];
+    let pending = 0;
+    let maxPending = 0;
+    const connection = createMockConnection({
+        state: 2,
+        mailbox: { path: 'OtherFolder' },
+        exec: async (cmd, attrs) => {
+            calls.push(attrs[attrs.length - 1].value.toString());
+            pending++;
+            maxPending = Math.max(maxPending, pending);
+            await new Promise(resolve => setImmediate(resolve));
+            pending--;
+            let uid = (calls.indexOf(attrs[attrs.length - 1].value.toString()) + 1).toString();
+            return {
+                next: () => {},
+                response: { attributes: [{ section: [{ value: 'APPENDUID' }, { value: '1' }, { value: uid }] }] }
+            };
+        }
+    });
+
+    const result = await multiAppendCommand(connection, 'Archive', ['one', { content: 'two' }, 'three']);
+    test.deepEqual(calls, ['one', 'two', 'three']);
+    // every command was queued before the first one completed
+    test.equal(maxPending, 3);
+    test.deepEqual(
+        result.map(entry => entry.uid),
+        [1, 2, 3]
+    );
+    test.done();
+};
+
+module.exports['Commands: multiappend fallback reports partial results on failure'] = async test => {
+    const connection = createMockConnection({
+        state: 2,
+        mailbox: { path: 'OtherFolder' },
+        exec: async (cmd, attrs) => {
+            if (attrs[attrs.length - 1].value.toString() === 'two') {
+                throw commandError('Message rejected', 'NO');
+            }
+            return { next: () => {}, response: { attributes: [] } };
+        }
+    });
+
+    try {
+        await multiAppendCommand(connection, 'Archive', ['one', 'two', 'three']);
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.responseStatus, 'NO');
+        test.equal(err.appended.length, 3);
+        test.equal(err.appended[0].destination, 'Archive');
+        test.equal(err.appended[1], null);
+        test.equal(err.appended[2].destination, 'Archive');
+    }
+    test.done();
+};
+
+// ============================================
+// IDLE Command Tests
+// ============================================
+
+const idleCommand = require('../lib/commands/idle');
+
+module.exports['Commands: idle with IDLE capability'] = async test => {
+    let execCommand = '';
+    let idlingSet = false;
+    const connection = createMockConnection({
+        state: 3, // SELECTED
+        capabilities: new Map([['IDLE', true]]),
+        exec: async (cmd, attrs, opts) => {
+            execCommand = cmd;
+            idlingSet = connection.idling;
+            // Simulate continuation response
+            if (opts && opts.onPlusTag) {
+                await opts.onPlusTag();
+            }
+            return { next: () => {} };
+        },
+        write: () => {}
+    });
+
+    await idleCommand(connection);
+    test.equal(execCommand, 'IDLE');
+    test.equal(idlingSet, true);
+    test.done();
+};
+
+module.exports['Commands: idle uses IDLE on rev2-only servers without the IDLE token'] = async test => {
+    let execCommand = '';
+    const connection = createMockConnection({
+        state: 3,
+        // IDLE is part of base IMAP4rev2 - no separate token required
+        capabilities: new Map([['IMAP4rev2', true]]),
+        exec: async (cmd, attrs, opts) => {
+            execCommand = cmd;
+            if (opts && opts.onPlusTag) {
+                await opts.onPlusTag();
+            }
+            return { next: () => {} };
+        },
+        write: () => {}
+    });
+
+    await idleCommand(connection);
+    test.equal(execCommand, 'IDLE');
+    test.done();
+};
+
+module.exports['Commands: idle skips when not selected'] = async test => {
+    const connection = createMockConnection({ state: 2 }); // AUTHENTICATED
+
+    const result = await idleCommand(connection);
+    test.equal(result, undefined);
+    test.done();
+};
+
+module.exports['Commands: idle falls back to NOOP without IDLE capability'] = async test => {
+    let noopCalled = false;
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map(), // No IDLE
+        currentSelectCommand: { command: 'SELECT', arguments: [{ value: 'INBOX' }] },
+        exec: async cmd => {
+            if (cmd === 'NOOP') {
+                noopCalled = true;
+                // Break out of the loop by calling preCheck
+                if (connection.preCheck) {
+                    await connection.preCheck();
+                }
+            }
+            return { next: () => {} };
         }
     });
 
@@ -9180,69 +10168,830 @@ module.exports['Commands: quota sets limit without prior usage'] = async test =>
 };
 
 // ============================================
-// AUTHENTICATE Command Tests
+// GETMETADATA / SETMETADATA Command Tests
 // ============================================
 
-const authenticateCommand = require('../lib/commands/authenticate');
+const getMetadataCommand = require('../lib/commands/getmetadata');
+const setMetadataCommand = require('../lib/commands/setmetadata');
 
-module.exports['Commands: authenticate skips when already authenticated'] = async test => {
-    const connection = createMockConnection({
-        state: 2 // AUTHENTICATED
-    });
+module.exports['Commands: getmetadata skips when not authenticated or without entries'] = async test => {
+    let connection = createMockConnection({ state: 1, capabilities: new Map([['METADATA', true]]) });
+    test.equal(await getMetadataCommand(connection, 'INBOX', '/shared/comment'), undefined);
 
-    const result = await authenticateCommand(connection, 'user', { password: 'pass' });
-    test.equal(result, undefined);
+    connection = createMockConnection({ state: 2, capabilities: new Map([['METADATA', true]]) });
+    test.equal(await getMetadataCommand(connection, 'INBOX', []), undefined);
     test.done();
 };
 
-module.exports['Commands: authenticate with OAUTHBEARER'] = async test => {
-    let execArgs = null;
-    const connection = createMockConnection({
-        state: 1, // NOT_AUTHENTICATED
-        capabilities: new Map([['AUTH=OAUTHBEARER', true]]),
-        servername: 'imap.example.com',
-        authCapabilities: new Map(),
-        exec: async (cmd, args) => {
-            execArgs = { cmd, args };
-            return { next: () => {} };
-        },
-        write: () => {}
-    });
+module.exports['Commands: getmetadata returns false without METADATA'] = async test => {
+    const connection = createMockConnection({ state: 2, capabilities: new Map([['METADATA-SERVER', true]]) });
 
-    const result = await authenticateCommand(connection, 'user@example.com', { accessToken: 'token123' });
-    test.equal(result, 'user@example.com');
-    test.equal(execArgs.cmd, 'AUTHENTICATE');
-    test.equal(execArgs.args[0].value, 'OAUTHBEARER');
-    test.ok(connection.authCapabilities.has('AUTH=OAUTHBEARER'));
-    test.ok(decodeSaslPayload(execArgs).includes('port=993'), 'the payload should report the connection port');
+    // METADATA-SERVER only allows server annotations
+    test.equal(await getMetadataCommand(connection, 'INBOX', '/shared/comment'), false);
     test.done();
 };
 
-module.exports['Commands: OAUTHBEARER payload reports the port actually in use'] = async test => {
-    // Regression: the port field was hardcoded to 993 - see lib/commands/authenticate.js.
+module.exports['Commands: getmetadata reads mailbox entries with options'] = async test => {
     let execArgs = null;
     const connection = createMockConnection({
-        state: 1,
-        capabilities: new Map([['AUTH=OAUTHBEARER', true]]),
-        servername: 'imap.example.com',
-        port: 143,
-        authCapabilities: new Map(),
-        exec: async (cmd, args) => {
-            execArgs = { cmd, args };
-            return { next: () => {} };
-        },
-        write: () => {}
-    });
-
-    await authenticateCommand(connection, 'user@example.com', { accessToken: 'token123' });
-
-    const payload = decodeSaslPayload(execArgs);
-    test.ok(payload.includes('port=143'), `expected port=143 in the SASL payload, got: ${JSON.stringify(payload)}`);
-    test.ok(payload.includes('host=imap.example.com'), 'the host field should still describe the connection');
-    test.done();
-};
-
-module.exports['Commands: OAUTHBEARER payload falls back to host when servername is false'] = async test => {
+        state: 2,
+        capabilities: new Map([['METADATA', true]]),
+        exec: async (cmd, attrs, opts) => {
+            execArgs = { cmd, attrs };
+            await opts.untagged.METADATA({
+                attributes: [
+                    { type: 'ATOM', value: 'INBOX' },
+                    [
+                        { type: 'ATOM', value: '/shared/comment' },
+                        { type: 'LITERAL', value: Buffer.from('Shared\r\nnote') },
+                        { type: 'ATOM', value: '/private/vendor/example/color' },
+                        { type: 'STRING', value: 'blue' },
+                        { type: 'ATOM', value: '/private/empty' },
+                        null,
+                        { type: 'ATOM', value: '__proto__' },
+                        { type: 'STRING', value: 'x' }
+                    ]
+                ]
+            });
+            // metadata for some other mailbox is ignored
+            await opts.untagged.METADATA({
+                attributes: [
+                    { type: 'ATOM', value: 'Archive' },
+                    [
+                        { type: 'ATOM', value: '/shared/comment' },
+                        { type: 'STRING', value: 'other' }
+                    ]
+                ]
+            });
+            // unsolicited change notification without values
+            await opts.untagged.METADATA({
+                attributes: [
+                    { type: 'ATOM', value: 'INBOX' },
+                    { type: 'ATOM', value: '/shared/comment' }
+                ]
+            });
+            return {
+                next: () => {},
+                response: {
+                    attributes: [
+                        {
+                            type: 'ATOM',
+                            value: '',
+                            section: [
+                                { type: 'ATOM', value: 'METADATA' },
+                                { type: 'ATOM', value: 'LONGENTRIES' },
+                                { type: 'ATOM', value: '2199' }
+                            ]
+                        }
+                    ]
+                }
+            };
+        }
+    });
+
+    const result = await getMetadataCommand(connection, 'inbox', ['/shared/comment', '/private/vendor/example/color', '/private/empty'], {
+        depth: 'Infinity',
+        maxSize: 1024
+    });
+    test.equal(execArgs.cmd, 'GETMETADATA');
+    test.deepEqual(execArgs.attrs, [
+        [
+            { type: 'ATOM', value: 'MAXSIZE' },
+            { type: 'ATOM', value: '1024' },
+            { type: 'ATOM', value: 'DEPTH' },
+            { type: 'ATOM', value: 'infinity' }
+        ],
+        { type: 'STRING', value: 'INBOX' },
+        [
+            { type: 'ATOM', value: '/shared/comment' },
+            { type: 'ATOM', value: '/private/vendor/example/color' },
+            { type: 'ATOM', value: '/private/empty' }
+        ]
+    ]);
+    test.deepEqual(result, {
+        path: 'INBOX',
+        entries: {
+            '/shared/comment': 'Shared\r\nnote',
+            '/private/vendor/example/color': 'blue',
+            '/private/empty': null
+        },
+        longEntries: 2199
+    });
+    test.ok(!Object.prototype.hasOwnProperty.call(result.entries, '__proto__'));
+    test.done();
+};
+
+module.exports['Commands: getmetadata reads server entries with METADATA-SERVER'] = async test => {
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['METADATA-SERVER', true]]),
+        exec: async (cmd, attrs, opts) => {
+            execArgs = { cmd, attrs };
+            await opts.untagged.METADATA({
+                attributes: [
+                    { type: 'STRING', value: '' },
+                    [
+                        { type: 'ATOM', value: '/shared/admin' },
+                        { type: 'STRING', value: 'mailto:admin@example.com' }
+                    ]
+                ]
+            });
+            return { next: () => {}, response: { attributes: [] } };
+        }
+    });
+
+    const result = await getMetadataCommand(connection, '', '/shared/admin');
+    test.deepEqual(execArgs.attrs, [{ type: 'STRING', value: '' }, [{ type: 'ATOM', value: '/shared/admin' }]]);
+    test.deepEqual(result, { path: '', entries: { '/shared/admin': 'mailto:admin@example.com' } });
+    test.done();
+};
+
+module.exports['Commands: getmetadata rejects invalid depth'] = async test => {
+    const connection = createMockConnection({ state: 2, capabilities: new Map([['METADATA', true]]) });
+
+    try {
+        await getMetadataCommand(connection, 'INBOX', '/shared/comment', { depth: 2 });
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'InvalidMetadataDepth');
+    }
+    test.done();
+};
+
+module.exports['Commands: getmetadata returns false on command failure'] = async test => {
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['METADATA', true]]),
+        exec: async () => {
+            throw commandError('Command failed', 'NO');
+        }
+    });
+
+    test.equal(await getMetadataCommand(connection, 'INBOX', '/shared/comment'), false);
+    test.done();
+};
+
+module.exports['Commands: setmetadata skips without entries or METADATA'] = async test => {
+    let connection = createMockConnection({ state: 2, capabilities: new Map([['METADATA', true]]) });
+    test.equal(await setMetadataCommand(connection, 'INBOX', {}), undefined);
+
+    connection = createMockConnection({ state: 2, capabilities: new Map([['METADATA-SERVER', true]]) });
+    test.equal(await setMetadataCommand(connection, 'INBOX', { '/private/comment': 'x' }), false);
+    test.done();
+};
+
+module.exports['Commands: setmetadata sends values, literals and NIL'] = async test => {
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['METADATA', true]]),
+        exec: async (cmd, attrs) => {
+            execArgs = { cmd, attrs };
+            return { next: () => {} };
+        }
+    });
+
+    const result = await setMetadataCommand(connection, 'Archive', {
+        '/private/vendor/example/color': 'blue',
+        '/shared/comment': 'multi\nline',
+        '/private/comment': null,
+        '/private/vendor/example/blob': Buffer.from([0, 1])
+    });
+    test.equal(result, true);
+    test.equal(execArgs.cmd, 'SETMETADATA');
+    test.deepEqual(execArgs.attrs, [
+        { type: 'STRING', value: 'Archive' },
+        [
+            { type: 'ATOM', value: '/private/vendor/example/color' },
+            { type: 'STRING', value: 'blue' },
+            { type: 'ATOM', value: '/shared/comment' },
+            { type: 'LITERAL', value: Buffer.from('multi\nline') },
+            { type: 'ATOM', value: '/private/comment' },
+            null,
+            { type: 'ATOM', value: '/private/vendor/example/blob' },
+            { type: 'LITERAL', value: Buffer.from([0, 1]) }
+        ]
+    ]);
+    test.done();
+};
+
+module.exports['Commands: setmetadata exposes METADATA response codes'] = async test => {
+    let failWith = section => async () => {
+        let err = commandError('Command failed', 'NO');
+        err.response = {
+            tag: 'A1',
+            command: 'NO',
+            attributes: [
+                { type: 'ATOM', value: '', section },
+                { type: 'TEXT', value: 'Rejected' }
+            ]
+        };
+        throw err;
+    };
+
+    let connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['METADATA-SERVER', true]]),
+        exec: failWith([
+            { type: 'ATOM', value: 'METADATA' },
+            { type: 'ATOM', value: 'MAXSIZE' },
+            { type: 'ATOM', value: '1024' }
+        ])
+    });
+
+    try {
+        await setMetadataCommand(connection, '', { '/shared/comment': 'x' });
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.serverResponseCode, 'METADATA');
+        test.equal(err.metadataCode, 'MAXSIZE');
+        test.equal(err.maxSize, 1024);
+    }
+
+    connection.exec = failWith([
+        { type: 'ATOM', value: 'METADATA' },
+        { type: 'ATOM', value: 'TOOMANY' }
+    ]);
+    try {
+        await setMetadataCommand(connection, '', { '/shared/comment': 'x' });
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.metadataCode, 'TOOMANY');
+        test.equal(err.maxSize, undefined);
+    }
+    test.done();
+};
+
+// ============================================
+// NOTIFY Command Tests
+// ============================================
+
+const notifyCommand = require('../lib/commands/notify');
+
+module.exports['Commands: notify skips when not authenticated'] = async test => {
+    const connection = createMockConnection({ state: 1, capabilities: new Map([['NOTIFY', true]]) });
+
+    test.equal(await notifyCommand(connection, { personal: ['messageNew'] }), undefined);
+    test.done();
+};
+
+module.exports['Commands: notify throws without NOTIFY capability'] = async test => {
+    const connection = createMockConnection({ state: 2 });
+
+    try {
+        await notifyCommand(connection, { personal: ['messageNew'] });
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'MissingServerExtension');
+    }
+    test.done();
+};
+
+module.exports['Commands: notify compiles declarative filters'] = async test => {
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map([['NOTIFY', true]]),
+        exec: async (cmd, attrs) => {
+            execArgs = { cmd, attrs };
+            return { next: () => {} };
+        }
+    });
+
+    let filters = {
+        selected: { events: ['flagChange'], fetch: ['uid', 'envelope'] },
+        inboxes: ['MESSAGENEW'],
+        personal: ['mailboxName', 'subscriptionChange'],
+        subtree: [
+            { paths: ['Projects'], events: ['messageExpunge'] },
+            { paths: ['Lists', 'Archive'], events: [] }
+        ],
+        mailboxes: { paths: 'Shared', events: ['mailboxMetadataChange'] },
+        subscribed: null
+    };
+    const result = await notifyCommand(connection, filters, { status: true });
+
+    test.equal(result, true);
+    test.equal(execArgs.cmd, 'NOTIFY');
+    const atom = value => ({ type: 'ATOM', value });
+    const str = value => ({ type: 'STRING', value });
+    test.deepEqual(execArgs.attrs, [
+        atom('SET'),
+        atom('STATUS'),
+        [atom('SELECTED'), [atom('MessageNew'), [atom('UID'), atom('ENVELOPE')], atom('MessageExpunge'), atom('FlagChange')]],
+        [atom('INBOXES'), [atom('MessageNew'), atom('MessageExpunge')]],
+        [atom('PERSONAL'), [atom('MailboxName'), atom('SubscriptionChange')]],
+        [atom('SUBTREE'), [str('Projects')], [atom('MessageNew'), atom('MessageExpunge')]],
+        [atom('SUBTREE'), [str('Lists'), str('Archive')], atom('NONE')],
+        [atom('MAILBOXES'), [str('Shared')], [atom('MailboxMetadataChange')]]
+    ]);
+    test.deepEqual(connection.notifyFilters, { filters, options: { status: true } });
+    test.done();
+};
+
+module.exports['Commands: notify sends NONE for falsy filters'] = async test => {
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['NOTIFY', true]]),
+        exec: async (cmd, attrs) => {
+            execArgs = { cmd, attrs };
+            return { next: () => {} };
+        }
+    });
+    connection.notifyFilters = { filters: { personal: ['messageNew'] }, options: {} };
+
+    test.equal(await notifyCommand(connection, false), true);
+    test.deepEqual(execArgs.attrs, [{ type: 'ATOM', value: 'NONE' }]);
+    test.equal(connection.notifyFilters, false);
+    test.done();
+};
+
+module.exports['Commands: notify rejects invalid filters'] = async test => {
+    const connection = createMockConnection({ state: 2, capabilities: new Map([['NOTIFY', true]]) });
+
+    test.throws(() => notifyCommand.compileNotifyFilters(connection, { personal: ['messageArrived'] }), /Unknown NOTIFY event/);
+    test.throws(() => notifyCommand.compileNotifyFilters(connection, { everything: ['messageNew'] }), /Unknown NOTIFY filter/);
+    test.throws(() => notifyCommand.compileNotifyFilters(connection, { subtree: ['messageNew'] }), /requires a list of mailbox paths/);
+    test.throws(() => notifyCommand.compileNotifyFilters(connection, { selected: null }, { status: true }), /can not be empty/);
+    test.done();
+};
+
+module.exports['Commands: notify exposes BADEVENT and keeps previous filters'] = async test => {
+    const previous = { filters: { personal: ['messageNew'] }, options: {} };
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['NOTIFY', true]]),
+        exec: async () => {
+            let err = commandError('Command failed', 'NO');
+            err.response = {
+                tag: 'A1',
+                command: 'NO',
+                attributes: [
+                    {
+                        type: 'ATOM',
+                        value: '',
+                        section: [
+                            { type: 'ATOM', value: 'BADEVENT' },
+                            [
+                                { type: 'ATOM', value: 'MessageNew' },
+                                { type: 'ATOM', value: 'MessageExpunge' }
+                            ]
+                        ]
+                    },
+                    { type: 'TEXT', value: 'Unsupported events' }
+                ]
+            };
+            throw err;
+        }
+    });
+    connection.notifyFilters = previous;
+
+    try {
+        await notifyCommand(connection, { personal: ['annotationChange'] });
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.serverResponseCode, 'BADEVENT');
+        test.deepEqual(err.badEvents, ['MessageNew', 'MessageExpunge']);
+    }
+    test.equal(connection.notifyFilters, previous);
+    test.done();
+};
+
+// ============================================
+// ACL Command Tests
+// ============================================
+
+const getAclCommand = require('../lib/commands/getacl');
+const setAclCommand = require('../lib/commands/setacl');
+const deleteAclCommand = require('../lib/commands/deleteacl');
+const listRightsCommand = require('../lib/commands/listrights');
+const myRightsCommand = require('../lib/commands/myrights');
+const { parseRights, compileRights } = require('../lib/commands/acl-rights');
+
+module.exports['Commands: acl rights parse into flags'] = test => {
+    let rights = parseRights('lrswipkxtea');
+    test.equal(rights.rights, 'lrswipkxtea');
+    for (let key of ['lookup', 'read', 'seen', 'write', 'insert', 'post', 'createMailbox', 'deleteMailbox', 'deleteMessages', 'expunge', 'administer']) {
+        test.equal(rights[key], true, key);
+    }
+
+    rights = parseRights('lr0');
+    test.equal(rights.lookup, true);
+    test.equal(rights.read, true);
+    test.equal(rights.insert, false);
+    test.equal(rights.rights, 'lr0');
+
+    test.equal(parseRights(null).lookup, false);
+    test.done();
+};
+
+module.exports['Commands: acl rights map obsolete c and d rights'] = test => {
+    let rights = parseRights('lrc');
+    test.equal(rights.createMailbox, true);
+    test.equal(rights.deleteMailbox, false);
+
+    rights = parseRights('lrd');
+    test.equal(rights.createMailbox, false);
+    test.equal(rights.deleteMessages, true);
+    test.equal(rights.expunge, true);
+    test.equal(rights.deleteMailbox, true);
+    test.done();
+};
+
+module.exports['Commands: acl rights compile from strings and objects'] = test => {
+    test.equal(compileRights(' +lr '), '+lr');
+    test.equal(compileRights('-a'), '-a');
+    test.equal(compileRights({ read: true, lookup: true, administer: false, expunge: 1 }), 'lre');
+    test.equal(compileRights(parseRights('lrd')), 'lrxte');
+    test.equal(compileRights(null), '');
+    test.done();
+};
+
+module.exports['Commands: getacl skips when not authenticated or without path'] = async test => {
+    let connection = createMockConnection({ state: 1, capabilities: new Map([['ACL', true]]) });
+    test.equal(await getAclCommand(connection, 'INBOX'), undefined);
+
+    connection = createMockConnection({ state: 2, capabilities: new Map([['ACL', true]]) });
+    test.equal(await getAclCommand(connection, ''), undefined);
+    test.done();
+};
+
+module.exports['Commands: getacl returns false without ACL capability'] = async test => {
+    const connection = createMockConnection({ state: 2 });
+    test.equal(await getAclCommand(connection, 'INBOX'), false);
+    test.done();
+};
+
+module.exports['Commands: getacl parses ACL entries'] = async test => {
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['ACL', true]]),
+        exec: async (cmd, attrs, opts) => {
+            execArgs = { cmd, attrs };
+            await opts.untagged.ACL({
+                attributes: [
+                    { type: 'STRING', value: 'Shared/Sales' },
+                    { type: 'ATOM', value: 'alice' },
+                    { type: 'ATOM', value: 'lrswipkxtea' },
+                    { type: 'STRING', value: 'anyone' },
+                    { type: 'STRING', value: 'lr' }
+                ]
+            });
+            // response for another mailbox is ignored
+            await opts.untagged.ACL({
+                attributes: [
+                    { type: 'STRING', value: 'Other' },
+                    { type: 'ATOM', value: 'bob' },
+                    { type: 'ATOM', value: 'l' }
+                ]
+            });
+            return { next: () => {} };
+        }
+    });
+
+    const result = await getAclCommand(connection, 'Shared/Sales');
+    test.equal(execArgs.cmd, 'GETACL');
+    test.deepEqual(execArgs.attrs, [{ type: 'STRING', value: 'Shared/Sales' }]);
+    test.equal(result.length, 2);
+    test.equal(result[0].identifier, 'alice');
+    test.equal(result[0].rights.administer, true);
+    test.equal(result[1].identifier, 'anyone');
+    test.equal(result[1].rights.read, true);
+    test.equal(result[1].rights.write, false);
+    test.done();
+};
+
+module.exports['Commands: getacl returns false on failure'] = async test => {
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['ACL', true]]),
+        exec: async () => {
+            throw commandError('Permission denied', 'NO');
+        }
+    });
+
+    test.equal(await getAclCommand(connection, 'INBOX'), false);
+    test.done();
+};
+
+module.exports['Commands: setacl sends rights string'] = async test => {
+    let calls = [];
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['ACL', true]]),
+        exec: async (cmd, attrs) => {
+            calls.push({ cmd, attrs });
+            return { next: () => {} };
+        }
+    });
+
+    test.equal(await setAclCommand(connection, 'Shared/Sales', 'alice', '+lrs'), true);
+    test.equal(await setAclCommand(connection, 'Shared/Sales', 'bob', { lookup: true, read: true }), true);
+    test.equal(calls[0].cmd, 'SETACL');
+    test.deepEqual(calls[0].attrs, [
+        { type: 'STRING', value: 'Shared/Sales' },
+        { type: 'STRING', value: 'alice' },
+        { type: 'STRING', value: '+lrs' }
+    ]);
+    test.deepEqual(calls[1].attrs[2], { type: 'STRING', value: 'lr' });
+    test.done();
+};
+
+module.exports['Commands: setacl returns false without ACL and throws on failure'] = async test => {
+    let connection = createMockConnection({ state: 2 });
+    test.equal(await setAclCommand(connection, 'INBOX', 'alice', 'lr'), false);
+
+    connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['ACL', true]]),
+        exec: async () => {
+            throw commandError('Permission denied', 'NO');
+        }
+    });
+    try {
+        await setAclCommand(connection, 'INBOX', 'alice', 'lr');
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.responseStatus, 'NO');
+    }
+    test.done();
+};
+
+module.exports['Commands: deleteacl sends identifier'] = async test => {
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['ACL', true]]),
+        exec: async (cmd, attrs) => {
+            execArgs = { cmd, attrs };
+            return { next: () => {} };
+        }
+    });
+
+    test.equal(await deleteAclCommand(connection, 'Shared/Sales', 'alice'), true);
+    test.equal(await deleteAclCommand(connection, 'Shared/Sales', ''), undefined);
+    test.equal(execArgs.cmd, 'DELETEACL');
+    test.deepEqual(execArgs.attrs, [
+        { type: 'STRING', value: 'Shared/Sales' },
+        { type: 'STRING', value: 'alice' }
+    ]);
+    test.done();
+};
+
+module.exports['Commands: deleteacl throws on failure'] = async test => {
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['ACL', true]]),
+        exec: async () => {
+            throw commandError('No such identifier', 'NO');
+        }
+    });
+
+    try {
+        await deleteAclCommand(connection, 'INBOX', 'alice');
+        test.ok(false, 'should have thrown');
+    } catch (err) {
+        test.equal(err.responseStatus, 'NO');
+    }
+    test.done();
+};
+
+module.exports['Commands: listrights parses required and optional rights'] = async test => {
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['ACL', true]]),
+        exec: async (cmd, attrs, opts) => {
+            execArgs = { cmd, attrs };
+            await opts.untagged.LISTRIGHTS({
+                attributes: [
+                    { type: 'STRING', value: 'Shared/Sales' },
+                    { type: 'ATOM', value: 'alice' },
+                    { type: 'STRING', value: '' },
+                    { type: 'ATOM', value: 'l' },
+                    { type: 'ATOM', value: 'r' },
+                    { type: 'ATOM', value: 'kxte' }
+                ]
+            });
+            return { next: () => {} };
+        }
+    });
+
+    const result = await listRightsCommand(connection, 'Shared/Sales', 'alice');
+    test.equal(execArgs.cmd, 'LISTRIGHTS');
+    test.deepEqual(execArgs.attrs, [
+        { type: 'STRING', value: 'Shared/Sales' },
+        { type: 'STRING', value: 'alice' }
+    ]);
+    test.equal(result.path, 'Shared/Sales');
+    test.equal(result.identifier, 'alice');
+    test.equal(result.required.rights, '');
+    test.deepEqual(
+        result.optional.map(group => group.rights),
+        ['l', 'r', 'kxte']
+    );
+    test.equal(result.optional[2].deleteMailbox, true);
+    test.done();
+};
+
+module.exports['Commands: listrights returns false without ACL or on failure'] = async test => {
+    let connection = createMockConnection({ state: 2 });
+    test.equal(await listRightsCommand(connection, 'INBOX', 'alice'), false);
+
+    connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['ACL', true]]),
+        exec: async () => {
+            throw commandError('Permission denied', 'NO');
+        }
+    });
+    test.equal(await listRightsCommand(connection, 'INBOX', 'alice'), false);
+    test.done();
+};
+
+module.exports['Commands: myrights parses current user rights'] = async test => {
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 3,
+        capabilities: new Map([['ACL', true]]),
+        exec: async (cmd, attrs, opts) => {
+            execArgs = { cmd, attrs };
+            await opts.untagged.MYRIGHTS({
+                attributes: [
+                    { type: 'ATOM', value: 'INBOX' },
+                    { type: 'ATOM', value: 'lrswicd' }
+                ]
+            });
+            return { next: () => {} };
+        }
+    });
+
+    const result = await myRightsCommand(connection, 'inbox');
+    test.equal(execArgs.cmd, 'MYRIGHTS');
+    test.deepEqual(execArgs.attrs, [{ type: 'STRING', value: 'INBOX' }]);
+    test.equal(result.rights, 'lrswicd');
+    test.equal(result.createMailbox, true);
+    test.equal(result.expunge, true);
+    test.equal(result.administer, false);
+    test.done();
+};
+
+module.exports['Commands: myrights returns empty rights without a response'] = async test => {
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['ACL', true]]),
+        exec: async () => ({ next: () => {} })
+    });
+
+    const result = await myRightsCommand(connection, 'INBOX');
+    test.equal(result.rights, '');
+    test.equal(result.lookup, false);
+    test.done();
+};
+
+module.exports['Commands: myrights returns false without ACL or on failure'] = async test => {
+    let connection = createMockConnection({ state: 2 });
+    test.equal(await myRightsCommand(connection, 'INBOX'), false);
+
+    connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['ACL', true]]),
+        exec: async () => {
+            throw commandError('Mailbox does not exist', 'NO');
+        }
+    });
+    test.equal(await myRightsCommand(connection, 'INBOX'), false);
+    test.done();
+};
+
+module.exports['Commands: list requests MYRIGHTS with LIST-MYRIGHTS'] = async test => {
+    let listAttrs = null;
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([
+            ['LIST-EXTENDED', true],
+            ['LIST-MYRIGHTS', true]
+        ]),
+        exec: async (cmd, attrs, opts) => {
+            if (cmd === 'LIST') {
+                listAttrs = attrs;
+                await opts.untagged.LIST({
+                    attributes: [[{ value: '\\Subscribed' }], { value: '/' }, { value: 'INBOX' }]
+                });
+                await opts.untagged.LIST({
+                    attributes: [[{ value: '\\HasNoChildren' }], { value: '/' }, { value: 'Shared' }]
+                });
+                // rights may be reported after the LIST response they belong to
+                await opts.untagged.MYRIGHTS({
+                    attributes: [{ value: 'INBOX' }, { value: 'lrswipkxtea' }]
+                });
+                await opts.untagged.MYRIGHTS({
+                    attributes: [{ value: 'Shared' }, { value: 'lr' }]
+                });
+            }
+            return { next: () => {} };
+        }
+    });
+
+    const result = await listCommand(connection, '', '*');
+    let returnArgs = listAttrs[3].map(attr => attr.value);
+    test.ok(returnArgs.includes('MYRIGHTS'));
+    test.equal(result.find(entry => entry.path === 'INBOX').myRights.administer, true);
+    let shared = result.find(entry => entry.path === 'Shared');
+    test.equal(shared.myRights.read, true);
+    test.equal(shared.myRights.write, false);
+    test.done();
+};
+
+module.exports['Commands: list does not request MYRIGHTS without LIST-MYRIGHTS'] = async test => {
+    let listAttrs = null;
+    const connection = createMockConnection({
+        state: 2,
+        capabilities: new Map([['LIST-EXTENDED', true]]),
+        exec: async (cmd, attrs, opts) => {
+            if (cmd === 'LIST') {
+                listAttrs = attrs;
+                await opts.untagged.LIST({
+                    attributes: [[{ value: '\\Subscribed' }], { value: '/' }, { value: 'INBOX' }]
+                });
+            }
+            return { next: () => {} };
+        }
+    });
+
+    const result = await listCommand(connection, '', '*');
+    test.ok(!JSON.stringify(listAttrs).includes('MYRIGHTS'));
+    test.equal(result[0].myRights, undefined);
+    test.done();
+};
+
+// ============================================
+// AUTHENTICATE Command Tests
+// ============================================
+
+const authenticateCommand = require('../lib/commands/authenticate');
+
+module.exports['Commands: authenticate skips when already authenticated'] = async test => {
+    const connection = createMockConnection({
+        state: 2 // AUTHENTICATED
+    });
+
+    const result = await authenticateCommand(connection, 'user', { password: 'pass' });
+    test.equal(result, undefined);
+    test.done();
+};
+
+module.exports['Commands: authenticate with OAUTHBEARER'] = async test => {
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 1, // NOT_AUTHENTICATED
+        capabilities: new Map([['AUTH=OAUTHBEARER', true]]),
+        servername: 'imap.example.com',
+        authCapabilities: new Map(),
+        exec: async (cmd, args) => {
+            execArgs = { cmd, args };
+            return { next: () => {} };
+        },
+        write: () => {}
+    });
+
+    const result = await authenticateCommand(connection, 'user@example.com', { accessToken: 'token123' });
+    test.equal(result, 'user@example.com');
+    test.equal(execArgs.cmd, 'AUTHENTICATE');
+    test.equal(execArgs.args[0].value, 'OAUTHBEARER');
+    test.ok(connection.authCapabilities.has('AUTH=OAUTHBEARER'));
+    test.ok(decodeSaslPayload(execArgs).includes('port=993'), 'the payload should report the connection port');
+    test.done();
+};
+
+module.exports['Commands: OAUTHBEARER payload reports the port actually in use'] = async test => {
+    // Regression: the port field was hardcoded to 993 - see lib/commands/authenticate.js.
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 1,
+        capabilities: new Map([['AUTH=OAUTHBEARER', true]]),
+        servername: 'imap.example.com',
+        port: 143,
+        authCapabilities: new Map(),
+        exec: async (cmd, args) => {
+            execArgs = { cmd, args };
+            return { next: () => {} };
+        },
+        write: () => {}
+    });
+
+    await authenticateCommand(connection, 'user@example.com', { accessToken: 'token123' });
+
+    const payload = decodeSaslPayload(execArgs);
+    test.ok(payload.includes('port=143'), `expected port=143 in the SASL payload, got: ${JSON.stringify(payload)}`);
+    test.ok(payload.includes('host=imap.example.com'), 'the host field should still describe the connection');
+    test.done();
+};
+
+module.exports['Commands: OAUTHBEARER payload falls back to host when servername is false'] = async test => {
     // imap-flow.js sets servername = false for a bare-IP host, which rendered as "host=false".
     let execArgs = null;
     const connection = createMockConnection({
@@ -9827,6 +11576,396 @@ module.exports['Commands: authenticate prefers OAuth when accessToken provided']
     test.done();
 };
 
+// Server side of a SCRAM-SHA-256 exchange for the AUTHENTICATE mock. Drives the onPlusTag
+// handler like the connection would and records what the client wrote back.
+const runScramServer = async (opts, password, overrides = {}) => {
+    const challenge = value => ({ attributes: value ? [{ type: 'TEXT', value: Buffer.from(value).toString('base64') }] : [] });
+
+    let written = [];
+    opts.writes = written;
+
+    await opts.onPlusTag(challenge(''));
+    let clientFirst = Buffer.from(written.shift(), 'base64').toString();
+    let clientFirstBare = clientFirst.replace(/^[^,]*,[^,]*,/, '');
+    let clientNonce = clientFirstBare.match(/r=([^,]*)/)[1];
+
+    let serverFirst = `r=${clientNonce}server,s=${Buffer.from('salt').toString('base64')},i=4096`;
+    await opts.onPlusTag(challenge(serverFirst));
+    let clientFinal = Buffer.from(written.shift(), 'base64').toString();
+    if (clientFinal === '*') {
+        return { clientFirst, clientFinal };
+    }
+
+    let authMessage = [clientFirstBare, serverFirst, clientFinal.replace(/,p=[^,]*$/, '')].join(',');
+    let saltedPassword = crypto.pbkdf2Sync(password, 'salt', 4096, 32, 'sha256');
+    let serverKey = crypto.createHmac('sha256', saltedPassword).update('Server Key').digest();
+    let serverSignature = crypto.createHmac('sha256', serverKey).update(authMessage).digest('base64');
+
+    if (!overrides.skipServerFinal) {
+        await opts.onPlusTag(challenge(`v=${overrides.serverSignature || serverSignature}`));
+    }
+    return { clientFirst, clientFinal, finalResponse: written.shift() };
+};
+
+const scramConnection = (capabilities, password, overrides = {}) => {
+    let exchange = {};
+    const connection = createMockConnection({
+        state: 1,
+        capabilities: new Map(capabilities.map(capability => [capability, true])),
+        authCapabilities: new Map(),
+        exec: async (cmd, args, opts) => {
+            exchange.cmd = cmd;
+            exchange.args = args;
+            exchange.opts = opts;
+            Object.assign(exchange, await runScramServer(opts, password, overrides));
+            if (exchange.finalResponse === '*' || exchange.clientFinal === '*') {
+                // the server answers a cancelled exchange with BAD
+                throw commandError('AUTHENTICATE cancelled', 'BAD');
+            }
+            return { next: () => {} };
+        },
+        write: value => exchange.opts.writes.push(value)
+    });
+    return { connection, exchange };
+};
+
+module.exports['Commands: authenticate with SCRAM-SHA-256 when plaintext mechanisms are missing'] = async test => {
+    const { connection, exchange } = scramConnection(['AUTH=SCRAM-SHA-1', 'AUTH=SCRAM-SHA-256'], 'secret');
+
+    const result = await authenticateCommand(connection, 'user@example.com', { password: 'secret' });
+    test.equal(result, 'user@example.com');
+    test.equal(exchange.args[0].value, 'SCRAM-SHA-256');
+    test.ok(/^n,,n=user@example.com,r=/.test(exchange.clientFirst));
+    // channel binding header without binding data
+    test.ok(exchange.clientFinal.startsWith('c=biws,'));
+    // server-final-message is acknowledged with an empty response
+    test.equal(exchange.finalResponse, '');
+    test.ok(connection.authCapabilities.has('AUTH=SCRAM-SHA-256'));
+    test.done();
+};
+
+module.exports['Commands: authenticate uses SCRAM from loginMethod over PLAIN'] = async test => {
+    const { connection, exchange } = scramConnection(['AUTH=PLAIN', 'AUTH=SCRAM-SHA-256'], 'secret');
+
+    const result = await authenticateCommand(connection, 'user', { password: 'secret', loginMethod: 'AUTH=SCRAM-SHA-256', authzid: 'other' });
+    test.equal(result, 'other');
+    test.equal(exchange.args[0].value, 'SCRAM-SHA-256');
+    test.ok(exchange.clientFirst.startsWith('n,a=other,n=user,'));
+    test.done();
+};
+
+module.exports['Commands: authenticate SCRAM rejects a server that does not know the password'] = async test => {
+    const { connection, exchange } = scramConnection(['AUTH=SCRAM-SHA-256'], 'secret', { serverSignature: Buffer.alloc(32).toString('base64') });
+
+    try {
+        await authenticateCommand(connection, 'user', { password: 'secret' });
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'ScramError');
+        test.ok(err.authenticationFailed);
+    }
+    // the exchange is cancelled instead of completed
+    test.equal(exchange.finalResponse, '*');
+    test.done();
+};
+
+module.exports['Commands: authenticate SCRAM fails without server-final-message'] = async test => {
+    const { connection } = scramConnection(['AUTH=SCRAM-SHA-256'], 'secret', { skipServerFinal: true });
+
+    try {
+        await authenticateCommand(connection, 'user', { password: 'secret' });
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.ok(/did not verify/.test(err.message));
+        test.ok(err.authenticationFailed);
+        test.ok(!connection.authCapabilities.has('AUTH=SCRAM-SHA-256'));
+    }
+    test.done();
+};
+
+module.exports['Commands: authenticate SCRAM -PLUS requires channel binding'] = async test => {
+    const { connection } = scramConnection(['AUTH=SCRAM-SHA-256-PLUS'], 'secret');
+
+    try {
+        await authenticateCommand(connection, 'user', { password: 'secret', loginMethod: 'AUTH=SCRAM-SHA-256-PLUS' });
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.ok(/Channel binding is not available/.test(err.message));
+        test.ok(err.authenticationFailed);
+    }
+    test.done();
+};
+
+const { mechanisms: saslMechanisms, registerSaslMechanism } = require('../lib/commands/sasl-mechanisms');
+
+module.exports['Commands: authenticate runs a registered SASL mechanism'] = async test => {
+    let contexts = [];
+    let challenges = [];
+    registerSaslMechanism('x-test', context => {
+        contexts.push(context);
+        return {
+            initialResponse: 'hello',
+            step: async challenge => {
+                challenges.push(challenge.toString());
+                return `${context.username}:${context.token}`;
+            },
+            identity: 'tester'
+        };
+    });
+
+    let execArgs = null;
+    let written = [];
+    const connection = createMockConnection({
+        state: 1,
+        capabilities: new Map([
+            ['AUTH=PLAIN', true],
+            ['AUTH=X-TEST', true]
+        ]),
+        authCapabilities: new Map(),
+        exec: async (cmd, args, opts) => {
+            execArgs = { cmd, args };
+            await opts.onPlusTag({ attributes: [{ type: 'TEXT', value: Buffer.from('ticket').toString('base64') }] });
+            return { next: () => {} };
+        },
+        write: value => written.push(Buffer.from(value, 'base64').toString())
+    });
+
+    try {
+        const result = await authenticateCommand(connection, 'user', { password: 'pass', token: 'abc', mechanisms: ['X-TEST', 'PLAIN'] });
+        test.equal(result, 'tester');
+        test.equal(execArgs.args[0].value, 'X-TEST');
+        test.equal(Buffer.from(execArgs.args[1].value, 'base64').toString(), 'hello');
+        test.equal(execArgs.args[1].sensitive, true);
+        test.deepEqual(challenges, ['ticket']);
+        test.deepEqual(written, ['user:abc']);
+        test.equal(contexts[0].mechanism, 'X-TEST');
+        test.equal(contexts[0].connection, connection);
+        test.ok(connection.authCapabilities.has('AUTH=X-TEST'));
+    } finally {
+        saslMechanisms.delete('X-TEST');
+    }
+    test.done();
+};
+
+module.exports['Commands: authenticate skips mechanisms that decline the credentials'] = async test => {
+    registerSaslMechanism('X-TEST', () => false);
+
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 1,
+        capabilities: new Map([
+            ['AUTH=X-TEST', true],
+            ['AUTH=LOGIN', true],
+            ['AUTH=PLAIN', true]
+        ]),
+        authCapabilities: new Map(),
+        exec: async (cmd, args) => {
+            execArgs = { cmd, args };
+            return { next: () => {} };
+        },
+        write: () => {}
+    });
+
+    try {
+        await authenticateCommand(connection, 'user', { password: 'pass', mechanisms: ['x-test', 'auth=login', 'PLAIN'] });
+        test.equal(execArgs.args[0].value, 'LOGIN');
+    } finally {
+        saslMechanisms.delete('X-TEST');
+    }
+    test.done();
+};
+
+module.exports['Commands: authenticate cancels the exchange when a mechanism step fails'] = async test => {
+    registerSaslMechanism('X-TEST', () => ({
+        step: () => {
+            throw new Error('No ticket available');
+        }
+    }));
+
+    let written = [];
+    const connection = createMockConnection({
+        state: 1,
+        capabilities: new Map([['AUTH=X-TEST', true]]),
+        authCapabilities: new Map(),
+        exec: async (cmd, args, opts) => {
+            await opts.onPlusTag({ attributes: [] });
+            throw commandError('AUTHENTICATE cancelled', 'BAD');
+        },
+        write: value => written.push(value)
+    });
+
+    try {
+        await authenticateCommand(connection, 'user', { password: 'pass' });
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.message, 'No ticket available');
+        test.ok(err.authenticationFailed);
+    } finally {
+        saslMechanisms.delete('X-TEST');
+    }
+    test.deepEqual(written, ['*']);
+    test.done();
+};
+
+module.exports['Commands: authenticate rejects when a mechanism finish check fails'] = async test => {
+    registerSaslMechanism('X-TEST', () => ({
+        finish: () => {
+            throw new Error('Mutual authentication failed');
+        }
+    }));
+
+    const connection = createMockConnection({
+        state: 1,
+        capabilities: new Map([['AUTH=X-TEST', true]]),
+        authCapabilities: new Map(),
+        exec: async () => ({ next: () => {} })
+    });
+
+    try {
+        await authenticateCommand(connection, 'user', { password: 'pass' });
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.message, 'Mutual authentication failed');
+        test.ok(err.authenticationFailed);
+        test.ok(!connection.authCapabilities.has('AUTH=X-TEST'));
+    } finally {
+        saslMechanisms.delete('X-TEST');
+    }
+    test.done();
+};
+
+module.exports['Commands: authenticate forced login method must be registered'] = async test => {
+    const connection = createMockConnection({
+        state: 1,
+        capabilities: new Map([['AUTH=PLAIN', true]]),
+        exec: async () => ({ next: () => {} })
+    });
+
+    try {
+        await authenticateCommand(connection, 'user', { password: 'pass', loginMethod: 'AUTH=UNKNOWN' });
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'UnsupportedAuthMechanism');
+    }
+    test.done();
+};
+
+module.exports['Commands: authenticate CRAM-MD5 answers the challenge'] = async test => {
+    let execArgs = null;
+    let written = [];
+    const connection = createMockConnection({
+        state: 1,
+        capabilities: new Map([
+            ['LOGINDISABLED', true],
+            ['AUTH=CRAM-MD5', true]
+        ]),
+        authCapabilities: new Map(),
+        exec: async (cmd, args, opts) => {
+            execArgs = { cmd, args };
+            // RFC 2195 example exchange
+            await opts.onPlusTag({
+                attributes: [{ type: 'TEXT', value: Buffer.from('<1896.697170952@postoffice.reston.mci.net>').toString('base64') }]
+            });
+            return { next: () => {} };
+        },
+        write: value => written.push(Buffer.from(value, 'base64').toString())
+    });
+
+    const result = await authenticateCommand(connection, 'tim', { password: 'tanstaaftanstaaf', allowCramMd5: true });
+    test.equal(result, 'tim');
+    test.equal(execArgs.args.length, 1);
+    test.equal(execArgs.args[0].value, 'CRAM-MD5');
+    test.deepEqual(written, ['tim b913a602c7eda7a495b4e6e7334d3890']);
+    test.ok(connection.authCapabilities.has('AUTH=CRAM-MD5'));
+    test.done();
+};
+
+module.exports['Commands: authenticate never selects CRAM-MD5 without opt-in'] = async test => {
+    let execCalled = false;
+    const connection = createMockConnection({
+        state: 1,
+        capabilities: new Map([['AUTH=CRAM-MD5', true]]),
+        exec: async () => {
+            execCalled = true;
+            return { next: () => {} };
+        }
+    });
+
+    try {
+        await authenticateCommand(connection, 'tim', { password: 'tanstaaftanstaaf' });
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'UnsupportedAuthMechanism');
+    }
+    test.equal(execCalled, false);
+    test.done();
+};
+
+module.exports['Commands: authenticate CRAM-MD5 forced with loginMethod'] = async test => {
+    let execArgs = null;
+    const connection = createMockConnection({
+        state: 1,
+        capabilities: new Map([
+            ['AUTH=CRAM-MD5', true],
+            ['AUTH=PLAIN', true]
+        ]),
+        authCapabilities: new Map(),
+        exec: async (cmd, args, opts) => {
+            execArgs = { cmd, args };
+            await opts.onPlusTag({ attributes: [{ type: 'TEXT', value: Buffer.from('<1.2@example.com>').toString('base64') }] });
+            return { next: () => {} };
+        },
+        write: () => {}
+    });
+
+    await authenticateCommand(connection, 'tim', { password: 'secret', loginMethod: 'AUTH=CRAM-MD5' });
+    test.equal(execArgs.args[0].value, 'CRAM-MD5');
+    test.done();
+};
+
+module.exports['Commands: authenticate CRAM-MD5 failure includes serverResponseCode'] = async test => {
+    const connection = createMockConnection({
+        state: 1,
+        capabilities: new Map([['AUTH=CRAM-MD5', true]]),
+        authCapabilities: new Map(),
+        exec: async (cmd, args, opts) => {
+            await opts.onPlusTag({ attributes: [{ type: 'TEXT', value: Buffer.from('<1.2@example.com>').toString('base64') }] });
+            const err = new Error('Auth failed');
+            err.response = {
+                tag: 'A1',
+                command: 'NO',
+                attributes: [
+                    {
+                        type: 'SECTION',
+                        section: [{ type: 'ATOM', value: 'AUTHENTICATIONFAILED' }]
+                    },
+                    { type: 'TEXT', value: 'Authentication failed' }
+                ]
+            };
+            throw err;
+        },
+        write: () => {}
+    });
+
+    try {
+        await authenticateCommand(connection, 'tim', { password: 'wrong', allowCramMd5: true });
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.authenticationFailed, true);
+        test.equal(err.serverResponseCode, 'AUTHENTICATIONFAILED');
+        test.ok(!connection.authCapabilities.has('AUTH=CRAM-MD5'));
+    }
+    test.done();
+};
+
+module.exports['Commands: registerSaslMechanism validates arguments'] = test => {
+    test.throws(() => registerSaslMechanism('', () => false), /Invalid SASL mechanism/);
+    test.throws(() => registerSaslMechanism('BAD NAME', () => false), /Invalid SASL mechanism/);
+    test.throws(() => registerSaslMechanism('X-TEST', null), /Invalid SASL mechanism/);
+    test.ok(!saslMechanisms.has('X-TEST'));
+    test.done();
+};
+
 // ============================================
 // CREATE Command Tests
 // ============================================
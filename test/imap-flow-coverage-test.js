@@ -5,6 +5,8 @@
 // reader/handler error branches.
 
 const { ImapFlow } = require('../lib/imap-flow');
+const { mechanisms } = require('../lib/commands/sasl-mechanisms');
+const authenticateCommand = require('../lib/commands/authenticate');
 
 const makeClient = (overrides = {}) => {
     let client = new ImapFlow({
@@ -289,6 +291,171 @@ module.exports['Coverage: authenticate throws when run yields falsy auth result'
     test.done();
 };
 
+module.exports['Coverage: authenticate uses AUTHENTICATE when only SCRAM is advertised'] = async test => {
+    let client = makeClient();
+    client.state = client.states.NOT_AUTHENTICATED;
+    client.capabilities = new Map([
+        ['LOGINDISABLED', true],
+        ['AUTH=SCRAM-SHA-256', true]
+    ]);
+    let calls = [];
+    client.run = async (...args) => {
+        calls.push(args);
+        return args[0] === 'AUTHENTICATE' ? 'test' : true;
+    };
+
+    test.equal(await client.authenticate(), true);
+    test.equal(calls[0][0], 'AUTHENTICATE');
+    test.equal(calls[0][2].password, 'test');
+    test.done();
+};
+
+module.exports['Coverage: authenticate falls back to LOGIN when no SASL mechanism takes a password'] = async test => {
+    let client = makeClient();
+    client.state = client.states.NOT_AUTHENTICATED;
+    client.capabilities = new Map([['AUTH=XOAUTH2', true]]);
+    let calls = [];
+    client.run = async (...args) => {
+        calls.push(args[0]);
+        if (args[0] === 'AUTHENTICATE') {
+            let error = new Error('Unsupported authentication mechanism');
+            error.code = 'UnsupportedAuthMechanism';
+            throw error;
+        }
+        return true;
+    };
+
+    test.equal(await client.authenticate(), true);
+    test.deepEqual(calls.slice(0, 2), ['AUTHENTICATE', 'LOGIN']);
+    test.done();
+};
+
+module.exports['Coverage: authenticate does not fall back to LOGIN for an unknown forced SASL method'] = async test => {
+    let client = makeClient({ auth: { user: 'test', pass: 'secret', loginMethod: 'AUTH=SCRAM-SHA256' } });
+    client.state = client.states.NOT_AUTHENTICATED;
+    client.capabilities = new Map([
+        ['AUTH=PLAIN', true],
+        ['AUTH=SCRAM-SHA-256', true]
+    ]);
+    let calls = [];
+    client.run = async (command, ...args) => {
+        calls.push(command);
+        if (command === 'AUTHENTICATE') {
+            return await authenticateCommand(client, ...args);
+        }
+        return true;
+    };
+
+    try {
+        await client.authenticate();
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'UnsupportedAuthMechanism');
+    }
+    test.deepEqual(calls, ['AUTHENTICATE']);
+    test.done();
+};
+
+module.exports['Coverage: registerSaslMechanism adds mechanisms used by authenticate'] = async test => {
+    ImapFlow.registerSaslMechanism('X-COVERAGE', () => ({}));
+
+    let client = makeClient({ auth: { user: 'test', token: 'abc', mechanisms: ['X-COVERAGE'] } });
+    client.state = client.states.NOT_AUTHENTICATED;
+    client.capabilities = new Map([['AUTH=X-COVERAGE', true]]);
+    let calls = [];
+    client.run = async (...args) => {
+        calls.push(args);
+        return 'test';
+    };
+
+    try {
+        test.equal(await client.authenticate(), true);
+        test.equal(calls[0][0], 'AUTHENTICATE');
+        test.equal(calls[0][2].token, 'abc');
+        test.deepEqual(calls[0][2].mechanisms, ['X-COVERAGE']);
+    } finally {
+        mechanisms.delete('X-COVERAGE');
+    }
+    test.done();
+};
+
+module.exports['Coverage: authenticate asks the token provider for a new token once when it is rejected'] = async test => {
+    let forced = [];
+    let client = makeClient({
+        auth: {
+            user: 'test',
+            getAccessToken: async ({ force }) => {
+                forced.push(force);
+                return force ? 'fresh-token' : 'cached-token';
+            }
+        }
+    });
+    client.state = client.states.NOT_AUTHENTICATED;
+    client.capabilities = new Map([['AUTH=OAUTHBEARER', true]]);
+    let tokens = [];
+    client.run = async (...args) => {
+        if (args[0] !== 'AUTHENTICATE') {
+            return true;
+        }
+        tokens.push(args[2].accessToken);
+        if (args[2].accessToken === 'cached-token') {
+            let error = new Error('Authentication failed');
+            error.authenticationFailed = true;
+            error.oauthError = { status: 'invalid_token', scope: 'mail' };
+            throw error;
+        }
+        return 'test';
+    };
+
+    test.equal(await client.authenticate(), true);
+    test.deepEqual(forced, [false, true]);
+    test.deepEqual(tokens, ['cached-token', 'fresh-token']);
+    test.done();
+};
+
+module.exports['Coverage: authenticate does not refresh the token for other failures'] = async test => {
+    let forced = [];
+    let client = makeClient({
+        auth: {
+            user: 'test',
+            getAccessToken: async ({ force }) => {
+                forced.push(force);
+                return 'token';
+            }
+        }
+    });
+    client.state = client.states.NOT_AUTHENTICATED;
+    client.capabilities = new Map([['AUTH=XOAUTH2', true]]);
+    let attempts = [{ status: '400' }, { status: 401 }, null];
+    let calls = 0;
+    client.run = async () => {
+        calls++;
+        let error = new Error('Authentication failed');
+        error.oauthError = attempts.shift();
+        throw error;
+    };
+
+    // a 400 status is not a token problem
+    try {
+        await client.authenticate();
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.deepEqual(err.oauthError, { status: '400' });
+    }
+    test.deepEqual(forced, [false]);
+
+    // a numeric 401 triggers the refresh, a rejected fresh token is not retried again
+    try {
+        await client.authenticate();
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.oauthError, null);
+    }
+    test.deepEqual(forced, [false, false, true]);
+    test.equal(calls, 3);
+    test.done();
+};
+
 // ============================================================================
 // Socket event handlers (built by setSocketHandlers)
 // ============================================================================
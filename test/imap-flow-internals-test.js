@@ -472,6 +472,105 @@ module.exports['Internals: untaggedFetch includes modseq and flagColor'] = async
     test.done();
 };
 
+// ============================================================================
+// NOTIFY unsolicited responses
+// ============================================================================
+
+const { parser } = require('../lib/handler/imap-handler');
+
+const collectEvents = (client, name) => {
+    let events = [];
+    client.on(name, event => events.push(event));
+    return events;
+};
+
+module.exports['Internals: untaggedStatus emits mailboxStatus'] = async test => {
+    let client = makeClient();
+    let events = collectEvents(client, 'mailboxStatus');
+
+    await client.untaggedStatus(await parser('* STATUS "Archive/&ANU-" (MESSAGES 12 UIDNEXT 40 UIDVALIDITY 7 UNSEEN 1e5)'));
+    await client.untaggedStatus(await parser('* STATUS NIL (MESSAGES 1)'));
+
+    test.deepEqual(events, [{ path: 'Archive/Õ', messages: 12, uidNext: 40, uidValidity: BigInt(7) }]);
+    test.done();
+};
+
+module.exports['Internals: untaggedList emits mailboxChange for renames, deletes and subscriptions'] = async test => {
+    let client = makeClient();
+    let events = collectEvents(client, 'mailboxChange');
+
+    await client.untaggedList(await parser('* LIST () "/" "Projects/New" ("OLDNAME" ("Projects/Old"))'));
+    await client.untaggedList(await parser('* LIST (\\NonExistent) "/" "Trash/Gone"'));
+    await client.untaggedList(await parser('* LIST (\\Subscribed) "." ".Lists"'));
+
+    test.equal(events.length, 3);
+    test.equal(events[0].path, 'Projects/New');
+    test.equal(events[0].oldPath, 'Projects/Old');
+    test.equal(events[0].deleted, false);
+    test.equal(events[1].path, 'Trash/Gone');
+    test.equal(events[1].deleted, true);
+    test.equal(events[2].path, 'Lists');
+    test.equal(events[2].delimiter, '.');
+    test.equal(events[2].subscribed, true);
+    test.ok(events[2].flags.has('\\Subscribed'));
+    test.done();
+};
+
+module.exports['Internals: untaggedMetadata emits metadataChange'] = async test => {
+    let client = makeClient();
+    let events = collectEvents(client, 'metadataChange');
+
+    await client.untaggedMetadata(await parser('* METADATA "INBOX" /shared/comment /private/comment'));
+    await client.untaggedMetadata(await parser('* METADATA "" (/shared/admin "mailto:admin@example.com")'));
+    await client.untaggedMetadata(await parser('* METADATA "INBOX"'));
+
+    test.deepEqual(events, [
+        { path: 'INBOX', entries: ['/shared/comment', '/private/comment'] },
+        { path: '', entries: ['/shared/admin'] }
+    ]);
+    test.done();
+};
+
+module.exports['Internals: untaggedFetch emits messageNew only with NOTIFY fetch data'] = async test => {
+    let client = makeClient();
+    client.mailbox = { path: 'INBOX', exists: 5 };
+    let events = collectEvents(client, 'messageNew');
+    let flagEvents = collectEvents(client, 'flags');
+
+    let newMessage = await parser('* 5 FETCH (UID 50 FLAGS () ENVELOPE (NIL "Hello" NIL NIL NIL NIL NIL NIL NIL "<a@example.com>"))');
+    let flagChange = await parser('* 4 FETCH (UID 49 FLAGS (\\Seen))');
+
+    // without NOTIFY, FETCH responses only report flag changes
+    await client.untaggedFetch(newMessage);
+    test.equal(events.length, 0);
+
+    client.notifyFilters = { filters: { selected: { events: ['messageNew'], fetch: ['uid', 'envelope'] } }, options: {} };
+    await client.untaggedFetch(await parser('* 5 FETCH (UID 50 FLAGS () ENVELOPE (NIL "Hello" NIL NIL NIL NIL NIL NIL NIL "<a@example.com>"))'));
+    await client.untaggedFetch(flagChange);
+
+    test.equal(events.length, 1);
+    test.equal(events[0].path, 'INBOX');
+    test.equal(events[0].message.uid, 50);
+    test.equal(events[0].message.envelope.subject, 'Hello');
+    test.equal(flagEvents.length, 3);
+    test.done();
+};
+
+module.exports['Internals: NOTIFICATIONOVERFLOW clears NOTIFY state'] = async test => {
+    let client = makeClient();
+    let overflows = 0;
+    client.on('notifyOverflow', () => overflows++);
+
+    await client.sectionNotificationOverflow();
+    test.equal(overflows, 0);
+
+    client.notifyFilters = { filters: { personal: ['messageNew'] }, options: {} };
+    await client.sectionNotificationOverflow();
+    test.equal(overflows, 1);
+    test.equal(client.notifyFilters, false);
+    test.done();
+};
+
 // ============================================================================
 // runInternal dispatch guards
 // ============================================================================
@@ -61,6 +61,52 @@ module.exports['Methods: getQuota uses given path'] = async test => {
     test.done();
 };
 
+module.exports['Methods: getMetadata dispatches GETMETADATA'] = async test => {
+    let client = makeClient();
+    let calls = recordRun(client, { path: 'INBOX', entries: {} });
+    await client.getMetadata('INBOX', ['/shared/comment'], { depth: 1 });
+    await client.getMetadata(null, '/shared/admin');
+    test.deepEqual(calls[0], ['GETMETADATA', 'INBOX', ['/shared/comment'], { depth: 1 }]);
+    test.deepEqual(calls[1], ['GETMETADATA', '', '/shared/admin', undefined]);
+    test.done();
+};
+
+module.exports['Methods: setMetadata dispatches SETMETADATA'] = async test => {
+    let client = makeClient();
+    let calls = recordRun(client, true);
+    test.equal(await client.setMetadata('', { '/shared/comment': null }), true);
+    test.deepEqual(calls[0], ['SETMETADATA', '', { '/shared/comment': null }]);
+    test.done();
+};
+
+module.exports['Methods: ACL methods dispatch ACL commands'] = async test => {
+    let client = makeClient();
+    let calls = recordRun(client, true);
+    await client.getAcl('Shared');
+    await client.setAcl('Shared', 'alice', '+lr');
+    await client.deleteAcl('Shared', 'alice');
+    await client.listRights('Shared', 'alice');
+    await client.myRights('INBOX');
+    test.deepEqual(calls, [
+        ['GETACL', 'Shared'],
+        ['SETACL', 'Shared', 'alice', '+lr'],
+        ['DELETEACL', 'Shared', 'alice'],
+        ['LISTRIGHTS', 'Shared', 'alice'],
+        ['MYRIGHTS', 'INBOX']
+    ]);
+    test.done();
+};
+
+module.exports['Methods: notify dispatches NOTIFY'] = async test => {
+    let client = makeClient();
+    let calls = recordRun(client, true);
+    test.equal(await client.notify({ personal: ['messageNew'] }, { status: true }), true);
+    await client.notify(null);
+    test.deepEqual(calls[0], ['NOTIFY', { personal: ['messageNew'] }, { status: true }]);
+    test.deepEqual(calls[1], ['NOTIFY', false, undefined]);
+    test.done();
+};
+
 module.exports['Methods: list builds folders map'] = async test => {
     let client = makeClient();
     recordRun(client, [
@@ -361,6 +407,36 @@ module.exports['Methods: append returns false when run returns falsy'] = async t
     test.done();
 };
 
+module.exports['Methods: appendMany dispatches MULTIAPPEND'] = async test => {
+    let client = makeClient();
+    let calls = recordRun(client, [{ destination: 'Archive', uid: 5 }]);
+    let messages = [{ content: 'raw message', flags: ['\\Seen'] }];
+    let res = await client.appendMany('Archive', messages);
+    test.deepEqual(calls[0], ['MULTIAPPEND', 'Archive', messages]);
+    test.equal(res[0].uid, 5);
+
+    recordRun(client, undefined);
+    test.equal(await client.appendMany('Archive', []), false);
+    test.done();
+};
+
+module.exports['Methods: getMessageUrl uses the current mailbox'] = test => {
+    let client = makeClient();
+    client.mailbox.uidValidity = BigInt(42);
+    test.equal(client.getMessageUrl(7, { section: '2' }), '/INBOX;UIDVALIDITY=42/;UID=7/;SECTION=2');
+    // another mailbox needs its own UIDVALIDITY
+    test.equal(client.getMessageUrl(7, { path: 'Archive' }), false);
+    test.equal(client.getMessageUrl(7, { path: 'Archive', uidValidity: BigInt(5) }), '/Archive;UIDVALIDITY=5/;UID=7');
+    // paths are compared after normalization
+    test.equal(client.getMessageUrl(7, { path: 'inbox' }), '/INBOX;UIDVALIDITY=42/;UID=7');
+    client.namespace = { prefix: 'INBOX.', delimiter: '.' };
+    test.equal(client.getMessageUrl(7, { path: 'Archive', uidValidity: BigInt(5) }), '/INBOX.Archive;UIDVALIDITY=5/;UID=7');
+
+    client.mailbox = false;
+    test.equal(client.getMessageUrl(7), false);
+    test.done();
+};
+
 module.exports['Methods: messageCopy resolves range and dispatches COPY'] = async test => {
     let client = makeClient();
     let calls = recordRun(client, { destination: 'Backup' });
@@ -395,6 +471,18 @@ module.exports['Methods: messageMove returns false on empty range'] = async test
     test.done();
 };
 
+module.exports['Methods: messageReplace dispatches UID REPLACE'] = async test => {
+    let client = makeClient();
+    let calls = recordRun(client, { path: 'INBOX', destination: 'INBOX', uid: 11 });
+    let res = await client.messageReplace(10, 'INBOX', 'raw', ['\\Seen']);
+    test.deepEqual(calls[0], ['REPLACE', 10, 'INBOX', 'raw', ['\\Seen'], undefined, { uid: true }]);
+    test.equal(res.uid, 11);
+
+    client.mailbox = false;
+    test.equal(await client.messageReplace(10, 'INBOX', 'raw'), false);
+    test.done();
+};
+
 // ============================================================================
 // resolveRange branches
 // ============================================================================
@@ -559,6 +647,107 @@ module.exports['Methods: search returnOptions PARTIAL only returns raw array'] =
 // Untagged response handlers
 // ============================================================================
 
+module.exports['Methods: sort returns undefined without mailbox'] = async test => {
+    let client = makeClient();
+    client.mailbox = false;
+    let calls = recordRun(client, [1]);
+    test.equal(await client.sort(['date']), undefined);
+    test.equal(calls.length, 0);
+    test.done();
+};
+
+module.exports['Methods: sort dispatches SORT'] = async test => {
+    let client = makeClient();
+    let calls = recordRun(client, [3, 1, 2]);
+    let res = await client.sort([{ key: 'date', reverse: true }], { seen: false }, { uid: true });
+    test.deepEqual(calls[0], ['SORT', [{ key: 'date', reverse: true }], { seen: false }, { uid: true }]);
+    test.deepEqual(res, [3, 1, 2]);
+    test.done();
+};
+
+module.exports['Methods: sort returns false when run returns falsy'] = async test => {
+    let client = makeClient();
+    recordRun(client, null);
+    test.equal(await client.sort('date'), false);
+    test.done();
+};
+
+module.exports['Methods: thread returns undefined without mailbox'] = async test => {
+    let client = makeClient();
+    client.mailbox = false;
+    let calls = recordRun(client, []);
+    test.equal(await client.thread(), undefined);
+    test.equal(calls.length, 0);
+    test.done();
+};
+
+module.exports['Methods: thread dispatches THREAD'] = async test => {
+    let client = makeClient();
+    client.capabilities = new Map([['THREAD=REFERENCES', true]]);
+    let tree = [{ uid: 1, children: [{ uid: 2, children: [] }] }];
+    let calls = recordRun(client, tree);
+    let res = await client.thread({ seen: false }, { algorithm: 'references' });
+    test.deepEqual(calls[0], ['THREAD', { seen: false }, { algorithm: 'references' }]);
+    test.deepEqual(res, tree);
+    test.done();
+};
+
+module.exports['Methods: thread returns false when run returns falsy'] = async test => {
+    let client = makeClient();
+    client.capabilities = new Map([['THREAD=REFERENCES', true]]);
+    recordRun(client, null);
+    test.equal(await client.thread(true), false);
+    test.done();
+};
+
+module.exports['Methods: thread falls back to client-side threading without THREAD'] = async test => {
+    let client = makeClient();
+    let calls = recordRun(client, false);
+    let fetches = [];
+    client.fetchAll = async (range, query, options) => {
+        fetches.push([range, query, options]);
+        return [
+            { seq: 1, uid: 11, envelope: { messageId: '<a@example.com>', subject: 'Hello', date: new Date('2024-01-01') } },
+            {
+                seq: 2,
+                uid: 12,
+                envelope: { messageId: '<b@example.com>', subject: 'Re: Hello', date: new Date('2024-01-02') },
+                headers: Buffer.from('References: <a@example.com>\r\n\r\n')
+            }
+        ];
+    };
+
+    let res = await client.thread({ seen: false });
+    test.equal(calls.length, 0);
+    test.deepEqual(fetches[0], [{ seen: false }, { uid: true, envelope: true, headers: ['references', 'in-reply-to'] }, { uid: true }]);
+    test.deepEqual(res, [{ uid: 11, children: [{ uid: 12, children: [] }] }]);
+
+    res = await client.thread(true, { uid: false });
+    test.equal(fetches[1][0], '1:*');
+    test.deepEqual(res, [{ seq: 1, children: [{ seq: 2, children: [] }] }]);
+    test.done();
+};
+
+module.exports['Methods: thread client-side fallback skips fetch for an empty mailbox'] = async test => {
+    let client = makeClient();
+    client.mailbox.exists = 0;
+    client.fetchAll = async () => {
+        throw new Error('should not fetch');
+    };
+    test.deepEqual(await client.thread(), []);
+    test.done();
+};
+
+module.exports['Methods: getThreadAlgorithms reads THREAD capabilities'] = async test => {
+    let client = makeClient();
+    client.capabilities = new Map([
+        ['IMAP4rev1', true],
+        ['THREAD=REFERENCES', true]
+    ]);
+    test.deepEqual(client.getThreadAlgorithms(), ['REFERENCES']);
+    test.done();
+};
+
 module.exports['Methods: untaggedExists ignores when no mailbox'] = async test => {
     let client = makeClient();
     client.mailbox = false;
@@ -0,0 +1,351 @@
+'use strict';
+
+const net = require('net');
+const { ImapFlowPool } = require('../lib/imap-flow');
+
+// Minimal IMAP server, enough for connect, SELECT, NOOP and LOGOUT. `options.noop` can override
+// the NOOP handler to simulate a session the server has dropped.
+const createServer = (options = {}) => {
+    let stats = { connections: 0, logins: 0, logouts: 0, noops: 0, sockets: [] };
+
+    const server = net.createServer(socket => {
+        stats.connections++;
+        stats.sockets.push(socket);
+        socket.on('error', () => {});
+        socket.write('* OK [CAPABILITY IMAP4rev1 NAMESPACE] mock ready\r\n');
+
+        let buf = '';
+        socket.on('data', chunk => {
+            buf += chunk.toString('binary');
+            let idx;
+            while ((idx = buf.indexOf('\r\n')) >= 0) {
+                let line = buf.substr(0, idx);
+                buf = buf.substr(idx + 2);
+
+                let [tag, command] = line.split(' ');
+                switch ((command || '').toUpperCase()) {
+                    case 'CAPABILITY':
+                        socket.write(`* CAPABILITY IMAP4rev1 NAMESPACE\r\n${tag} OK done\r\n`);
+                        break;
+                    case 'LOGIN':
+                        stats.logins++;
+                        socket.write(`${tag} OK logged in\r\n`);
+                        break;
+                    case 'NAMESPACE':
+                        socket.write(`* NAMESPACE (("" "/")) NIL NIL\r\n${tag} OK done\r\n`);
+                        break;
+                    case 'LIST':
+                    case 'LSUB':
+                        socket.write(`* ${command.toUpperCase()} () "/" "INBOX"\r\n${tag} OK done\r\n`);
+                        break;
+                    case 'SELECT':
+                        socket.write(`* 1 EXISTS\r\n* OK [UIDVALIDITY 1] ok\r\n* OK [UIDNEXT 2] ok\r\n${tag} OK [READ-WRITE] done\r\n`);
+                        break;
+                    case 'NOOP':
+                        stats.noops++;
+                        if (options.noop) {
+                            options.noop(socket, tag);
+                        } else {
+                            socket.write(`${tag} OK done\r\n`);
+                        }
+                        break;
+                    case 'LOGOUT':
+                        stats.logouts++;
+                        socket.write(`* BYE bye\r\n${tag} OK done\r\n`);
+                        socket.end();
+                        break;
+                    default:
+                        socket.write(`${tag} BAD unknown command\r\n`);
+                }
+            }
+        });
+    });
+
+    return { server, stats };
+};
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+const account = (port, user) => ({
+    host: '127.0.0.1',
+    port,
+    secure: false,
+    auth: { user: user || 'test', pass: 'secret' }
+});
+
+const createPool = options =>
+    new ImapFlowPool(
+        Object.assign(
+            {
+                clientOptions: { logger: false, disableAutoIdle: true, disableCompression: true }
+            },
+            options
+        )
+    );
+
+module.exports['Pool: reuses released clients'] = async test => {
+    let { server, stats } = createServer();
+    let port = await listen(server);
+    let pool = createPool();
+
+    let lease = await pool.acquire(account(port), 'INBOX');
+    test.ok(lease.client.usable);
+    test.equal(lease.lock.path, 'INBOX');
+    test.equal(lease.client.mailbox.path, 'INBOX');
+    let client = lease.client;
+    await lease.release();
+    // releasing twice is a no-op
+    await lease.release();
+    test.deepEqual(pool.size, { idle: 1, active: 0, waiting: 0 });
+
+    lease = await pool.acquire(account(port));
+    test.equal(lease.client, client);
+    test.equal(lease.lock, false);
+    test.equal(stats.connections, 1);
+    await lease.release();
+
+    await pool.drain();
+    test.equal(stats.logouts, 1);
+    test.deepEqual(pool.size, { idle: 0, active: 0, waiting: 0 });
+    server.close();
+    test.done();
+};
+
+module.exports['Pool: limits connections per account'] = async test => {
+    let { server, stats } = createServer();
+    let port = await listen(server);
+    let pool = createPool({ maxConnections: 2 });
+
+    let first = await pool.acquire(account(port));
+    let second = await pool.acquire(account(port));
+
+    // another account has its own limit
+    let other = await pool.acquire(account(port, 'other'));
+    await other.release();
+
+    let waiting = pool.acquire(account(port));
+    await new Promise(resolve => setImmediate(resolve));
+    test.equal(pool.size.waiting, 1);
+
+    await first.release();
+    let third = await waiting;
+    test.equal(third.client, first.client);
+    test.equal(stats.connections, 3);
+
+    await second.release();
+    await third.release();
+    await pool.drain();
+    server.close();
+    test.done();
+};
+
+module.exports['Pool: acquire times out when no connection is released'] = async test => {
+    let { server } = createServer();
+    let port = await listen(server);
+    let pool = createPool({ maxConnections: 1, acquireTimeout: 50 });
+
+    let lease = await pool.acquire(account(port));
+    try {
+        await pool.acquire(account(port));
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'PoolAcquireTimeout');
+    }
+    test.equal(pool.size.waiting, 0);
+
+    await lease.release();
+    await pool.drain();
+    server.close();
+    test.done();
+};
+
+module.exports['Pool: evicts clients that close and replaces them'] = async test => {
+    let { server, stats } = createServer();
+    let port = await listen(server);
+    let pool = createPool();
+
+    let evicted = [];
+    pool.on('evict', event => evicted.push(event.reason));
+
+    let lease = await pool.acquire(account(port));
+    let client = lease.client;
+    await lease.release();
+
+    await new Promise(resolve => {
+        client.once('close', () => setImmediate(resolve));
+        stats.sockets[0].destroy();
+    });
+    test.deepEqual(evicted, ['connection closed']);
+    test.deepEqual(pool.size, { idle: 0, active: 0, waiting: 0 });
+
+    lease = await pool.acquire(account(port));
+    test.notEqual(lease.client, client);
+    test.equal(stats.connections, 2);
+    await lease.release();
+
+    await pool.drain();
+    server.close();
+    test.done();
+};
+
+module.exports['Pool: health checks idle clients with NOOP'] = async test => {
+    let fail = false;
+    let { server, stats } = createServer({
+        noop: (socket, tag) => {
+            if (fail) {
+                // server dropped the session
+                socket.write('* BYE session expired\r\n');
+                socket.end();
+                return;
+            }
+            socket.write(`${tag} OK done\r\n`);
+        }
+    });
+    let port = await listen(server);
+    let pool = createPool({ healthCheckInterval: 0 });
+
+    let lease = await pool.acquire(account(port));
+    let client = lease.client;
+    await lease.release();
+
+    lease = await pool.acquire(account(port));
+    test.equal(lease.client, client);
+    test.equal(stats.noops, 1);
+    await lease.release();
+
+    fail = true;
+    lease = await pool.acquire(account(port));
+    test.notEqual(lease.client, client);
+    test.equal(stats.connections, 2);
+    await lease.release();
+
+    await pool.drain();
+    server.close();
+    test.done();
+};
+
+module.exports['Pool: evicts idle clients whose NOOP is rejected'] = async test => {
+    let fail = false;
+    let { server, stats } = createServer({
+        noop: (socket, tag) => socket.write(fail ? `${tag} NO session expired\r\n` : `${tag} OK done\r\n`)
+    });
+    let port = await listen(server);
+    let pool = createPool({ healthCheckInterval: 0 });
+
+    let reasons = [];
+    pool.on('evict', ({ reason }) => reasons.push(reason));
+
+    let lease = await pool.acquire(account(port));
+    let client = lease.client;
+    await lease.release();
+
+    fail = true;
+    lease = await pool.acquire(account(port));
+    test.notEqual(lease.client, client);
+    test.equal(stats.noops, 1);
+    test.equal(stats.connections, 2);
+    test.deepEqual(reasons, ['health check failed']);
+    await lease.release();
+
+    await pool.drain();
+    server.close();
+    test.done();
+};
+
+module.exports['Pool: evicts idle clients whose NOOP times out'] = async test => {
+    let { server, stats } = createServer({
+        noop: () => {
+            // half-open connection, the command is never answered
+        }
+    });
+    let port = await listen(server);
+    let pool = createPool({ healthCheckInterval: 0, healthCheckTimeout: 100 });
+
+    let reasons = [];
+    pool.on('evict', ({ reason }) => reasons.push(reason));
+
+    let lease = await pool.acquire(account(port));
+    let client = lease.client;
+    await lease.release();
+
+    let started = Date.now();
+    lease = await pool.acquire(account(port));
+    test.ok(Date.now() - started < 2000);
+    test.notEqual(lease.client, client);
+    test.equal(client.usable, false);
+    test.equal(stats.connections, 2);
+    test.equal(stats.logouts, 0);
+    test.deepEqual(reasons, ['health check timed out']);
+    await lease.release();
+
+    await pool.drain();
+    server.close();
+    test.done();
+};
+
+module.exports['Pool: destroy logs the client out instead of reusing it'] = async test => {
+    let { server, stats } = createServer();
+    let port = await listen(server);
+    let pool = createPool();
+
+    let lease = await pool.acquire(account(port));
+    await lease.release({ destroy: true });
+    test.equal(stats.logouts, 1);
+    test.deepEqual(pool.size, { idle: 0, active: 0, waiting: 0 });
+
+    await pool.drain();
+    server.close();
+    test.done();
+};
+
+module.exports['Pool: drain waits for leased clients and rejects new requests'] = async test => {
+    let { server, stats } = createServer();
+    let port = await listen(server);
+    let pool = createPool({ maxConnections: 1 });
+
+    let lease = await pool.acquire(account(port));
+    let waiting = pool.acquire(account(port)).catch(err => err);
+
+    let drained = false;
+    let draining = pool.drain().then(() => {
+        drained = true;
+    });
+
+    test.equal((await waiting).code, 'PoolDraining');
+    try {
+        await pool.acquire(account(port));
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'PoolDraining');
+    }
+
+    await new Promise(resolve => setImmediate(resolve));
+    test.equal(drained, false);
+
+    await lease.release();
+    await draining;
+    test.equal(drained, true);
+    test.equal(stats.logouts, 1);
+    server.close();
+    test.done();
+};
+
+module.exports['Pool: connection failures free the slot'] = async test => {
+    let { server } = createServer();
+    let port = await listen(server);
+    await new Promise(resolve => server.close(resolve));
+
+    let pool = createPool({ maxConnections: 1 });
+    for (let i = 0; i < 2; i++) {
+        try {
+            await pool.acquire(account(port));
+            test.ok(false, 'Should have thrown');
+        } catch (err) {
+            test.ok(err);
+        }
+    }
+    test.deepEqual(pool.size, { idle: 0, active: 0, waiting: 0 });
+
+    await pool.drain();
+    test.done();
+};
@@ -237,6 +237,216 @@ module.exports['Server: full connect + session + logout'] = async test => {
     test.done();
 };
 
+module.exports['Server: unauthenticate resets the session and allows a new login'] = async test => {
+    let logins = [];
+    let authenticated = false;
+    let server = createServer({
+        capabilities: 'IMAP4rev1 ID ENABLE NAMESPACE CONDSTORE UNAUTHENTICATE',
+        handlers: {
+            CAPABILITY(ctx) {
+                ctx.write(`* CAPABILITY IMAP4rev1 ID ENABLE NAMESPACE UNAUTHENTICATE${authenticated ? ' CONDSTORE' : ''}\r\n`);
+                ctx.ok('CAPABILITY completed');
+            },
+            LOGIN(ctx) {
+                logins.push(ctx.args.split(' ')[0].replace(/"/g, ''));
+                authenticated = true;
+                ctx.ok('LOGIN completed');
+            },
+            UNAUTHENTICATE(ctx) {
+                authenticated = false;
+                ctx.ok('UNAUTHENTICATE completed');
+            }
+        }
+    });
+    let port = await listen(server);
+    let client = makeClient(port);
+    client.on('error', () => {});
+
+    await client.connect();
+    await client.mailboxOpen('INBOX');
+    test.ok(client.enabled.has('CONDSTORE'));
+
+    let closed = [];
+    client.on('mailboxClose', mailbox => closed.push(mailbox.path));
+
+    test.equal(await client.unauthenticate(), true);
+    test.equal(client.state, client.states.NOT_AUTHENTICATED);
+    test.equal(client.authenticated, false);
+    test.equal(client.mailbox, false);
+    test.equal(client.enabled.size, 0);
+    test.equal(client.namespace, false);
+    test.ok(!client.capabilities.has('CONDSTORE'));
+    test.deepEqual(closed, ['INBOX']);
+
+    test.equal(await client.authenticate({ user: 'other', pass: 'secret' }), true);
+    test.deepEqual(logins, ['test', 'other']);
+    test.equal(client.state, client.states.AUTHENTICATED);
+    test.ok(client.capabilities.has('CONDSTORE'));
+    test.ok(client.enabled.has('CONDSTORE'));
+    test.ok(client.namespace);
+
+    await client.logout();
+    client.close();
+    server.close();
+    test.done();
+};
+
+module.exports['Server: unauthenticate returns false without server support'] = async test => {
+    let server = createServer();
+    let port = await listen(server);
+    let client = makeClient(port);
+    client.on('error', () => {});
+
+    await client.connect();
+    test.equal(await client.unauthenticate(), false);
+    test.equal(client.state, client.states.AUTHENTICATED);
+    test.ok(client.authenticated);
+
+    await client.logout();
+    client.close();
+    server.close();
+    test.done();
+};
+
+module.exports['Server: reconnect restores the session after the connection drops'] = async test => {
+    let sockets = [];
+    let selects = [];
+    let server = createServer({
+        capabilities: 'IMAP4rev1 ID ENABLE NAMESPACE CONDSTORE QRESYNC',
+        onConnect: socket => sockets.push(socket),
+        handlers: {
+            ENABLE(ctx) {
+                ctx.write('* ENABLED CONDSTORE QRESYNC\r\n');
+                ctx.ok('ENABLE completed');
+            },
+            SELECT(ctx) {
+                selects.push(ctx.args);
+                ctx.write('* 3 EXISTS\r\n');
+                ctx.write('* OK [UIDVALIDITY 12345] UIDs valid\r\n');
+                ctx.write('* OK [UIDNEXT 100] Predicted next UID\r\n');
+                ctx.write('* OK [HIGHESTMODSEQ 1000] Highest\r\n');
+                ctx.ok('[READ-WRITE] SELECT completed');
+            }
+        }
+    });
+    let port = await listen(server);
+    let client = makeClient(port, { qresync: true, reconnect: { initialDelay: 10, maxDelay: 20 } });
+    client.on('error', () => {});
+
+    let events = [];
+    client.on('reconnecting', event => events.push(`reconnecting ${event.attempt}`));
+    client.on('close', () => events.push('close'));
+
+    await client.connect();
+    await client.mailboxOpen('INBOX');
+
+    let reconnecting = new Promise(resolve => client.once('reconnecting', resolve));
+    let reconnected = new Promise(resolve => client.once('reconnected', resolve));
+    sockets[0].destroy();
+    await reconnecting;
+    test.equal(client.usable, false);
+
+    // a lock requested while the connection is down waits for the new session
+    let lockPromise = client.getMailboxLock('INBOX');
+
+    let event = await reconnected;
+    let lock = await lockPromise;
+    test.equal(event.attempt, 1);
+    test.equal(event.previousMailbox.path, 'INBOX');
+    test.equal(event.previousMailbox.highestModseq, BigInt(1000));
+    test.equal(event.mailbox.path, 'INBOX');
+    test.ok(event.mailbox.qresync);
+    test.ok(/QRESYNC \(12345 1000\)/.test(selects[1]), 'previous state sent with SELECT');
+    test.ok(client.usable);
+    test.equal(lock.path, 'INBOX');
+    test.deepEqual(events, ['reconnecting 1']);
+    lock.release();
+
+    await client.logout();
+    test.deepEqual(events, ['reconnecting 1', 'close']);
+    server.close();
+    test.done();
+};
+
+module.exports['Server: reconnect is not attempted after logout or close'] = async test => {
+    let connections = 0;
+    let server = createServer({ onConnect: () => connections++ });
+    let port = await listen(server);
+
+    for (let end of ['logout', 'close']) {
+        let client = makeClient(port, { reconnect: { initialDelay: 10 } });
+        client.on('error', () => {});
+        let reconnecting = false;
+        client.on('reconnecting', () => (reconnecting = true));
+        let closed = new Promise(resolve => client.once('close', resolve));
+
+        await client.connect();
+        if (end === 'logout') {
+            await client.logout();
+        } else {
+            client.close();
+        }
+        await closed;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        test.equal(reconnecting, false, end);
+    }
+    test.equal(connections, 2);
+
+    server.close();
+    test.done();
+};
+
+module.exports['Server: reconnect gives up after maxAttempts'] = async test => {
+    let sockets = [];
+    let server = createServer({ onConnect: socket => sockets.push(socket) });
+    let port = await listen(server);
+    let client = makeClient(port, { reconnect: { initialDelay: 10, maxDelay: 20, maxAttempts: 2 } });
+    client.on('error', () => {});
+
+    let attempts = [];
+    client.on('reconnecting', event => attempts.push(event.attempt));
+
+    await client.connect();
+
+    // nothing listens on the port anymore, so every attempt fails
+    server.close();
+    let closed = new Promise(resolve => client.once('close', resolve));
+    sockets[0].destroy();
+
+    await new Promise(resolve => client.once('reconnecting', resolve));
+    let pending = client.getMailboxLock('INBOX').catch(err => err);
+
+    await closed;
+    test.deepEqual(attempts, [1, 2]);
+    test.equal((await pending).code, 'NoConnection');
+    test.equal(client.usable, false);
+    test.done();
+};
+
+module.exports['Server: close() while waiting to reconnect stops reconnecting'] = async test => {
+    let sockets = [];
+    let server = createServer({ onConnect: socket => sockets.push(socket) });
+    let port = await listen(server);
+    let client = makeClient(port, { reconnect: { initialDelay: 30 } });
+    client.on('error', () => {});
+
+    await client.connect();
+    let reconnecting = new Promise(resolve => client.once('reconnecting', resolve));
+    sockets[0].destroy();
+    await reconnecting;
+
+    let closed = false;
+    client.on('close', () => (closed = true));
+    client.close();
+    test.ok(closed);
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    test.equal(sockets.length, 1);
+
+    server.close();
+    test.done();
+};
+
 module.exports['Server: qresync option adds QRESYNC to ENABLE'] = async test => {
     let enabledArgs = null;
     let server = createServer({
@@ -0,0 +1,167 @@
+'use strict';
+
+const { threadMessages, getBaseSubject } = require('../lib/jwz-thread');
+
+// Builds a fetched message object the way ImapFlow#fetch returns it
+const message = (uid, messageId, subject, date, references, inReplyTo) => {
+    let headers = [];
+    if (references) {
+        headers.push(`References: ${references}`);
+    }
+    if (inReplyTo) {
+        headers.push(`In-Reply-To: ${inReplyTo}`);
+    }
+    return {
+        seq: uid,
+        uid,
+        envelope: {
+            messageId: messageId || undefined,
+            subject,
+            date: date ? new Date(date) : undefined,
+            inReplyTo: inReplyTo || undefined
+        },
+        headers: headers.length ? Buffer.from(headers.join('\r\n') + '\r\n\r\n') : undefined
+    };
+};
+
+module.exports['JWZ Thread: base subject strips reply and forward markers'] = test => {
+    test.deepEqual(getBaseSubject('Re: Fwd: [list] Meeting notes (fwd)'), { subject: 'meeting notes', isReply: true });
+    test.deepEqual(getBaseSubject('RE[2]:  Budget'), { subject: 'budget', isReply: true });
+    test.deepEqual(getBaseSubject('[list] Budget'), { subject: 'budget', isReply: false });
+    test.deepEqual(getBaseSubject('[only a blob]'), { subject: '[only a blob]', isReply: false });
+    test.deepEqual(getBaseSubject(undefined), { subject: '', isReply: false });
+    test.done();
+};
+
+module.exports['JWZ Thread: builds a reply tree from References'] = test => {
+    let threads = threadMessages([
+        message(3, '<c@x>', 'Re: Plan', '2024-01-03', '<a@x> <b@x>'),
+        message(1, '<a@x>', 'Plan', '2024-01-01'),
+        message(2, '<b@x>', 'Re: Plan', '2024-01-02', '<a@x>'),
+        message(4, '<d@x>', 'Re: Plan', '2024-01-04', '<a@x>'),
+        message(5, '<e@x>', 'Other', '2024-01-05')
+    ]);
+
+    test.deepEqual(threads, [
+        {
+            uid: 1,
+            children: [
+                { uid: 2, children: [{ uid: 3, children: [] }] },
+                { uid: 4, children: [] }
+            ]
+        },
+        { uid: 5, children: [] }
+    ]);
+    test.done();
+};
+
+module.exports['JWZ Thread: uses the first In-Reply-To id without References'] = test => {
+    let threads = threadMessages([message(1, '<a@x>', 'Question', '2024-01-01'), message(2, '<b@x>', 'Answer', '2024-01-02', null, '<a@x> <someone@x>')]);
+
+    test.deepEqual(threads, [{ uid: 1, children: [{ uid: 2, children: [] }] }]);
+    test.done();
+};
+
+module.exports['JWZ Thread: keeps a placeholder for siblings of a missing root'] = test => {
+    let threads = threadMessages([
+        message(1, '<b@x>', 'Re: Lost', '2024-01-02', '<a@x>'),
+        message(2, '<c@x>', 'Re: Lost', '2024-01-03', '<a@x>'),
+        // single reply to another missing message gets promoted to the root level
+        message(3, '<e@x>', 'Re: Single', '2024-01-04', '<d@x>')
+    ]);
+
+    test.deepEqual(threads, [
+        {
+            uid: null,
+            children: [
+                { uid: 1, children: [] },
+                { uid: 2, children: [] }
+            ]
+        },
+        { uid: 3, children: [] }
+    ]);
+    test.done();
+};
+
+module.exports['JWZ Thread: promotes children of missing intermediate messages'] = test => {
+    let threads = threadMessages([message(1, '<a@x>', 'Topic', '2024-01-01'), message(2, '<c@x>', 'Re: Topic', '2024-01-03', '<a@x> <b@x>')]);
+
+    test.deepEqual(threads, [{ uid: 1, children: [{ uid: 2, children: [] }] }]);
+    test.done();
+};
+
+module.exports['JWZ Thread: groups threads by subject'] = test => {
+    let threads = threadMessages([
+        message(1, '<a@x>', 'Lunch', '2024-01-01'),
+        // reply from a client that does not set any reference headers
+        message(2, '<b@x>', 'Re: Lunch', '2024-01-02'),
+        // two unrelated messages with the same subject end up under a placeholder
+        message(3, '<c@x>', 'Status', '2024-01-03'),
+        message(4, '<d@x>', 'Status', '2024-01-04')
+    ]);
+
+    test.deepEqual(threads, [
+        { uid: 1, children: [{ uid: 2, children: [] }] },
+        {
+            uid: null,
+            children: [
+                { uid: 3, children: [] },
+                { uid: 4, children: [] }
+            ]
+        }
+    ]);
+    test.done();
+};
+
+module.exports['JWZ Thread: survives reference loops and duplicate ids'] = test => {
+    let threads = threadMessages([
+        message(1, '<a@x>', 'One', '2024-01-01', '<b@x>'),
+        message(2, '<b@x>', 'Two', '2024-01-02', '<a@x>'),
+        message(3, '<a@x>', 'Three', '2024-01-03', '<c@x> <c@x>'),
+        message(4, '<self@x>', 'Four', '2024-01-04', '<self@x>'),
+        message(5, null, 'Five', null)
+    ]);
+
+    let seen = [];
+    let stack = threads.slice();
+    while (stack.length) {
+        let node = stack.pop();
+        if (node.uid !== null) {
+            seen.push(node.uid);
+        }
+        stack.push(...node.children);
+    }
+    // every message appears exactly once
+    test.deepEqual(seen.sort(), [1, 2, 3, 4, 5]);
+    // undated messages sort after the dated ones
+    test.equal(threads[threads.length - 1].uid, 5);
+    test.done();
+};
+
+module.exports['JWZ Thread: handles deep reply chains without recursion'] = test => {
+    let messages = [];
+    let references = [];
+    for (let i = 1; i <= 20000; i++) {
+        messages.push(message(i, `<m${i}@x>`, 'Re: Deep', null, references.length ? references[references.length - 1] : null));
+        references.push(`<m${i}@x>`);
+    }
+
+    let threads = threadMessages(messages);
+    test.equal(threads.length, 1);
+    let depth = 0;
+    for (let node = threads[0]; node; node = node.children[0]) {
+        depth++;
+    }
+    test.equal(depth, 20000);
+    test.done();
+};
+
+module.exports['JWZ Thread: uses sequence numbers with idKey seq'] = test => {
+    let messages = [message(1, '<a@x>', 'Hi', '2024-01-01'), message(2, '<b@x>', 'Re: Hi', '2024-01-02', '<a@x>')];
+    messages[0].seq = 7;
+    messages[1].seq = 8;
+
+    test.deepEqual(threadMessages(messages, { idKey: 'seq' }), [{ seq: 7, children: [{ seq: 8, children: [] }] }]);
+    test.deepEqual(threadMessages(null), []);
+    test.done();
+};
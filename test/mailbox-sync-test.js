@@ -0,0 +1,169 @@
+'use strict';
+
+const { ImapFlow, MailboxSync } = require('../lib/imap-flow');
+
+// Client with the mailbox commands mocked: `server` describes the mailbox, `onSelect` can emit
+// the untagged responses a QRESYNC SELECT would produce
+const makeClient = (server, onSelect) => {
+    let client = new ImapFlow({ host: 'imap.example.com', port: 993, auth: { user: 'test', pass: 'test' }, logger: false });
+    client.socket = { destroyed: false, destroy: () => {} };
+    client.usable = true;
+    client.enabled = new Set(server.enabled || []);
+
+    let calls = { selects: [], searches: 0, fetches: [] };
+    client.mailboxOpen = async (path, options) => {
+        options = options || {};
+        calls.selects.push(options);
+        let mailbox = {
+            path,
+            readOnly: !!options.readOnly,
+            exists: server.uids.length,
+            uidValidity: server.uidValidity,
+            highestModseq: server.highestModseq
+        };
+        if (client.enabled.has('QRESYNC') && options.changedSince && options.uidValidity === server.uidValidity) {
+            mailbox.qresync = true;
+            if (onSelect) {
+                onSelect(client, path);
+            }
+        }
+        client.mailbox = mailbox;
+        return mailbox;
+    };
+    client.search = async () => {
+        calls.searches++;
+        return server.uids.slice();
+    };
+    client.fetchAll = async (range, query, options) => {
+        calls.fetches.push(options);
+        return server.uids
+            .map(uid => ({ uid, flags: new Set(server.flags[uid] || []), modseq: server.modseq[uid] }))
+            .filter(message => !options.changedSince || message.modseq > options.changedSince);
+    };
+    return { client, calls };
+};
+
+module.exports['MailboxSync: first sync lists every message'] = async test => {
+    let server = { uidValidity: BigInt(10), highestModseq: BigInt(50), uids: [1, 2, 5], flags: { 2: ['\\Seen'] }, modseq: {} };
+    let { client, calls } = makeClient(server);
+
+    let result = await new MailboxSync(client).sync('INBOX');
+    test.equal(result.path, 'INBOX');
+    test.equal(result.delta.reset, true);
+    test.equal(result.delta.mode, 'full');
+    test.deepEqual(result.delta.added, [1, 2, 5]);
+    test.deepEqual(result.delta.vanished, []);
+    test.deepEqual(
+        result.delta.changed.map(change => change.uid),
+        [1, 2, 5]
+    );
+    test.ok(result.delta.changed[1].flags.has('\\Seen'));
+    test.deepEqual(result.state, { uidValidity: BigInt(10), highestModseq: BigInt(50), knownUids: [1, 2, 5] });
+    test.equal(calls.selects[calls.selects.length - 1].readOnly, true);
+
+    // the lock is released once the sync is done
+    test.equal(client.currentLock, false);
+    test.done();
+};
+
+module.exports['MailboxSync: collects VANISHED and FETCH results with QRESYNC'] = async test => {
+    let server = { enabled: ['CONDSTORE', 'QRESYNC'], uidValidity: BigInt(10), highestModseq: BigInt(60), uids: [1, 5, 6], flags: {}, modseq: {} };
+    let { client, calls } = makeClient(server, (client, path) => {
+        // 3 is not in the stored state, a server may report it anyway
+        client.emit('expunge', { path, uid: 2, vanished: true, earlier: true });
+        client.emit('expunge', { path, uid: 3, vanished: true, earlier: true });
+        client.emit('flags', { path, seq: 1, uid: 1, modseq: BigInt(55), flags: new Set(['\\Flagged']) });
+        client.emit('flags', { path, seq: 3, uid: 6, modseq: BigInt(58), flags: new Set() });
+        // another mailbox, not part of the sync
+        client.emit('flags', { path: 'Sent', seq: 1, uid: 9, flags: new Set() });
+    });
+
+    let result = await new MailboxSync(client).sync('INBOX', { uidValidity: '10', highestModseq: '50', knownUids: [1, 2, 5] });
+    test.equal(result.delta.mode, 'qresync');
+    test.equal(result.delta.reset, false);
+    test.deepEqual(result.delta.vanished, [2]);
+    test.deepEqual(result.delta.added, [6]);
+    test.deepEqual(
+        result.delta.changed.map(change => [change.uid, change.modseq]),
+        [
+            [1, BigInt(55)],
+            [6, BigInt(58)]
+        ]
+    );
+    test.deepEqual(result.state, { uidValidity: BigInt(10), highestModseq: BigInt(60), knownUids: [1, 5, 6] });
+
+    let select = calls.selects[calls.selects.length - 1];
+    test.equal(select.uidValidity, BigInt(10));
+    test.equal(select.changedSince, BigInt(50));
+    test.equal(calls.searches, 0);
+    test.equal(calls.fetches.length, 0);
+    test.equal(client.listenerCount('flags'), 0);
+    test.done();
+};
+
+module.exports['MailboxSync: uses CHANGEDSINCE and UID diffing without QRESYNC'] = async test => {
+    let server = {
+        enabled: ['CONDSTORE'],
+        uidValidity: BigInt(10),
+        highestModseq: BigInt(60),
+        uids: [1, 5, 6],
+        flags: { 5: ['\\Answered'] },
+        modseq: { 1: BigInt(20), 5: BigInt(59), 6: BigInt(60) }
+    };
+    let { client, calls } = makeClient(server);
+
+    let result = await new MailboxSync(client).sync('INBOX', { uidValidity: BigInt(10), highestModseq: BigInt(50), knownUids: [1, 2, 5] });
+    test.equal(result.delta.mode, 'condstore');
+    test.deepEqual(result.delta.vanished, [2]);
+    test.deepEqual(result.delta.added, [6]);
+    test.deepEqual(
+        result.delta.changed.map(change => change.uid),
+        [5, 6]
+    );
+    test.equal(calls.fetches[0].changedSince, BigInt(50));
+    test.equal(calls.fetches[0].uid, true);
+    test.deepEqual(result.state.knownUids, [1, 5, 6]);
+    test.done();
+};
+
+module.exports['MailboxSync: falls back to a full listing without CONDSTORE'] = async test => {
+    let server = { uidValidity: BigInt(10), uids: [1, 5], flags: {}, modseq: {} };
+    let { client } = makeClient(server);
+
+    let result = await new MailboxSync(client).sync('INBOX', { uidValidity: BigInt(10), knownUids: [1, 2] });
+    test.equal(result.delta.mode, 'full');
+    test.equal(result.delta.reset, false);
+    test.deepEqual(result.delta.vanished, [2]);
+    test.deepEqual(result.delta.added, [5]);
+    test.equal(result.delta.changed.length, 2);
+    test.deepEqual(result.state, { uidValidity: BigInt(10), highestModseq: false, knownUids: [1, 5] });
+    test.done();
+};
+
+module.exports['MailboxSync: detects UIDVALIDITY resets'] = async test => {
+    let server = { enabled: ['CONDSTORE', 'QRESYNC'], uidValidity: BigInt(11), highestModseq: BigInt(5), uids: [1, 2], flags: {}, modseq: {} };
+    let { client } = makeClient(server);
+
+    let result = await new MailboxSync(client).sync('INBOX', { uidValidity: BigInt(10), highestModseq: BigInt(50), knownUids: [1, 2, 3] });
+    test.equal(result.delta.reset, true);
+    // every stored UID is invalid, so the whole mailbox is reported as new
+    test.deepEqual(result.delta.added, [1, 2]);
+    test.deepEqual(result.delta.vanished, []);
+    test.deepEqual(result.state, { uidValidity: BigInt(11), highestModseq: BigInt(5), knownUids: [1, 2] });
+    test.done();
+};
+
+module.exports['MailboxSync: fails if messages can not be listed'] = async test => {
+    let server = { uidValidity: BigInt(10), uids: [1], flags: {}, modseq: {} };
+    let { client } = makeClient(server);
+    client.search = async () => false;
+
+    try {
+        await new MailboxSync(client).sync('INBOX', { uidValidity: BigInt(10), knownUids: [1] });
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'MailboxSyncFailed');
+    }
+    test.equal(client.currentLock, false);
+    test.done();
+};
@@ -0,0 +1,248 @@
+'use strict';
+
+const { ImapFlow, OfflineQueue } = require('../lib/imap-flow');
+
+// Client with the mailbox commands mocked, `server.uidValidity` is the UIDVALIDITY of every mailbox
+// and `server.modified` lists UIDs that fail the UNCHANGEDSINCE test
+const makeClient = server => {
+    let client = new ImapFlow({ host: 'imap.example.com', port: 993, auth: { user: 'test', pass: 'test' }, logger: false });
+    client.socket = { destroyed: false, destroy: () => {} };
+    client.usable = true;
+
+    client.mailboxOpen = async path => {
+        client.mailbox = { path, uidValidity: server.uidValidity, exists: 10 };
+        return client.mailbox;
+    };
+
+    let commands = [];
+    client.run = async (command, range, ...args) => {
+        if (server.fail && server.fail(command)) {
+            let err = new Error('Connection not available');
+            err.code = 'NoConnection';
+            client.usable = false;
+            throw err;
+        }
+
+        let options = args[args.length - 1] || {};
+        commands.push(
+            [command, client.mailbox.path, range].concat(command === 'STORE' ? [args[0], options.operation] : command === 'EXPUNGE' ? [] : [args[0]])
+        );
+
+        if (command === 'STORE' && options.unchangedSince && options.onModified) {
+            let modified = range
+                .split(',')
+                .map(Number)
+                .filter(uid => (server.modified || []).includes(uid));
+            if (modified.length) {
+                options.onModified(modified);
+            }
+        }
+        if (command === 'MOVE' || command === 'COPY') {
+            return { path: client.mailbox.path, destination: args[0], uidValidity: BigInt(20), uidMap: new Map([[12, 101]]) };
+        }
+        return true;
+    };
+    return { client, commands };
+};
+
+const memoryStorage = () => {
+    let storage = {
+        saved: null,
+        load: async () => storage.saved && JSON.parse(storage.saved),
+        save: async intents => {
+            storage.saved = JSON.stringify(intents);
+        }
+    };
+    return storage;
+};
+
+module.exports['OfflineQueue: queues changes and replays them in order'] = async test => {
+    let storage = memoryStorage();
+    let queue = new OfflineQueue({ storage });
+
+    let result = await queue.messageFlagsAdd('INBOX', [12, 13], ['\\Seen'], { uidValidity: BigInt(10) });
+    test.equal(result.status, 'queued');
+    await queue.messageMove('INBOX', [12], 'Archive', { uidValidity: BigInt(10) });
+    await queue.messageDelete('Sent', [3], { uidValidity: '10' });
+
+    // a new queue instance reads the stored intents
+    let restored = new OfflineQueue({ storage });
+    let pending = await restored.pending();
+    test.deepEqual(
+        pending.map(intent => [intent.action, intent.path, intent.uidValidity, intent.uids]),
+        [
+            ['flagsAdd', 'INBOX', '10', [12, 13]],
+            ['move', 'INBOX', '10', [12]],
+            ['delete', 'Sent', '10', [3]]
+        ]
+    );
+
+    let { client, commands } = makeClient({ uidValidity: BigInt(10) });
+    let events = [];
+    restored.on('replayed', result => events.push(result.status));
+
+    let results = await restored.attach(client);
+    test.deepEqual(commands, [
+        ['STORE', 'INBOX', '12,13', ['\\Seen'], 'add'],
+        ['MOVE', 'INBOX', '12', 'Archive'],
+        ['EXPUNGE', 'Sent', '3']
+    ]);
+    test.deepEqual(events, ['applied', 'applied', 'applied']);
+    test.equal(results[1].response.uidMap.get(12), 101);
+    test.deepEqual(await restored.pending(), []);
+    test.deepEqual(JSON.parse(storage.saved), []);
+    test.equal(client.currentLock, false);
+    test.done();
+};
+
+module.exports['OfflineQueue: drops intents when UIDVALIDITY changed'] = async test => {
+    let queue = new OfflineQueue();
+    await queue.messageFlagsRemove('INBOX', [12], ['\\Flagged'], { uidValidity: BigInt(9) });
+    await queue.messageCopy('INBOX', [12], 'Backup', { uidValidity: BigInt(10) });
+
+    let { client, commands } = makeClient({ uidValidity: BigInt(10) });
+    let results = await queue.attach(client);
+    test.deepEqual(
+        results.map(result => result.status),
+        ['uidValidityChanged', 'applied']
+    );
+    test.equal(commands.length, 1);
+    test.equal(commands[0][0], 'COPY');
+    test.deepEqual(await queue.pending(), []);
+    test.done();
+};
+
+module.exports['OfflineQueue: reports conflicts from UNCHANGEDSINCE'] = async test => {
+    let queue = new OfflineQueue();
+    await queue.messageFlagsSet('INBOX', [12, 13], ['\\Answered'], { uidValidity: BigInt(10), unchangedSince: BigInt(500) });
+    await queue.messageDelete('INBOX', [12, 14], { uidValidity: BigInt(10), unchangedSince: BigInt(500) });
+
+    let { client, commands } = makeClient({ uidValidity: BigInt(10), modified: [12] });
+    let results = await queue.attach(client);
+
+    test.equal(results[0].status, 'conflict');
+    test.deepEqual(results[0].modified, [12]);
+    test.equal(results[1].status, 'conflict');
+    test.deepEqual(results[1].modified, [12]);
+    // only the message that passed the test is expunged
+    test.deepEqual(commands, [
+        ['STORE', 'INBOX', '12,13', ['\\Answered'], 'set'],
+        ['STORE', 'INBOX', '12,14', ['\\Deleted'], 'add'],
+        ['EXPUNGE', 'INBOX', '14']
+    ]);
+    test.done();
+};
+
+module.exports['OfflineQueue: keeps intents when the connection is lost'] = async test => {
+    let queue = new OfflineQueue();
+    await queue.messageFlagsAdd('INBOX', [1], ['\\Seen'], { uidValidity: BigInt(10) });
+    await queue.messageFlagsAdd('INBOX', [2], ['\\Seen'], { uidValidity: BigInt(10) });
+
+    // the connection drops when the second change is sent
+    let sent = 0;
+    let server = { uidValidity: BigInt(10), fail: () => ++sent === 2 };
+    let { client, commands } = makeClient(server);
+    let results = await queue.attach(client);
+    test.equal(results.length, 1);
+    test.deepEqual(
+        (await queue.pending()).map(intent => intent.uids),
+        [[2]]
+    );
+
+    // replayed once the client is back
+    server.fail = false;
+    client.usable = true;
+    let replayed = new Promise(resolve => queue.once('replayed', resolve));
+    client.emit('reconnected', { attempt: 1, mailbox: false, previousMailbox: false });
+    test.equal((await replayed).status, 'applied');
+    test.deepEqual(await queue.pending(), []);
+    test.equal(commands.length, 2);
+    test.done();
+};
+
+module.exports['OfflineQueue: applies changes right away while connected'] = async test => {
+    let queue = new OfflineQueue();
+    let { client, commands } = makeClient({ uidValidity: BigInt(10) });
+    await queue.attach(client);
+    await client.mailboxOpen('INBOX');
+
+    // UIDVALIDITY is taken from the open mailbox
+    let result = await queue.messageFlagsAdd('INBOX', [5], ['\\Flagged']);
+    test.equal(result.status, 'applied');
+    test.equal(result.intent.uidValidity, '10');
+    test.equal(commands.length, 1);
+
+    try {
+        await queue.messageFlagsAdd('Sent', [5], ['\\Flagged']);
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'OfflineQueueNoUidValidity');
+    }
+
+    queue.detach();
+    result = await queue.messageFlagsAdd('INBOX', [6], ['\\Flagged'], { uidValidity: BigInt(10) });
+    test.equal(result.status, 'queued');
+    test.equal(client.listenerCount('reconnected'), 0);
+    test.done();
+};
+
+module.exports['OfflineQueue: stops replaying once detached'] = async test => {
+    let queue = new OfflineQueue();
+    await queue.messageFlagsAdd('INBOX', [1], ['\\Seen'], { uidValidity: BigInt(10) });
+    await queue.messageFlagsAdd('INBOX', [2], ['\\Seen'], { uidValidity: BigInt(10) });
+
+    // the queue is detached while the server rejects the first change
+    let { client, commands } = makeClient({ uidValidity: BigInt(10) });
+    let warnings = [];
+    client.log = { warn: entry => warnings.push(entry.msg), debug: () => false, info: () => false, error: () => false, trace: () => false };
+    client.run = async () => {
+        queue.detach();
+        let err = new Error('Command failed');
+        err.responseStatus = 'NO';
+        throw err;
+    };
+
+    let results = await queue.attach(client);
+    test.deepEqual(
+        results.map(result => result.status),
+        ['failed']
+    );
+    test.deepEqual(
+        (await queue.pending()).map(intent => intent.uids),
+        [[2]]
+    );
+    test.deepEqual(warnings, ['Failed to replay queued change']);
+    test.equal(commands.length, 0);
+    test.done();
+};
+
+module.exports['OfflineQueue: logs failed replays of a detached client'] = async test => {
+    let storage = memoryStorage();
+    let queue = new OfflineQueue({ storage });
+    await queue.messageFlagsAdd('INBOX', [1], ['\\Seen'], { uidValidity: BigInt(10) });
+
+    let { client } = makeClient({ uidValidity: BigInt(10) });
+    client.usable = false;
+    await queue.attach(client);
+    client.usable = true;
+
+    let logged = new Promise(resolve => {
+        client.log = { warn: resolve, debug: () => false, info: () => false, error: () => false, trace: () => false };
+    });
+
+    // storage fails after the queue was detached
+    storage.save = async () => {
+        throw new Error('Storage not available');
+    };
+    let run = client.run;
+    client.run = async (...args) => {
+        queue.detach();
+        return await run(...args);
+    };
+    client.emit('reconnected', { attempt: 1, mailbox: false, previousMailbox: false });
+
+    let entry = await logged;
+    test.equal(entry.msg, 'Failed to replay offline queue');
+    test.equal(entry.err.message, 'Storage not available');
+    test.done();
+};
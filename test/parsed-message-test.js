@@ -0,0 +1,239 @@
+'use strict';
+
+const { ImapFlow, SessionRecorder } = require('../lib/imap-flow');
+const { findMessageParts, parseHeaders, decodeTextPart } = require('../lib/parsed-message');
+const { MockImapServer } = require('../testing');
+
+const MESSAGE = [
+    'From: Sender <sender@example.com>',
+    'To: receiver@example.com',
+    'Subject: =?UTF-8?Q?J=C3=B5ulud?=',
+    'X-Tag: first',
+    'X-Tag: second',
+    'Content-Type: multipart/mixed; boundary="mixed"',
+    '',
+    '--mixed',
+    'Content-Type: multipart/alternative; boundary="alt"',
+    '',
+    '--alt',
+    'Content-Type: text/plain; charset=iso-8859-1',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Tere j=F5ulud!',
+    '--alt',
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('<p>Tere jõulud!</p><img src="cid:logo@example.com">').toString('base64'),
+    '--alt--',
+    '--mixed',
+    'Content-Type: image/png',
+    'Content-ID: <logo@example.com>',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('PNG image').toString('base64'),
+    '--mixed',
+    'Content-Type: application/pdf; name="=?UTF-8?Q?arve_=C3=B5?=.pdf"',
+    'Content-Disposition: attachment; filename="=?UTF-8?Q?arve_=C3=B5?=.pdf"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('PDF document').toString('base64'),
+    '--mixed--',
+    ''
+].join('\r\n');
+
+const readStream = async stream => {
+    let chunks = [];
+    for await (let chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+};
+
+module.exports['Parsed message: splits the structure into text parts and attachments'] = test => {
+    let structure = findMessageParts({
+        type: 'multipart/mixed',
+        childNodes: [
+            { part: '1', type: 'text/plain', parameters: { charset: 'utf-8', format: 'flowed' }, encoding: '7bit' },
+            { part: '2', type: 'text/plain', disposition: 'attachment', dispositionParameters: { filename: 'notes.txt' }, size: 10 },
+            { part: '3', type: 'message/rfc822', childNodes: [{ part: '3', type: 'text/plain' }], size: 100 }
+        ]
+    });
+
+    test.deepEqual(structure.textParts, [{ part: '1', type: 'text/plain', encoding: '7bit', charset: 'utf-8', flowed: true, delSp: false }]);
+    test.deepEqual(
+        structure.attachments.map(attachment => [attachment.part, attachment.contentType, attachment.filename, attachment.disposition]),
+        [
+            ['2', 'text/plain', 'notes.txt', 'attachment'],
+            ['3', 'message/rfc822', false, 'attachment']
+        ]
+    );
+
+    // a single part message is addressed as part 1
+    test.deepEqual(findMessageParts({ type: 'text/html' }).textParts[0].part, '1');
+    test.done();
+};
+
+module.exports['Parsed message: decodes headers and text'] = async test => {
+    let headers = parseHeaders(Buffer.from('Subject: =?ISO-8859-1?Q?=F5un?=\r\n  folded\r\nX-Tag: a\r\nX-Tag: b\r\n\r\n'));
+    test.deepEqual(Array.from(headers.entries()), [
+        ['subject', ['õun folded']],
+        ['x-tag', ['a', 'b']]
+    ]);
+
+    test.equal(await decodeTextPart(Buffer.from('=F5un'), { encoding: 'quoted-printable', charset: 'iso-8859-1' }), 'õun');
+    test.equal(await decodeTextPart(Buffer.from('soft \r\nwrap'), { encoding: '7bit', charset: 'utf-8', flowed: true }), 'soft wrap');
+    test.equal(await decodeTextPart(Buffer.from('plain'), { encoding: '7bit', charset: 'x-unknown' }), 'plain');
+    test.done();
+};
+
+module.exports['Parsed message: fetches parsed messages'] = async test => {
+    let server = new MockImapServer({ users: { user: 'pass' }, mailboxes: { INBOX: { messages: [MESSAGE, 'Subject: plain\r\n\r\nJust text'] } } });
+    await server.listen();
+    let recorder = new SessionRecorder();
+    let client = new ImapFlow(server.clientOptions({ auth: { user: 'user', pass: 'pass' }, recorder }));
+    let sent = () =>
+        recorder.sessions[0].events
+            .filter(event => event.src === 'c')
+            .map(event => Buffer.from(event.data, 'base64').toString())
+            .join('');
+
+    await client.connect();
+    await client.mailboxOpen('INBOX');
+
+    let messages = await client.fetchAll('1:*', { parsed: true });
+    test.equal(messages.length, 2);
+    test.ok(!messages[0].bodyStructure);
+
+    let parsed = messages[0].parsed;
+    test.deepEqual(parsed.headers.get('subject'), ['Jõulud']);
+    test.deepEqual(parsed.headers.get('x-tag'), ['first', 'second']);
+    test.equal(parsed.text.trim(), 'Tere jõulud!');
+    test.equal(parsed.html.trim(), '<p>Tere jõulud!</p><img src="cid:logo@example.com">');
+    test.deepEqual(
+        parsed.attachments.map(attachment => [attachment.part, attachment.contentType, attachment.filename, attachment.disposition, attachment.contentId]),
+        [
+            ['2', 'image/png', false, 'inline', 'logo@example.com'],
+            ['3', 'application/pdf', 'arve õ.pdf', 'attachment', false]
+        ]
+    );
+
+    test.equal(messages[1].parsed.text, 'Just text');
+    test.equal(messages[1].parsed.html, false);
+    test.deepEqual(messages[1].parsed.attachments, []);
+
+    // attachments are only downloaded on demand
+    test.ok(/ UID FETCH 1 \(BODY\.PEEK\[HEADER\] BODY\.PEEK\[1\.1\] BODY\.PEEK\[1\.2\]\)\r\n/.test(sent()));
+    test.ok(!/BODY\.PEEK\[3\]/.test(sent()));
+    test.equal(await readStream(await parsed.attachments[1].stream()), 'PDF document');
+
+    let message = await client.fetchOne('2', { bodyStructure: true, parsed: true });
+    test.equal(message.bodyStructure.type, 'text/plain');
+    test.deepEqual(message.parsed.headers.get('subject'), ['plain']);
+
+    await client.logout();
+    await server.close();
+    test.done();
+};
+
+module.exports['Parsed message: keeps the messages if the parts can not be fetched'] = async test => {
+    let failed = false;
+    let server = new MockImapServer({
+        users: { user: 'pass' },
+        mailboxes: { INBOX: { messages: [MESSAGE, 'Subject: plain\r\n\r\nJust text'] } },
+        handlers: {
+            // fails the first UID FETCH for the header and text parts, the messages themselves are fetched
+            'UID FETCH': async ctx => {
+                if (!failed && JSON.stringify(ctx.attributes).includes('"HEADER"')) {
+                    failed = true;
+                    return await ctx.no('Command failed');
+                }
+                return await ctx.next();
+            }
+        }
+    });
+    await server.listen();
+    let client = new ImapFlow(server.clientOptions({ auth: { user: 'user', pass: 'pass' } }));
+
+    await client.connect();
+    await client.mailboxOpen('INBOX');
+
+    let messages = await client.fetchAll('1:*', { uid: true, parsed: true });
+    test.ok(failed);
+    test.deepEqual(
+        messages.map(message => message.uid),
+        [1, 2]
+    );
+    test.ok(!messages[0].parsed);
+    test.equal(messages[1].parsed.text, 'Just text');
+
+    await client.logout();
+    await server.close();
+    test.done();
+};
+
+const FORWARDED = [
+    'Subject: forwarded',
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    '--outer',
+    'Content-Type: text/plain',
+    '',
+    'See below',
+    '--outer',
+    'Content-Type: message/rfc822',
+    'Content-Disposition: attachment',
+    '',
+    MESSAGE.replace(/\r\n$/, ''),
+    '--outer',
+    'Content-Type: message/rfc822',
+    '',
+    'Subject: single\r\nContent-Type: image/gif\r\nContent-Transfer-Encoding: base64\r\n\r\n' + Buffer.from('GIF image').toString('base64'),
+    '--outer--',
+    ''
+].join('\r\n');
+
+module.exports['Attachments: lists attachments of nested messages'] = async test => {
+    let server = new MockImapServer({ users: { user: 'pass' }, mailboxes: { INBOX: { messages: [FORWARDED] } } });
+    await server.listen();
+    let client = new ImapFlow(server.clientOptions({ auth: { user: 'user', pass: 'pass' } }));
+
+    await client.connect();
+    await client.mailboxOpen('INBOX');
+
+    let attachments = [];
+    for await (let attachment of client.attachments(1)) {
+        attachments.push(attachment);
+    }
+    test.deepEqual(
+        attachments.map(attachment => [attachment.part, attachment.contentType, attachment.filename, attachment.disposition]),
+        [
+            ['2.2', 'image/png', false, 'inline'],
+            ['2.3', 'application/pdf', 'arve õ.pdf', 'attachment'],
+            ['3.1', 'image/gif', false, 'attachment']
+        ]
+    );
+    test.equal(await readStream(await attachments[1].stream()), 'PDF document');
+    test.equal(await readStream(await attachments[2].stream()), 'GIF image');
+
+    let filtered = [];
+    for await (let attachment of client.attachments(1, { contentType: 'image/*', inline: false })) {
+        filtered.push(attachment.part);
+    }
+    test.deepEqual(filtered, ['3.1']);
+
+    filtered = [];
+    for await (let attachment of client.attachments(1, { contentType: ['application/pdf', 'image/gif'], maxSize: 14 })) {
+        filtered.push(attachment.part);
+    }
+    test.deepEqual(filtered, ['3.1']);
+
+    // unknown UID
+    for await (let attachment of client.attachments(999)) {
+        test.ok(!attachment, 'Should not list anything');
+    }
+
+    await client.logout();
+    await server.close();
+    test.done();
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+const { findPreviewPart, createPreview, htmlToText } = require('../lib/preview');
+
+const textNode = (part, type, encoding, charset, disposition) => ({
+    part,
+    type,
+    parameters: charset ? { charset } : {},
+    encoding,
+    disposition
+});
+
+// Part details in the shape findPreviewPart() returns them
+const previewPart = (type, encoding, charset) => ({ part: '1', type, encoding, charset: charset || 'ascii' });
+
+module.exports['Preview: prefers the first inline text/plain part'] = test => {
+    let structure = {
+        type: 'multipart/mixed',
+        childNodes: [
+            {
+                part: '1',
+                type: 'multipart/alternative',
+                childNodes: [textNode('1.1', 'text/html', '7bit', 'utf-8'), textNode('1.2', 'text/plain', 'quoted-printable', 'iso-8859-1')]
+            },
+            textNode('2', 'text/plain', 'base64', 'utf-8', 'attachment')
+        ]
+    };
+
+    test.deepEqual(findPreviewPart(structure), { part: '1.2', type: 'text/plain', encoding: 'quoted-printable', charset: 'iso-8859-1' });
+    test.done();
+};
+
+module.exports['Preview: falls back to HTML and skips attachments and attached messages'] = test => {
+    let structure = {
+        type: 'multipart/mixed',
+        childNodes: [
+            { part: '1', type: 'message/rfc822', childNodes: [textNode('1.1', 'text/plain', '7bit')] },
+            textNode('2', 'text/plain', '7bit', 'utf-8', 'attachment'),
+            textNode('3', 'text/html', 'base64', 'utf-8')
+        ]
+    };
+
+    test.deepEqual(findPreviewPart(structure), { part: '3', type: 'text/html', encoding: 'base64', charset: 'utf-8' });
+    test.done();
+};
+
+module.exports['Preview: single part messages use part 1'] = test => {
+    test.deepEqual(findPreviewPart({ type: 'text/plain', encoding: '7bit' }), { part: '1', type: 'text/plain', encoding: '7bit', charset: 'ascii' });
+    test.equal(findPreviewPart({ type: 'application/pdf', encoding: 'base64' }), false);
+    test.equal(findPreviewPart(null), false);
+    test.done();
+};
+
+module.exports['Preview: decodes transfer encoding and charset'] = async test => {
+    let content = Buffer.from(Buffer.from('Tere, jõulud!', 'latin1').toString('base64'));
+    test.equal(await createPreview(content, previewPart('text/plain', 'base64', 'iso-8859-1')), 'Tere, jõulud!');
+
+    test.equal(await createPreview(Buffer.from('=C3=A4iti\r\nkallis=\r\n s=C3'), previewPart('text/plain', 'quoted-printable', 'utf-8')), 'äiti kallis s');
+    test.done();
+};
+
+module.exports['Preview: ignores base64 and quoted-printable cut off by the partial fetch'] = async test => {
+    test.equal(await createPreview(Buffer.from('SGVsbG8gd29y\r\nbGQh\r\nSGV'), previewPart('text/plain', 'base64')), 'Hello world!');
+    test.equal(await createPreview(Buffer.from('Hello=20world=3'), previewPart('text/plain', 'quoted-printable')), 'Hello world');
+    test.done();
+};
+
+module.exports['Preview: strips HTML markup'] = test => {
+    let html =
+        '<html><head><title>Title</title><style>p { color: red; }</style></head>' +
+        '<body><!-- hidden --><script>alert(1)</script><p>Fish &amp; chips&nbsp;&#8364;5 &#x263A; &unknown;</p><img src="x"';
+
+    test.equal(htmlToText(html).replace(/\s+/g, ' ').trim(), 'Fish & chips €5 ☺ &unknown;');
+    test.done();
+};
+
+module.exports['Preview: collapses whitespace and truncates to 200 characters'] = async test => {
+    let text = 'Line one\r\n\r\n\tLine two ' + '😀'.repeat(300);
+    let preview = await createPreview(Buffer.from(text), previewPart('text/plain', '8bit', 'utf-8'));
+
+    test.ok(preview.startsWith('Line one Line two 😀'));
+    test.equal(Array.from(preview).length, 200);
+    test.done();
+};
+
+module.exports['Preview: HTML parts are converted to text'] = async test => {
+    let preview = await createPreview(Buffer.from('<div>Hello<br>there</div>'), previewPart('text/html', '7bit', 'utf-8'));
+    test.equal(preview, 'Hello there');
+    test.done();
+};
@@ -0,0 +1,177 @@
+'use strict';
+
+const crypto = require('crypto');
+const { ScramSession, getChannelBinding, getCertificateHash } = require('../lib/commands/scram-client');
+const { cert } = require('./fixtures/test-tls');
+
+const certificateDer = new crypto.X509Certificate(cert).raw;
+
+// ============================================
+// RFC test vectors
+// ============================================
+
+module.exports['SCRAM: SCRAM-SHA-1 exchange from RFC 5802 section 5'] = async test => {
+    let session = new ScramSession({ mechanism: 'SCRAM-SHA-1', username: 'user', password: 'pencil', nonce: 'fyko+d2lbbFgONRv9qkxdawL' });
+
+    test.equal(session.clientFirst(), 'n,,n=user,r=fyko+d2lbbFgONRv9qkxdawL');
+    test.equal(
+        await session.clientFinal('r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,s=QSXCR+Q6sek8bf92,i=4096'),
+        'c=biws,r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,p=v0X8v3Bz2T0CJGbJQyF0X+HI4Ts='
+    );
+
+    session.verifyServerFinal('v=rmF9pqV8S7suAoZWja4dJRkFsKQ=');
+    test.equal(session.verified, true);
+    test.done();
+};
+
+module.exports['SCRAM: SCRAM-SHA-256 exchange from RFC 7677 section 3'] = async test => {
+    let session = new ScramSession({ mechanism: 'SCRAM-SHA-256', username: 'user', password: 'pencil', nonce: 'rOprNGfwEbeRWgbNEkqO' });
+
+    test.equal(session.clientFirst(), 'n,,n=user,r=rOprNGfwEbeRWgbNEkqO');
+    test.equal(
+        await session.clientFinal('r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,s=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096'),
+        'c=biws,r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,p=dHzbZapWIk4jUhN+Ute9ytag9zjfMHgsqmmiz7AndVQ='
+    );
+
+    session.verifyServerFinal('v=6rriTRBi23WpRR/wtup+mMhUZUn/dB5nLTJRsjl95G4=');
+    test.equal(session.verified, true);
+    test.done();
+};
+
+// ============================================
+// GS2 header
+// ============================================
+
+module.exports['SCRAM: escapes names and sets the channel binding flag'] = test => {
+    let session = new ScramSession({ mechanism: 'scram-sha-256', username: 'a,b=c', password: 'x', authzid: 'admin', nonce: 'abc' });
+    test.equal(session.clientFirst(), 'n,a=admin,n=a=2Cb=3Dc,r=abc');
+
+    session = new ScramSession({ mechanism: 'SCRAM-SHA-256', username: 'user', password: 'x', nonce: 'abc', bindingSupported: true });
+    test.equal(session.clientFirst(), 'y,,n=user,r=abc');
+
+    session = new ScramSession({
+        mechanism: 'SCRAM-SHA-256-PLUS',
+        username: 'user',
+        password: 'x',
+        nonce: 'abc',
+        channelBinding: { type: 'tls-exporter', data: Buffer.from('binding') }
+    });
+    test.equal(session.clientFirst(), 'p=tls-exporter,,n=user,r=abc');
+    test.done();
+};
+
+module.exports['SCRAM: -PLUS sends the channel binding data'] = async test => {
+    let session = new ScramSession({
+        mechanism: 'SCRAM-SHA-256-PLUS',
+        username: 'user',
+        password: 'x',
+        nonce: 'abc',
+        channelBinding: { type: 'tls-server-end-point', data: Buffer.from('binding') }
+    });
+
+    let clientFinal = await session.clientFinal('r=abcdef,s=c2FsdA==,i=1');
+    let channelData = Buffer.from(clientFinal.match(/^c=([^,]*)/)[1], 'base64').toString();
+    test.equal(channelData, 'p=tls-server-end-point,,binding');
+    test.done();
+};
+
+module.exports['SCRAM: rejects unknown mechanisms and -PLUS without binding data'] = test => {
+    test.throws(() => new ScramSession({ mechanism: 'SCRAM-MD5', username: 'user', password: 'x' }), /Unsupported SCRAM mechanism/);
+    test.throws(() => new ScramSession({ mechanism: 'SCRAM-SHA-1-PLUS', username: 'user', password: 'x' }), /Channel binding is not available/);
+    test.done();
+};
+
+// ============================================
+// Server message validation
+// ============================================
+
+module.exports['SCRAM: rejects invalid server-first-message'] = async test => {
+    let attempts = [
+        ['r=other123,s=c2FsdA==,i=4096', /server nonce/],
+        ['r=abc,s=c2FsdA==,i=4096', /server nonce/],
+        ['r=abcdef,i=4096', /salt/],
+        ['r=abcdef,s=c2FsdA==,i=0', /iteration count/],
+        ['r=abcdef,s=c2FsdA==,i=999999999', /iteration count/],
+        ['e=unknown-user', /unknown-user/]
+    ];
+
+    for (let [serverFirst, expected] of attempts) {
+        let session = new ScramSession({ mechanism: 'SCRAM-SHA-1', username: 'user', password: 'x', nonce: 'abc' });
+        try {
+            await session.clientFinal(serverFirst);
+            test.ok(false, `should reject ${serverFirst}`);
+        } catch (err) {
+            test.ok(expected.test(err.message), err.message);
+            test.equal(err.code, 'ScramError');
+        }
+    }
+    test.done();
+};
+
+module.exports['SCRAM: rejects a wrong server signature'] = async test => {
+    let session = new ScramSession({ mechanism: 'SCRAM-SHA-1', username: 'user', password: 'wrong', nonce: 'fyko+d2lbbFgONRv9qkxdawL' });
+    await session.clientFinal('r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,s=QSXCR+Q6sek8bf92,i=4096');
+
+    test.throws(() => session.verifyServerFinal('v=rmF9pqV8S7suAoZWja4dJRkFsKQ='), /server signature/);
+    test.throws(() => session.verifyServerFinal('e=invalid-proof'), /invalid-proof/);
+    test.throws(() => session.verifyServerFinal(''), /server signature/);
+    test.equal(session.verified, false);
+    test.done();
+};
+
+// ============================================
+// Channel binding
+// ============================================
+
+module.exports['SCRAM: certificate hash follows the signature algorithm'] = test => {
+    // the fixture certificate is signed with sha256WithRSAEncryption
+    test.equal(getCertificateHash(certificateDer), 'sha256');
+    test.equal(getCertificateHash(Buffer.from([0x30, 0x82, 0xff])), false);
+    test.equal(getCertificateHash(Buffer.alloc(0)), false);
+    test.done();
+};
+
+module.exports['SCRAM: tls-server-end-point binding for TLS 1.2'] = test => {
+    let binding = getChannelBinding({
+        encrypted: true,
+        getProtocol: () => 'TLSv1.2',
+        getPeerCertificate: () => ({ raw: certificateDer })
+    });
+
+    test.equal(binding.type, 'tls-server-end-point');
+    test.deepEqual(binding.data, crypto.createHash('sha256').update(certificateDer).digest());
+    test.done();
+};
+
+module.exports['SCRAM: tls-exporter binding for TLS 1.3'] = test => {
+    let exportArgs;
+    let binding = getChannelBinding({
+        encrypted: true,
+        getProtocol: () => 'TLSv1.3',
+        getPeerCertificate: () => ({ raw: certificateDer }),
+        exportKeyingMaterial: (...args) => {
+            exportArgs = args;
+            return Buffer.alloc(32, 1);
+        }
+    });
+
+    test.equal(binding.type, 'tls-exporter');
+    test.deepEqual(exportArgs, [32, 'EXPORTER-Channel-Binding']);
+    test.deepEqual(binding.data, Buffer.alloc(32, 1));
+    test.done();
+};
+
+module.exports['SCRAM: no channel binding without TLS'] = test => {
+    test.equal(getChannelBinding(null), false);
+    test.equal(getChannelBinding({ destroyed: false }), false);
+    test.equal(
+        getChannelBinding({
+            encrypted: true,
+            getPeerCertificate: () => {
+                throw new Error('closed');
+            }
+        }),
+        false
+    );
+    test.done();
+};
@@ -1,6 +1,6 @@
 'use strict';
 
-const { searchCompiler } = require('../lib/search-compiler');
+const { searchCompiler, searchCompilerWithCharset } = require('../lib/search-compiler');
 
 // Mock mailbox for testing
 let createMockMailbox = () => ({
@@ -1247,3 +1247,38 @@ module.exports['Search Compiler: Unicode header search with UTF8=ACCEPT skips CH
     test.ok(hasAttr(compiled, 'caf\u00e9'), 'should contain the unicode value');
     test.done();
 };
+
+// ============================================
+// Charset-argument compilation (SORT/THREAD)
+// ============================================
+
+module.exports['Search Compiler: searchCompilerWithCharset matches all for an empty query'] = test => {
+    let connection = createMockConnection();
+
+    for (let query of [undefined, true, {}, { all: true }]) {
+        test.deepEqual(searchCompilerWithCharset(connection, query), {
+            charset: 'US-ASCII',
+            attributes: [{ type: 'ATOM', value: 'ALL' }]
+        });
+    }
+    test.done();
+};
+
+module.exports['Search Compiler: searchCompilerWithCharset lifts the CHARSET prefix'] = test => {
+    let connection = createMockConnection();
+    let compiled = searchCompilerWithCharset(connection, { subject: 'žürii' });
+
+    test.equal(compiled.charset, 'UTF-8');
+    test.ok(!hasAttr(compiled.attributes, 'CHARSET'));
+    test.equal(compiled.attributes[0].value, 'SUBJECT');
+    test.done();
+};
+
+module.exports['Search Compiler: searchCompilerWithCharset uses UTF-8 with UTF8=ACCEPT'] = test => {
+    let connection = createMockConnection({ enabled: ['UTF8=ACCEPT'] });
+    let compiled = searchCompilerWithCharset(connection, { seen: true });
+
+    test.equal(compiled.charset, 'UTF-8');
+    test.deepEqual(compiled.attributes, [{ type: 'ATOM', value: 'SEEN' }]);
+    test.done();
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+const { ImapFlow, SessionRecorder } = require('../lib/imap-flow');
+const { MockImapServer, SessionReplay, CAPABILITIES } = require('../testing');
+
+const recordedData = (session, src) =>
+    Buffer.concat(session.events.filter(event => !src || event.src === src).map(event => Buffer.from(event.data, 'base64'))).toString();
+
+// Session that is recorded first and then replayed
+const runSession = async client => {
+    await client.connect();
+    let mailbox = await client.mailboxOpen('INBOX');
+    let message = await client.fetchOne('*', { envelope: true, source: true });
+    await client.messageFlagsAdd('1', ['\\Seen']);
+    await client.logout();
+    return { exists: mailbox.exists, subject: message.envelope.subject, source: message.source.toString() };
+};
+
+const recordSession = async (serverOptions, clientOptions) => {
+    let server = new MockImapServer(
+        Object.assign({ users: { user: 'secret-password' }, mailboxes: { INBOX: { messages: ['Subject: hello\r\n\r\nHello world!'] } } }, serverOptions || {})
+    );
+    await server.listen();
+    let recorder = new SessionRecorder(clientOptions && clientOptions.redact === false ? { redact: false } : {});
+    let result = await runSession(new ImapFlow(server.clientOptions({ auth: { user: 'user', pass: 'secret-password' }, recorder })));
+    await server.close();
+    return { recorder, result };
+};
+
+module.exports['SessionRecorder: records the dialogue and redacts credentials'] = async test => {
+    // without AUTH=PLAIN the client uses LOGIN
+    let { recorder, result } = await recordSession({ capabilities: ['IMAP4rev1', 'ID', 'IDLE'] });
+    test.equal(result.subject, 'hello');
+
+    let recording = JSON.parse(JSON.stringify(recorder));
+    test.equal(recording.version, 1);
+    test.equal(recording.sessions.length, 1);
+
+    let session = recording.sessions[0];
+    test.equal(session.secure, false);
+    test.equal(session.clientInfo.name, 'imapflow');
+    test.equal(session.events[0].src, 's');
+    test.ok(session.events.every(event => typeof event.t === 'number'));
+    test.ok(/^\* OK /.test(recordedData(session, 's')));
+
+    let redacted = session.events.filter(event => event.redacted);
+    test.equal(redacted.length, 1);
+    test.equal(Buffer.from(redacted[0].data, 'base64').toString(), '2 LOGIN ');
+    test.ok(!/secret-password/.test(recordedData(session)));
+    test.ok(/ SELECT INBOX\r\n/.test(recordedData(session, 'c')));
+    test.done();
+};
+
+module.exports['SessionRecorder: keeps credentials if redacting is disabled'] = async test => {
+    let { recorder } = await recordSession({}, { redact: false });
+    let session = recorder.toJSON().sessions[0];
+    test.ok(!session.events.some(event => event.redacted));
+    test.ok(/AUTHENTICATE PLAIN/.test(recordedData(session, 'c')));
+    test.ok(recordedData(session, 'c').includes(Buffer.from('\x00user\x00secret-password').toString('base64')));
+    test.done();
+};
+
+module.exports['SessionReplay: replays a recorded session'] = async test => {
+    // COMPRESS is recorded after inflating and replayed compressed
+    let { recorder, result } = await recordSession({ capabilities: CAPABILITIES.concat('COMPRESS=DEFLATE') });
+    test.ok(/COMPRESS DEFLATE/.test(recordedData(recorder.sessions[0], 'c')));
+
+    let replay = new SessionReplay(JSON.stringify(recorder));
+    await replay.listen();
+    let replayed = [];
+    replay.on('replayed', index => replayed.push(index));
+
+    let client = new ImapFlow(replay.clientOptions());
+    test.deepEqual(await runSession(client), result);
+    await replay.done();
+    test.deepEqual(replayed, [0]);
+
+    await replay.close();
+    test.done();
+};
+
+module.exports['SessionReplay: fails when the client diverges'] = async test => {
+    let { recorder } = await recordSession();
+
+    let replay = new SessionReplay(recorder.toJSON());
+    await replay.listen();
+    let client = new ImapFlow(replay.clientOptions());
+    client.on('error', () => false);
+
+    await client.connect();
+    try {
+        // the recorded session opened INBOX, which starts with a LIST command
+        await client.mailboxOpen('Sent');
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.ok(err);
+    }
+
+    try {
+        await replay.done();
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'ReplayDiverged');
+        test.equal(err.expected, '6 LIST "" "INBOX"\r\n');
+        test.equal(err.received, '6 LIST "" "Sent"\r\n');
+    }
+
+    client.close();
+    await replay.close();
+    test.done();
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+const net = require('net');
+const { Duplex } = require('stream');
+const { ImapFlow } = require('../lib/imap-flow');
+const { MockImapServer, CAPABILITIES } = require('../testing');
+
+// Wraps a TCP socket into a plain Duplex stream that has no socket methods such as setTimeout()
+const wrapSocket = socket => {
+    let stream = new Duplex({
+        read() {
+            socket.resume();
+        },
+        write(chunk, encoding, callback) {
+            socket.write(chunk, callback);
+        },
+        final(callback) {
+            socket.end();
+            callback();
+        },
+        destroy(err, callback) {
+            socket.destroy();
+            callback(err);
+        }
+    });
+    socket.on('data', chunk => {
+        if (!stream.push(chunk)) {
+            socket.pause();
+        }
+    });
+    socket.on('end', () => stream.push(null));
+    socket.on('error', err => stream.destroy(err));
+    return stream;
+};
+
+const setup = async (options, clientOptions) => {
+    let server = new MockImapServer(
+        Object.assign({ users: { user: 'pass' }, mailboxes: { INBOX: { messages: ['Subject: hello\r\n\r\nHello world!'] } } }, options || {})
+    );
+    await server.listen();
+    let client = new ImapFlow(server.clientOptions(Object.assign({ auth: { user: 'user', pass: 'pass' } }, clientOptions || {})));
+    client.on('error', () => false);
+    return { server, client };
+};
+
+module.exports['Socket factory: connects through the returned socket'] = async test => {
+    let calls = [];
+    let { server, client } = await setup(
+        { capabilities: CAPABILITIES.concat('COMPRESS=DEFLATE') },
+        {
+            host: 'imap.example.com',
+            socketFactory: options => {
+                calls.push(options);
+                return net.connect(server.port, '127.0.0.1');
+            }
+        }
+    );
+
+    await client.connect();
+    test.deepEqual(calls, [{ host: 'imap.example.com', port: server.port, servername: 'imap.example.com', secure: false }]);
+    test.ok(client._deflate);
+
+    await client.mailboxOpen('INBOX');
+    let message = await client.fetchOne('1', { envelope: true }, { uid: true });
+    test.equal(message.envelope.subject, 'hello');
+
+    await client.logout();
+    await server.close();
+    test.done();
+};
+
+module.exports['Socket factory: accepts a Duplex stream without socket methods'] = async test => {
+    let { server, client } = await setup({}, { socketTimeout: 200, socketFactory: async () => wrapSocket(net.connect(server.port, '127.0.0.1')) });
+
+    await client.connect();
+    test.equal(typeof client.socket.setTimeout, 'undefined');
+    test.equal((await client.mailboxOpen('INBOX')).exists, 1);
+
+    // the inactivity timeout is emulated for streams that can not time out by themselves
+    let error = await new Promise(resolve => {
+        client.removeAllListeners('error');
+        client.once('error', resolve);
+    });
+    test.equal(error.code, 'ETIMEOUT');
+
+    client.on('error', () => false);
+    client.close();
+    await server.close();
+    test.done();
+};
+
+module.exports['Socket factory: reports factory errors'] = async test => {
+    let { server, client } = await setup(
+        {},
+        {
+            socketFactory: () => {
+                let err = new Error('No route');
+                err.code = 'ENOROUTE';
+                throw err;
+            }
+        }
+    );
+    try {
+        await client.connect();
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'ENOROUTE');
+        test.equal(err._err.message, 'No route');
+    }
+
+    client = new ImapFlow(server.clientOptions({ auth: { user: 'user', pass: 'pass' }, socketFactory: () => ({}) }));
+    client.on('error', () => false);
+    try {
+        await client.connect();
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'SocketFactoryError');
+    }
+
+    await server.close();
+    test.done();
+};
+
+module.exports['Socket factory: applies the connection timeout'] = async test => {
+    let socket = false;
+    let { server, client } = await setup(
+        {},
+        {
+            connectionTimeout: 100,
+            socketFactory: () =>
+                new Promise(resolve =>
+                    setTimeout(() => {
+                        socket = net.connect(server.port, '127.0.0.1');
+                        resolve(socket);
+                    }, 200)
+                )
+        }
+    );
+    try {
+        await client.connect();
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.code, 'CONNECT_TIMEOUT');
+    }
+
+    // a socket that arrives too late is discarded
+    await new Promise(resolve => setTimeout(resolve, 200));
+    test.ok(socket && socket.destroyed);
+
+    await server.close();
+    test.done();
+};
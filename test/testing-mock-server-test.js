@@ -0,0 +1,617 @@
+'use strict';
+
+const { ImapFlow } = require('../lib/imap-flow');
+const { MockImapServer, MockMailboxStore, CAPABILITIES } = require('../testing');
+
+const MESSAGES = [
+    'From: Sender Name <sender@example.com>\r\nTo: receiver@example.com\r\nSubject: first\r\nDate: Mon, 1 Jan 2024 10:00:00 +0000\r\n\r\nHello world!',
+    {
+        source: 'From: sender@example.com\r\nSubject: second\r\nContent-Type: multipart/mixed; boundary="abc"\r\n\r\n--abc\r\nContent-Type: text/plain\r\n\r\npart one\r\n--abc\r\nContent-Type: text/html\r\n\r\n<b>part two</b>\r\n--abc--\r\n',
+        flags: ['\\Seen']
+    }
+];
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const setup = async (options, clientOptions) => {
+    let server = new MockImapServer(
+        Object.assign(
+            {
+                users: { user: 'pass' },
+                mailboxes: { INBOX: { messages: MESSAGES }, Archive: { specialUse: '\\Archive' } }
+            },
+            options || {}
+        )
+    );
+    await server.listen();
+    let client = new ImapFlow(server.clientOptions(Object.assign({ auth: { user: 'user', pass: 'pass' } }, clientOptions || {})));
+    return { server, client };
+};
+
+const teardown = async (server, ...clients) => {
+    for (let client of clients) {
+        client.removeAllListeners('error');
+        client.on('error', () => false);
+        client.close();
+    }
+    await server.close();
+};
+
+module.exports['Testing: client connects and lists mailboxes'] = async test => {
+    let { server, client } = await setup();
+    await client.connect();
+
+    test.ok(client.capabilities.has('QRESYNC'));
+    test.ok(client.enabled.has('CONDSTORE'));
+
+    let list = await client.list();
+    test.deepEqual(
+        list.map(entry => [entry.path, entry.specialUse]),
+        [
+            ['INBOX', '\\Inbox'],
+            ['Archive', '\\Archive']
+        ]
+    );
+
+    await client.mailboxCreate('Archive/2024');
+    await client.mailboxRename('Archive', 'Old');
+    test.ok(server.store.getMailbox('Old/2024'));
+
+    await client.logout();
+    await teardown(server);
+    test.done();
+};
+
+module.exports['Testing: rejects invalid credentials'] = async test => {
+    let { server, client } = await setup({}, { auth: { user: 'user', pass: 'wrong' } });
+    try {
+        await client.connect();
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.ok(err.authenticationFailed);
+        test.equal(err.serverResponseCode, 'AUTHENTICATIONFAILED');
+    }
+    await teardown(server, client);
+    test.done();
+};
+
+module.exports['Testing: fetches message data'] = async test => {
+    let { server, client } = await setup();
+    await client.connect();
+    let mailbox = await client.mailboxOpen('INBOX');
+    test.equal(mailbox.exists, 2);
+    test.equal(typeof mailbox.highestModseq, 'bigint');
+
+    let messages = [];
+    for await (let message of client.fetch('1:*', { uid: true, flags: true, envelope: true, bodyStructure: true, source: true, headers: ['subject'] })) {
+        messages.push(message);
+    }
+
+    test.equal(messages.length, 2);
+    test.equal(messages[0].envelope.subject, 'first');
+    test.deepEqual(messages[0].envelope.from, [{ name: 'Sender Name', address: 'sender@example.com' }]);
+    test.equal(messages[0].source.toString(), MESSAGES[0]);
+    test.equal(messages[0].headers.toString().trim(), 'Subject: first');
+    test.deepEqual(Array.from(messages[1].flags), ['\\Seen']);
+    test.equal(messages[1].bodyStructure.type, 'multipart/mixed');
+    test.deepEqual(
+        messages[1].bodyStructure.childNodes.map(node => [node.part, node.type]),
+        [
+            ['1', 'text/plain'],
+            ['2', 'text/html']
+        ]
+    );
+
+    let { content } = await client.download('2', '2', { uid: true });
+    let chunks = [];
+    for await (let chunk of content) {
+        chunks.push(chunk);
+    }
+    test.equal(Buffer.concat(chunks).toString(), '<b>part two</b>');
+
+    await client.logout();
+    await teardown(server);
+    test.done();
+};
+
+module.exports['Testing: stores flags and reports conflicts'] = async test => {
+    let { server, client } = await setup();
+    await client.connect();
+    let mailbox = await client.mailboxOpen('INBOX');
+
+    server.store.updateFlags('INBOX', [1], 'add', ['\\Answered']);
+
+    let modified = [];
+    await client.messageFlagsAdd('1:2', ['\\Flagged'], { uid: true, unchangedSince: mailbox.highestModseq, onModified: uids => modified.push(...uids) });
+    test.deepEqual(modified, [1]);
+    test.ok(!server.store.getMessage('INBOX', 1).flags.has('\\Flagged'));
+    test.ok(server.store.getMessage('INBOX', 2).flags.has('\\Flagged'));
+
+    test.deepEqual(await client.search({ seen: false }, { uid: true }), [1]);
+    test.deepEqual(await client.search({ subject: 'second' }), [2]);
+    test.deepEqual(await client.search({ or: [{ answered: true }, { flagged: true }] }), [1, 2]);
+
+    await client.logout();
+    await teardown(server);
+    test.done();
+};
+
+module.exports['Testing: expunges, moves and appends messages'] = async test => {
+    let { server, client } = await setup();
+    await client.connect();
+    await client.mailboxOpen('INBOX');
+
+    let expunged = [];
+    client.on('expunge', event => expunged.push(event.seq));
+
+    await client.messageDelete('1');
+    test.deepEqual(expunged, [1]);
+
+    let moved = await client.messageMove('1:*', 'Archive');
+    test.equal(moved.uidMap.get(2), 1);
+    test.equal(server.store.getMailbox('INBOX').messages.length, 0);
+    test.equal(server.store.getMailbox('Archive').messages.length, 1);
+
+    let appended = await client.append('INBOX', 'Subject: appended\r\n\r\nHi!', ['\\Draft']);
+    test.equal(appended.uid, 3);
+    test.equal(client.mailbox.exists, 1);
+    test.deepEqual(Array.from(server.store.getMessage('INBOX', 3).flags), ['\\Draft']);
+
+    let status = await client.status('Archive', { messages: true, uidNext: true });
+    test.equal(status.messages, 1);
+    test.equal(status.uidNext, 2);
+
+    await client.logout();
+    await teardown(server);
+    test.done();
+};
+
+module.exports['Testing: appends multiple and catenated messages'] = async test => {
+    let { server, client } = await setup({ capabilities: CAPABILITIES.concat('MULTIAPPEND', 'CATENATE') });
+    let commands = [];
+    server.on('command', command => commands.push(command.command));
+
+    await client.connect();
+    let mailbox = await client.mailboxOpen('INBOX');
+
+    let results = await client.appendMany('Archive', [{ content: 'Subject: one\r\n\r\nOne', flags: ['\\Seen'] }, 'Subject: two\r\n\r\nTwo']);
+    test.deepEqual(
+        results.map(result => result.uid),
+        [1, 2]
+    );
+    test.equal(commands.filter(command => command === 'APPEND').length, 1);
+    test.deepEqual(
+        server.store.getMailbox('Archive').messages.map(message => message.source.toString()),
+        ['Subject: one\r\n\r\nOne', 'Subject: two\r\n\r\nTwo']
+    );
+    test.deepEqual(Array.from(server.store.getMessage('Archive', 1).flags), ['\\Seen']);
+
+    let appended = await client.append('Archive', [
+        'Subject: forwarded\r\nContent-Type: multipart/mixed; boundary="x"\r\n\r\n--x\r\n',
+        { url: client.getMessageUrl(2, { section: '1.MIME' }) },
+        { url: client.getMessageUrl(2, { section: '1' }) },
+        { text: '\r\n--x--\r\n' }
+    ]);
+    test.equal(appended.uid, 3);
+    test.equal(
+        server.store.getMessage('Archive', 3).source.toString(),
+        'Subject: forwarded\r\nContent-Type: multipart/mixed; boundary="x"\r\n\r\n--x\r\nContent-Type: text/plain\r\n\r\npart one\r\n--x--\r\n'
+    );
+
+    // an unknown URL fails the whole command
+    let missing = `/INBOX;UIDVALIDITY=${mailbox.uidValidity}/;UID=99`;
+    try {
+        await client.append('Archive', ['Subject: broken\r\n\r\n', { url: missing }]);
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.responseStatus, 'NO');
+        test.equal(err.serverResponseCode, 'BADURL');
+        test.equal(err.badUrl, missing);
+    }
+    test.equal(server.store.getMailbox('Archive').messages.length, 3);
+
+    await client.logout();
+    await teardown(server);
+    test.done();
+};
+
+module.exports['Testing: rejects MULTIAPPEND and CATENATE without the capabilities'] = async test => {
+    let { server, client } = await setup();
+    await client.connect();
+
+    // pretend the server supports the extensions
+    client.capabilities.set('MULTIAPPEND', true);
+    client.capabilities.set('CATENATE', true);
+
+    for (let upload of [
+        () => client.appendMany('Archive', ['Subject: one\r\n\r\nOne', 'Subject: two\r\n\r\nTwo']),
+        () => client.append('Archive', ['Subject: one\r\n\r\nOne'])
+    ]) {
+        try {
+            await upload();
+            test.ok(false, 'Should have thrown');
+        } catch (err) {
+            test.equal(err.responseStatus, 'BAD');
+        }
+    }
+    test.equal(server.store.getMailbox('Archive').messages.length, 0);
+
+    await client.logout();
+    await teardown(server);
+    test.done();
+};
+
+module.exports['Testing: reports changes made by others while idling'] = async test => {
+    let { server, client } = await setup();
+    await client.connect();
+    await client.mailboxOpen('INBOX');
+
+    let events = [];
+    client.on('exists', event => events.push(['exists', event.count]));
+    client.on('flags', event => events.push(['flags', event.uid, Array.from(event.flags)]));
+    client.on('expunge', event => events.push(['expunge', event.seq]));
+
+    let idle = client.idle();
+    await wait(50);
+
+    server.store.addMessage('INBOX', 'Subject: new\r\n\r\nNew message');
+    server.store.updateFlags('INBOX', [1], 'add', ['\\Seen']);
+    server.store.expunge('INBOX', [2]);
+    await wait(100);
+
+    test.deepEqual(events, [
+        ['exists', 3],
+        ['flags', 1, ['\\Seen']],
+        ['expunge', 2]
+    ]);
+
+    await client.logout();
+    await idle;
+    await teardown(server);
+    test.done();
+};
+
+module.exports['Testing: resynchronizes with QRESYNC'] = async test => {
+    let store = new MockMailboxStore({ mailboxes: { INBOX: { messages: ['Subject: a\r\n\r\n1', 'Subject: b\r\n\r\n2', 'Subject: c\r\n\r\n3'] } } });
+    let { server, client } = await setup({ store }, { qresync: true });
+    await client.connect();
+    test.ok(client.enabled.has('QRESYNC'));
+
+    let mailbox = await client.mailboxOpen('INBOX');
+    await client.mailboxClose();
+
+    store.updateFlags('INBOX', [2], 'add', ['\\Seen']);
+    store.expunge('INBOX', [3]);
+
+    let events = [];
+    client.on('expunge', event => events.push(['vanished', event.uid, event.earlier]));
+    client.on('flags', event => events.push(['flags', event.uid, Array.from(event.flags)]));
+
+    mailbox = await client.mailboxOpen('INBOX', { uidValidity: mailbox.uidValidity, changedSince: mailbox.highestModseq });
+    test.equal(mailbox.exists, 2);
+    test.deepEqual(events, [
+        ['vanished', 3, true],
+        ['flags', 2, ['\\Seen']]
+    ]);
+
+    await client.logout();
+    await teardown(server);
+    test.done();
+};
+
+module.exports['Testing: injects failures and delays'] = async test => {
+    let { server, client } = await setup({ delays: { GREETING: 100 } });
+    let start = Date.now();
+    await client.connect();
+    test.ok(Date.now() - start >= 100);
+
+    server.failCommand('SELECT', { code: 'UNAVAILABLE', text: 'Try again later', times: 1 });
+    try {
+        await client.mailboxOpen('INBOX');
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.serverResponseCode, 'UNAVAILABLE');
+        test.equal(err.responseText, 'Try again later');
+    }
+    // the failure was used up
+    test.equal((await client.mailboxOpen('INBOX')).exists, 2);
+
+    server.failCommand('UID FETCH', { disconnect: true });
+    let closed = new Promise(resolve => client.once('close', resolve));
+    try {
+        await client.fetchOne('1', { flags: true }, { uid: true });
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.ok(err);
+    }
+    await closed;
+
+    await teardown(server, client);
+    test.done();
+};
+
+module.exports['Testing: custom handlers and greeting'] = async test => {
+    let { server, client } = await setup({
+        greeting: 'Welcome to the test server',
+        capabilities: ['IMAP4rev1', 'IDLE', 'ID', 'AUTH=PLAIN', 'SASL-IR'],
+        handlers: {
+            ID: async ctx => {
+                await ctx.untagged('ID', [
+                    [
+                        { type: 'STRING', value: 'name' },
+                        { type: 'STRING', value: 'custom' }
+                    ]
+                ]);
+                await ctx.ok();
+            },
+            SELECT: async ctx => {
+                ctx.server.emit('selecting', ctx.attributes[0].value);
+                await ctx.next();
+            }
+        }
+    });
+
+    let selected = [];
+    server.on('selecting', path => selected.push(path));
+
+    await client.connect();
+    test.equal(client.greeting, 'Welcome to the test server');
+    test.ok(!client.capabilities.has('CONDSTORE'));
+    test.equal(client.serverInfo.name, 'custom');
+
+    await client.mailboxOpen('INBOX');
+    test.deepEqual(selected, ['INBOX']);
+
+    await client.logout();
+    await teardown(server);
+    test.done();
+};
+
+const THREAD_MESSAGES = [
+    'From: Carol <carol@example.com>\r\nSubject: Lunch\r\nDate: Wed, 3 Jan 2024 10:00:00 +0000\r\nMessage-ID: <a@example.com>\r\n\r\n1',
+    'From: alice@example.com\r\nSubject: Re: Lunch\r\nDate: Thu, 4 Jan 2024 10:00:00 +0000\r\nMessage-ID: <b@example.com>\r\nIn-Reply-To: <a@example.com>\r\nReferences: <a@example.com>\r\n\r\n2',
+    'From: Bob <bob@example.com>\r\nSubject: Report\r\nDate: Tue, 2 Jan 2024 10:00:00 +0000\r\nMessage-ID: <c@example.com>\r\n\r\n3',
+    'From: dave@example.com\r\nSubject: Re: Lunch\r\nDate: Fri, 5 Jan 2024 10:00:00 +0000\r\nMessage-ID: <d@example.com>\r\nReferences: <a@example.com> <b@example.com>\r\n\r\n4',
+    'Subject: Lunch\r\nDate: Mon, 1 Jan 2024 10:00:00 +0000\r\nMessage-ID: <e@example.com>\r\n\r\n5'
+];
+
+module.exports['Testing: sorts and threads messages'] = async test => {
+    let { server, client } = await setup({
+        capabilities: CAPABILITIES.concat('SORT', 'THREAD=REFERENCES', 'THREAD=ORDEREDSUBJECT'),
+        mailboxes: { INBOX: { messages: THREAD_MESSAGES } }
+    });
+    await client.connect();
+    await client.mailboxOpen('INBOX');
+
+    test.deepEqual(await client.sort('from'), [5, 2, 3, 1, 4]);
+    test.deepEqual(await client.sort({ key: 'date', reverse: true }), [4, 2, 1, 3, 5]);
+    test.deepEqual(await client.sort(['subject', 'date']), [5, 1, 2, 4, 3]);
+    test.deepEqual(await client.sort('arrival', { from: 'bob' }), [3]);
+
+    let threads = await client.thread(true, { algorithm: 'references' });
+    test.deepEqual(threads, [
+        {
+            uid: null,
+            children: [
+                { uid: 5, children: [] },
+                { uid: 1, children: [{ uid: 2, children: [{ uid: 4, children: [] }] }] }
+            ]
+        },
+        { uid: 3, children: [] }
+    ]);
+
+    test.deepEqual(await client.thread(true, { algorithm: 'orderedsubject', uid: false }), [
+        {
+            seq: 5,
+            children: [
+                { seq: 1, children: [] },
+                { seq: 2, children: [] },
+                { seq: 4, children: [] }
+            ]
+        },
+        { seq: 3, children: [] }
+    ]);
+
+    // server-side REFERENCES threading matches the client-side fallback
+    let other = new MockImapServer({ store: server.store });
+    await other.listen();
+    let fallback = new ImapFlow(other.clientOptions());
+    await fallback.connect();
+    await fallback.mailboxOpen('INBOX');
+    test.deepEqual(await fallback.thread(), threads);
+
+    await fallback.logout();
+    await client.logout();
+    await teardown(other);
+    await teardown(server);
+    test.done();
+};
+
+module.exports['Testing: replaces messages'] = async test => {
+    let { server, client } = await setup({ capabilities: CAPABILITIES.concat('REPLACE') });
+    let commands = [];
+    server.on('command', command => commands.push(command.command));
+
+    await client.connect();
+    let mailbox = await client.mailboxOpen('INBOX');
+
+    let replaced = await client.messageReplace(1, 'INBOX', 'Subject: updated\r\n\r\nNew version', ['\\Draft']);
+    test.deepEqual(replaced, { path: 'INBOX', destination: 'INBOX', deleted: true, uidValidity: mailbox.uidValidity, uid: 3 });
+    test.deepEqual(
+        server.store.getMailbox('INBOX').messages.map(message => message.uid),
+        [2, 3]
+    );
+    test.deepEqual(Array.from(server.store.getMessage('INBOX', 3).flags), ['\\Draft']);
+    test.equal(client.mailbox.exists, 2);
+
+    replaced = await client.messageReplace(2, 'Archive', 'Subject: archived\r\n\r\nMoved');
+    test.equal(replaced.destination, 'Archive');
+    test.equal(server.store.getMailbox('Archive').messages.length, 1);
+    test.equal(client.mailbox.exists, 1);
+    test.deepEqual(
+        commands.filter(command => /REPLACE|APPEND|EXPUNGE/.test(command)),
+        ['UID REPLACE', 'UID REPLACE']
+    );
+
+    try {
+        await client.messageReplace(99, 'INBOX', 'Subject: missing\r\n\r\nNothing to replace');
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.responseStatus, 'NO');
+    }
+
+    await client.logout();
+    await teardown(server);
+    test.done();
+};
+
+module.exports['Testing: stores mailbox and server annotations'] = async test => {
+    let { server, client } = await setup({
+        capabilities: CAPABILITIES.concat('METADATA'),
+        mailboxes: { INBOX: { messages: MESSAGES, metadata: { '/shared/Comment': 'Inbox comment' } } }
+    });
+    await client.connect();
+
+    let result = await client.getMetadata('INBOX', ['/shared/comment', '/private/missing']);
+    test.deepEqual(result.entries, { '/shared/comment': 'Inbox comment', '/private/missing': null });
+
+    test.equal(
+        await client.setMetadata('INBOX', {
+            '/private/vendor/a': 'one',
+            '/private/vendor/a/b': 'two',
+            '/private/vendor/long': 'x'.repeat(50),
+            '/private/vendor/note': 'õun',
+            '/shared/comment': null
+        }),
+        true
+    );
+    test.ok(!server.store.getMailbox('INBOX').metadata.has('/shared/comment'));
+
+    result = await client.getMetadata('INBOX', '/private/vendor', { depth: 1, maxSize: 10 });
+    test.deepEqual(result.entries, { '/private/vendor': null, '/private/vendor/a': 'one', '/private/vendor/note': 'õun' });
+    test.equal(result.longEntries, 50);
+
+    result = await client.getMetadata('INBOX', '/private/vendor/a', { depth: 'infinity' });
+    test.deepEqual(result.entries, { '/private/vendor/a': 'one', '/private/vendor/a/b': 'two' });
+
+    await client.setMetadata('', { '/shared/admin': 'mailto:admin@example.com' });
+    test.equal(server.store.metadata.get('/shared/admin'), 'mailto:admin@example.com');
+    test.deepEqual((await client.getMetadata('', '/shared/admin')).entries, { '/shared/admin': 'mailto:admin@example.com' });
+
+    try {
+        await client.setMetadata('INBOX', { '/comment': 'no prefix' });
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.responseStatus, 'BAD');
+    }
+    test.equal(await client.getMetadata('Missing', '/shared/comment'), false);
+
+    await client.logout();
+    await teardown(server);
+    test.done();
+};
+
+module.exports['Testing: reports NOTIFY events'] = async test => {
+    let { server, client } = await setup({ capabilities: CAPABILITIES.concat('NOTIFY') });
+    await client.connect();
+    await client.mailboxOpen('INBOX');
+
+    let events = [];
+    client.on('mailboxStatus', event => events.push(['status', event.path, event.messages]));
+    client.on('mailboxChange', event => events.push(['mailbox', event.path, event.oldPath || false, event.deleted]));
+    client.on('messageNew', event => events.push(['new', event.path, event.message.uid, event.message.envelope.subject]));
+
+    await client.notify(
+        {
+            selected: { events: ['messageNew', 'messageExpunge'], fetch: ['uid', 'envelope'] },
+            personal: ['messageNew', 'messageExpunge', 'mailboxName']
+        },
+        { status: true }
+    );
+    // the selected mailbox is not included in the initial status
+    test.deepEqual(events, [['status', 'Archive', 0]]);
+    events = [];
+
+    let idle = client.idle();
+    await wait(50);
+
+    server.store.addMessage('Archive', 'Subject: archived\r\n\r\nArchived');
+    server.store.addMessage('INBOX', 'Subject: pushed\r\n\r\nNew message');
+    await wait(50);
+    server.store.renameMailbox('Archive', 'Old');
+    server.store.createMailbox('New');
+    server.store.deleteMailbox('New');
+    await wait(100);
+
+    test.deepEqual(events, [
+        ['status', 'Archive', 1],
+        ['new', 'INBOX', 3, 'pushed'],
+        ['mailbox', 'Old', 'Archive', false],
+        ['mailbox', 'New', false, false],
+        ['mailbox', 'New', false, true]
+    ]);
+
+    try {
+        await client.notify({ personal: ['annotationChange'] });
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.deepEqual(err.badEvents, ['AnnotationChange']);
+    }
+
+    // NOTIFY NONE stops the notifications
+    await client.notify(false);
+    events = [];
+    server.store.addMessage('Old', 'Subject: unreported\r\n\r\nNot reported');
+    await client.noop();
+    test.deepEqual(events, []);
+
+    await client.logout();
+    await idle;
+    await teardown(server);
+    test.done();
+};
+
+module.exports['Testing: manages access control lists'] = async test => {
+    let { server, client } = await setup({ capabilities: CAPABILITIES.concat('ACL') });
+    await client.connect();
+
+    // the owner has every right
+    test.equal((await client.myRights('INBOX')).rights, 'lrswipkxtea');
+
+    await client.setAcl('INBOX', 'bob', 'lrs');
+    await client.setAcl('INBOX', 'bob', '+w');
+    await client.setAcl('INBOX', 'bob', '-s');
+    let acl = await client.getAcl('INBOX');
+    test.deepEqual(
+        acl.map(entry => [entry.identifier, entry.rights.rights]),
+        [['bob', 'lrw']]
+    );
+    test.equal(server.store.getMailbox('INBOX').acl.get('bob'), 'lrw');
+
+    await client.setAcl('INBOX', 'user', { lookup: true, read: true });
+    let rights = await client.myRights('INBOX');
+    test.equal(rights.read, true);
+    test.equal(rights.write, false);
+
+    let listed = await client.listRights('INBOX', 'bob');
+    test.equal(listed.required.rights, '');
+    test.equal(listed.optional.length, 11);
+
+    await client.deleteAcl('INBOX', 'bob');
+    test.deepEqual(
+        (await client.getAcl('INBOX')).map(entry => entry.identifier),
+        ['user']
+    );
+
+    try {
+        await client.setAcl('INBOX', 'bob', 'lz');
+        test.ok(false, 'Should have thrown');
+    } catch (err) {
+        test.equal(err.responseStatus, 'BAD');
+    }
+    test.equal(await client.getAcl('Missing'), false);
+
+    await client.logout();
+    await teardown(server);
+    test.done();
+};
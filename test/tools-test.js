@@ -270,6 +270,44 @@ module.exports['Tools: hasCapability does not fold on unenabled dual server'] =
     test.done();
 };
 
+module.exports['Tools: getThreadAlgorithms lists advertised THREAD algorithms'] = test => {
+    let connection = createMockConnection({
+        capabilities: [
+            ['IMAP4rev1', true],
+            ['THREAD=ORDEREDSUBJECT', true],
+            ['SORT', true],
+            ['THREAD=REFERENCES', true]
+        ]
+    });
+    test.deepEqual(tools.getThreadAlgorithms(connection), ['ORDEREDSUBJECT', 'REFERENCES']);
+    test.deepEqual(tools.getThreadAlgorithms(createMockConnection({ capabilities: [['THREAD=', true]] })), []);
+    test.done();
+};
+
+module.exports['Tools: getMetadataResponseCode reads METADATA codes'] = test => {
+    let response = code => ({ attributes: [{ type: 'ATOM', value: '', section: code.map(value => ({ type: 'ATOM', value })) }] });
+    test.deepEqual(tools.getMetadataResponseCode(response(['METADATA', 'LONGENTRIES', '2199'])), { code: 'LONGENTRIES', value: 2199 });
+    test.deepEqual(tools.getMetadataResponseCode(response(['METADATA', 'toomany'])), { code: 'TOOMANY' });
+    test.deepEqual(tools.getMetadataResponseCode(response(['METADATA', 'MAXSIZE', '1e5'])), { code: 'MAXSIZE' });
+    test.equal(tools.getMetadataResponseCode(response(['METADATA'])), false);
+    test.equal(tools.getMetadataResponseCode(response(['TRYCREATE'])), false);
+    test.equal(tools.getMetadataResponseCode(null), false);
+    test.done();
+};
+
+module.exports['Tools: formatImapUrl builds relative IMAP URLs'] = test => {
+    test.equal(tools.formatImapUrl({ path: 'INBOX', uidValidity: BigInt(385759045), uid: 20 }), '/INBOX;UIDVALIDITY=385759045/;UID=20');
+    test.equal(
+        tools.formatImapUrl({ path: 'Sent Items/Ümlaut;x', uidValidity: 1, uid: 2, section: '1.MIME' }),
+        '/Sent%20Items/%C3%9Cmlaut%3Bx;UIDVALIDITY=1/;UID=2/;SECTION=1.MIME'
+    );
+    test.equal(tools.formatImapUrl({ path: 'INBOX', uid: 20 }), false);
+    test.equal(tools.formatImapUrl({ path: 'INBOX', uidValidity: 1, uid: 0 }), false);
+    test.equal(tools.formatImapUrl({ uidValidity: 1, uid: 1 }), false);
+    test.equal(tools.formatImapUrl(), false);
+    test.done();
+};
+
 module.exports['Tools: encodePath keeps UTF-8 when rev2 is active'] = test => {
     let connection = createMockConnection({ capabilities: [['IMAP4rev2', true]] });
     // rev2 mailbox names are native UTF-8, modified UTF-7 must not be applied
@@ -1865,6 +1903,15 @@ module.exports['Tools: parseBigIntValue bounds the digit count before converting
     test.done();
 };
 
+module.exports['Tools: getTokenString reads strings and literals'] = test => {
+    test.equal(tools.getTokenString({ type: 'STRING', value: 'INBOX' }), 'INBOX');
+    test.equal(tools.getTokenString({ type: 'LITERAL', value: Buffer.from('Sent Items') }), 'Sent Items');
+    test.equal(tools.getTokenString({ type: 'ATOM', value: null }), null, 'NIL has no value');
+    test.equal(tools.getTokenString({ type: 'ATOM', value: 5 }), null);
+    test.equal(tools.getTokenString(undefined), null);
+    test.done();
+};
+
 module.exports['Tools: parseUintValue rejects values outside the safe integer range'] = test => {
     test.equal(tools.parseUintValue('1000'), 1000);
     test.equal(tools.parseUintValue('0'), 0);
@@ -0,0 +1,215 @@
+import { EventEmitter } from 'events';
+import { ImapFlowOptions, SessionRecording } from './lib/imap-flow';
+
+export const CAPABILITIES: string[];
+
+export interface MockMessageInput {
+    source: string | Buffer;
+    flags?: string[];
+    internalDate?: Date | string;
+}
+
+export interface MockMailboxInput {
+    /** Special use flag, eg. `\Sent` */
+    specialUse?: string;
+    /** Defaults to true */
+    subscribed?: boolean;
+    uidValidity?: number;
+    /** Access control list as `{ identifier: rights }`, the owner has every right unless listed */
+    acl?: { [identifier: string]: string };
+    /** Mailbox annotations keyed by entry name, eg. `/shared/comment` */
+    metadata?: { [entry: string]: string };
+    messages?: (string | Buffer | MockMessageInput)[];
+}
+
+export interface MockMessage {
+    uid: number;
+    flags: Set<string>;
+    modseq: number;
+    internalDate: Date;
+    source: Buffer;
+    size: number;
+}
+
+export interface MockMailbox {
+    path: string;
+    specialUse: string | false;
+    subscribed: boolean;
+    uidValidity: number;
+    uidNext: number;
+    highestModseq: number;
+    messages: MockMessage[];
+    /** Expunged UIDs with the modseq of the expunge */
+    expunged: { uid: number; modseq: number }[];
+    /** Identifiers mapped to rights strings */
+    acl: Map<string, string>;
+    /** Annotations keyed by lowercase entry name */
+    metadata: Map<string, string>;
+}
+
+export interface MockStoreChange {
+    type: 'exists' | 'flags' | 'expunge';
+    path: string;
+    message: MockMessage;
+    /** Session that made the change, not set for changes made by the test */
+    origin?: MockImapSession;
+}
+
+/** A created, deleted or renamed mailbox */
+export interface MockMailboxChange {
+    type: 'mailbox';
+    path: string;
+    /** Previous path of a renamed mailbox */
+    oldPath?: string;
+    deleted?: boolean;
+    origin?: MockImapSession;
+}
+
+/** In-memory mailboxes of the mock server, changes made here are reported to connected clients */
+export class MockMailboxStore extends EventEmitter {
+    constructor(options?: { mailboxes?: { [path: string]: MockMailboxInput }; metadata?: { [entry: string]: string } });
+
+    delimiter: string;
+    /** Server annotations keyed by lowercase entry name */
+    metadata: Map<string, string>;
+
+    getMailbox(path: string): MockMailbox | null;
+    mustGetMailbox(path: string): MockMailbox;
+    listMailboxes(): MockMailbox[];
+    createMailbox(path: string, options?: MockMailboxInput, origin?: MockImapSession): MockMailbox;
+    deleteMailbox(path: string, origin?: MockImapSession): void;
+    renameMailbox(path: string, newPath: string, origin?: MockImapSession): void;
+    addMessage(path: string, source: string | Buffer, options?: { flags?: string[]; internalDate?: Date | string }, origin?: MockImapSession): MockMessage;
+    getMessage(path: string, uid: number): MockMessage | null;
+    updateFlags(
+        path: string,
+        uids: number[],
+        operation: 'set' | 'add' | 'remove',
+        flags: string[],
+        options?: { unchangedSince?: number | bigint },
+        origin?: MockImapSession
+    ): { updated: MockMessage[]; modified: number[] };
+    expunge(path: string, uids?: number[] | null, origin?: MockImapSession): MockMessage[];
+    copyMessages(path: string, uids: number[], destination: string, origin?: MockImapSession): Map<number, number>;
+    /** Changes UIDVALIDITY and renumbers the messages of a mailbox */
+    resetUidValidity(path: string): number;
+
+    on(event: 'change', listener: (change: MockStoreChange | MockMailboxChange) => void): this;
+}
+
+/** A single client connection */
+export class MockImapSession {
+    id: number;
+    server: MockImapServer;
+    store: MockMailboxStore;
+    /** Authenticated username */
+    user: string | false;
+    /** Extensions enabled with ENABLE */
+    enabled: Set<string>;
+    selected: { path: string; readOnly: boolean; uids: number[] } | false;
+
+    close(): void;
+}
+
+export interface MockCommandContext {
+    session: MockImapSession;
+    server: MockImapServer;
+    store: MockMailboxStore;
+    tag: string;
+    /** Command name, eg. `UID FETCH` */
+    command: string;
+    uid: boolean;
+    /** Parsed command arguments */
+    attributes: any[];
+    /** Writes raw data to the socket */
+    write(data: string | Buffer): Promise<void>;
+    /** Compiles and writes a response object */
+    send(response: { tag: string; command: string; attributes?: any[] }): Promise<void>;
+    untagged(command: string, attributes?: any[]): Promise<void>;
+    ok(text?: string, code?: string): Promise<void>;
+    no(text?: string, code?: string): Promise<void>;
+    bad(text?: string, code?: string): Promise<void>;
+    /** Runs the built-in implementation of the command */
+    next(): Promise<void>;
+}
+
+export interface MockFailure {
+    /** Defaults to NO */
+    status?: 'NO' | 'BAD' | 'BYE';
+    code?: string;
+    text?: string;
+    /** Close the connection without a response */
+    disconnect?: boolean;
+    /** Fail only this many times */
+    times?: number;
+}
+
+export interface MockImapServerOptions {
+    /** Advertised capabilities, replaces the default list. SORT, THREAD=*, REPLACE, MULTIAPPEND, CATENATE, METADATA, NOTIFY and ACL are built in but not advertised by default */
+    capabilities?: string[];
+    /** Greeting text, `false` to send no greeting */
+    greeting?: string | false;
+    preauth?: boolean;
+    /** Accepted credentials, any credentials are accepted if neither `users` nor `authenticate` is set */
+    users?: { [username: string]: string };
+    authenticate?: (username: string, password: string) => boolean | Promise<boolean>;
+    id?: { [key: string]: string };
+    store?: MockMailboxStore;
+    mailboxes?: { [path: string]: MockMailboxInput };
+    handlers?: { [command: string]: (ctx: MockCommandContext) => void | Promise<void> };
+    failures?: { [command: string]: MockFailure };
+    delays?: { [command: string]: number };
+}
+
+/** Scriptable in-process IMAP server for testing code that uses ImapFlow */
+export class MockImapServer extends EventEmitter {
+    constructor(options?: MockImapServerOptions);
+
+    store: MockMailboxStore;
+    sessions: Set<MockImapSession>;
+    capabilities: string[];
+    port: number | false;
+
+    listen(port?: number, host?: string): Promise<number>;
+    close(): Promise<void>;
+    /** Closes every client connection without a response */
+    dropConnections(): void;
+    /** ImapFlow options for connecting to this server */
+    clientOptions(overrides?: Partial<ImapFlowOptions>): ImapFlowOptions;
+    /** Makes a command fail, `GREETING` fails the greeting */
+    failCommand(command: string, failure?: MockFailure): void;
+    /** Delays the response to a command, `GREETING` delays the greeting */
+    delayCommand(command: string, delay: number): void;
+    /** Removes injected failures and delays */
+    reset(): void;
+
+    on(event: 'connection', listener: (session: MockImapSession) => void): this;
+    on(event: 'command', listener: (command: { session: MockImapSession; tag: string; command: string; attributes: any[] }) => void): this;
+    on(event: 'error', listener: (err: Error) => void): this;
+}
+
+export interface ReplayDivergedError extends Error {
+    code: 'ReplayDiverged';
+    /** Index of the recorded session */
+    session: number;
+    step?: number;
+    expected?: string;
+    received?: string;
+}
+
+/** Replays a recording made with SessionRecorder, failing when the client diverges from it */
+export class SessionReplay extends EventEmitter {
+    constructor(recording: SessionRecording | string, options?: { realtime?: boolean });
+
+    port: number | false;
+
+    listen(port?: number, host?: string): Promise<number>;
+    close(): Promise<void>;
+    /** ImapFlow options for connecting to the replay, with the client ID from the recording */
+    clientOptions(overrides?: Partial<ImapFlowOptions>): ImapFlowOptions;
+    /** Resolves once every recorded session has been replayed */
+    done(): Promise<void>;
+
+    on(event: 'replayed', listener: (session: number) => void): this;
+    on(event: 'diverged', listener: (err: ReplayDivergedError) => void): this;
+}
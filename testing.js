@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Testing helpers, available as `require('imapflow/testing')`
+ *
+ * @module imapflow/testing
+ */
+
+const { MockImapServer, MockImapSession, CAPABILITIES } = require('./lib/testing/mock-imap-server');
+const { MockMailboxStore } = require('./lib/testing/mock-mailbox-store');
+const { SessionReplay } = require('./lib/testing/session-replay');
+
+module.exports = { MockImapServer, MockImapSession, MockMailboxStore, SessionReplay, CAPABILITIES };